@@ -16,12 +16,28 @@ export const CommonErrors = {
   METHOD_NOT_FOUND: 'METHOD_NOT_FOUND',
   /** @type {import("../types/errors.d").MethodError} */
   METHOD_ERROR: 'METHOD_ERROR',
+  /** @type {import("../types/errors.d").MethodBusyError} */
+  METHOD_BUSY: 'METHOD_BUSY',
   
   // Request errors
   /** @type {import("../types/errors.d").RequestInvalidError} */
   INVALID_REQUEST: 'REQUEST_INVALID',
   /** @type {import("../types/errors.d").RequestTimeoutError} */
   REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
+  /** @type {import("../types/errors.d").RequestCancelledError} */
+  REQUEST_CANCELLED: 'REQUEST_CANCELLED',
+  /** @type {import("../types/errors.d").RequestRateLimitedError} */
+  RATE_LIMITED: 'RATE_LIMITED',
+  
+  // Connection errors
+  /** @type {import("../types/errors.d").ConnectionLostError} */
+  CONNECTION_LOST: 'CONNECTION_LOST',
+  /** @type {import("../types/errors.d").CircuitOpenError} */
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN',
+  /** @type {import("../types/errors.d").BufferFullError} */
+  BUFFER_FULL: 'BUFFER_FULL',
+  /** @type {import("../types/errors.d").SessionActiveError} */
+  SESSION_ACTIVE: 'SESSION_ACTIVE',
   
   // Validation errors
   /** @type {import("../types/errors.d").ValidationError} */
@@ -5,7 +5,9 @@
 * @typedef {"error"} ErrorType
 * @typedef {"ack"} AckType
 * @typedef {"ping"} PingType
-* @typedef {RequestType|ResponseType|NotificationType|ErrorType|AckType|PingType} MessageType
+* @typedef {"cancel"} CancelType
+* @typedef {"handshake"} HandshakeType
+* @typedef {RequestType|ResponseType|NotificationType|ErrorType|AckType|PingType|CancelType|HandshakeType} MessageType
 */
 
 /**
@@ -25,6 +27,10 @@ export const MessageType = {
   ACK: 'ack',
   /** @type {PingType"} */
   PING: 'ping',
+  /** @type {CancelType"} */
+  CANCEL: 'cancel',
+  /** @type {HandshakeType"} */
+  HANDSHAKE: 'handshake',
   
   /** @returns {string[]} Array of all valid message types */
   values() {
@@ -42,6 +48,21 @@ export const MessageType = {
 };
 
 
+/**
+* Outbound priority lanes: the buffer sends higher lanes first. Any other number makes a lane of its own.
+* @readonly
+* @enum {number}
+*/
+export const MessagePriority = {
+  /** Responses, errors, cancels, acks, pings and handshakes */
+  CONTROL: 100,
+  HIGH: 10,
+  /** Requests and notifications */
+  NORMAL: 0,
+  LOW: -10
+};
+
+
 /**
  * @typedef {"protocol"} ProtocolLevel
  * @typedef {"message"} MessageLevel
@@ -114,6 +135,9 @@ export const Patterns = {
   /** Matches valid topic names */
   TOPIC_NAME: /^[a-zA-Z][a-zA-Z0-9_]*(?::[a-zA-Z][a-zA-Z0-9_]*)*$/,
   
+  /** Matches valid topic subscription patterns (topic names with `*`, `{name}` and trailing `**` segments) */
+  TOPIC_PATTERN: /^(?:\*\*|(?:[a-zA-Z][a-zA-Z0-9_]*|\*|\{[a-zA-Z_][a-zA-Z0-9_]*\})(?::(?:[a-zA-Z][a-zA-Z0-9_]*|\*|\{[a-zA-Z_][a-zA-Z0-9_]*\}))*(?::\*\*)?)$/,
+  
   /** Matches UUID format */
   UUID: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
 };
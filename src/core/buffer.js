@@ -1,27 +1,590 @@
 import { MegaBuffer } from "@killiandvcz/buffer";
+import { Maestro } from "@killiandvcz/maestro";
+import { MemoryOutboxStorage } from "./outbox";
+import { CommonErrors, MessagePriority, MessageType } from "../constants";
+import { estimateMessageSize } from "../utils";
 
 
 /**
- * @typedef {import('@killiandvcz/buffer').BufferConfig} BufferOptions
+ * Buffer configuration, plus the outbox `storage` persisting queued messages (in memory by default),
+ * the `maxAge` in ms after which a queued message is dropped, and the backpressure limits in bytes
+ * @typedef {import('@killiandvcz/buffer').BufferConfig & {
+ *   storage?: import('./outbox').OutboxStorage,
+ *   maxAge?: number|null,
+ *   highWatermark?: number,
+ *   lowWatermark?: number,
+ *   maxBytes?: number,
+ *   overflow?: OverflowPolicy
+ * }} BufferOptions
  */
 
 /**
-* Manages message buffering for disconnected states
+* What happens to a message that would take the buffer over `maxBytes`:
+* drop the oldest queued messages to make room, drop the new message, or reject it with `BUFFER_FULL`.
+* Messages of the control lane are always queued, even over `maxBytes`, and never dropped.
+* @typedef {'drop-oldest'|'drop-newest'|'reject'} OverflowPolicy
+*/
+
+/**
+* @typedef {Object} SendOptions
+* @property {number} [priority] Priority lane (see `MessagePriority`). Defaults to the `priority` of the message,
+* then to `CONTROL` for responses, errors, cancels, acks, pings and handshakes, and `NORMAL` for the others.
+* @property {boolean} [persist] Whether the message is written to the outbox storage when it waits for a connection,
+* to survive a restart. Defaults to true for requests and notifications, false for the others: their request
+* belongs to a connection a new process will never see.
+*/
+
+/**
+* Message types sent in the control lane by default
+* @type {string[]}
+*/
+const ControlTypes = [
+    MessageType.RESPONSE,
+    MessageType.ERROR,
+    MessageType.CANCEL,
+    MessageType.ACK,
+    MessageType.PING,
+    MessageType.HANDSHAKE
+];
+
+/**
+* @typedef {Object} SendStatus
+* @property {boolean} queued Whether the message was queued (false when dropped by the `drop-newest` policy,
+* or for a cancel that withdrew its request before it went out)
+* @property {boolean} backpressure Whether pending bytes are over the high watermark: slow down until `buffer:drained`
+* @property {number} bufferedBytes Bytes waiting in the buffer and in the transport
+* @property {number} dropped Older messages dropped to make room for this one
+*/
+
+/**
+* Manages message buffering for disconnected states.
+* Messages waiting for a connection go through an outbox storage: with a persistent one, requests and
+* notifications queued while offline survive a restart and are restored, before any new message, when the
+* buffer is created. Messages queued while connected are only written to it if the connection drops first.
+* Pending bytes (queued here plus buffered by the transport) are tracked against high and low watermarks,
+* and messages stay here while the transport holds more than the high watermark.
+* Messages wait in priority lanes: higher lanes go out first, each lane in order.
 */
 export class Buffer extends MegaBuffer {
-    
+
     /**
     * @param {import('../core/starling').BaseStarling} starling
     * @param {BufferOptions} options
     */
     constructor(starling, options = {}) {
+        const {
+            storage = new MemoryOutboxStorage(),
+            maxAge = null,
+            highWatermark = 1024 * 1024,
+            lowWatermark = Math.floor(highWatermark / 4),
+            maxBytes = Infinity,
+            overflow = 'reject',
+            ...config
+        } = options;
+
         super((batches) => {
-            batches.forEach(content => starling._send(content));
+            batches.forEach(() => this._flush());
         },
         {
-            canProcess: () => starling.isConnected,
+            // A slow link keeps the messages here, where they are counted, rather than in the socket
+            canProcess: () => !!starling.transport?.isOpen && (starling.transport.bufferedAmount || 0) < highWatermark,
             maxBatchDelay: 100,
-            ...options
+            ...config
+        });
+
+        /** @private */
+        this._starling = starling;
+
+        /** @private @type {import('./outbox').OutboxStorage} */
+        this._storage = storage;
+
+        /** @private */
+        this._maxAge = maxAge;
+
+        /** @private */
+        this._watermarks = { high: highWatermark, low: lowWatermark };
+
+        /** @private */
+        this._maxBytes = maxBytes;
+
+        /** @private @type {OverflowPolicy} */
+        this._overflow = overflow;
+
+        /**
+        * Queued entries and their size by priority, oldest first in each lane
+        * @private
+        * @type {Map<number, Map<string, {entry: import('./outbox').OutboxEntry, size: number}>>}
+        */
+        this._lanes = new Map();
+
+        /**
+        * Priorities of the lanes, highest first
+        * @private
+        * @type {number[]}
+        */
+        this._priorities = [];
+
+        /** @private */
+        this._bytes = 0;
+
+        /** @private Whether pending bytes went over the high watermark and not yet back under the low one */
+        this._high = false;
+
+        /** @private @type {import('@killiandvcz/maestro').Timer|null} */
+        this._drainTimer = null;
+
+        /** @private */
+        this._seq = 0;
+
+        /** @private */
+        this._restoring = this._restore();
+
+        // Messages held back by a slow link were not persisted: they now wait for the next connection
+        starling.events.on('starling:disconnected', event => {
+            if (event.data?.starling && event.data.starling !== starling) return;
+            this._saveQueued();
+        });
+    }
+
+    /**
+    * Queues a message until it can be sent
+    * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
+    * @param {SendOptions} [options={}] Send options
+    * @returns {Promise<SendStatus>} Resolves once queued, rejects with `BUFFER_FULL` under the `reject` policy
+    */
+    async add(message, options = {}) {
+        await this._restoring;
+
+        // A cancel must not overtake its request from the control lane: while the request is still
+        // queued, withdrawing it is enough and the peer never hears of either
+        if (this._withdraw(message)) return this._status(false, 0);
+
+        const size = this._sizeOf(message);
+        const priority = this._priorityOf(message, options.priority);
+        let dropped = 0;
+
+        // The control lane is exempt from the limit: losing a response or a cancel would leave the peer waiting
+        if (priority < MessagePriority.CONTROL && this._bytes + size > this._maxBytes) {
+            if (this._overflow === 'drop-newest') {
+                this._emitOverflow([message], size);
+                return this._status(false, 0);
+            }
+            if (this._overflow === 'drop-oldest') {
+                dropped = this._dropOldest(size);
+            } else {
+                this._emitOverflow([], size);
+                throw {
+                    code: CommonErrors.BUFFER_FULL,
+                    message: `Message buffer is full (${this._bytes} of ${this._maxBytes} bytes)`,
+                    details: { bufferedBytes: this._bytes, maxBytes: this._maxBytes, size }
+                };
+            }
+        }
+
+        /** @type {import('./outbox').OutboxEntry} */
+        const entry = {
+            id: crypto.randomUUID(),
+            seq: ++this._seq,
+            timestamp: Date.now(),
+            message,
+            priority
+        };
+        const pending = this._track(entry, size, this._persistable(message, options.persist));
+        if (!this._starling.transport?.isOpen) {
+            this._save(pending);
+        }
+
+        // Not awaited: the promise settles once a message is sent
+        super.add(entry);
+        return this._status(true, dropped);
+    }
+
+    /**
+    * Bytes waiting in the buffer and in the transport
+    * @type {number}
+    */
+    get bufferedBytes() {
+        return this._bytes + (this._starling.transport?.bufferedAmount || 0);
+    }
+
+    /**
+    * Whether pending bytes are over the high watermark
+    * @type {boolean}
+    */
+    get backpressure() {
+        return this._high;
+    }
+
+    /**
+    * Sends the next queued message. Each entry handed to the batch buffer stands for one send,
+    * of the oldest message in the highest lane: control traffic overtakes bulk messages queued before it.
+    * @private
+    */
+    _flush() {
+        let entry = this._next();
+        while (entry && this._isExpired(entry)) {
+            this._drop(entry);
+            entry = this._next();
+        }
+        // Its message was dropped, or already sent in place of a lower priority one
+        if (!entry) return;
+
+        if (!this._starling._send(entry.message) && !this._starling.transport?.isOpen) {
+            // The connection dropped while flushing: keep the message for the next one
+            super.add(entry);
+            return;
+        }
+        this._forget(this._untrack(entry), 'Failed to remove a sent message');
+    }
+
+    /**
+    * Oldest message of the highest non-empty lane
+    * @private
+    * @returns {import('./outbox').OutboxEntry|undefined}
+    */
+    _next() {
+        for (const priority of this._priorities) {
+            const first = this._lanes.get(priority).values().next().value;
+            if (first) return first.entry;
+        }
+    }
+
+    /**
+    * Queues the messages a previous run left in the storage
+    * @private
+    */
+    async _restore() {
+        let entries;
+        try {
+            entries = await this._storage.load();
+        } catch (error) {
+            this._emitError(error, 'Failed to restore queued messages');
+            return;
+        }
+
+        let restored = 0;
+        for (const entry of entries.sort((a, b) => a.seq - b.seq)) {
+            this._seq = Math.max(this._seq, entry.seq);
+
+            if (this._isExpired(entry)) {
+                this._drop(entry);
+                continue;
+            }
+            entry.priority ??= this._priorityOf(entry.message);
+            this._track(entry, this._sizeOf(entry.message), true).persisted = true;
+            // Not awaited: the promise settles once a message is sent
+            super.add(entry);
+            restored++;
+        }
+
+        if (restored > 0) {
+            this._starling.events.emit('buffer:restored', {
+                starling: this._starling,
+                restored,
+                debug: {
+                    type: 'info',
+                    message: `Restored ${restored} queued message(s)`
+                }
+            });
+        }
+    }
+
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    */
+    _isExpired(entry) {
+        return this._maxAge !== null && Date.now() - entry.timestamp > this._maxAge;
+    }
+
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    */
+    _drop(entry) {
+        this._forget(this._untrack(entry), 'Failed to remove an expired message');
+        this._starling.events.emit('buffer:expired', {
+            starling: this._starling,
+            message: entry.message,
+            age: Date.now() - entry.timestamp,
+            debug: {
+                type: 'warning',
+                message: `Dropped a message queued ${Date.now() - entry.timestamp}ms ago (max age ${this._maxAge}ms)`
+            }
+        });
+    }
+
+    /**
+    * Drops the oldest queued messages, lowest lanes first, until a new one fits.
+    * The control lane is never dropped.
+    * @private
+    * @param {number} size Size of the new message
+    * @returns {number} Dropped messages
+    */
+    _dropOldest(size) {
+        const dropped = [];
+        for (const priority of [...this._priorities].reverse()) {
+            if (priority >= MessagePriority.CONTROL) break;
+            for (const { entry } of this._lanes.get(priority).values()) {
+                if (this._bytes + size <= this._maxBytes) break;
+                this._forget(this._untrack(entry), 'Failed to remove a dropped message');
+                dropped.push(entry.message);
+            }
+        }
+        this._emitOverflow(dropped, size);
+        return dropped.length;
+    }
+
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    * @param {number} size
+    * @param {boolean} [persist=false] Whether the entry goes to the storage while waiting for a connection
+    * @returns {{entry: import('./outbox').OutboxEntry, size: number, persist: boolean, persisted: boolean}}
+    */
+    _track(entry, size, persist = false) {
+        let lane = this._lanes.get(entry.priority);
+        if (!lane) {
+            lane = new Map();
+            this._lanes.set(entry.priority, lane);
+            this._priorities = [...this._lanes.keys()].sort((a, b) => b - a);
+        }
+        const pending = { entry, size, persist, persisted: false };
+        lane.set(entry.id, pending);
+        this._bytes += size;
+        this._checkWatermarks();
+        return pending;
+    }
+
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    */
+    _untrack(entry) {
+        const lane = this._lanes.get(entry.priority);
+        const pending = lane?.get(entry.id);
+        if (!pending) return null;
+        lane.delete(entry.id);
+        if (lane.size === 0) {
+            this._lanes.delete(entry.priority);
+            this._priorities = this._priorities.filter(priority => priority !== entry.priority);
+        }
+        this._bytes -= pending.size;
+        this._checkWatermarks();
+        return pending;
+    }
+
+    /**
+    * Removes the queued request a cancel message targets
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @returns {boolean} Whether a queued request was withdrawn
+    */
+    _withdraw(message) {
+        if (message?.type !== MessageType.CANCEL || !message.requestId) return false;
+
+        for (const lane of this._lanes.values()) {
+            for (const { entry } of lane.values()) {
+                if (entry.message?.type !== MessageType.REQUEST || entry.message.requestId !== message.requestId) continue;
+
+                this._forget(this._untrack(entry), 'Failed to remove a withdrawn message');
+                this._starling.events.emit('buffer:withdrawn', {
+                    starling: this._starling,
+                    requestId: message.requestId,
+                    debug: {
+                        type: 'info',
+                        message: `Withdrew request ${message.requestId}, cancelled before it was sent`
+                    }
+                });
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+    * Writes a queued entry to the storage, if it is meant to survive a restart
+    * @private
+    * @param {{entry: import('./outbox').OutboxEntry, persist: boolean, persisted: boolean}} pending
+    */
+    _save(pending) {
+        if (!pending.persist || pending.persisted) return;
+        pending.persisted = true;
+        this._persist(() => this._storage.put(pending.entry), 'Failed to persist a queued message');
+    }
+
+    /**
+    * Writes every queued entry meant to survive a restart to the storage
+    * @private
+    */
+    _saveQueued() {
+        for (const lane of this._lanes.values()) {
+            for (const pending of lane.values()) {
+                this._save(pending);
+            }
+        }
+    }
+
+    /**
+    * Removes an entry that left the buffer from the storage
+    * @private
+    * @param {{entry: import('./outbox').OutboxEntry, persisted: boolean}|null} pending
+    * @param {string} message Error message, should the removal fail
+    */
+    _forget(pending, message) {
+        if (!pending?.persisted) return;
+        this._persist(() => this._storage.delete(pending.entry.id), message);
+    }
+
+    /**
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @param {boolean} [persist] Whether the sender asked for the message to be persisted
+    * @returns {boolean}
+    */
+    _persistable(message, persist) {
+        if (typeof persist === 'boolean') return persist;
+        if (!message || typeof message !== 'object' || message instanceof ArrayBuffer || ArrayBuffer.isView(message)) {
+            return false;
+        }
+        // Notifications streamed by a request are answers too
+        return message.type === MessageType.REQUEST || (message.type === MessageType.NOTIFICATION && !message.requestId);
+    }
+
+    /**
+    * Emits `buffer:high` when pending bytes reach the high watermark, and `buffer:drained` once they are
+    * back under the low one. The transport drains on its own, so it is checked periodically meanwhile.
+    * @private
+    */
+    _checkWatermarks() {
+        const bytes = this.bufferedBytes;
+
+        if (!this._high && bytes >= this._watermarks.high) {
+            this._high = true;
+            this._emitWatermark('buffer:high', bytes, `Buffer over its high watermark (${bytes} bytes pending)`);
+        } else if (this._high && bytes <= this._watermarks.low) {
+            this._high = false;
+            this._drainTimer?.clear();
+            this._drainTimer = null;
+            this._emitWatermark('buffer:drained', bytes, `Buffer drained (${bytes} bytes pending)`);
+        }
+
+        if (this._high && !this._drainTimer) {
+            this._drainTimer = Maestro.timer(() => {
+                this._drainTimer = null;
+                this._checkWatermarks();
+            }, { delay: 100 }).link(this._starling.timers);
+        }
+    }
+
+    /**
+    * @private
+    * @param {boolean} queued
+    * @param {number} dropped
+    * @returns {SendStatus}
+    */
+    _status(queued, dropped) {
+        return {
+            queued,
+            backpressure: this._high,
+            bufferedBytes: this.bufferedBytes,
+            dropped
+        };
+    }
+
+    /**
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @param {number} [priority] Priority asked by the sender
+    * @returns {number}
+    */
+    _priorityOf(message, priority) {
+        if (Number.isFinite(priority)) return priority;
+        if (!message || typeof message !== 'object' || message instanceof ArrayBuffer || ArrayBuffer.isView(message)) {
+            return MessagePriority.NORMAL;
+        }
+        if (Number.isFinite(message.priority)) return message.priority;
+        return ControlTypes.includes(message.type) ? MessagePriority.CONTROL : MessagePriority.NORMAL;
+    }
+
+    /**
+    * Approximate size of a message on the wire
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @returns {number}
+    */
+    _sizeOf(message) {
+        if (message instanceof ArrayBuffer || ArrayBuffer.isView(message)) return message.byteLength;
+        if (typeof message === 'string') return new TextEncoder().encode(message).length;
+        return estimateMessageSize(message);
+    }
+
+    /**
+    * Runs a storage operation, reporting its failure without blocking the buffer
+    * @private
+    * @param {function(): (void|Promise<void>)} operation
+    * @param {string} message
+    */
+    _persist(operation, message) {
+        const failed = error => this._emitError(error, message);
+        try {
+            Promise.resolve(operation()).catch(failed);
+        } catch (error) {
+            failed(error);
+        }
+    }
+
+    /**
+    * @private
+    */
+    _emitWatermark(event, bytes, message) {
+        this._starling.events.emit(event, {
+            starling: this._starling,
+            bufferedBytes: bytes,
+            highWatermark: this._watermarks.high,
+            lowWatermark: this._watermarks.low,
+            debug: {
+                type: event === 'buffer:high' ? 'warning' : 'info',
+                message
+            }
+        });
+    }
+
+    /**
+    * @private
+    * @param {Array<Object|string|ArrayBuffer|Uint8Array>} messages Messages dropped, the new one under `drop-newest`
+    * @param {number} size Size of the new message
+    */
+    _emitOverflow(messages, size) {
+        const dropped = messages.length;
+        this._starling.events.emit('buffer:overflow', {
+            starling: this._starling,
+            policy: this._overflow,
+            dropped,
+            messages,
+            size,
+            bufferedBytes: this._bytes,
+            maxBytes: this._maxBytes,
+            debug: {
+                type: 'warning',
+                message: this._overflow === 'reject'
+                ? `Rejected a ${size} bytes message, the buffer is full (${this._bytes} of ${this._maxBytes} bytes)`
+                : `Dropped ${dropped} message(s) to keep the buffer within ${this._maxBytes} bytes`
+            }
+        });
+    }
+
+    /**
+    * @private
+    */
+    _emitError(error, message) {
+        this._starling.events.emit('buffer:error', {
+            starling: this._starling,
+            error,
+            debug: {
+                type: 'error',
+                message: `${message}: ${error.message}`
+            }
         });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,212 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+import { createAck, createCancel, createNotification } from '../formatters';
+import { MessagePriority } from '../constants';
+import { MemoryOutboxStorage } from './outbox.js';
+
+/**
+* Starling whose link starts down, so that everything it sends waits in its buffer
+*/
+const createOffline = buffer => {
+    const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), { connected: false, starling: { buffer } });
+    return { pair, starling: pair.b };
+};
+
+const reading = index => createNotification('sensors:reading', { index, value: 'x'.repeat(100) });
+
+/**
+* Size of a sensor reading in the buffer
+*/
+const readingSize = async () => {
+    const { starling } = createOffline({});
+    return (await starling.send(reading(0))).bufferedBytes;
+};
+
+describe('Buffer overflow', () => {
+    test('rejects messages over maxBytes with BUFFER_FULL', async () => {
+        const size = await readingSize();
+        const { starling } = createOffline({ maxBytes: size * 2 });
+        const overflows = [];
+        starling.events.on('buffer:overflow', event => overflows.push(event.data.policy));
+
+        await starling.send(reading(1));
+        await starling.send(reading(2));
+
+        await expect(starling.send(reading(3))).rejects.toMatchObject({ code: 'BUFFER_FULL' });
+        expect(overflows).toEqual(['reject']);
+        expect(starling._buffer.bufferedBytes).toBe(size * 2);
+    });
+
+    test('drops the newest message under drop-newest', async () => {
+        const size = await readingSize();
+        const { starling } = createOffline({ maxBytes: size, overflow: 'drop-newest' });
+        const dropped = [];
+        starling.events.on('buffer:overflow', event => dropped.push(...event.data.messages));
+
+        expect((await starling.send(reading(1))).queued).toBe(true);
+        expect((await starling.send(reading(2))).queued).toBe(false);
+        expect(dropped.map(message => message.notification.data.index)).toEqual([2]);
+    });
+
+    test('drops the oldest messages under drop-oldest', async () => {
+        const size = await readingSize();
+        const { starling } = createOffline({ maxBytes: size * 2, overflow: 'drop-oldest' });
+        const dropped = [];
+        starling.events.on('buffer:overflow', event => dropped.push(...event.data.messages));
+
+        for (let index = 1; index <= 4; index++) {
+            await starling.send(reading(index));
+        }
+
+        expect(dropped.map(message => message.notification.data.index)).toEqual([1, 2]);
+        expect(starling._buffer.bufferedBytes).toBe(size * 2);
+    });
+
+    test.each(['reject', 'drop-newest', 'drop-oldest'])('always queues the control lane under %s', async overflow => {
+        const size = await readingSize();
+        const { starling } = createOffline({ maxBytes: size, overflow });
+        await starling.send(reading(1));
+
+        const ack = await starling.send(createAck(crypto.randomUUID()));
+        const cancel = await starling.send(createCancel(crypto.randomUUID(), 'Stop'));
+
+        expect(ack.queued && cancel.queued).toBe(true);
+        expect(ack.dropped + cancel.dropped).toBe(0);
+        expect(starling._buffer.bufferedBytes).toBeGreaterThan(size);
+    });
+
+    test('fails dropped requests with BUFFER_FULL', async () => {
+        const size = await readingSize();
+        // Connected, but the first frame saturates a slow link: what follows stays in the buffer
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+            latency: 1000,
+            starling: { buffer: { highWatermark: 1, maxBytes: size * 3, overflow: 'drop-oldest' } }
+        });
+        await pair.b.send(reading(0));
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const request = pair.b.request('reports:generate', { padding: 'x'.repeat(100) });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        for (let index = 1; index <= 3; index++) {
+            await pair.b.send(reading(index));
+        }
+
+        await expect(Promise.resolve(request)).rejects.toThrow();
+        expect(request.error.code).toBe('BUFFER_FULL');
+    });
+});
+
+describe('Buffer watermarks', () => {
+    test('signals backpressure over the high watermark until drained under the low one', async () => {
+        const size = await readingSize();
+        const { pair, starling } = createOffline({ highWatermark: size * 3, lowWatermark: size });
+        const events = [];
+        starling.events.on('buffer:high', () => events.push('high'));
+        starling.events.on('buffer:drained', () => events.push('drained'));
+
+        const statuses = [];
+        for (let index = 1; index <= 4; index++) {
+            statuses.push((await starling.send(reading(index))).backpressure);
+        }
+        expect(statuses).toEqual([false, false, true, true]);
+        expect(events).toEqual(['high']);
+
+        const drained = new Promise(resolve => starling.events.on('buffer:drained', resolve));
+        pair.reconnect();
+        await drained;
+
+        expect(events).toEqual(['high', 'drained']);
+        expect(starling._buffer.bufferedBytes).toBe(0);
+    });
+});
+
+describe('Buffer lanes', () => {
+    test('sends higher lanes first, each lane in order', async () => {
+        const server = new NetworkNode();
+        const pair = createLoopbackPair(server, new NetworkNode(), { connected: false });
+        const received = [];
+        server.on('lanes:*', context => received.push(context.data.name));
+
+        await pair.b.notify('lanes:test', { name: 'low' }, { priority: MessagePriority.LOW });
+        await pair.b.notify('lanes:test', { name: 'normal 1' });
+        await pair.b.notify('lanes:test', { name: 'high' }, { priority: MessagePriority.HIGH });
+        await pair.b.notify('lanes:test', { name: 'normal 2' });
+        pair.reconnect();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(received).toEqual(['high', 'normal 1', 'normal 2', 'low']);
+    });
+
+    test('withdraws requests cancelled before they were sent', async () => {
+        const sent = [];
+        // The first frame saturates a slow link: the request waits in the buffer
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+            latency: 1000,
+            starling: { buffer: { highWatermark: 1 } },
+            drop: (frame, direction) => {
+                if (direction === 'b->a') sent.push(JSON.parse(frame).type);
+                return false;
+            }
+        });
+        await pair.b.send(reading(0));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const before = pair.b._buffer.bufferedBytes;
+        const request = pair.b.request('reports:generate', {});
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const withdrawn = new Promise(resolve => pair.b.events.on('buffer:withdrawn', ({ data }) => resolve(data.requestId)));
+
+        request.cancel();
+
+        expect(await withdrawn).toBe(request.id);
+        await expect(Promise.resolve(request)).rejects.toThrow('Request cancelled');
+        expect(pair.b._buffer.bufferedBytes).toBe(before);
+        expect(sent).toEqual(['notification']);
+    });
+});
+
+describe('Offline outbox', () => {
+    /**
+    * Server node collecting the names of the `outbox:*` notifications it receives
+    */
+    const createCollector = () => {
+        const node = new NetworkNode();
+        node.received = [];
+        node.on('outbox:*', context => node.received.push(context.data.name));
+        return node;
+    };
+
+    test('sends the messages a previous starling left in the storage before new ones', async () => {
+        const storage = new MemoryOutboxStorage();
+        const { starling } = createOffline({ storage });
+        await starling.notify('outbox:test', { name: 'first' });
+        await starling.notify('outbox:test', { name: 'second' });
+        await starling.send(createNotification('outbox:test', { name: 'volatile' }), { persist: false });
+        expect(storage.load()).toHaveLength(2);
+
+        const server = createCollector();
+        const pair = createLoopbackPair(server, new NetworkNode(), { starling: { buffer: { storage } } });
+        const restored = new Promise(resolve => pair.b.events.on('buffer:restored', ({ data }) => resolve(data.restored)));
+        await pair.b.notify('outbox:test', { name: 'new' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(await restored).toBe(2);
+        expect(server.received).toEqual(['first', 'second', 'new']);
+        expect(storage.load()).toEqual([]);
+    });
+
+    test('drops the messages older than messageMaxAge', async () => {
+        const storage = new MemoryOutboxStorage();
+        storage.put({ id: 'old', seq: 1, timestamp: Date.now() - 10000, message: createNotification('outbox:test', { name: 'old' }) });
+        storage.put({ id: 'recent', seq: 2, timestamp: Date.now(), message: createNotification('outbox:test', { name: 'recent' }) });
+
+        const server = createCollector();
+        const pair = createLoopbackPair(server, new NetworkNode(), { starling: { messageMaxAge: 1000, buffer: { storage } } });
+        const expired = [];
+        pair.b.events.on('buffer:expired', ({ data }) => expired.push(data.message.notification.data.name));
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(expired).toEqual(['old']);
+        expect(server.received).toEqual(['recent']);
+    });
+});
@@ -0,0 +1,193 @@
+import { CommonErrors } from "../constants";
+
+/**
+* @typedef {Object} CircuitBreakerOptions
+* @property {boolean} [enabled=false] Whether requests go through a circuit breaker per method
+* @property {number} [windowSize=20] Number of latest outcomes the failure rate is computed on
+* @property {number} [minimumRequests=10] Outcomes needed before the circuit can open
+* @property {number} [failureRate=0.5] Failure rate (0-1) opening the circuit
+* @property {number} [coolDown=30000] Time in ms the circuit stays open before letting trial requests through
+* @property {number} [halfOpenRequests=1] Trial requests let through while half-open, all must succeed to close the circuit
+* @property {string[]} [codes] Error codes counted as failures (timeouts and server errors by default)
+*/
+
+/**
+* @typedef {"closed"|"open"|"half-open"} CircuitState
+*/
+
+/**
+* @typedef {Object} CircuitStats
+* @property {CircuitState} state Current state
+* @property {number} requests Outcomes in the window
+* @property {number} failures Failures in the window
+* @property {number} failureRate Failure rate in the window (0-1)
+* @property {number|null} openedAt Time the circuit last opened, null while closed
+*/
+
+/**
+* Error codes counted as failures by default: the method is failing, not the caller
+* @type {string[]}
+*/
+export const DefaultCircuitFailureCodes = [
+    CommonErrors.REQUEST_TIMEOUT,
+    CommonErrors.INTERNAL_ERROR,
+    CommonErrors.METHOD_ERROR
+];
+
+/**
+* Circuit breaker guarding one method: once its failure rate crosses the threshold, calls fail fast
+* for a cool-down, then a few trial calls decide whether the circuit closes again
+*/
+export class CircuitBreaker {
+    /**
+    * @param {CircuitBreakerOptions} [options={}] Breaker options
+    * @param {function(CircuitState, CircuitState): void} [onStateChange] Called with the new and the previous state
+    */
+    constructor(options = {}, onStateChange = () => {}) {
+        /** @private */
+        this._options = {
+            windowSize: 20,
+            minimumRequests: 10,
+            failureRate: 0.5,
+            coolDown: 30000,
+            halfOpenRequests: 1,
+            codes: DefaultCircuitFailureCodes,
+            ...options
+        };
+
+        /** @private */
+        this._onStateChange = onStateChange;
+
+        /** @private @type {CircuitState} */
+        this._state = 'closed';
+
+        /**
+        * Latest outcomes, true for failures
+        * @private
+        * @type {boolean[]}
+        */
+        this._outcomes = [];
+
+        /** @private */
+        this._openedAt = null;
+
+        /** @private Trial requests in flight while half-open */
+        this._trials = 0;
+
+        /** @private Trial requests that succeeded while half-open */
+        this._trialSuccesses = 0;
+    }
+
+    /**
+    * Whether a request may go out now. While half-open, each allowed request is a trial.
+    * @returns {boolean}
+    */
+    allow() {
+        if (this._state === 'open') {
+            if (Date.now() - this._openedAt < this._options.coolDown) return false;
+            this._transition('half-open');
+        }
+
+        if (this._state === 'half-open') {
+            if (this._trials + this._trialSuccesses >= this._options.halfOpenRequests) return false;
+            this._trials++;
+        }
+        return true;
+    }
+
+    /**
+    * Records the outcome of an allowed request
+    * @param {{code?: string}|null} error Error the request failed with, null on success
+    */
+    record(error) {
+        const failed = !!error && this._options.codes.includes(error.code);
+        // Other errors (validation, cancellation...) say nothing about the method health
+        const neutral = !!error && !failed;
+
+        if (this._state === 'half-open') {
+            this._trials = Math.max(0, this._trials - 1);
+            if (failed) {
+                this._open();
+            } else if (!neutral && ++this._trialSuccesses >= this._options.halfOpenRequests) {
+                this._outcomes = [];
+                this._transition('closed');
+            }
+            return;
+        }
+
+        if (neutral || this._state !== 'closed') return;
+
+        this._outcomes.push(failed);
+        if (this._outcomes.length > this._options.windowSize) {
+            this._outcomes.shift();
+        }
+
+        if (this._outcomes.length >= this._options.minimumRequests && this.failureRate >= this._options.failureRate) {
+            this._open();
+        }
+    }
+
+    /**
+    * Closes the circuit and forgets the outcomes
+    */
+    reset() {
+        this._outcomes = [];
+        this._transition('closed');
+    }
+
+    /**
+    * @private
+    */
+    _open() {
+        this._openedAt = Date.now();
+        this._transition('open');
+    }
+
+    /**
+    * @private
+    * @param {CircuitState} state
+    */
+    _transition(state) {
+        const previous = this._state;
+        this._trials = 0;
+        this._trialSuccesses = 0;
+        if (state === 'closed') this._openedAt = null;
+        if (previous === state) return;
+
+        this._state = state;
+        this._onStateChange(state, previous);
+    }
+
+    /**
+    * Current state, moving to half-open once the cool-down is over
+    * @type {CircuitState}
+    */
+    get state() {
+        if (this._state === 'open' && Date.now() - this._openedAt >= this._options.coolDown) {
+            return 'half-open';
+        }
+        return this._state;
+    }
+
+    /**
+    * Failure rate of the outcomes in the window (0-1)
+    * @type {number}
+    */
+    get failureRate() {
+        if (this._outcomes.length === 0) return 0;
+        return this._outcomes.filter(Boolean).length / this._outcomes.length;
+    }
+
+    /**
+    * @type {CircuitStats}
+    */
+    get stats() {
+        return {
+            state: this.state,
+            requests: this._outcomes.length,
+            failures: this._outcomes.filter(Boolean).length,
+            failureRate: this.failureRate,
+            openedAt: this._openedAt
+        };
+    }
+}
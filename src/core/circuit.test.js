@@ -0,0 +1,89 @@
+import { describe, expect, test } from 'bun:test';
+import { CircuitBreaker } from './circuit.js';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const failure = { code: 'INTERNAL_ERROR' };
+
+/**
+* Breaker recording its state changes
+*/
+const createBreaker = options => {
+    const changes = [];
+    const breaker = new CircuitBreaker({ windowSize: 4, minimumRequests: 4, failureRate: 0.5, coolDown: 20, ...options }, (state, previous) => changes.push(`${previous}->${state}`));
+    return { breaker, changes };
+};
+
+describe('CircuitBreaker', () => {
+    test('opens once the failure rate crosses the threshold', () => {
+        const { breaker, changes } = createBreaker();
+        breaker.record(null);
+        breaker.record(null);
+        breaker.record(failure);
+        expect(breaker.allow()).toBe(true);
+
+        breaker.record(failure);
+
+        expect(breaker.allow()).toBe(false);
+        expect(breaker.stats).toMatchObject({ state: 'open', requests: 4, failures: 2, failureRate: 0.5 });
+        expect(changes).toEqual(['closed->open']);
+    });
+
+    test('does not count errors outside its codes', () => {
+        const { breaker } = createBreaker({ minimumRequests: 1 });
+
+        breaker.record({ code: 'VALIDATION_ERROR' });
+        breaker.record({ code: 'REQUEST_CANCELLED' });
+
+        expect(breaker.stats).toMatchObject({ state: 'closed', requests: 0 });
+    });
+
+    test('lets trial requests through after the cool-down', async () => {
+        const { breaker, changes } = createBreaker({ minimumRequests: 1 });
+        breaker.record(failure);
+        await sleep(25);
+
+        expect(breaker.state).toBe('half-open');
+        expect(breaker.allow()).toBe(true);
+        expect(breaker.allow()).toBe(false);
+        breaker.record(failure);
+        expect(breaker.allow()).toBe(false);
+
+        await sleep(25);
+        expect(breaker.allow()).toBe(true);
+        breaker.record(null);
+
+        expect(breaker.state).toBe('closed');
+        expect(changes).toEqual(['closed->open', 'open->half-open', 'half-open->open', 'open->half-open', 'half-open->closed']);
+    });
+});
+
+describe('Circuit breaker in the requests manager', () => {
+    test('fails requests fast with CIRCUIT_OPEN while the method is failing', async () => {
+        const server = new NetworkNode();
+        let runs = 0;
+        server.method('orders:create', () => {
+            runs++;
+            throw { code: 'INTERNAL_ERROR', message: 'Database unavailable' };
+        });
+        server.method('orders:list', context => context.success([]));
+        const pair = createLoopbackPair(server, new NetworkNode(), {
+            starling: { requests: { circuitBreaker: { enabled: true, windowSize: 2, minimumRequests: 2, coolDown: 60000 } } }
+        });
+        const opened = [];
+        pair.b.events.on('circuit:opened', ({ data }) => opened.push(data.method));
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            await Promise.resolve(pair.b.request('orders:create', {})).catch(() => {});
+        }
+        const request = pair.b.request('orders:create', {});
+        await expect(Promise.resolve(request)).rejects.toThrow('Circuit open for method orders:create, failing fast');
+
+        expect(request.error.code).toBe('CIRCUIT_OPEN');
+        expect(runs).toBe(2);
+        expect(opened).toEqual(['orders:create']);
+        expect(await pair.b.request('orders:list', {})).toEqual([]);
+    });
+});
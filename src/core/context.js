@@ -123,6 +123,14 @@ export class Context {
 * @typedef {Object} RequestContextOptions
 * @property {string} requestId - Request ID
 * @property {import('../types/protocol.d').method} method - Request method
+* @property {string} [idempotencyKey] - Key identifying the duplicates of the request
+*/
+
+/**
+* @typedef {Object} RequestResult
+* @property {boolean} success - Whether the request succeeded
+* @property {*} [data] - Response data (success)
+* @property {{code: string, message: string, details?: *}} [error] - Response error (failure)
 */
 
 /**
@@ -143,6 +151,8 @@ export class RequestContext extends Context {
     /** @protected */
     this._requestId = options.requestId;
     /** @protected */
+    this._idempotencyKey = options.idempotencyKey ?? null;
+    /** @protected */
     this._payload = payload;
     /** @protected */
     this._streaming = false;
@@ -151,6 +161,39 @@ export class RequestContext extends Context {
       notifications: 0,
       lastNotification: null
     };
+    /** @protected */
+    this._abortController = new AbortController();
+    /**
+    * Outcome of the request, once answered
+    * @protected
+    * @type {RequestResult|null}
+    */
+    this._result = null;
+  }
+  
+  /**
+  * Aborts the request execution: the signal fires and any later response is dropped
+  * @param {string} [reason='Request cancelled'] Cancellation reason
+  * @param {string} [code=CommonErrors.REQUEST_CANCELLED] Cancellation code
+  */
+  abort(reason = 'Request cancelled', code = CommonErrors.REQUEST_CANCELLED) {
+    if (this._abortController.signal.aborted) return;
+    
+    const error = new Error(reason);
+    error.code = code;
+    this._abortController.abort(error);
+    
+    this._starling.events.emit('request:aborted', {
+      starling: this._starling,
+      requestId: this._requestId,
+      method: this._method,
+      reason,
+      code,
+      debug: {
+        type: 'info',
+        message: `Request ${this._requestId} aborted: ${reason}`
+      }
+    });
   }
   
   /**
@@ -163,8 +206,12 @@ export class RequestContext extends Context {
       throw new Error('Request already processed');
     }
     this._markProcessed();
+    this._result = { success: true, data };
+    
+    // Nobody is waiting for the response of a cancelled request
+    if (this.isCancelled) return;
     
-    this._starling.send(createSuccessResponse(
+    this._respond(createSuccessResponse(
       this._requestId,
       data,
       {
@@ -194,8 +241,11 @@ export class RequestContext extends Context {
       throw new Error('Request already processed');
     }
     this._markProcessed();
+    this._result = { success: false, error: { code: code || CommonErrors.INTERNAL_ERROR, message, details } };
     
-    this._starling.send(createErrorResponse(
+    if (this.isCancelled) return;
+    
+    this._respond(createErrorResponse(
       this._requestId,
       code || CommonErrors.INTERNAL_ERROR,
       message,
@@ -206,6 +256,25 @@ export class RequestContext extends Context {
     ));
   }
   
+  /**
+  * Sends the response, kept for replay when the peer opened a resumable session
+  * @private
+  * @param {Object} message - Response message
+  */
+  _respond(message) {
+    this._starling._networkNode?.sessions?.record(this._starling, this._requestId, message);
+    this._starling.send(message);
+  }
+  
+  /**
+  * Moves the request to a newer connection of the same session: the response goes out through it
+  * @protected
+  * @param {import('./starling').BaseStarling} starling - New connection
+  */
+  _rebind(starling) {
+    this._starling = starling;
+  }
+  
   /**
   * Sends an intermediate notification (for streaming/progress)
   * @param {Object|*} data - Notification data
@@ -217,6 +286,8 @@ export class RequestContext extends Context {
       throw new Error('Request already processed');
     }
     
+    if (this.isCancelled) return;
+    
     // Track streaming stats
     this._streaming = true;
     this._streamStats.notifications++;
@@ -274,6 +345,14 @@ export class RequestContext extends Context {
     return this._requestId;
   }
   
+  /**
+  * Key identifying the duplicates of the request, set by the caller
+  * @type {string|null}
+  */
+  get idempotencyKey() {
+    return this._idempotencyKey;
+  }
+  
   /**
   * Request method
   * @type {import('../types/protocol.d').method}
@@ -290,6 +369,14 @@ export class RequestContext extends Context {
     return this._payload;
   }
   
+  /**
+  * Outcome of the request once answered (null before), for middleware observing the response
+  * @type {RequestResult|null}
+  */
+  get result() {
+    return this._result;
+  }
+  
   /**
   * Whether the request used streaming
   * @type {boolean}
@@ -297,6 +384,23 @@ export class RequestContext extends Context {
   get isStreaming() {
     return this._streaming;
   }
+  
+  /**
+  * Aborted when the caller cancels the request or the execution times out.
+  * Long-running handlers should watch it to stop their work.
+  * @type {AbortSignal}
+  */
+  get signal() {
+    return this._abortController.signal;
+  }
+  
+  /**
+  * Whether the request was cancelled or timed out
+  * @type {boolean}
+  */
+  get isCancelled() {
+    return this._abortController.signal.aborted;
+  }
 }
 
 
@@ -351,6 +455,19 @@ export class ResponseContext extends Context {
 * @property {string} requestId - Request ID
 */
 
+/**
+* @typedef {Object} NotificationContextOptions
+* @property {string} [requestId] - Request ID, for notifications streamed by a request
+* @property {string} [messageId] - Message ID, when a delivery acknowledgement is requested
+* @property {Object<string, string>} [params] - Segments captured by the matching subscription pattern
+* @property {{ttl?: number}} [retain] - Set when the sender asked to keep the value as the topic last value
+* @property {boolean} [retained=false] - Whether the notification replays a retained value
+* @property {number} [seq] - History sequence number assigned by the publishing node
+* @property {boolean} [replayed=false] - Whether the notification is replayed from the history
+* @property {NotificationContext} [delivery] - Context of the received notification, when handed to one of its handlers:
+* both share a single delivery acknowledgement
+*/
+
 /**
 * Context for handling incoming notifications
 * @extends Context
@@ -359,7 +476,7 @@ export class NotificationContext extends Context {
   /**
   * @param {import('./starling').BaseStarling} starling - The Starling instance
   * @param {Object} notification - Notification object
-  * @param {ContextOptions & ResponseContextOptions} options - Context options
+  * @param {ContextOptions & NotificationContextOptions} options - Context options
   */
   constructor(starling, notification, options = {}) {
     super(starling, { ...options });
@@ -376,23 +493,59 @@ export class NotificationContext extends Context {
       
       this._requestId = options.requestId;
     }
+    
+    /** @protected */
+    this._messageId = options.messageId || null;
+    
+    /** @protected */
+    this._acknowledged = false;
+    
+    /** @protected */
+    this._delivery = options.delivery || null;
+    
+    /** @protected */
+    this._params = options.params || {};
+    
+    /** @protected */
+    this._retain = options.retain || null;
+    
+    /** @protected */
+    this._retained = options.retained || false;
+    
+    /** @protected */
+    this._seq = options.seq ?? null;
+    
+    /** @protected */
+    this._replayed = options.replayed || false;
   }
   
   /**
-  * Acknowledges the notification processing
-  * @param {Object} [response] - Optional response data
+  * Acknowledges the notification processing.
+  * When the sender asked for a delivery acknowledgement, an ack message is sent right away
+  * (otherwise it is sent automatically once every handler has succeeded).
+  * @param {Object} [response] - Optional response data, returned to the sender with the ack
   */
   acknowledge(response = undefined) {
     if (this._processed) {
       throw new Error('Notification already processed');
     }
     this._markProcessed();
-    
-    if (response) {
-      this._starling.notify({
-        topic: `${this._topic}:ack`,
-        data: response
-      });
+    this._acknowledgeDelivery(response);
+  }
+  
+  /**
+  * Sends the delivery acknowledgement, once per received notification
+  * @protected
+  * @param {Object} [response]
+  */
+  _acknowledgeDelivery(response) {
+    if (this._delivery) {
+      this._delivery._acknowledgeDelivery(response);
+      return;
+    }
+    if (this._messageId && !this._acknowledged) {
+      this._acknowledged = true;
+      this._starling._acks?.acknowledge(this._messageId, response);
     }
   }
   
@@ -427,6 +580,62 @@ export class NotificationContext extends Context {
   get type() {
     return this._type;
   }
+  
+  /**
+  * Segments captured by the subscription pattern (e.g. `{ orderId: '42' }` for `orders:{orderId}` on `orders:42`)
+  * @type {Object<string, string>}
+  */
+  get params() {
+    return this._params;
+  }
+  
+  /**
+  * Retention requested by the sender (`{ ttl }`), or null
+  * @type {{ttl?: number}|null}
+  */
+  get retain() {
+    return this._retain;
+  }
+  
+  /**
+  * Whether the notification replays a retained value (sent on subscription) rather than a live change
+  * @type {boolean}
+  */
+  get retained() {
+    return this._retained;
+  }
+  
+  /**
+  * History sequence number assigned by the publishing node, or null when the topic has no history
+  * @type {number|null}
+  */
+  get seq() {
+    return this._seq;
+  }
+  
+  /**
+  * Whether the notification was missed while disconnected and is replayed from the history
+  * @type {boolean}
+  */
+  get replayed() {
+    return this._replayed;
+  }
+  
+  /**
+  * Message ID, set when the sender asked for a delivery acknowledgement
+  * @type {string|null}
+  */
+  get messageId() {
+    return this._messageId;
+  }
+  
+  /**
+  * Whether an ack was already sent for this notification
+  * @type {boolean}
+  */
+  get isAcknowledged() {
+    return this._delivery ? this._delivery.isAcknowledged : this._acknowledged;
+  }
 }
 
 /**
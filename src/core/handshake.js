@@ -0,0 +1,351 @@
+import { Maestro } from '@killiandvcz/maestro';
+import { CommonErrors, Protocol } from '../constants';
+import { createHandshake, createProtocolError } from '../formatters';
+import { negotiateSerializer } from '../serializers';
+import { compareVersions, isSupportedVersion } from '../utils';
+
+/**
+* @typedef {Object} HandshakeOptions
+* @property {boolean} [enabled=false] Whether to open every connection with a handshake.
+* Peers that do not enable it still answer handshakes they receive.
+* @property {number} [timeout=5000] Delay in ms after which a silent peer is assumed to predate the handshake
+* @property {boolean} [closeOnMismatch=true] Whether to close the transport when the peer version is incompatible
+*/
+
+/**
+* @typedef {Object} AgreedFeatures
+* @property {string} version Protocol version both peers talk (the lowest of the two)
+* @property {string|null} codec Wire codec
+* @property {boolean} ack Delivery acknowledgements
+* @property {boolean} cancel Request cancellation
+* @property {boolean} heartbeat Ping/pong heartbeat
+*/
+
+/**
+* @typedef {"idle"|"pending"|"completed"|"failed"|"legacy"} HandshakeState
+*/
+
+/**
+* Opening handshake: both peers exchange their protocol version range and capabilities,
+* then agree on the common feature set. Incompatible peers are rejected with a
+* `PROTOCOL_VERSION_MISMATCH` error.
+*/
+export class Handshake {
+    /**
+    * @param {import('./starling').BaseStarling} starling Starling instance
+    * @param {HandshakeOptions} [options={}] Handshake options
+    */
+    constructor(starling, options = {}) {
+        /** @private */
+        this._starling = starling;
+
+        /** @private */
+        this._options = {
+            enabled: false,
+            timeout: 5000,
+            closeOnMismatch: true,
+            ...options
+        };
+
+        /** @private @type {HandshakeState} */
+        this._state = 'idle';
+
+        /** @private */
+        this._sent = false;
+
+        /** @private @type {{version: string, minVersion: string, capabilities: import('../types/protocol.d').Capabilities}|null} */
+        this._peer = null;
+
+        /** @private @type {AgreedFeatures|null} */
+        this._agreed = null;
+
+        /** @private @type {import('@killiandvcz/maestro').Timer} */
+        this._timer = null;
+
+        /** @private */
+        this._ready = null;
+
+        /** @private */
+        this._settle = null;
+
+        this._reset();
+
+        const own = event => !event.data?.starling || event.data.starling === this._starling;
+        this._starling.events.on('starling:connected', event => own(event) && this.start());
+        this._starling.events.on('starling:disconnected', event => own(event) && this._reset());
+    }
+
+    /**
+    * Sends the local handshake (no-op when disabled)
+    */
+    start() {
+        if (!this._options.enabled || this._sent) return;
+
+        this._state = 'pending';
+        this._sendHello();
+
+        this._timer = Maestro.timer(() => {
+            if (this._state !== 'pending') return;
+
+            // The peer predates the handshake: keep the protocol defaults
+            this._complete('legacy', this._defaults());
+        }, { delay: this._options.timeout }).link(this._starling.timers);
+    }
+
+    /**
+    * Handles the peer handshake
+    * @param {import('../types/messages.d').HandshakeMessage} message Handshake message
+    */
+    handle(message) {
+        const { version } = message;
+        const { minVersion, capabilities = {} } = message.handshake;
+
+        this._peer = { ...message.handshake, version, minVersion, capabilities };
+
+        // Answer peers that opened the handshake, even when not initiating ourselves
+        if (!this._sent) {
+            this._sendHello();
+        }
+
+        const compatible = isSupportedVersion(version)
+        && compareVersions(Protocol.CURRENT_VERSION, minVersion) >= 0;
+
+        if (!compatible) {
+            this._reject(version, minVersion);
+            return;
+        }
+
+        this._complete('completed', this._agree(version, capabilities));
+    }
+
+    /**
+    * Features supported locally
+    * @returns {import('../types/protocol.d').Capabilities}
+    */
+    get capabilities() {
+        return {
+            codecs: [...(this._starling.serializers || [])],
+            ack: true,
+            cancel: true,
+            heartbeat: true
+        };
+    }
+
+    /**
+    * Extra fields sent with the local handshake
+    * @protected
+    * @returns {Object}
+    */
+    _extra() {
+        return {};
+    }
+
+    /**
+    * @private
+    */
+    _sendHello() {
+        this._sent = true;
+
+        // Handshakes bypass the buffer: they must go out before anything else
+        const message = createHandshake(this.capabilities, this._extra());
+        if (!this._starling._send(message)) {
+            this._starling.send(message);
+        }
+    }
+
+    /**
+    * Computes the common feature set
+    * @private
+    * @param {string} version Peer protocol version
+    * @param {import('../types/protocol.d').Capabilities} remote Peer capabilities
+    * @returns {AgreedFeatures}
+    */
+    _agree(version, remote) {
+        const local = this.capabilities;
+
+        return {
+            version: compareVersions(version, Protocol.CURRENT_VERSION) < 0 ? version : Protocol.CURRENT_VERSION,
+            codec: negotiateSerializer(local.codecs, remote.codecs || ['json']),
+            ack: !!(local.ack && remote.ack),
+            cancel: !!(local.cancel && remote.cancel),
+            heartbeat: !!(local.heartbeat && remote.heartbeat)
+        };
+    }
+
+    /**
+    * Features assumed for peers that do not handshake
+    * @private
+    * @returns {AgreedFeatures}
+    */
+    _defaults() {
+        return {
+            version: Protocol.MIN_VERSION,
+            codec: 'json',
+            ack: false,
+            cancel: false,
+            heartbeat: false
+        };
+    }
+
+    /**
+    * @private
+    * @param {HandshakeState} state
+    * @param {AgreedFeatures} agreed
+    */
+    _complete(state, agreed) {
+        this._timer?.clear();
+        this._state = state;
+        this._agreed = agreed;
+
+        if (agreed.codec) {
+            this._starling.useSerializer(agreed.codec);
+        }
+
+        this._starling.events.emit('handshake:completed', {
+            starling: this._starling,
+            peer: this._peer,
+            agreed,
+            legacy: state === 'legacy',
+            debug: {
+                type: 'info',
+                message: state === 'legacy'
+                ? 'Peer did not answer the handshake, using protocol defaults'
+                : `Handshake completed (protocol ${agreed.version}, codec ${agreed.codec})`
+            }
+        });
+
+        this._settle.resolve(agreed);
+    }
+
+    /**
+    * @private
+    * @param {string} version Peer version
+    * @param {string} minVersion Peer minimum version
+    */
+    _reject(version, minVersion) {
+        this._timer?.clear();
+        this._state = 'failed';
+
+        const message = `Incompatible protocol version ${version} (requires ${minVersion}), local version is ${Protocol.CURRENT_VERSION} (requires ${Protocol.MIN_VERSION})`;
+        const error = new Error(message);
+        error.code = CommonErrors.VERSION_MISMATCH;
+
+        this._starling._send(createProtocolError(CommonErrors.VERSION_MISMATCH, message, {
+            version: Protocol.CURRENT_VERSION,
+            minVersion: Protocol.MIN_VERSION
+        }));
+
+        this._starling.events.emit('handshake:failed', {
+            starling: this._starling,
+            peer: this._peer,
+            error,
+            debug: {
+                type: 'error',
+                message
+            }
+        });
+
+        this._settle?.reject(error);
+        this._closeOnMismatch();
+    }
+
+    /**
+    * Marks the handshake failed after the peer rejected our version.
+    * Ignored unless a handshake is pending: a completed handshake is not undone by a late or forged error.
+    * @param {{code: string, message: string, details?: *}} reason Error sent by the peer
+    */
+    rejected(reason) {
+        if (this._state !== 'pending') return;
+        this._timer?.clear();
+        this._state = 'failed';
+
+        const error = new Error(reason?.message || 'Protocol version mismatch');
+        error.code = CommonErrors.VERSION_MISMATCH;
+
+        this._starling.events.emit('handshake:failed', {
+            starling: this._starling,
+            peer: this._peer,
+            error,
+            debug: {
+                type: 'error',
+                message: `Peer rejected the handshake: ${error.message}`
+            }
+        });
+
+        this._settle?.reject(error);
+        this._closeOnMismatch();
+    }
+
+    /**
+    * @private
+    */
+    _closeOnMismatch() {
+        if (this._options.closeOnMismatch) {
+            this._starling.transport?.close(1002, 'Protocol version mismatch');
+        }
+    }
+
+    /**
+    * @private
+    */
+    _reset() {
+        this._timer?.clear();
+        this._timer = null;
+        this._sent = false;
+        this._state = 'idle';
+
+        // The next connection opens with the configured codec until a new handshake agrees on another one
+        this._starling.useSerializer(this._starling._options.serializer);
+
+        // Keep the pending promise if nobody settled it yet
+        if (this._ready && !this._settle?.settled) return;
+
+        const settle = { settled: false, resolve: null, reject: null };
+        this._ready = new Promise((resolve, reject) => {
+            settle.resolve = value => { settle.settled = true; resolve(value); };
+            settle.reject = error => { settle.settled = true; reject(error); };
+        });
+        this._ready.catch(() => {});
+        this._settle = settle;
+    }
+
+    /**
+    * Resolves with the agreed features once the handshake completes
+    * @type {Promise<AgreedFeatures>}
+    */
+    get ready() {
+        return this._ready;
+    }
+
+    /**
+    * Handshake state
+    * @type {HandshakeState}
+    */
+    get state() {
+        return this._state;
+    }
+
+    /**
+    * Whether the feature set was agreed (or defaulted for a legacy peer)
+    * @type {boolean}
+    */
+    get isCompleted() {
+        return this._state === 'completed' || this._state === 'legacy';
+    }
+
+    /**
+    * Peer version and capabilities, once received
+    * @type {{version: string, minVersion: string, capabilities: import('../types/protocol.d').Capabilities}|null}
+    */
+    get peer() {
+        return this._peer;
+    }
+
+    /**
+    * Agreed feature set, once completed
+    * @type {AgreedFeatures|null}
+    */
+    get agreed() {
+        return this._agreed;
+    }
+}
@@ -0,0 +1,101 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+import { createHandshake } from '../formatters';
+
+const isHandshake = frame => typeof frame === 'string' && JSON.parse(frame).type === 'handshake';
+
+/**
+* Hello from a peer that cannot talk the current protocol version anymore
+*/
+const newerHello = () => {
+    const hello = createHandshake({ codecs: ['json'] });
+    hello.handshake.minVersion = '9.0.0';
+    return hello;
+};
+
+/**
+* Loses the hello of the second starling, replaced by a crafted one
+*/
+const ownHello = (frame, direction) => direction === 'b->a' && isHandshake(frame) && JSON.parse(frame).handshake.minVersion !== '9.0.0';
+
+describe('Handshake', () => {
+    test('agrees on the common features and switches codec', async () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), { starling: { handshake: { enabled: true } } });
+
+        const agreed = await pair.b.handshake.ready;
+
+        expect(agreed).toMatchObject({ codec: 'msgpack', ack: true, cancel: true, heartbeat: true });
+        expect(pair.a.handshake.state).toBe('completed');
+        expect(pair.a.serializer.name).toBe('msgpack');
+        expect(pair.b.serializer.name).toBe('msgpack');
+    });
+
+    test('opens the next connection with the configured codec', async () => {
+        const frames = [];
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+            starling: { handshake: { enabled: true } },
+            drop: frame => {
+                frames.push(frame);
+                return false;
+            }
+        });
+        await pair.b.handshake.ready;
+
+        pair.disconnect();
+        expect(pair.b.serializer.name).toBe('json');
+
+        frames.length = 0;
+        pair.reconnect();
+        await pair.b.handshake.ready;
+
+        // Both hellos went out as JSON, readable by a peer that restarted without msgpack
+        expect(frames.filter(isHandshake)).toHaveLength(2);
+    });
+
+    test('keeps the protocol defaults with a peer that never answers', async () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+            starling: { handshake: { enabled: true, timeout: 20 } },
+            drop: (frame, direction) => direction === 'a->b' && isHandshake(frame)
+        });
+
+        expect(await pair.b.handshake.ready).toMatchObject({ codec: 'json', ack: false });
+        expect(pair.b.handshake.state).toBe('legacy');
+    });
+
+    test('rejects peers requiring a newer protocol', async () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+            starling: { handshake: { enabled: true, closeOnMismatch: false } },
+            drop: ownHello
+        });
+        const ready = pair.a.handshake.ready;
+
+        pair.transports[1].send(JSON.stringify(newerHello()));
+
+        await expect(ready).rejects.toMatchObject({ code: 'PROTOCOL_VERSION_MISMATCH' });
+        expect(pair.a.handshake.state).toBe('failed');
+    });
+
+    test('closes the connection on mismatch by default', async () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+            starling: { handshake: { enabled: true } },
+            drop: ownHello
+        });
+        const failed = new Promise(resolve => pair.a.events.on('handshake:failed', resolve));
+
+        pair.transports[1].send(JSON.stringify(newerHello()));
+
+        await failed;
+        expect(pair.a.isConnected).toBe(false);
+    });
+
+    test('ignores version mismatch errors once completed', async () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), { starling: { handshake: { enabled: true } } });
+        await pair.b.handshake.ready;
+
+        pair.b.handshake.rejected({ message: 'Forged mismatch' });
+
+        expect(pair.b.handshake.state).toBe('completed');
+        expect(pair.b.isConnected).toBe(true);
+    });
+});
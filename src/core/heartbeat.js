@@ -0,0 +1,292 @@
+import { Maestro } from '@killiandvcz/maestro';
+import { createPing, createPong } from '../formatters';
+
+/**
+* @typedef {Object} HeartbeatOptions
+* @property {boolean} [enabled=false] Whether to send heartbeats while connected
+* @property {number} [interval=15000] Delay between two pings in ms
+* @property {number} [timeout] Delay in ms after which an unanswered ping times out, defaults to `interval`
+* @property {number} [maxMissed=3] Consecutive unanswered pings after which the connection is considered dead
+* @property {number} [degradedLatency=1000] Round-trip time in ms above which the connection is considered degraded
+* @property {number} [samples=20] Number of round-trip samples kept for the rolling latency statistics
+* @property {boolean} [closeOnDead=true] Whether to close the transport once the connection is considered dead
+*/
+
+/**
+* @typedef {Object} LatencyStats
+* @property {number|null} current Last measured round-trip time in ms
+* @property {number|null} average Rolling average round-trip time in ms
+* @property {number|null} min Lowest round-trip time in the window
+* @property {number|null} max Highest round-trip time in the window
+* @property {number|null} jitter Mean deviation between consecutive samples in ms
+* @property {number} samples Number of samples in the window
+*/
+
+/**
+* @typedef {"healthy"|"degraded"|"dead"} ConnectionHealth
+*/
+
+/**
+* Heartbeat over the protocol `ping` message type: detects half-open connections
+* and keeps a rolling round-trip time measurement
+*/
+export class Heartbeat {
+    /**
+    * @param {import('./starling').BaseStarling} starling Starling instance
+    * @param {HeartbeatOptions} [options={}] Heartbeat options
+    */
+    constructor(starling, options = {}) {
+        /** @private */
+        this._starling = starling;
+
+        /** @private */
+        this._options = {
+            enabled: false,
+            interval: 15000,
+            maxMissed: 3,
+            degradedLatency: 1000,
+            samples: 20,
+            closeOnDead: true,
+            ...options
+        };
+
+        /**
+        * Pings waiting for their pong, by ping ID
+        * @private
+        * @type {Map<string, {sentAt: number, beat: boolean, timer: import('@killiandvcz/maestro').Timer, resolve: function(number): void, reject: function(Error): void}>}
+        */
+        this._pending = new Map();
+
+        /** @private @type {number[]} */
+        this._samples = [];
+
+        /** @private */
+        this._missed = 0;
+
+        /** @private @type {ConnectionHealth} */
+        this._health = 'healthy';
+
+        /** @private @type {import('@killiandvcz/maestro').Timer} */
+        this._timer = null;
+
+        // Events may be shared between Starlings (server side): only follow our own connection
+        const own = event => !event.data?.starling || event.data.starling === this._starling;
+        this._starling.events.on('starling:connected', event => own(event) && this.start());
+        this._starling.events.on('starling:disconnected', event => own(event) && this.stop());
+    }
+
+    /**
+    * Starts sending heartbeats (no-op when disabled)
+    */
+    start() {
+        if (!this._options.enabled) return;
+
+        this.stop();
+        this._missed = 0;
+        this._health = 'healthy';
+        this._schedule();
+    }
+
+    /**
+    * Stops sending heartbeats and rejects pending pings
+    */
+    stop() {
+        this._timer?.clear();
+        this._timer = null;
+
+        for (const pending of this._pending.values()) {
+            pending.timer?.clear();
+            pending.reject(new Error('Heartbeat stopped'));
+        }
+        this._pending.clear();
+    }
+
+    /**
+    * Sends a ping and measures the round-trip time.
+    * Rejects once the ping times out, without counting as a missed heartbeat.
+    * @returns {Promise<number>} Round-trip time in ms
+    */
+    ping() {
+        return this._ping(false);
+    }
+
+    /**
+    * @private
+    * @param {boolean} beat Whether the ping is a heartbeat, counted as missed when unanswered
+    * @returns {Promise<number>}
+    */
+    _ping(beat) {
+        const pingId = crypto.randomUUID();
+        return new Promise((resolve, reject) => {
+            // Pings bypass the buffer: batching delays would be measured as latency
+            if (!this._starling._send(createPing(pingId))) {
+                reject(new Error('Ping could not be sent'));
+                return;
+            }
+
+            this._pending.set(pingId, {
+                sentAt: performance.now(),
+                beat,
+                timer: Maestro.timer(() => this._expire(pingId), {
+                    delay: this._options.timeout ?? this._options.interval
+                }).link(this._starling.timers),
+                resolve,
+                reject
+            });
+        });
+    }
+
+    /**
+    * Handles an incoming ping or pong
+    * @param {import('../types/messages.d').PingMessage} message Ping message
+    */
+    handle(message) {
+        if (!message.pong) {
+            this._starling._send(createPong(message.pingId));
+            return;
+        }
+
+        const pending = this._pending.get(message.pingId);
+        if (!pending) return;
+        this._pending.delete(message.pingId);
+        pending.timer.clear();
+
+        const rtt = performance.now() - pending.sentAt;
+        this._record(rtt);
+        this._missed = 0;
+
+        if (rtt > this._options.degradedLatency) {
+            this._setHealth('degraded', { reason: 'latency', rtt });
+        } else {
+            this._setHealth('healthy', { rtt });
+        }
+
+        pending.resolve(rtt);
+    }
+
+    /**
+    * @private
+    */
+    _schedule() {
+        this._timer = Maestro.timer(() => this._beat(), {
+            delay: this._options.interval
+        }).link(this._starling.timers);
+    }
+
+    /**
+    * @private
+    */
+    _beat() {
+        if (!this._starling.isConnected) return;
+
+        // Left open, a dead connection keeps being probed: a late pong reports its recovery
+        this._ping(true).catch(() => {});
+        this._schedule();
+    }
+
+    /**
+    * Times out an unanswered ping, only heartbeats count as missed
+    * @private
+    * @param {string} pingId
+    */
+    _expire(pingId) {
+        const pending = this._pending.get(pingId);
+        if (!pending) return;
+        this._pending.delete(pingId);
+        pending.reject(new Error('Ping timed out'));
+
+        if (!pending.beat) return;
+        this._missed++;
+        if (this._missed < this._options.maxMissed) {
+            this._setHealth('degraded', { reason: 'missed', missed: this._missed });
+            return;
+        }
+
+        this._setHealth('dead', { reason: 'missed', missed: this._missed });
+        if (this._options.closeOnDead) {
+            this._starling.transport?.close(4000, 'Heartbeat timeout');
+        }
+    }
+
+    /**
+    * @private
+    * @param {number} rtt
+    */
+    _record(rtt) {
+        this._samples.push(rtt);
+        if (this._samples.length > this._options.samples) {
+            this._samples.shift();
+        }
+    }
+
+    /**
+    * @private
+    * @param {ConnectionHealth} health
+    * @param {Object} details
+    */
+    _setHealth(health, details = {}) {
+        const previous = this._health;
+        this._health = health;
+
+        const event = {
+            degraded: 'connection:degraded',
+            dead: 'connection:dead',
+            healthy: 'connection:recovered'
+        }[health];
+
+        // Degradation is reported on every beat, recovery only once
+        if (health === 'healthy' && previous === 'healthy') return;
+
+        this._starling.events.emit(event, {
+            starling: this._starling,
+            health,
+            previous,
+            ...details,
+            latency: this.latency,
+            debug: {
+                type: health === 'healthy' ? 'info' : 'warning',
+                message: `Connection ${health}${details.reason ? ` (${details.reason})` : ''}`
+            }
+        });
+    }
+
+    /**
+    * Rolling round-trip time statistics
+    * @type {LatencyStats}
+    */
+    get latency() {
+        const samples = this._samples;
+        if (samples.length === 0) {
+            return { current: null, average: null, min: null, max: null, jitter: null, samples: 0 };
+        }
+
+        const jitter = samples.length > 1
+        ? samples.slice(1).reduce((total, sample, i) => total + Math.abs(sample - samples[i]), 0) / (samples.length - 1)
+        : 0;
+
+        return {
+            current: samples[samples.length - 1],
+            average: samples.reduce((total, sample) => total + sample, 0) / samples.length,
+            min: Math.min(...samples),
+            max: Math.max(...samples),
+            jitter,
+            samples: samples.length
+        };
+    }
+
+    /**
+    * Connection health as seen by the heartbeat
+    * @type {ConnectionHealth}
+    */
+    get health() {
+        return this._health;
+    }
+
+    /**
+    * Consecutive unanswered pings
+    * @type {number}
+    */
+    get missed() {
+        return this._missed;
+    }
+}
@@ -0,0 +1,73 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+/**
+* Link losing the pongs sent to the second starling, on demand
+*/
+const createLossyPair = (heartbeat, latency = 0) => {
+    const link = { losePongs: true };
+    link.pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+        latency,
+        starling: { heartbeat },
+        drop: (frame, direction) => link.losePongs && direction === 'a->b' && JSON.parse(frame).pong === true
+    });
+    return link;
+};
+
+const next = (starling, event) => new Promise(resolve => starling.events.on(event, ({ data }) => resolve(data)));
+
+describe('Heartbeat', () => {
+    test('measures the round-trip time', async () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), { latency: 10 });
+
+        const rtt = await pair.b.ping();
+
+        expect(rtt).toBeGreaterThanOrEqual(19);
+        expect(pair.b.latency).toMatchObject({ current: rtt, samples: 1 });
+    });
+
+    test('times out manual pings on a silent link without counting them as missed', async () => {
+        const { pair } = createLossyPair({ timeout: 20 });
+
+        await expect(pair.b.ping()).rejects.toThrow('Ping timed out');
+        expect(pair.b._heartbeat._pending.size).toBe(0);
+        expect(pair.b.heartbeat.missed).toBe(0);
+        expect(pair.b.isConnected).toBe(true);
+    });
+
+    test('closes connections missing too many heartbeats', async () => {
+        const { pair } = createLossyPair({ enabled: true, interval: 10, maxMissed: 2 });
+        const degraded = next(pair.b, 'connection:degraded');
+        const dead = next(pair.b, 'connection:dead');
+
+        expect(await degraded).toMatchObject({ reason: 'missed', missed: 1 });
+        expect(await dead).toMatchObject({ reason: 'missed', missed: 2 });
+        expect(pair.b.isConnected).toBe(false);
+    });
+
+    test('keeps probing dead connections left open until they recover', async () => {
+        const link = createLossyPair({ enabled: true, interval: 10, maxMissed: 2, closeOnDead: false });
+        await next(link.pair.b, 'connection:dead');
+
+        link.losePongs = false;
+        const recovered = await next(link.pair.b, 'connection:recovered');
+
+        expect(recovered.previous).toBe('dead');
+        expect(link.pair.b.heartbeat.health).toBe('healthy');
+        expect(link.pair.b.heartbeat.missed).toBe(0);
+    });
+
+    test('reports slow connections as degraded', async () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), {
+            latency: 10,
+            starling: { heartbeat: { degradedLatency: 5 } }
+        });
+        const degraded = next(pair.b, 'connection:degraded');
+
+        const rtt = await pair.b.ping();
+
+        expect(await degraded).toMatchObject({ reason: 'latency', rtt });
+        expect(pair.b.heartbeat.health).toBe('degraded');
+    });
+});
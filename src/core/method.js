@@ -1,4 +1,6 @@
 import { CommonErrors } from '../constants';
+import { parseMethod } from '../utils';
+import { isStandardSchema, validateSchema } from '../validators';
 
 /**
 * @typedef {Object} MethodOptions
@@ -7,6 +9,30 @@ import { CommonErrors } from '../constants';
 * @property {function} [validator] Payload validation function
 * @property {Object} [metadata] Additional metadata
 * @property {boolean} [private=false] Will not be listed if true when the client requests the list of methods
+* @property {import('../validators/schema').JsonSchema|import('../validators/schema').StandardSchema} [schema] Payload schema (JSON Schema subset or Standard Schema validator), also published by `system:describe`
+* @property {string} [description] Human readable description, published by `system:describe`
+* @property {boolean|{ttl?: number}} [idempotent=false] Whether callers may retry the method: it runs once per idempotency key
+* (the request ID when the caller sets none) and duplicates get the response replayed, for the node idempotency window or `ttl` ms
+* @property {import('../managers/ratelimiter').MethodRateLimit} [rateLimit] Token-bucket limit of the method, on top of the node limits
+* @property {MethodMiddleware|MethodMiddleware[]} [middleware] Middleware running around this method only, after the node middleware
+* @property {number} [maxConcurrent=Infinity] Executions running at once, the next ones wait in a FIFO queue
+* @property {number} [maxQueued=Infinity] Executions waiting at once, the next ones are rejected with `METHOD_BUSY`
+* @property {'per-starling'|false} [serial=false] With `'per-starling'`, the calls of a starling run one at a time, in order
+*/
+
+/**
+* @typedef {import('../utils/middleware').Middleware<import('./context').RequestContext>} MethodMiddleware
+*/
+
+/**
+* @typedef {Object} MethodDescription
+* @property {string} name Method name
+* @property {string} namespace Method namespace
+* @property {string|null} description Method description
+* @property {number} timeout Execution timeout in ms
+* @property {boolean} idempotent Whether callers may retry the method
+* @property {Object|null} schema Payload schema
+* @property {Object} metadata Additional metadata
 */
 
 /**
@@ -25,11 +51,16 @@ export class Method {
         
         /** @private */
         this._options = {
-            timeout: 5000,
+            timeout: 30000,
             internal: false,
             validator: null,
             metadata: {},
             private: false,
+            idempotent: false,
+            middleware: [],
+            maxConcurrent: Infinity,
+            maxQueued: Infinity,
+            serial: false,
             ...options
         };
         
@@ -38,12 +69,32 @@ export class Method {
         this._metrics = {
             calls: 0,
             errors: 0,
+            rejected: 0,
             totalExecutionTime: 0,
             averageExecutionTime: 0,
             lastExecutionTime: 0,
+            totalWaitTime: 0,
+            lastWaitTime: 0,
             lastError: null,
             
         };
+        
+        /** @private Executions running */
+        this._active = 0;
+        
+        /**
+        * Executions waiting for a slot, in arrival order
+        * @type {Array<{starling: import('./starling').BaseStarling|null, resolve: function(boolean): void}>}
+        * @private
+        */
+        this._waiting = [];
+        
+        /**
+        * Starlings with a serial execution running
+        * @type {WeakSet<import('./starling').BaseStarling>}
+        * @private
+        */
+        this._running = new WeakSet();
     }
     
     /**
@@ -52,6 +103,9 @@ export class Method {
     * @returns {Promise<void>}
     */
     async execute(context) {
+        const release = await this._acquire(context);
+        if (!release) return;
+        
         const start = performance.now();
         this._metrics.calls++;
         this._metrics.lastCall = Date.now();
@@ -69,6 +123,17 @@ export class Method {
                 }
             }
             
+            if (this._options.schema) {
+                const validation = await validateSchema(context.payload, this._options.schema);
+                if (!validation.valid) {
+                    throw {
+                        code: CommonErrors.VALIDATION_ERROR,
+                        message: 'Invalid method payload',
+                        details: { errors: validation.errors }
+                    };
+                }
+            }
+            
             await this.handler(context);
             
             if (!context.isProcessed) {
@@ -97,7 +162,111 @@ export class Method {
             this._metrics.totalExecutionTime += duration;
             this._metrics.lastExecutionTime = duration;
             this._metrics.averageExecutionTime = (this._metrics.averageExecutionTime + duration) / this._metrics.calls;
+            release();
+        }
+    }
+    
+    /**
+    * Waits for an execution slot, within the `maxConcurrent` and `serial` limits.
+    * Time spent waiting counts toward the method timeout.
+    * @private
+    * @param {import('../core/context').RequestContext} context
+    * @returns {Promise<(function(): void)|null>} Releases the slot, null when the execution was rejected or aborted while waiting
+    */
+    async _acquire(context) {
+        if (context.isCancelled) return null;
+        
+        const starling = this._options.serial === 'per-starling' ? context.starling : null;
+        const queuedAt = performance.now();
+        
+        if (this._canRun(starling)) {
+            this._start(starling);
+        } else {
+            if (this._waiting.length >= this._options.maxQueued) {
+                this._metrics.rejected++;
+                context.error(
+                    CommonErrors.METHOD_BUSY,
+                    `Method ${this.name} is busy, try again later`,
+                    { active: this._active, queued: this._waiting.length }
+                );
+                return null;
+            }
+            
+            const started = await new Promise(resolve => {
+                const entry = { starling, resolve };
+                this._waiting.push(entry);
+                
+                // A timed out or cancelled execution leaves the queue
+                context.signal.addEventListener('abort', () => {
+                    const index = this._waiting.indexOf(entry);
+                    if (index === -1) return;
+                    this._waiting.splice(index, 1);
+                    resolve(false);
+                }, { once: true });
+            });
+            if (!started) return null;
         }
+        
+        const waited = performance.now() - queuedAt;
+        this._metrics.totalWaitTime += waited;
+        this._metrics.lastWaitTime = waited;
+        
+        return () => {
+            this._active--;
+            if (starling) this._running.delete(starling);
+            this._dispatch();
+        };
+    }
+    
+    /**
+    * @private
+    * @param {import('./starling').BaseStarling|null} starling Starling of a serial execution
+    */
+    _canRun(starling) {
+        return this._active < this._options.maxConcurrent && !(starling && this._running.has(starling));
+    }
+    
+    /**
+    * @private
+    * @param {import('./starling').BaseStarling|null} starling Starling of a serial execution
+    */
+    _start(starling) {
+        this._active++;
+        if (starling) this._running.add(starling);
+    }
+    
+    /**
+    * Starts the waiting executions that got a slot, oldest first
+    * @private
+    */
+    _dispatch() {
+        for (let i = 0; i < this._waiting.length;) {
+            const entry = this._waiting[i];
+            if (!this._canRun(entry.starling)) {
+                i++;
+                continue;
+            }
+            this._waiting.splice(i, 1);
+            this._start(entry.starling);
+            entry.resolve(true);
+        }
+    }
+    
+    /**
+    * Public description of the method, as returned by `system:describe`
+    * @returns {MethodDescription}
+    */
+    describe() {
+        return {
+            name: this.name,
+            namespace: this.namespace,
+            description: this._options.description || null,
+            timeout: this._options.timeout,
+            idempotent: !!this._options.idempotent,
+            // Standard Schema validators are opaque: only JSON schemas can be published
+            schema: this._options.schema && !isStandardSchema(this._options.schema) ? this._options.schema : null,
+            metadata: this._options.metadata
+        };
     }
     
     /**
@@ -109,7 +278,36 @@ export class Method {
             ...this._metrics,
             averageExecutionTime: this._metrics.calls > 0 
             ? this._metrics.totalExecutionTime / this._metrics.calls 
-            : 0
+            : 0,
+            averageWaitTime: this._metrics.calls > 0
+            ? this._metrics.totalWaitTime / this._metrics.calls
+            : 0,
+            active: this._active,
+            queued: this._waiting.length
         };
     }
+    
+    /**
+    * Method options
+    * @type {MethodOptions}
+    */
+    get options() {
+        return this._options;
+    }
+    
+    /**
+    * Method namespace
+    * @type {string}
+    */
+    get namespace() {
+        return parseMethod(this.name).namespace;
+    }
+    
+    /**
+    * Whether the method is listed by introspection (neither private nor internal)
+    * @type {boolean}
+    */
+    get isListed() {
+        return !this._options.private && !this._options.internal;
+    }
 }
\ No newline at end of file
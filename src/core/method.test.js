@@ -0,0 +1,77 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Server node exposing `reports:generate`, tracking how many executions run at once
+*/
+const createReportsNode = options => {
+    const node = new NetworkNode();
+    node.running = 0;
+    node.peak = 0;
+    node.started = [];
+    node.order = [];
+    node.method('reports:generate', async context => {
+        node.started.push(context.payload.id);
+        node.peak = Math.max(node.peak, ++node.running);
+        await sleep(context.payload.duration ?? 10);
+        node.running--;
+        node.order.push(context.payload.id);
+        context.success(context.payload.id);
+    }, options);
+    return node;
+};
+
+describe('Method concurrency', () => {
+    test('runs at most maxConcurrent executions, the others waiting in order', async () => {
+        const server = createReportsNode({ maxConcurrent: 2 });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const results = await Promise.all([1, 2, 3, 4].map(id => pair.b.request('reports:generate', { id })));
+
+        expect(results).toEqual([1, 2, 3, 4]);
+        expect(server.peak).toBe(2);
+        expect(server.methods.get('reports:generate').getMetrics()).toMatchObject({ active: 0, queued: 0 });
+    });
+
+    test('rejects executions over maxQueued with METHOD_BUSY', async () => {
+        const server = createReportsNode({ maxConcurrent: 1, maxQueued: 1 });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const requests = [1, 2, 3].map(id => pair.b.request('reports:generate', { id }));
+        const outcomes = await Promise.all(requests.map(request => Promise.resolve(request).then(() => 'done', () => request.error.code)));
+
+        expect(outcomes).toEqual(['done', 'done', 'METHOD_BUSY']);
+        expect(server.methods.get('reports:generate').getMetrics().rejected).toBe(1);
+    });
+
+    test('runs the calls of each starling one at a time when serial per starling', async () => {
+        const server = createReportsNode({ serial: 'per-starling' });
+        const alice = createLoopbackPair(server, new NetworkNode());
+        const bob = createLoopbackPair(server, new NetworkNode());
+
+        await Promise.all([
+            alice.b.request('reports:generate', { id: 'a1', duration: 20 }),
+            alice.b.request('reports:generate', { id: 'a2', duration: 1 }),
+            bob.b.request('reports:generate', { id: 'b1', duration: 5 })
+        ]);
+
+        expect(server.peak).toBe(2);
+        expect(server.order.indexOf('a1')).toBeLessThan(server.order.indexOf('a2'));
+    });
+
+    test('drops executions that time out while waiting without running them', async () => {
+        const server = createReportsNode({ maxConcurrent: 1, timeout: 20 });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const requests = [1, 2].map(id => pair.b.request('reports:generate', { id, duration: 50 }));
+        const codes = await Promise.all(requests.map(request => Promise.resolve(request).catch(() => request.error.code)));
+        await sleep(50);
+
+        expect(codes).toEqual(['REQUEST_TIMEOUT', 'REQUEST_TIMEOUT']);
+        expect(server.started).toEqual([1]);
+        expect(server.methods.get('reports:generate').getMetrics().queued).toBe(0);
+    });
+});
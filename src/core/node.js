@@ -1,12 +1,19 @@
-import { Protocol } from "../constants";
-import { MethodsManager, TopicsManager } from "../managers";
+import { Patterns, Protocol } from "../constants";
+import { HistoryManager, IdempotencyManager, MethodsManager, RateLimiter, RetainedManager, SessionsManager, SubscriptionsManager, TopicsManager } from "../managers";
 import { getCurrentTimestamp } from "../utils";
 import { BinaryMessageContext, ErrorMessageContext, JsonMessageContext, TextMessageContext } from "./context";
 import { Events } from "./events";
+import { createSystemMethods } from "./system";
 
 /**
 * @typedef {Object} NetworkNodeOptions
 * @property {boolean} [debug=false] Enable debug mode
+* @property {boolean} [systemMethods=true] Register the built-in `system:*` introspection methods
+* @property {import('../managers/retained').RetainedOptions} [retained] Retained values options
+* @property {import('../managers/history').HistoryOptions} [history] Published notifications history options
+* @property {import('../managers/sessions').SessionsOptions} [sessions] Resumable sessions options
+* @property {import('../managers/idempotency').IdempotencyOptions} [idempotency] Response cache of idempotent methods
+* @property {import('../managers/ratelimiter').RateLimiterOptions} [rateLimit] Inbound request limits, for the whole node and per starling
 */
 
 /**
@@ -15,6 +22,7 @@ import { Events } from "./events";
 * @property {function(import('./context').ResponseContext): Promise<void>} response Proxied response handler
 * @property {function(import('./context').NotificationContext): Promise<void>} notification Proxied notification handler
 * @property {function(import('./context').ErrorMessageContext): Promise<void>} errorMessage Proxied error message handler
+* @property {function(import('./starling').BaseStarling, import('../types/messages.d').CancelMessage): void} [cancel] Proxied cancel message handler
 */
 
 /**
@@ -45,7 +53,35 @@ export class NetworkNode {
         
         /** @protected */
         this._topics = new TopicsManager(this._events);
-        this._methods = new MethodsManager(this._events, config.builtInMethods || {});
+        
+        /** @protected */
+        this._subscriptions = new SubscriptionsManager(this._events);
+        
+        /** @protected */
+        this._retained = new RetainedManager(this._events, options.retained || {});
+        
+        /** @protected */
+        this._history = new HistoryManager(this._events, options.history || {});
+        
+        /** @protected */
+        this._sessions = new SessionsManager(this._events, options.sessions || {});
+        
+        /** @protected */
+        this._idempotency = new IdempotencyManager(this._events, options.idempotency || {});
+        
+        /** @protected */
+        this._rateLimiter = new RateLimiter(this._events, options.rateLimit || {});
+        
+        /**
+        * Live notifications held back while a starling gets its history replayed
+        * @private
+        * @type {Map<import('./starling').BaseStarling, {held: Array<{topic: string, data: *, options: Object}>, pending: number, lastSeq: number}>}
+        */
+        this._replaying = new Map();
+        this._methods = new MethodsManager(this._events, {
+            ...(options.systemMethods !== false ? createSystemMethods(this) : {}),
+            ...(config.builtInMethods || {})
+        });
         
         /** @type {symbol} */
         this._nodeId = Symbol('HeliosStarlingNode');
@@ -72,6 +108,25 @@ export class NetworkNode {
     */
     method = (name, handler, options = {}) => this._methods.register(name, handler, options);
     
+    /**
+    * Registers method middleware, for every method or only those matching a pattern
+    * @param {string|import('./method').MethodMiddleware} pattern Method pattern (e.g. `admin:*`) or middleware
+    * @param {import('./method').MethodMiddleware} [middleware]
+    * @returns {{off: function(): void}}
+    *
+    * @example
+    * node.use(async (context, next) => {
+    *     const start = performance.now();
+    *     await next();
+    *     console.log(context.method, context.result?.success, performance.now() - start);
+    * });
+    * node.use('admin:*', async (context, next) => {
+    *     if (!context.starling.data.get('admin')) return context.error('UNAUTHORIZED', 'Admins only');
+    *     await next();
+    * });
+    */
+    use = (pattern, middleware) => this._methods.use(pattern, middleware);
+    
     /**
     * Listen on inbounding notifications
     * @param {string} topic
@@ -81,6 +136,154 @@ export class NetworkNode {
     on = (topic, handler, options = {}) => this._topics.subscribe(topic, handler, options);
     
     
+    /**
+    * Publishes a notification to every peer subscribed to a matching pattern (`system:subscribe`).
+    * With `retain`, the value is also kept as the topic last value and delivered to future subscribers.
+    * While the history resumes its numbering at startup, recorded notifications go out once numbered.
+    * @param {string} topic Concrete topic
+    * @param {*} data Notification data
+    * @param {import('./starling').NotifyOptions} [options] Notification options
+    * @returns {number} Number of starlings notified
+    */
+    publish = (topic, data = null, options = {}) => {
+        if (!Patterns.TOPIC_NAME.test(topic)) {
+            throw new Error(`Invalid topic ${topic}: published topics cannot contain wildcards`);
+        }
+        
+        const { retain, ttl, ...notifyOptions } = options;
+        if (retain) {
+            this._retained.set(topic, data, { ttl });
+        }
+        const starlings = this._subscriptions.match(topic);
+        
+        if (this._history.accepts(topic)) {
+            const seq = this._history.record(topic, data);
+            if (typeof seq !== 'number') {
+                seq.catch(error => {
+                    // Better delivered without a sequence number than not at all
+                    this._events.emit('history:error', {
+                        topic,
+                        error,
+                        debug: {
+                            type: 'error',
+                            message: `Failed to number ${topic}, published without a sequence number: ${error.message}`
+                        }
+                    });
+                    return null;
+                })
+                .then(seq => this._publishTo(starlings, topic, data, seq === null ? notifyOptions : { ...notifyOptions, seq }));
+                return starlings.length;
+            }
+            notifyOptions.seq = seq;
+        }
+        
+        this._publishTo(starlings, topic, data, notifyOptions);
+        return starlings.length;
+    }
+    
+    /**
+    * @private
+    * @param {import('./starling').BaseStarling[]} starlings Subscribers
+    * @param {string} topic
+    * @param {*} data
+    * @param {import('./starling').NotifyOptions} notifyOptions
+    */
+    _publishTo(starlings, topic, data, notifyOptions) {
+        for (const starling of starlings) {
+            const replaying = this._replaying.get(starling);
+            if (replaying) {
+                replaying.held.push({ topic, data, options: notifyOptions });
+                continue;
+            }
+            this._deliver(starling, topic, data, notifyOptions);
+        }
+        
+        this._events.emit('topic:published', {
+            topic,
+            subscribers: starlings.length,
+            debug: {
+                type: 'info',
+                message: `Published ${topic} to ${starlings.length} subscriber(s)`
+            }
+        });
+    }
+    
+    /**
+    * Replays to a starling the notifications it missed on topics matching patterns,
+    * before any live notification published meanwhile
+    * @param {import('./starling').BaseStarling} starling Subscriber
+    * @param {string[]} topics Topic patterns
+    * @param {import('../managers/history').HistoryCursor} cursor Replay cursor
+    * @returns {Promise<{replayed: number, truncated: boolean}>} Number of notifications replayed, and whether
+    * `replayLimit` left older ones out: the subscriber then misses part of the history
+    */
+    replay = async (starling, topics, cursor) => {
+        // Concurrent replays for the same starling share the held notifications
+        const state = this._replaying.get(starling) || { held: [], pending: 0, lastSeq: 0 };
+        state.pending++;
+        this._replaying.set(starling, state);
+        
+        let replayed = 0;
+        let truncated = false;
+        try {
+            const history = await this._history.since(cursor, topics);
+            for (const entry of history.entries) {
+                this._deliver(starling, entry.topic, entry.data, { seq: entry.seq, replayed: true });
+                state.lastSeq = Math.max(state.lastSeq, entry.seq);
+                replayed++;
+            }
+            truncated = history.truncated;
+            if (truncated) {
+                this._events.emit('history:truncated', {
+                    starling,
+                    topics,
+                    replayed,
+                    debug: {
+                        type: 'warning',
+                        message: `Replay truncated to ${replayed} notification(s)`
+                    }
+                });
+            }
+        } catch (error) {
+            this._events.emit('history:error', {
+                starling,
+                error,
+                debug: {
+                    type: 'error',
+                    message: `Failed to replay history: ${error.message}`
+                }
+            });
+        } finally {
+            if (--state.pending === 0) {
+                this._replaying.delete(starling);
+                for (const { topic, data, options } of state.held) {
+                    // Published while replaying and already part of the replay
+                    if (options.seq !== undefined && options.seq <= state.lastSeq) continue;
+                    this._deliver(starling, topic, data, options);
+                }
+            }
+        }
+        
+        return { replayed, truncated };
+    }
+    
+    /**
+    * @private
+    */
+    _deliver(starling, topic, data, options) {
+        starling.notify(topic, data, null, options)?.catch?.(error => {
+            this._events.emit('topic:publish_error', {
+                starling,
+                topic,
+                error,
+                debug: {
+                    type: 'error',
+                    message: `Failed to publish ${topic}: ${error.message}`
+                }
+            });
+        });
+    }
+    
     /**
     * Listen on inbounding error messages (on protocol level)
     * @param {function(import('./context').ErrorMessageContext): Promise<void>} handler
@@ -137,6 +340,54 @@ export class NetworkNode {
         return this._methods;
     }
     
+    /**
+    * Last value per topic, delivered on subscription
+    * @type {RetainedManager}
+    */
+    get retained() {
+        return this._retained;
+    }
+    
+    /**
+    * History of the published notifications
+    * @type {HistoryManager}
+    */
+    get history() {
+        return this._history;
+    }
+    
+    /**
+    * Peer subscriptions, fed by `system:subscribe`
+    * @type {SubscriptionsManager}
+    */
+    get subscriptions() {
+        return this._subscriptions;
+    }
+    
+    /**
+    * Resumable peer sessions, opened with `system:session`
+    * @type {SessionsManager}
+    */
+    get sessions() {
+        return this._sessions;
+    }
+    
+    /**
+    * Runs idempotent methods once per idempotency key
+    * @type {IdempotencyManager}
+    */
+    get idempotency() {
+        return this._idempotency;
+    }
+    
+    /**
+    * Inbound request limits
+    * @type {RateLimiter}
+    */
+    get rateLimiter() {
+        return this._rateLimiter;
+    }
+    
     get id() {
         return this._nodeId;
     }
@@ -0,0 +1,250 @@
+/**
+* @typedef {Object} OutboxEntry
+* @property {string} id Entry ID
+* @property {number} seq Position in the outbox, increasing
+* @property {number} timestamp Time the message was queued
+* @property {Object|string|ArrayBuffer|Uint8Array} message Queued message
+* @property {number} [priority] Priority lane of the message
+*/
+
+/**
+* Storage persisting the messages queued while offline. Every method may return a promise.
+* @typedef {Object} OutboxStorage
+* @property {function(): (OutboxEntry[]|Promise<OutboxEntry[]>)} load Entries still queued, in any order
+* @property {function(OutboxEntry): (void|Promise<void>)} put Stores an entry
+* @property {function(string): (void|Promise<void>)} delete Drops a sent entry
+* @property {function(): (void|Promise<void>)} clear Drops every entry
+*/
+
+/**
+* Default outbox storage: entries only live as long as the process
+* @implements {OutboxStorage}
+*/
+export class MemoryOutboxStorage {
+    constructor() {
+        /** @private @type {Map<string, OutboxEntry>} */
+        this._entries = new Map();
+    }
+
+    load() {
+        return Array.from(this._entries.values());
+    }
+
+    /**
+    * @param {OutboxEntry} entry
+    */
+    put(entry) {
+        this._entries.set(entry.id, entry);
+    }
+
+    /**
+    * @param {string} id
+    */
+    delete(id) {
+        this._entries.delete(id);
+    }
+
+    clear() {
+        this._entries.clear();
+    }
+}
+
+/**
+* Binary frames do not survive JSON: they are stored as base64
+* @private
+*/
+const encodeEntry = entry => {
+    const { message } = entry;
+    if (message instanceof ArrayBuffer || ArrayBuffer.isView(message)) {
+        const bytes = message instanceof ArrayBuffer ? new Uint8Array(message) : new Uint8Array(message.buffer, message.byteOffset, message.byteLength);
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        return { ...entry, message: { $bytes: btoa(binary) } };
+    }
+    return entry;
+};
+
+/**
+* @private
+*/
+const decodeEntry = entry => {
+    const encoded = entry.message?.$bytes;
+    if (typeof encoded === 'string') {
+        return { ...entry, message: Uint8Array.from(atob(encoded), char => char.charCodeAt(0)) };
+    }
+    return entry;
+};
+
+/**
+* Outbox kept in a JSON Lines file, for servers and CLI clients.
+* Each line records a `put` or a `delete`; the file is compacted on load and whenever it empties.
+* @implements {OutboxStorage}
+*/
+export class FileOutboxStorage {
+    /**
+    * @param {string} path File path
+    * @param {{compactAfter?: number}} [options={}] Number of deletions after which the file is rewritten
+    */
+    constructor(path, options = {}) {
+        /** @private */
+        this._path = path;
+
+        /** @private */
+        this._options = {
+            compactAfter: 1000,
+            ...options
+        };
+
+        /** @private @type {Map<string, OutboxEntry>} */
+        this._entries = new Map();
+
+        /** @private */
+        this._deletions = 0;
+
+        /**
+        * Writes go one after the other so that lines keep their order
+        * @private
+        * @type {Promise<void>}
+        */
+        this._writes = Promise.resolve();
+    }
+
+    /**
+    * @returns {Promise<OutboxEntry[]>}
+    */
+    async load() {
+        const fs = await import('node:fs/promises');
+
+        let content = '';
+        try {
+            content = await fs.readFile(this._path, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this._entries.clear();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                if (record.op === 'put') this._entries.set(record.entry.id, decodeEntry(record.entry));
+                else if (record.op === 'delete') this._entries.delete(record.id);
+            } catch {
+                // A line cut short by a crash: everything before it is still valid
+            }
+        }
+
+        await this._compact();
+        return Array.from(this._entries.values());
+    }
+
+    /**
+    * @param {OutboxEntry} entry
+    */
+    put(entry) {
+        this._entries.set(entry.id, entry);
+        return this._append({ op: 'put', entry: encodeEntry(entry) });
+    }
+
+    /**
+    * @param {string} id
+    */
+    delete(id) {
+        if (!this._entries.delete(id)) return this._writes;
+
+        if (this._entries.size === 0 || ++this._deletions >= this._options.compactAfter) {
+            return this._compact();
+        }
+        return this._append({ op: 'delete', id });
+    }
+
+    clear() {
+        this._entries.clear();
+        return this._compact();
+    }
+
+    /**
+    * @private
+    * @param {Object} record
+    */
+    _append(record) {
+        return this._enqueue(async fs => fs.appendFile(this._path, JSON.stringify(record) + '\n'));
+    }
+
+    /**
+    * Rewrites the file with the entries still queued
+    * @private
+    */
+    _compact() {
+        this._deletions = 0;
+        return this._enqueue(async fs => {
+            const lines = Array.from(this._entries.values(), entry => JSON.stringify({ op: 'put', entry: encodeEntry(entry) }) + '\n');
+            await fs.writeFile(`${this._path}.tmp`, lines.join(''));
+            await fs.rename(`${this._path}.tmp`, this._path);
+        });
+    }
+
+    /**
+    * @private
+    * @param {function(typeof import('node:fs/promises')): Promise<void>} write
+    */
+    _enqueue(write) {
+        const next = this._writes.then(async () => write(await import('node:fs/promises')));
+        this._writes = next.catch(() => {});
+        return next;
+    }
+}
+
+/**
+* Outbox kept in an asynchronous key/value store, for browsers: an IndexedDB wrapper such as
+* `idb-keyval` (`get`, `set`, `del`, `keys`), or any store exposing the same methods.
+* @implements {OutboxStorage}
+*/
+export class KeyValueOutboxStorage {
+    /**
+    * @param {{get: function(string): Promise<*>, set: function(string, *): Promise<void>, del: function(string): Promise<void>, keys: function(): Promise<string[]>}} store Key/value store
+    * @param {{prefix?: string}} [options={}] Prefix of the outbox keys, so that the store can be shared
+    */
+    constructor(store, options = {}) {
+        /** @private */
+        this._store = store;
+
+        /** @private */
+        this._prefix = options.prefix ?? 'helios-starling:outbox:';
+    }
+
+    /**
+    * @returns {Promise<OutboxEntry[]>}
+    */
+    async load() {
+        const keys = await this._keys();
+        const entries = await Promise.all(keys.map(key => this._store.get(key)));
+        return entries.filter(Boolean);
+    }
+
+    /**
+    * @param {OutboxEntry} entry
+    */
+    put(entry) {
+        return this._store.set(this._prefix + entry.id, entry);
+    }
+
+    /**
+    * @param {string} id
+    */
+    delete(id) {
+        return this._store.del(this._prefix + id);
+    }
+
+    async clear() {
+        await Promise.all((await this._keys()).map(key => this._store.del(key)));
+    }
+
+    /**
+    * @private
+    * @returns {Promise<string[]>}
+    */
+    async _keys() {
+        return (await this._store.keys()).filter(key => typeof key === 'string' && key.startsWith(this._prefix));
+    }
+}
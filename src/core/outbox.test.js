@@ -0,0 +1,87 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { appendFile, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FileOutboxStorage, KeyValueOutboxStorage } from './outbox.js';
+
+const entry = (id, seq, message = { type: 'notification', id }) => ({ id, seq, timestamp: 1000 + seq, message });
+
+describe('FileOutboxStorage', () => {
+    let dir = null;
+    afterEach(async () => {
+        if (dir) await rm(dir, { recursive: true, force: true });
+        dir = null;
+    });
+
+    const createFile = async () => {
+        dir = await mkdtemp(join(tmpdir(), 'outbox-'));
+        return join(dir, 'outbox.jsonl');
+    };
+
+    test('keeps the entries still queued across instances, binary frames included', async () => {
+        const path = await createFile();
+        const storage = new FileOutboxStorage(path);
+        await storage.load();
+        await storage.put(entry('a', 1));
+        await storage.put(entry('b', 2, new Uint8Array([0, 128, 255])));
+        await storage.put(entry('c', 3));
+        await storage.delete('a');
+
+        const restored = await new FileOutboxStorage(path).load();
+
+        expect(restored.map(({ id }) => id).sort()).toEqual(['b', 'c']);
+        expect(restored.find(({ id }) => id === 'b').message).toEqual(new Uint8Array([0, 128, 255]));
+    });
+
+    test('ignores a line cut short by a crash', async () => {
+        const path = await createFile();
+        const storage = new FileOutboxStorage(path);
+        await storage.load();
+        await storage.put(entry('a', 1));
+        await appendFile(path, '{"op":"put","entry":{"id":"b"');
+
+        expect((await new FileOutboxStorage(path).load()).map(({ id }) => id)).toEqual(['a']);
+    });
+
+    test('compacts the file once it empties', async () => {
+        const path = await createFile();
+        const storage = new FileOutboxStorage(path);
+        await storage.load();
+        await storage.put(entry('a', 1));
+        await storage.put(entry('b', 2));
+        await storage.delete('a');
+        await storage.delete('b');
+
+        expect(await readFile(path, 'utf8')).toBe('');
+    });
+});
+
+describe('KeyValueOutboxStorage', () => {
+    /**
+    * idb-keyval style store backed by a map
+    */
+    const createStore = () => {
+        const map = new Map();
+        return {
+            map,
+            get: async key => map.get(key),
+            set: async (key, value) => { map.set(key, value); },
+            del: async key => { map.delete(key); },
+            keys: async () => Array.from(map.keys())
+        };
+    };
+
+    test('only touches the keys under its prefix', async () => {
+        const store = createStore();
+        store.map.set('settings', { theme: 'dark' });
+        const storage = new KeyValueOutboxStorage(store, { prefix: 'app:outbox:' });
+
+        await storage.put(entry('a', 1));
+        await storage.put(entry('b', 2));
+        await storage.delete('a');
+        expect(await storage.load()).toEqual([entry('b', 2)]);
+
+        await storage.clear();
+        expect(Array.from(store.map.keys())).toEqual(['settings']);
+    });
+});
@@ -1,10 +1,8 @@
-import { withRetry } from '../utils/retry';
+import { CommonErrors, MessageType } from "../constants";
 
 /**
 * @typedef {Object} QueueOptions
-* @property {number} [maxSize=1000] Maximum queue size
-* @property {number} [maxRetries=3] Maximum retry attempts
-* @property {number} [baseDelay=1000] Base delay for exponential backoff in ms
+* @property {number} [maxSize=1000] Maximum number of requests in the queue, whatever their state
 * @property {number} [maxConcurrent=10] Maximum concurrent requests
 * @property {boolean} [priorityQueuing=false] Enable priority-based queuing
 * @property {'block'|'drop'|'error'} [onFull='block'] Behavior when queue is full
@@ -12,7 +10,28 @@ import { withRetry } from '../utils/retry';
 */
 
 /**
-* Robust request queue with advanced flow control and monitoring
+* State of a request in the queue:
+* - `queued`: waiting to be sent
+* - `sent`: handed to the outbound buffer, which holds it until the connection can take it
+* - `awaiting`: written to the connection, waiting for the response
+* @typedef {'queued'|'sent'|'awaiting'} QueueEntryState
+*/
+
+/**
+* @typedef {Object} QueueEntry
+* @property {import('./request').Request} request Queued request
+* @property {QueueEntryState} state Current state
+* @property {number} retryCount Times the request went back to the queue
+* @property {number} addedAt Time the request entered the queue
+* @property {number} queuedAt Time the request last entered the `queued` state
+* @property {number} priority Request priority
+* @property {boolean} resend Whether the request was sent before, and goes out again under the same ID
+*/
+
+/**
+* Robust request queue with advanced flow control and monitoring.
+* Requests stay in the queue until they settle: those written to a connection that drops before
+* their response go back to `queued`, and are sent again once reconnected when their retry policy allows it.
 */
 export class RequestQueue {
   /**
@@ -30,8 +49,6 @@ export class RequestQueue {
     /** @private */
     this._options = {
       maxSize: 1000,
-      maxRetries: 3,
-      baseDelay: 1000,
       maxConcurrent: 10,
       priorityQueuing: false,
       onFull: 'block',
@@ -39,7 +56,11 @@ export class RequestQueue {
       ...options
     };
     
-    /** @private */
+    /**
+    * Requests by ID, until they settle
+    * @type {Map<string, QueueEntry>}
+    * @private
+    */
     this._queue = new Map();
     
     /** @private */
@@ -54,9 +75,20 @@ export class RequestQueue {
     /** @private */
     this._drainResolve = null;
     
+    /**
+    * Methods the peer rate limited: their requests stay queued until the timer fires
+    * @type {Map<string, {until: number, timer: ReturnType<typeof setTimeout>}>}
+    * @private
+    */
+    this._paused = new Map();
+    
     // Monitor connection state
-    this._starling.events.on('starling:connected', () => this._onConnected());
-    this._starling.events.on('starling:disconnected', () => this._onDisconnected());
+    const own = event => !event.data?.starling || event.data.starling === this._starling;
+    this._starling.events.on('starling:connected', event => own(event) && this._onConnected());
+    this._starling.events.on('starling:disconnected', event => own(event) && this._onDisconnected());
+    
+    // Track requests leaving the outbound buffer
+    this._starling.events.on('message:send:success', event => own(event) && this._onSent(event.data?.message));
     
     // Setup drain timeout monitor
     this._setupDrainMonitor();
@@ -69,10 +101,12 @@ export class RequestQueue {
   */
   async add(request) {
     // Check queue capacity
-    if (this._queue.size >= this._options.maxSize) {
+    if (this.size >= this._options.maxSize) {
       switch (this._options.onFull) {
         case 'block':
-        await this._waitForSpace();
+        while (this.size >= this._options.maxSize) {
+          await this._waitForSpace();
+        }
         break;
         case 'drop':
         return false;
@@ -81,26 +115,141 @@ export class RequestQueue {
       }
     }
     
-    // Add to queue with metadata
-    this._queue.set(request.id, {
+    this._enqueue(request);
+    
+
+    if (this._canProcess()) {
+      this._processQueue();
+    }
+    
+    return true;
+  }
+  
+  /**
+  * Puts back a request the peer rate limited, and holds every request to its method
+  * until the delay the peer asked for is over
+  * @param {import('./request').Request} request Rate limited request
+  * @param {number} [retryAfter=1000] Delay in ms before the method accepts requests again
+  */
+  defer(request, retryAfter = 1000) {
+    const method = request.method;
+    const until = Date.now() + retryAfter;
+    const paused = this._paused.get(method);
+    
+    if (!paused || paused.until < until) {
+      if (paused) clearTimeout(paused.timer);
+      this._paused.set(method, {
+        until,
+        timer: setTimeout(() => {
+          this._paused.delete(method);
+          if (this._canProcess()) {
+            this._processQueue();
+          }
+        }, retryAfter)
+      });
+    }
+    
+    // Sent again under the same request ID, its timeout keeps running meanwhile
+    this._requeue(this._queue.get(request.id) || this._enqueue(request), 'rate_limited');
+  }
+  
+  /**
+  * Adds a request in the `queued` state, and keeps it until it settles
+  * @private
+  * @param {import('./request').Request} request
+  * @returns {QueueEntry}
+  */
+  _enqueue(request) {
+    /** @type {QueueEntry} */
+    const entry = {
       request,
+      state: 'queued',
       retryCount: 0,
       addedAt: Date.now(),
-      priority: request._options.metadata?.priority || 0
-    });
+      queuedAt: Date.now(),
+      priority: request.priority,
+      resend: false
+    };
+    this._queue.set(request.id, entry);
+    
+    const settled = () => this._remove(entry);
+    request._promise.then(settled, settled);
     
     // Emit added event
     this._starling.events.emit('queue:added', {
       requestId: request.id,
-      queueSize: this._queue.size
+      queueSize: this.size
     });
     
-
-    if (this._canProcess()) {
-      this._processQueue();
+    return entry;
+  }
+  
+  /**
+  * Moves a request that went out back to `queued`, to be sent again under the same request ID
+  * @private
+  * @param {QueueEntry} entry
+  * @param {'rate_limited'|'disconnected'} reason Why the request goes back to the queue
+  */
+  _requeue(entry, reason) {
+    // The peer dropped it: nothing to resume, retry or cancel there until it is sent again
+    entry.request._sent = false;
+    
+    entry.resend = true;
+    if (entry.state !== 'queued') {
+      entry.state = 'queued';
+      entry.retryCount++;
+      entry.queuedAt = Date.now();
     }
     
-    return true;
+    this._starling.events.emit('queue:requeued', {
+      starling: this._starling,
+      requestId: entry.request.id,
+      method: entry.request.method,
+      reason,
+      queueSize: this.size,
+      debug: {
+        type: 'info',
+        message: `Request ${entry.request.id} (${entry.request.method}) back in the queue: ${reason === 'disconnected' ? 'connection lost before the response' : 'rate limited by the peer'}`
+      }
+    });
+  }
+  
+  /**
+  * Drops a settled request
+  * @private
+  * @param {QueueEntry} entry
+  */
+  _remove(entry) {
+    if (this._queue.get(entry.request.id) !== entry) return;
+    
+    this._queue.delete(entry.request.id);
+    this._starling.events.emit('queue:removed', {
+      requestId: entry.request.id,
+      queueSize: this.size
+    });
+    
+    if (this.size < this._options.maxSize) {
+      this._resolveDrain();
+    }
+  }
+  
+  /**
+  * Moves a request the outbound buffer wrote to the connection to `awaiting`
+  * @private
+  * @param {Object} message Sent message
+  */
+  _onSent(message) {
+    if (message?.type !== MessageType.REQUEST) return;
+    
+    const entry = this._queue.get(message.requestId);
+    if (!entry || entry.state !== 'sent') return;
+    
+    // Nothing comes back for these: they are done once sent
+    if (entry.request._options.noResponse) {
+      this._remove(entry);
+      return;
+    }
+    entry.state = 'awaiting';
   }
   
   /**
@@ -124,35 +273,26 @@ export class RequestQueue {
           break;
         }
         
+        if (entry.state !== 'queued' || this._paused.has(entry.request.method)) {
+          continue;
+        }
+        
         this._activeCount++;
         
         try {
-          // Calculate retry delay
-          const delay = this._getRetryDelay(entry.retryCount);
-          
-          // Execute with retry
-          await withRetry(
-            () => {
-              entry.request.execute();
-            },
-            {
-              maxRetries: this._options.maxRetries,
-              retryDelay: delay,
-              onRetry: () => { entry.retryCount++ }
-            }
-          );
-          
-          // Success - remove from queue and emit event
-          this._queue.delete(id);
-          this._starling.events.emit('queue:removed', {
-            requestId: id,
-            queueSize: this._queue.size
-          });
+          // Stays in the queue until it settles, in case the connection drops before the response
+          entry.state = 'sent';
           
+          // Failed attempts are retried by the request itself, with the same request ID
+          if (entry.resend) {
+            entry.request.resend();
+          } else {
+            entry.request.execute();
+          }
         } catch (error) {
-          // Max retries exceeded - handle failure
+          // Sending failed - handle failure
           this._handleRequestFailure(entry.request, error);
-          this._queue.delete(id);
+          this._remove(entry);
         } finally {
           this._activeCount--;
         }
@@ -163,7 +303,7 @@ export class RequestQueue {
       // Check if more processing needed
       if (this._canProcess()) {
         this._processQueue();
-      } else if (this._queue.size === 0) {
+      } else if (this.size === 0) {
         this._resolveDrain();
       }
     }
@@ -181,17 +321,6 @@ export class RequestQueue {
     });
   }
   
-  /**
-  * Calculates retry delay with exponential backoff
-  * @private
-  */
-  _getRetryDelay(retryCount) {
-    return Math.min(
-      this._options.baseDelay * Math.pow(2, retryCount),
-      30000 // Cap at 30 seconds
-    );
-  }
-  
   /**
   * Checks if queue can process requests
   * @private
@@ -199,12 +328,23 @@ export class RequestQueue {
   _canProcess() {
     return (
       !this._processing &&
-      this._queue.size > 0 && 
-      this._starling.isConnected &&
+      this._hasReady() &&
+      !!this._starling.transport?.isOpen &&
       this._activeCount < this._options.maxConcurrent
     );
   }
   
+  /**
+  * Checks if a queued request belongs to a method that is not paused
+  * @private
+  */
+  _hasReady() {
+    for (const entry of this._queue.values()) {
+      if (entry.state === 'queued' && !this._paused.has(entry.request.method)) return true;
+    }
+    return false;
+  }
+  
   /**
   * Handles connection established
   * @private
@@ -212,17 +352,30 @@ export class RequestQueue {
   _onConnected() {
     console.log('🚀 Starling connected');
     
-    if (this._queue.size > 0) {
+    if (this.size > 0) {
       this._processQueue();
     }
   }
   
   /**
-  * Handles connection lost
+  * Handles connection lost: requests waiting for their response go back to the queue when their
+  * retry policy and deadline allow it. Those still in the outbound buffer go out with the next connection,
+  * the others wait for their timeout or for the session to be resumed.
   * @private
   */
   _onDisconnected() {
     this._processing = false;
+    
+    const error = {
+      code: CommonErrors.CONNECTION_LOST,
+      message: 'Connection lost before the response'
+    };
+    for (const entry of this._queue.values()) {
+      if (entry.state !== 'awaiting' || !entry.request.canRetry(error)) continue;
+      
+      entry.request.retry(error, { schedule: false });
+      this._requeue(entry, 'disconnected');
+    }
   }
   
   /**
@@ -236,12 +389,12 @@ export class RequestQueue {
     const checkDrainTimeout = () => {
       if (timeoutId) clearTimeout(timeoutId);
       
-      if (this._queue.size > 0) {
+      if (this.size > 0) {
         timeoutId = setTimeout(() => {
           const timedOutRequests = new Map(
             Array.from(this._queue.entries())
             .filter(([_, entry]) => 
-              Date.now() - entry.addedAt > this._options.drainTimeout
+              entry.state === 'queued' && Date.now() - entry.queuedAt >= this._options.drainTimeout
           )
         );
         
@@ -251,13 +404,14 @@ export class RequestQueue {
             message: 'Queue drain timeout exceeded'
           });
           console.warn(`Queue drain timeout exceeded for request ${id}`);
-          this._queue.delete(id);
+          this._remove(entry);
         }
       }, this._options.drainTimeout);
     }
   };
   
   this._starling.events.on('queue:added', checkDrainTimeout);
+  this._starling.events.on('queue:requeued', checkDrainTimeout);
   this._starling.events.on('queue:removed', checkDrainTimeout);
 }
 
@@ -295,9 +449,45 @@ clear(reason = 'Queue cleared') {
     entry.request.cancel(reason);
   }
   this._queue.clear();
+  for (const { timer } of this._paused.values()) {
+    clearTimeout(timer);
+  }
+  this._paused.clear();
   this._resolveDrain();
 }
 
+/**
+* Requests in a state
+* @param {QueueEntryState} state Queue state
+* @returns {import('./request').Request[]}
+*/
+requests(state) {
+  return Array.from(this._queue.values())
+  .filter(entry => entry.state === state)
+  .map(entry => entry.request);
+}
+
+/**
+* Number of requests in the queue until they settle, whatever their state (see `stats.states`)
+* @type {number}
+*/
+get size() {
+  return this._queue.size;
+}
+
+/**
+* Number of requests in each state
+* @private
+* @returns {Record<QueueEntryState, number>}
+*/
+_countByState() {
+  const counts = { queued: 0, sent: 0, awaiting: 0 };
+  for (const entry of this._queue.values()) {
+    counts[entry.state]++;
+  }
+  return counts;
+}
+
 /**
 * Gets queue statistics
 * @returns {Object} Queue statistics
@@ -318,12 +508,15 @@ get stats() {
   }, { '<1s': 0, '<5s': 0, '<30s': 0, '>30s': 0 });
   
   return {
-    size: this._queue.size,
+    size: this.size,
+    states: this._countByState(),
     active: this._activeCount,
     processing: this._processing,
     maxSize: this._options.maxSize,
-    maxRetries: this._options.maxRetries,
     retriesByCount: retryStats,
+    paused: Object.fromEntries(
+      Array.from(this._paused.entries()).map(([method, { until }]) => [method, Math.max(0, until - Date.now())])
+    ),
     requestAges: ageStats
   };
 }
@@ -0,0 +1,94 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Server node exposing `orders:status`, counting how many times it ran
+*/
+const createOrdersNode = () => {
+    const node = new NetworkNode();
+    node.runs = 0;
+    node.method('orders:status', context => {
+        node.runs++;
+        context.success({ id: context.payload.id, status: 'shipped' });
+    });
+    return node;
+};
+
+describe('Request queue', () => {
+    test('keeps requests until they settle, through every state', async () => {
+        const pair = createLoopbackPair(createOrdersNode(), new NetworkNode(), { connected: false, latency: 20 });
+        const queue = pair.b._requests._queue;
+
+        const request = pair.b.request('orders:status', { id: 7 });
+        expect(queue.stats.states).toEqual({ queued: 1, sent: 0, awaiting: 0 });
+
+        pair.reconnect();
+        await sleep(5);
+        expect(queue.stats.states).toEqual({ queued: 0, sent: 0, awaiting: 1 });
+        expect(queue.size).toBe(1);
+
+        await request;
+        expect(queue.size).toBe(0);
+    });
+
+    test('counts requests awaiting their response against maxSize', async () => {
+        const pair = createLoopbackPair(createOrdersNode(), new NetworkNode(), {
+            latency: 20,
+            starling: { requests: { queue: { maxSize: 1, onFull: 'block' } } }
+        });
+        const queue = pair.b._requests._queue;
+        const added = [];
+        pair.b.events.on('queue:added', event => added.push(event.data.requestId));
+
+        const first = pair.b.request('orders:status', { id: 1 });
+        await sleep(5);
+        const second = pair.b.request('orders:status', { id: 2 });
+        await sleep(5);
+        expect(added).toEqual([first.id]);
+        expect(queue.size).toBe(1);
+
+        await first;
+        expect(await second).toEqual({ id: 2, status: 'shipped' });
+        expect(added).toEqual([first.id, second.id]);
+    });
+
+    test('fails and removes requests left queued past drainTimeout', async () => {
+        const pair = createLoopbackPair(createOrdersNode(), new NetworkNode(), {
+            connected: false,
+            starling: { requests: { queue: { drainTimeout: 20 } } }
+        });
+        const removed = [];
+        pair.b.events.on('queue:removed', event => removed.push(event.data.requestId));
+
+        const request = pair.b.request('orders:status', { id: 7 });
+
+        await expect(Promise.resolve(request)).rejects.toThrow('Queue drain timeout exceeded');
+        expect(removed).toEqual([request.id]);
+        expect(pair.b._requests._queue.size).toBe(0);
+    });
+
+    test('sends requests lost with the connection again once reconnected', async () => {
+        const server = createOrdersNode();
+        const pair = createLoopbackPair(server, new NetworkNode(), { latency: 20 });
+        const requeued = [];
+        pair.b.events.on('queue:requeued', event => requeued.push(event.data.requestId));
+
+        const request = pair.b.request('orders:status', { id: 7 }, { idempotent: true });
+        await sleep(5);
+        expect(pair.b._requests.stats.queue.states.awaiting).toBe(1);
+
+        // The request frame is still in flight: it is lost with the connection
+        pair.disconnect();
+        expect(pair.b._requests.stats.queue.states.queued).toBe(1);
+        expect(requeued).toEqual([request.id]);
+        expect(server.runs).toBe(0);
+
+        pair.reconnect();
+        expect(await request).toEqual({ id: 7, status: 'shipped' });
+        expect(request.attempts).toBe(2);
+        expect(server.runs).toBe(1);
+    });
+});
@@ -1,13 +1,46 @@
-import { createRequest } from "../formatters";
+import { createCancel, createRequest } from "../formatters";
+import { CommonErrors, MessagePriority } from "../constants";
 import { Maestro } from "@killiandvcz/maestro";
+import { calculateBackoffDelay } from "../utils/retry";
+
+/**
+* @typedef {Object} RetryPolicy
+* @property {number} [maxRetries=3] Attempts after the first one
+* @property {number} [baseDelay=1000] Backoff base delay in ms
+* @property {number} [maxDelay=30000] Maximum backoff delay in ms
+* @property {number} [jitter=0.1] Random jitter factor (0-1) added to the delay
+* @property {boolean} [onDisconnect=true] Send again the request when the connection drops before its response
+* @property {string[]} [codes=[]] Error codes triggering a retry, answered by the peer or raised locally (e.g. `REQUEST_TIMEOUT`)
+*/
+
+/**
+* @type {RetryPolicy}
+* @private
+*/
+const DefaultRetryPolicy = {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.1,
+    onDisconnect: true,
+    codes: []
+};
 
 /**
 * @typedef {Object} RequestOptions
 * @property {number} [timeout=30000] Request timeout in milliseconds
-* @property {boolean} [retry=true] Whether to retry on connection loss
+* @property {boolean|RetryPolicy} [retry=true] Retry policy, applied to idempotent requests only.
+* Every attempt reuses the request ID, so that the peer can recognize a retry.
+* @property {boolean} [idempotent=false] Whether the request can safely run more than once
+* @property {string} [idempotencyKey] Key identifying the duplicates of the request: the peer runs idempotent methods
+* once per key and replays the response to duplicates
 * @property {Object} [metadata={}] Additional request metadata
+* @property {number} [priority] Priority in the request queue and the outbound buffer (see `MessagePriority`),
+* `metadata.priority` otherwise
 * @property {boolean} [noResponse=false] Whether the request doesn't expect a response
 * @property {Object|Boolean} [peer=false] Proxy peer options
+* @property {AbortSignal} [signal] External signal cancelling the request (locally and on the remote handler) when aborted
+* @property {number} [deadline] Time (ms since epoch) after which the request is not sent again
 */
 
 /**
@@ -46,6 +79,7 @@ export class Request {
         this._options = {
             timeout: 30000,
             retry: true,
+            idempotent: false,
             metadata: {},
             noResponse: false,
             ...options
@@ -63,6 +97,52 @@ export class Request {
         */
         this.id = crypto.randomUUID();
         this.timestamp = Date.now();
+        
+        /** @private Whether the request went out to the peer */
+        this._sent = false;
+        
+        /** @private Whether the promise was resolved or rejected */
+        this._settled = false;
+        
+        /** @type {Object|null} Error the request failed with */
+        this.error = null;
+        
+        /**
+        * Retry policy, for idempotent requests only
+        * @private
+        * @type {RetryPolicy|null}
+        */
+        this._retryPolicy = this._options.idempotent && this._options.retry
+        ? { ...DefaultRetryPolicy, ...(typeof this._options.retry === 'object' ? this._options.retry : {}) }
+        : null;
+        
+        /** @private Number of times the request was sent */
+        this._attempts = 0;
+        
+        /** @private @type {import('@killiandvcz/maestro').Timer} */
+        this._retryTimer = null;
+        
+        this._bindSignal(this._options.signal);
+    }
+    
+    /**
+    * Links an external AbortSignal to the request
+    * @private
+    * @param {AbortSignal} [signal]
+    */
+    _bindSignal(signal) {
+        if (!signal) return;
+        
+        const reasonOf = () => signal.reason?.message || (typeof signal.reason === 'string' ? signal.reason : 'Request aborted');
+        
+        if (signal.aborted) {
+            this.cancel(reasonOf());
+            return;
+        }
+        
+        const onAbort = () => this.cancel(reasonOf());
+        signal.addEventListener('abort', onAbort, { once: true });
+        this._promise.finally(() => signal.removeEventListener('abort', onAbort)).catch(() => {});
     }
     
     /**
@@ -70,22 +150,40 @@ export class Request {
     * @returns {this} For chaining
     */
     execute = () => {
+        if (this._settled) {
+            return this;
+        }
+        
         try {
             // Send the request
             this._starling.send(createRequest(this._method, this._payload, {
                 requestId: this.id,
+                idempotencyKey: this._options.idempotencyKey,
                 metadata: this._options.metadata,
+                priority: this._options.priority ?? this._options.metadata?.priority,
                 ...(this._options.peer ? { peer: this._options.peer } : {})
                 
-            }));
+            })).catch(error => {
+                // Refused by a full buffer: the peer will never get it
+                this._sent = false;
+                this.handleError(error);
+            });
+            this._sent = true;
+            this._attempts++;
             
             // Setup timeout if needed
             if (this._options.timeout > 0 && !this._options.noResponse) {
                 this._timeout = Maestro.timer(() => {
-                    this.handleError({
-                        code: 'REQUEST_TIMEOUT',
+                    const error = {
+                        code: CommonErrors.REQUEST_TIMEOUT,
                         message: `Request timed out after ${this._options.timeout}ms`
-                    });
+                    };
+                    // Let the remote handler stop working on a request nobody waits for anymore.
+                    // A retry is still waited for: the peer answers it once the original execution completes.
+                    if (!this.canRetry(error)) {
+                        this._sendCancel('Request timed out');
+                    }
+                    this.handleError(error);
                 }, { delay: this._options.timeout }).link(this._starling.timers);
             }            
         } catch (error) {
@@ -97,6 +195,21 @@ export class Request {
     
     
     
+    /**
+    * Sends the request again, when the peer never received it (after a session resumption)
+    * @returns {this} For chaining
+    */
+    resend = () => {
+        if (this._settled) {
+            return this;
+        }
+        
+        this._timeout?.clear();
+        this._retryTimer?.clear();
+        this._sent = false;
+        return this.execute();
+    }
+    
     /**
     * Adds a progress listener
     * @param {function(Object): void} listener Progress event handler
@@ -143,11 +256,13 @@ export class Request {
     
     // Méthode pour résoudre la requête
     resolve(value) {
+        this._settled = true;
         this._resolve(value);
     }
     
     // Méthode pour rejeter la requête
     reject(error) {
+        this._settled = true;
         this._reject(error);
     }
     
@@ -159,6 +274,7 @@ export class Request {
         if (this._timeout) {
             this._timeout.clear();
         }
+        this._retryTimer?.clear();
         this.resolve(context.data);
     }
     
@@ -172,24 +288,119 @@ export class Request {
             this._timeout.clear();
         }
         
+        if (this._settled) return;
+        if (this.retry(error)) return;
+        
+        this._retryTimer?.clear();
+        this.error = error;
+        
         this.reject(new Error(error.message || 'Request failed', {cause: {
             error,
             context: context || null
         }}));
     }
     
+    /**
+    * Whether the retry policy and the deadline allow sending the request again after an error
+    * @param {{code: string}} error Error of the failed attempt
+    * @returns {boolean}
+    */
+    canRetry(error) {
+        const policy = this._retryPolicy;
+        return !!policy
+        && !this._settled
+        && this._attempts > 0
+        && this._attempts <= policy.maxRetries
+        && !(this._options.deadline && Date.now() >= this._options.deadline)
+        && (error?.code === CommonErrors.CONNECTION_LOST ? policy.onDisconnect : policy.codes.includes(error?.code));
+    }
+    
+    /**
+    * Sends the request again after a backoff delay, when its retry policy covers the error.
+    * Failed attempts are reported as `request:attempt_failed` events.
+    * @param {{code: string, message: string}} error Error of the failed attempt
+    * @param {{schedule?: boolean}} [options={}] With `schedule: false`, nothing is scheduled: the caller
+    * sends the request again itself (the queue does once reconnected)
+    * @returns {boolean} Whether the request will be sent again
+    */
+    retry(error, { schedule = true } = {}) {
+        // Cancellations and requests never sent are not failed attempts
+        if (this._settled || this._attempts === 0 || error?.code === CommonErrors.REQUEST_CANCELLED) {
+            return false;
+        }
+        
+        const retryable = this.canRetry(error);
+        const delay = retryable && schedule ? calculateBackoffDelay(this._attempts - 1, this._retryPolicy) : null;
+        this._starling.events.emit('request:attempt_failed', {
+            starling: this._starling,
+            requestId: this.id,
+            method: this._method,
+            attempt: this._attempts,
+            error,
+            retrying: retryable,
+            delay,
+            debug: {
+                type: retryable ? 'warning' : 'error',
+                message: `Attempt ${this._attempts} of request ${this.id} (${this._method}) failed: ${error?.message}${!retryable ? '' : schedule ? `, retrying in ${Math.round(delay)}ms` : ', retrying once reconnected'}`
+            }
+        });
+        
+        if (!retryable) return false;
+        
+        this._timeout?.clear();
+        this._retryTimer?.clear();
+        if (schedule) {
+            this._retryTimer = Maestro.timer(() => this.resend(), { delay }).link(this._starling.timers);
+        }
+        return true;
+    }
+    
     /**
     * Cancels the request
     * @param {string} [reason='Request cancelled'] Cancellation reason
     */
     cancel(reason = 'Request cancelled') {
+        if (this._settled) return;
+        
+        this._sendCancel(reason);
         this.handleError({
-            code: 'REQUEST_CANCELLED',
+            code: CommonErrors.REQUEST_CANCELLED,
             message: reason
         });
     }
+    
+    /**
+    * Tells the peer to stop processing the request, if it was sent and is still pending
+    * @private
+    * @param {string} reason Cancellation reason
+    */
+    _sendCancel(reason) {
+        if (!this._sent || this._settled || this._options.noResponse) return;
+        
+        this._starling.send(createCancel(this.id, reason, {
+            ...(this._options.peer ? { peer: this._options.peer } : {})
+        })).catch(() => {
+            // The local rejection is what matters, the peer will time out on its own
+        });
+    }
 
     get method() {
         return this._method;
     }
+    
+    /**
+    * Number of times the request was sent
+    * @type {number}
+    */
+    get attempts() {
+        return this._attempts;
+    }
+    
+    /**
+    * Priority of the request, in the queue and on the wire
+    * @type {number}
+    */
+    get priority() {
+        return this._options.priority ?? this._options.metadata?.priority ?? MessagePriority.NORMAL;
+    }
 }
\ No newline at end of file
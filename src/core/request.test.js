@@ -0,0 +1,117 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Server node exposing `orders:status`, counting how many times it ran
+*/
+const createOrdersNode = () => {
+    const node = new NetworkNode();
+    node.runs = 0;
+    node.method('orders:status', context => {
+        node.runs++;
+        context.success({ id: context.payload.id, status: 'shipped' });
+    });
+    return node;
+};
+
+describe('Request cancellation', () => {
+    test('aborts the remote handler signal', async () => {
+        const server = new NetworkNode();
+        let remote = null;
+        server.method('reports:generate', context => new Promise(resolve => {
+            remote = context;
+            context.signal.addEventListener('abort', () => resolve('aborted'));
+        }));
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const request = pair.b.request('reports:generate', null);
+        await sleep(10);
+        expect(remote?.signal.aborted).toBe(false);
+
+        request.cancel('No longer needed');
+        const error = await request.catch(error => error);
+        await sleep(10);
+
+        expect(error.cause.error.code).toBe('REQUEST_CANCELLED');
+        expect(remote.signal.aborted).toBe(true);
+    });
+
+    test('follows an external AbortSignal', async () => {
+        const server = new NetworkNode();
+        const aborted = Promise.withResolvers();
+        server.method('reports:generate', context => new Promise(() => {
+            context.signal.addEventListener('abort', () => aborted.resolve(context.signal.reason));
+        }));
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const controller = new AbortController();
+        const request = pair.b.request('reports:generate', null, { signal: controller.signal });
+        await sleep(10);
+        controller.abort();
+
+        await expect(Promise.resolve(request)).rejects.toThrow();
+        expect(await aborted.promise).toBeDefined();
+    });
+});
+
+describe('Request retry', () => {
+    test('sends a lost idempotent request again under the same ID', async () => {
+        const server = createOrdersNode();
+        const requestIds = [];
+        const pair = createLoopbackPair(server, new NetworkNode(), {
+            // Lose the first attempt on its way to the server
+            drop: (frame, direction) => {
+                if (direction !== 'b->a' || !String(frame).includes('orders:status')) return false;
+                requestIds.push(JSON.parse(frame).requestId);
+                return requestIds.length === 1;
+            }
+        });
+
+        const request = pair.b.request('orders:status', { id: 7 }, {
+            idempotent: true,
+            timeout: 30,
+            retry: { baseDelay: 5, jitter: 0, codes: ['REQUEST_TIMEOUT'] }
+        });
+
+        expect(await request).toEqual({ id: 7, status: 'shipped' });
+        expect(request.attempts).toBe(2);
+        expect(server.runs).toBe(1);
+        expect(new Set(requestIds)).toEqual(new Set([request.id]));
+    });
+
+    test('retries the error codes of its policy', async () => {
+        const server = new NetworkNode();
+        let runs = 0;
+        server.method('orders:status', context => {
+            if (++runs === 1) return context.error('INTERNAL_ERROR', 'Database unavailable');
+            context.success({ status: 'shipped' });
+        });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const request = pair.b.request('orders:status', {}, {
+            idempotent: true,
+            retry: { baseDelay: 5, jitter: 0, codes: ['INTERNAL_ERROR'] }
+        });
+
+        expect(await request).toEqual({ status: 'shipped' });
+        expect(request.attempts).toBe(2);
+        expect(runs).toBe(2);
+    });
+
+    test('gives up on requests that are not idempotent', async () => {
+        const pair = createLoopbackPair(createOrdersNode(), new NetworkNode(), {
+            drop: (frame, direction) => direction === 'b->a' && String(frame).includes('orders:status')
+        });
+
+        const request = pair.b.request('orders:status', { id: 7 }, {
+            timeout: 30,
+            retry: { baseDelay: 5, codes: ['REQUEST_TIMEOUT'] }
+        });
+
+        await expect(Promise.resolve(request)).rejects.toThrow('Request timed out after 30ms');
+        expect(request.attempts).toBe(1);
+    });
+});
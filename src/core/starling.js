@@ -2,10 +2,14 @@ import { getCurrentTimestamp } from '../utils';
 import {Maestro} from '@killiandvcz/maestro';
 import { Events } from './events';
 import { Buffer } from './buffer';
-import { RequestsManager } from '../managers';
+import { AcknowledgementsManager, RequestsManager } from '../managers';
 import { handleMessage } from '../handlers';
 import { createApplicationError, createNotification } from '../formatters';
 import { NetworkNode } from './node';
+import { DefaultSerializerPreference, getSerializer } from '../serializers';
+import { Transport, WebSocketTransport } from '../transports';
+import { Heartbeat } from './heartbeat';
+import { Handshake } from './handshake';
 
 /**
 * @typedef {Object} BaseStarlingOptions
@@ -19,6 +23,11 @@ import { NetworkNode } from './node';
 * @property {NetworkNode} [networkNode] Network node
 * @property {import('./buffer').BufferOptions} [buffer] Buffer options
 * @property {import('../managers/requests').RequestManagerOptions} [requests] Requests manager options
+* @property {string} [serializer='json'] Codec used for outgoing messages
+* @property {string[]} [serializers=['msgpack', 'json']] Codecs accepted from the peer, in order of preference
+* @property {import('./handshake').HandshakeOptions} [handshake] Handshake options
+* @property {import('./heartbeat').HeartbeatOptions} [heartbeat] Heartbeat options
+* @property {import('../managers/acknowledgements').AcknowledgementsOptions} [acks] Acknowledgements options
 */
 
 /**
@@ -43,6 +52,8 @@ export class BaseStarling {
             queueMaxRetries: 3,
             queueRetryDelays: [1000, 2000, 5000],
             maxMessageSize: 1024 * 1024,
+            serializer: 'json',
+            serializers: DefaultSerializerPreference,
             ...options
         };
         
@@ -53,8 +64,14 @@ export class BaseStarling {
         /** @protected @type {NetworkNode} */
         this._networkNode = options.networkNode instanceof NetworkNode ? options.networkNode : null;
         
-        /** @protected */
-        this._ws = null;
+        /** @protected @type {Transport} */
+        this._transport = null;
+        
+        /** @private */
+        this._transportListeners = [];
+        
+        /** @protected @type {import('../serializers').Serializer} */
+        this._serializer = getSerializer(this._options.serializer);
         
         /** @protected */
         this._createdAt = getCurrentTimestamp();
@@ -71,6 +88,13 @@ export class BaseStarling {
         /** @protected */
         this._data = new Map();
         
+        /**
+        * Inbound requests currently executing, by request ID
+        * @protected
+        * @type {Map<string, import('./context').RequestContext>}
+        */
+        this._incomingRequests = new Map();
+        
         /**
         * Local starling events
         */
@@ -88,24 +112,138 @@ export class BaseStarling {
         this.timers = Maestro.group({name: 'Starling Timers'});
         
         
-        this._buffer = new Buffer(this, this._options?.buffer || {});
+        this._buffer = new Buffer(this, {
+            maxAge: this._options.messageMaxAge,
+            ...(this._options?.buffer || {})
+        });
         this._requests = new RequestsManager(this, this.events, this._options?.requests || {});
+        this._handshake = new Handshake(this, this._options?.handshake || {});
+        this._heartbeat = new Heartbeat(this, this._options?.heartbeat || {});
+        this._acks = new AcknowledgementsManager(this, this.events, this._options?.acks || {});
+        
+        /**
+        * Topic patterns the peer publishes to this starling, by pattern
+        * @protected
+        * @type {Map<string, {persistent: boolean, handlers: Array<{off: function(): void}>}>}
+        */
+        this._subscriptions = new Map();
+        
+        /**
+        * Highest history sequence number received from the peer, used as replay cursor
+        * @protected
+        * @type {number|null}
+        */
+        this._lastSeq = null;
+        
+        const own = event => !event.data?.starling || event.data.starling === this;
+        this.events.on('starling:connected', event => own(event) && this._restoreSubscriptions());
+        this.events.on('starling:disconnected', event => own(event) && this._endSubscriptions());
     }
     
     get _state() {
-        if (this._ws?.readyState) {
-            switch (this._ws.readyState) {
-                case 0:
-                return 'connecting';
-                case 1:
-                return 'connected';
-                case 2:
-                return 'closing';
-                case 3:
-                return 'disconnected';
-            }
+        return this._transport?.state || 'disconnected';
+    }
+    
+    /**
+    * Underlying WebSocket, kept for implementations that assign their socket directly.
+    * Assigning a socket wraps it in a passive {@link WebSocketTransport}: its events stay routed by the caller,
+    * which also reports the connection lifecycle (`starling:connected` / `starling:disconnected`).
+    * @deprecated Use attach() with a Transport instead
+    */
+    get _ws() {
+        return this._transport instanceof WebSocketTransport ? this._transport.socket : null;
+    }
+    
+    set _ws(ws) {
+        this._unbindTransport();
+        this._transport = ws ? new WebSocketTransport(ws, { listen: false }) : null;
+    }
+    
+    /**
+    * Binds the Starling to a transport: incoming frames are handled, and the transport
+    * lifecycle is reported as `starling:connected` / `starling:disconnected` events.
+    * @param {Transport} transport Transport to talk through
+    * @returns {this} For chaining
+    */
+    attach(transport) {
+        if (!(transport instanceof Transport)) {
+            throw new TypeError('attach() expects a Transport instance');
+        }
+        
+        this._unbindTransport();
+        this._transport = transport;
+        
+        this._transportListeners = [
+            transport.onMessage(data => this.handleMessage(data)),
+            transport.onOpen(() => this._onTransportOpen()),
+            transport.onClose(info => this._onTransportClose(info)),
+            transport.onError(error => this.events.emit('transport:error', {
+                starling: this,
+                error,
+                debug: {
+                    type: 'error',
+                    message: `Transport error: ${error?.message || 'Unknown error'}`
+                }
+            }))
+        ];
+        
+        if (transport.isOpen) {
+            this._onTransportOpen();
+        }
+        
+        return this;
+    }
+    
+    /**
+    * Unbinds the current transport without closing it
+    * @returns {Transport|null} The detached transport
+    */
+    detach() {
+        const transport = this._transport;
+        this._unbindTransport();
+        this._transport = null;
+        return transport;
+    }
+    
+    /**
+    * @private
+    */
+    _unbindTransport() {
+        for (const listener of this._transportListeners) {
+            listener.off();
         }
-        return 'disconnected';
+        this._transportListeners = [];
+    }
+    
+    /**
+    * @protected
+    */
+    _onTransportOpen() {
+        this._lastConnected = getCurrentTimestamp();
+        this.events.emit('starling:connected', {
+            starling: this,
+            debug: {
+                type: 'info',
+                message: `Starling ${String(this._id)} connected`
+            }
+        });
+    }
+    
+    /**
+    * @protected
+    * @param {import('../transports').TransportCloseInfo} info
+    */
+    _onTransportClose(info = {}) {
+        this._disconnectedAt = getCurrentTimestamp();
+        this.events.emit('starling:disconnected', {
+            starling: this,
+            code: info.code,
+            reason: info.reason,
+            debug: {
+                type: 'info',
+                message: `Starling ${String(this._id)} disconnected${info.reason ? `: ${info.reason}` : ''}`
+            }
+        });
     }
     
     
@@ -117,6 +255,42 @@ export class BaseStarling {
         handleMessage(this, message)
     }
     
+    /**
+    * Switches the codec used for outgoing protocol messages
+    * @param {string|import('../serializers').Serializer} serializer Codec name or serializer object
+    * @returns {this} For chaining
+    */
+    useSerializer(serializer) {
+        const previous = this._serializer;
+        this._serializer = getSerializer(serializer);
+        
+        if (previous !== this._serializer) {
+            this.events.emit('serializer:changed', {
+                starling: this,
+                previous: previous?.name,
+                serializer: this._serializer.name,
+                debug: {
+                    type: 'info',
+                    message: `Serializer changed from ${previous?.name} to ${this._serializer.name}`
+                }
+            });
+        }
+        return this;
+    }
+    
+    /**
+    * Encodes a message for the wire. Protocol objects go through the serializer, raw frames are left untouched.
+    * @protected
+    * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
+    * @returns {string|ArrayBuffer|Uint8Array} Wire frame
+    */
+    _encode(message) {
+        if (typeof message === 'object' && !(message instanceof ArrayBuffer) && !ArrayBuffer.isView(message)) {
+            return this._serializer.encode(message);
+        }
+        return message;
+    }
+    
     /**
     * 
     * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
@@ -124,26 +298,24 @@ export class BaseStarling {
     */
     _send(message) {
         try {
-            const content = typeof message === 'object' && !(message instanceof ArrayBuffer)
-            ? JSON.stringify(message)
-            : message;
+            const content = this._encode(message);
             
-            
-            
-            this._ws.send(content);
+            this._transport.send(content);
             this.events.emit('message:send:success', {
                 starling: this,
                 message,
                 debug: {
                     type: 'message',
-                    message: `Message sent: ${content}`
+                    message: typeof content === 'string'
+                    ? `Message sent: ${content}`
+                    : `Message sent: ${content.byteLength} bytes (${this._serializer.name})`
                 }
             });
             return true;
         } catch (error) {
             console.log('error', error);
             
-            this.events.events.emit('message:send:failed', {
+            this.events.emit('message:send:failed', {
                 starling: this,
                 error,
                 debug: {
@@ -157,21 +329,48 @@ export class BaseStarling {
     /**
     * Send a message (let the buffer handle)
     * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
-    * @returns {Promise<boolean>} Whether the message was sent
+    * @param {import('./buffer').SendOptions} [options={}] Send options
+    * @returns {Promise<import('./buffer').SendStatus>} Resolves once queued, with `backpressure` set when the caller should slow down
     */
-    send(message) {
-        return this._buffer.add(message);
+    send(message, options = {}) {
+        const status = this._buffer.add(message, options);
+        // Internal senders do not wait for the status: a rejected message must not go unhandled
+        status.catch(() => {});
+        return status;
     }
     
+    /**
+    * @typedef {import("../types/messages.d").NotificationOptions & {
+    *   ack?: boolean|import('../managers/acknowledgements').DeliveryOptions
+    * }} NotifyOptions
+    */
+    
     /**
     * Send a notification
     * @param {string} topic
     * @param {*} data
-    * @param {string} [requestId=null]
-    * @param {import("../types/messages.d").NotificationOptions} [options] - Message options
+    * @param {string|NotifyOptions} [requestId=null] Request the notification relates to, or the options when it relates to none
+    * @param {NotifyOptions} [options] - Message options. With `ack`, the notification is redelivered until the peer acknowledges it.
+    * @returns {Promise<*>} Resolves once queued (see `send`), or once acknowledged when `ack` is set
+    * @example
+    * starling.notify('devices:42:status', { online: false }, { retain: true });
     */
     notify(topic, data = null, requestId = null, options = {}) {
-        this.send(createNotification(topic, data, { requestId }, options));
+        if (requestId && typeof requestId === 'object') {
+            options = requestId;
+            requestId = null;
+        }
+        const { ack, ...messageOptions } = options;
+        const message = createNotification(topic, data, {
+            ...messageOptions,
+            requestId: requestId ?? undefined,
+            ...(ack && { messageId: crypto.randomUUID() })
+        });
+        
+        if (ack) {
+            return this._acks.deliver(message, typeof ack === 'object' ? ack : {});
+        }
+        return this.send(message);
     }
     
     /**
@@ -182,6 +381,191 @@ export class BaseStarling {
     request = (method, payload, options = {}) => this._requests.execute(this, method, payload, options); 
     
     
+    /**
+    * @typedef {import('./request').RequestOptions & {
+    *   persistent?: boolean,
+    *   priority?: number,
+    *   since?: number|{seq: number}|{timestamp: number}
+    * }} SubscribeOptions
+    */
+    
+    /**
+    * Asks the peer to publish the notifications matching topic patterns to this starling.
+    * Subscriptions end with the connection, unless persistent: those are restored on the peer
+    * (`system:subscriptions:sync`) each time the starling reconnects.
+    * @param {string|string[]} topics Topic patterns
+    * @param {function(import('./context').NotificationContext): Promise<void>} [handler] Handler for the notifications of this starling (registered on the node topics)
+    * @param {SubscribeOptions} [options={}] Subscription and request options
+    * @returns {Promise<string[]>} Every pattern the peer now publishes to this starling
+    */
+    subscribe = async (topics, handler = null, options = {}) => {
+        if (handler && typeof handler === 'object') {
+            options = handler;
+            handler = null;
+        }
+        const { persistent = false, priority, since, ...requestOptions } = options;
+        const patterns = [].concat(topics);
+        const previous = new Map();
+        const added = [];
+        
+        for (const pattern of patterns) {
+            const existing = this._subscriptions.get(pattern);
+            if (!previous.has(pattern)) {
+                previous.set(pattern, existing ? existing.persistent : null);
+            }
+            const subscription = existing || { persistent: false, handlers: [] };
+            subscription.persistent = subscription.persistent || persistent;
+            if (handler && this._networkNode) {
+                const handle = this._networkNode.topics.subscribe(pattern, handler, {
+                    starling: this,
+                    persistent,
+                    priority
+                });
+                subscription.handlers.push(handle);
+                added.push(handle);
+            }
+            this._subscriptions.set(pattern, subscription);
+        }
+        
+        let response;
+        try {
+            response = await this.request('system:subscribe', {
+                topics: patterns,
+                ...(since !== undefined && { since })
+            }, requestOptions);
+        } catch (error) {
+            // The peer publishes nothing new: leave the subscriptions as they were
+            added.forEach(handle => handle.off());
+            for (const [pattern, persistent] of previous) {
+                const subscription = this._subscriptions.get(pattern);
+                if (!subscription) continue;
+                subscription.handlers = subscription.handlers.filter(handle => !added.includes(handle));
+                if (persistent === null) {
+                    this._subscriptions.delete(pattern);
+                } else {
+                    subscription.persistent = persistent;
+                }
+            }
+            throw error;
+        }
+        const { topics: subscribed, seq, truncated } = response;
+        
+        // Without replay, everything up to now is known: restore from there after a reconnection
+        if (since === undefined) {
+            this._trackSeq(seq);
+        }
+        if (truncated) {
+            this._emitTruncated(patterns);
+        }
+        return subscribed;
+    }
+    
+    /**
+    * Asks the peer to stop publishing topic patterns to this starling (and removes their handlers)
+    * @param {string|string[]} topics Topic patterns, exactly as subscribed
+    * @param {import('./request').RequestOptions} [options={}] Request options
+    * @returns {Promise<string[]>} Every pattern the peer still publishes to this starling
+    */
+    unsubscribe = async (topics, options = {}) => {
+        const patterns = [].concat(topics);
+        
+        for (const pattern of patterns) {
+            this._subscriptions.get(pattern)?.handlers.forEach(handle => handle.off());
+            this._subscriptions.delete(pattern);
+        }
+        
+        const { topics: subscribed } = await this.request('system:unsubscribe', {
+            topics: patterns
+        }, options);
+        return subscribed;
+    }
+    
+    /**
+    * Re-announces persistent subscriptions after a reconnection
+    * @protected
+    */
+    _restoreSubscriptions() {
+        const topics = [...this._subscriptions.keys()];
+        if (topics.length === 0) return;
+        
+        const since = this._lastSeq;
+        this.request('system:subscriptions:sync', {
+            topics,
+            ...(since !== null && { since: { seq: since } })
+        })
+        .then(({ topics: restored, seq, truncated }) => {
+            if (since === null) {
+                this._trackSeq(seq);
+            }
+            if (truncated) {
+                this._emitTruncated(restored);
+            }
+            this.events.emit('subscriptions:restored', {
+                starling: this,
+                topics: restored,
+                debug: {
+                    type: 'info',
+                    message: `Restored ${restored.length} subscription(s)`
+                }
+            });
+        })
+        .catch(error => {
+            this.events.emit('subscriptions:restore_failed', {
+                starling: this,
+                topics,
+                error,
+                debug: {
+                    type: 'error',
+                    message: `Failed to restore subscriptions: ${error.message}`
+                }
+            });
+        });
+    }
+    
+    /**
+    * Moves the replay cursor forward
+    * @protected
+    * @param {number} [seq] History sequence number received from the peer
+    */
+    _trackSeq(seq) {
+        if (typeof seq !== 'number') return;
+        this._lastSeq = Math.max(this._lastSeq ?? 0, seq);
+    }
+    
+    /**
+    * Tells that the peer replayed only part of the history it holds for subscribed patterns
+    * @protected
+    * @param {string[]} topics Topic patterns
+    */
+    _emitTruncated(topics) {
+        this.events.emit('history:truncated', {
+            starling: this,
+            topics,
+            debug: {
+                type: 'warning',
+                message: `History replay of ${topics.join(', ')} truncated by the peer replay limit`
+            }
+        });
+    }
+    
+    /**
+    * Forgets non-persistent subscriptions once disconnected (the node tears down their handlers)
+    * @protected
+    */
+    _endSubscriptions() {
+        for (const [pattern, subscription] of this._subscriptions) {
+            if (!subscription.persistent) {
+                this._subscriptions.delete(pattern);
+            }
+        }
+    }
+    
+    /**
+    * Measures the round-trip time to the peer
+    * @returns {Promise<number>} Round-trip time in ms
+    */
+    ping = () => this._heartbeat.ping();
+    
     /**
     * Sends an error message
     * @param {string} code Error code
@@ -196,6 +580,62 @@ export class BaseStarling {
         return this._id;
     }
     
+    /**
+    * Rolling round-trip time statistics, measured by the heartbeat
+    * @returns {import('./heartbeat').LatencyStats}
+    */
+    get latency() {
+        return this._heartbeat.latency;
+    }
+    
+    /**
+    * Protocol version negotiation
+    * @returns {Handshake}
+    */
+    get handshake() {
+        return this._handshake;
+    }
+    
+    /**
+    * Topic patterns the peer publishes to this starling
+    * @returns {Array<{topic: string, persistent: boolean}>}
+    */
+    get subscriptions() {
+        return Array.from(this._subscriptions, ([topic, { persistent }]) => ({ topic, persistent }));
+    }
+    
+    /**
+    * Connection heartbeat
+    * @returns {Heartbeat}
+    */
+    get heartbeat() {
+        return this._heartbeat;
+    }
+    
+    /**
+    * Transport the Starling talks through
+    * @returns {Transport|null}
+    */
+    get transport() {
+        return this._transport;
+    }
+    
+    /**
+    * Codec used to encode outgoing protocol messages
+    * @returns {import('../serializers').Serializer}
+    */
+    get serializer() {
+        return this._serializer;
+    }
+    
+    /**
+    * Codecs accepted from the peer, in order of preference
+    * @returns {string[]}
+    */
+    get serializers() {
+        return this._options.serializers;
+    }
+    
     
     /**
     * Current connection state
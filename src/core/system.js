@@ -0,0 +1,264 @@
+import { CommonErrors, Protocol } from '../constants';
+import { getCurrentTimestamp } from '../utils';
+import { validateTopicPattern } from '../validators';
+
+/**
+* Reads the `{ topics }` payload of subscription requests
+* @param {*} payload Request payload
+* @returns {string[]} Topic patterns
+* @private
+*/
+function readTopics(payload) {
+    const topics = typeof payload?.topics === 'string' ? [payload.topics] : payload?.topics;
+    
+    if (!Array.isArray(topics) || topics.length === 0) {
+        throw {
+            code: CommonErrors.VALIDATION_ERROR,
+            message: 'Payload must contain a non-empty topics array',
+            details: { errors: [{ path: '/topics', message: 'Required property is missing' }] }
+        };
+    }
+    
+    const errors = topics.flatMap((topic, i) => validateTopicPattern(topic).errors.map(message => ({ path: `/topics/${i}`, message })));
+    if (errors.length > 0) {
+        throw {
+            code: CommonErrors.VALIDATION_ERROR,
+            message: 'Invalid topic patterns',
+            details: { errors }
+        };
+    }
+    
+    return topics;
+}
+
+/**
+* Reads the optional `since` replay cursor of subscription requests:
+* a sequence number, `{ seq }` or `{ timestamp }`
+* @param {*} since Cursor
+* @returns {import('../managers/history').HistoryCursor|null}
+* @private
+*/
+function readCursor(since) {
+    if (since === undefined || since === null) return null;
+    
+    if (typeof since === 'number' && since >= 0) return { seq: since };
+    if (typeof since?.seq === 'number' && since.seq >= 0) return { seq: since.seq };
+    if (typeof since?.timestamp === 'number') return { timestamp: since.timestamp };
+    
+    throw {
+        code: CommonErrors.VALIDATION_ERROR,
+        message: 'since must be a sequence number, { seq } or { timestamp }',
+        details: { errors: [{ path: '/since', message: 'Invalid replay cursor' }] }
+    };
+}
+
+/**
+* Reads the `{ session?, token?, pending? }` payload of session requests
+* @param {*} payload Request payload
+* @returns {{session?: string, token?: string, pending: string[]}}
+* @private
+*/
+function readSession(payload) {
+    const errors = [];
+    for (const field of ['session', 'token']) {
+        const value = payload?.[field];
+        if (value !== undefined && (typeof value !== 'string' || value.length === 0 || value.length > 128)) {
+            errors.push({ path: `/${field}`, message: 'Must be a string of 1 to 128 characters' });
+        }
+    }
+    const pending = payload?.pending ?? [];
+    if (!Array.isArray(pending) || pending.some(requestId => typeof requestId !== 'string')) {
+        errors.push({ path: '/pending', message: 'Must be an array of request IDs' });
+    }
+    
+    if (errors.length > 0) {
+        throw {
+            code: CommonErrors.VALIDATION_ERROR,
+            message: 'Invalid session payload',
+            details: { errors }
+        };
+    }
+    return { session: payload?.session, token: payload?.token, pending };
+}
+
+/**
+* Sends what a subscriber needs right after subscribing: the history after its cursor when it
+* provides one, the retained values otherwise
+* @param {import('./node').NetworkNode} node Network node
+* @param {import('./starling').BaseStarling} starling Subscriber
+* @param {string[]} patterns Subscribed patterns
+* @param {import('../managers/history').HistoryCursor|null} cursor Replay cursor
+* @returns {Promise<boolean>} Whether the replay was truncated by `replayLimit`
+* @private
+*/
+async function catchUp(node, starling, patterns, cursor) {
+    if (cursor && node.history.enabled) {
+        const { truncated } = await node.replay(starling, patterns, cursor);
+        return truncated;
+    }
+    deliverRetained(node, starling, patterns);
+    return false;
+}
+
+/**
+* Sends the retained values matching newly subscribed patterns, each topic once
+* @param {import('./node').NetworkNode} node Network node
+* @param {import('./starling').BaseStarling} starling Subscriber
+* @param {string[]} patterns Subscribed patterns
+* @private
+*/
+function deliverRetained(node, starling, patterns) {
+    const delivered = new Set();
+    for (const pattern of patterns) {
+        for (const value of node.retained.match(pattern)) {
+            if (delivered.has(value.topic)) continue;
+            delivered.add(value.topic);
+            starling.notify(value.topic, value.data, null, { retained: true });
+        }
+    }
+}
+
+/**
+* Built-in `system:*` methods, registered as internal methods on every network node.
+* Introspection only publishes methods that are neither private nor internal.
+* @param {import('./node').NetworkNode} node Network node
+* @returns {import('../managers/methods').builtInMethods}
+*/
+export function createSystemMethods(node) {
+    return {
+        /**
+        * Lists the names of the public methods
+        */
+        'system:methods': async context => {
+            context.success({
+                methods: node.methods.getListedMethods().map(method => method.name)
+            });
+        },
+
+        /**
+        * Describes one public method (`{ method }` payload) or all of them
+        */
+        'system:describe': async context => {
+            const name = context.payload?.method;
+
+            if (name !== undefined) {
+                const method = node.methods.get(name);
+                if (!method || !method.isListed) {
+                    throw {
+                        code: CommonErrors.METHOD_NOT_FOUND,
+                        message: `Method ${name} not found`
+                    };
+                }
+                context.success(method.describe());
+                return;
+            }
+
+            context.success({
+                protocol: {
+                    name: Protocol.NAME,
+                    version: Protocol.CURRENT_VERSION
+                },
+                methods: node.methods.getListedMethods().map(method => method.describe())
+            });
+        },
+
+        /**
+        * Lists the topics the node handles
+        */
+        'system:topics': async context => {
+            context.success({
+                topics: node.topics.getTopics()
+            });
+        },
+
+        /**
+        * Subscribes the calling peer to topic patterns (`{ topics, since? }` payload), published with `node.publish()`.
+        * With a `since` cursor, the notifications missed since then are replayed first, and `truncated` tells
+        * whether `replayLimit` left some out.
+        */
+        'system:subscribe': async context => {
+            const topics = readTopics(context.payload);
+            const cursor = readCursor(context.payload?.since);
+            for (const topic of topics) {
+                node.subscriptions.add(context.starling, topic);
+            }
+            const seq = node.history.lastSeq;
+            const truncated = await catchUp(node, context.starling, topics, cursor);
+            context.success({
+                topics: node.subscriptions.get(context.starling),
+                seq,
+                truncated
+            });
+        },
+
+        /**
+        * Unsubscribes the calling peer from topic patterns (`{ topics }` payload)
+        */
+        'system:unsubscribe': async context => {
+            for (const topic of readTopics(context.payload)) {
+                node.subscriptions.remove(context.starling, topic);
+            }
+            context.success({
+                topics: node.subscriptions.get(context.starling)
+            });
+        },
+
+        /**
+        * Replaces the subscriptions of the calling peer (`{ topics }` payload, may be empty),
+        * sent after a reconnection to restore its persistent subscriptions
+        */
+        'system:subscriptions:sync': async context => {
+            const topics = context.payload?.topics ?? [];
+            const cursor = readCursor(context.payload?.since);
+            // Only an empty array clears the subscriptions: anything else must hold valid patterns
+            const patterns = Array.isArray(topics) && topics.length === 0 ? [] : readTopics({ topics });
+            const synced = node.subscriptions.sync(context.starling, patterns);
+            const seq = node.history.lastSeq;
+            // Values may have changed while the peer was away
+            const truncated = await catchUp(node, context.starling, synced, cursor);
+            context.success({
+                topics: synced,
+                seq,
+                truncated
+            });
+        },
+
+        /**
+        * Opens a session for the calling peer, or resumes the one it was issued (`{ session?, token?, pending? }` payload).
+        * On resumption, answers the requests the peer is still waiting for (`pending`): the responses
+        * it missed, the requests still running, and those never received that it must send again.
+        */
+        'system:session': async context => {
+            const { session: id, token, pending } = readSession(context.payload);
+            const { session, resumed } = node.sessions.open(context.starling, { id, token });
+            context.success({
+                session: session.id,
+                token: session.token,
+                resumed,
+                // A new session knows nothing of the requests sent before
+                ...(resumed ? node.sessions.recover(session, pending) : { responses: [], running: [], unknown: [] })
+            });
+        },
+
+        /**
+        * Application-level liveness check
+        */
+        'system:ping': async context => {
+            context.success({
+                pong: true,
+                timestamp: getCurrentTimestamp()
+            });
+        },
+
+        /**
+        * Node clock, for peers estimating their clock offset
+        */
+        'system:time': async context => {
+            const timestamp = getCurrentTimestamp();
+            context.success({
+                timestamp,
+                iso: new Date(timestamp).toISOString()
+            });
+        }
+    };
+}
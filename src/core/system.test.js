@@ -0,0 +1,71 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from './node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+/**
+* Server node with a public and a private method
+*/
+const createServer = options => {
+    const node = new NetworkNode({}, options);
+    node.method('users:get', context => context.success({}), {
+        description: 'Gets a user',
+        metadata: { tags: ['users'] }
+    });
+    node.method('admin:purge', context => context.success({}), { private: true });
+    return node;
+};
+
+describe('System methods', () => {
+    test('lists the public methods only', async () => {
+        const pair = createLoopbackPair(createServer(), new NetworkNode());
+
+        const { methods } = await pair.b.request('system:methods', null);
+
+        expect(methods).toEqual(['users:get']);
+    });
+
+    test('describes a public method', async () => {
+        const pair = createLoopbackPair(createServer(), new NetworkNode());
+
+        const all = await pair.b.request('system:describe', null);
+        const one = await pair.b.request('system:describe', { method: 'users:get' });
+
+        expect(all.methods).toEqual([one]);
+        expect(one).toMatchObject({
+            name: 'users:get',
+            namespace: 'users',
+            description: 'Gets a user',
+            metadata: { tags: ['users'] }
+        });
+    });
+
+    test('does not describe private methods', async () => {
+        const pair = createLoopbackPair(createServer(), new NetworkNode());
+
+        const request = pair.b.request('system:describe', { method: 'admin:purge' });
+
+        await expect(Promise.resolve(request)).rejects.toThrow('Method admin:purge not found');
+        expect(request.error.code).toBe('METHOD_NOT_FOUND');
+    });
+
+    test('answers pings with the node clock', async () => {
+        const pair = createLoopbackPair(createServer(), new NetworkNode());
+        const before = Date.now();
+
+        const pong = await pair.b.request('system:ping', null);
+        const { timestamp, iso } = await pair.b.request('system:time', null);
+
+        expect(pong.pong).toBe(true);
+        expect(timestamp).toBeGreaterThanOrEqual(before);
+        expect(new Date(iso).getTime()).toBe(timestamp);
+    });
+
+    test('registers no system methods when opted out', async () => {
+        const pair = createLoopbackPair(createServer({ systemMethods: false }), new NetworkNode());
+
+        const request = pair.b.request('system:methods', null);
+
+        await expect(Promise.resolve(request)).rejects.toThrow();
+        expect(request.error.code).toBe('METHOD_NOT_FOUND');
+    });
+});
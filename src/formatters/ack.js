@@ -0,0 +1,18 @@
+import { MessageType } from "../constants/protocol";
+import { createBaseMessage } from "./base";
+
+/**
+* Creates a delivery acknowledgement
+* @param {string} messageId - ID of the message being acknowledged
+* @param {*} [data] - Optional data returned to the sender
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").AckMessage} Formatted ack message
+*/
+export function createAck(messageId, data = undefined, options = {}) {
+  return {
+    ...createBaseMessage(options),
+    type: MessageType.ACK,
+    messageId,
+    ...(data !== undefined && { data })
+  };
+}
@@ -11,6 +11,7 @@ export function createBaseMessage(options = {}) {
       protocol: Protocol.NAME,
       version: Protocol.CURRENT_VERSION,
       timestamp: Date.now(),
-      ...(options.peer ? { peer: options.peer } : {})
+      ...(options.peer ? { peer: options.peer } : {}),
+      ...(options.priority !== undefined && { priority: options.priority })
     };
   }
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { MessageType } from "../constants/protocol";
+import { createBaseMessage } from "./base";
+
+/**
+* Creates a cancel message, telling the peer to stop processing a request
+* @param {import("../types/protocol.d").requestId} requestId - ID of the request to cancel
+* @param {string} [reason] - Cancellation reason
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").CancelMessage} Formatted cancel message
+*/
+export function createCancel(requestId, reason = undefined, options = {}) {
+  return {
+    ...createBaseMessage(options),
+    type: MessageType.CANCEL,
+    requestId,
+    ...(reason !== undefined && { reason })
+  };
+}
@@ -0,0 +1,21 @@
+import { MessageType, Protocol } from "../constants/protocol";
+import { createBaseMessage } from "./base";
+
+/**
+* Creates a handshake message, announcing the local protocol version range and capabilities
+* @param {import("../types/protocol.d").Capabilities} [capabilities] - Supported features
+* @param {Object} [extra] - Additional handshake fields
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").HandshakeMessage} Formatted handshake message
+*/
+export function createHandshake(capabilities = {}, extra = {}, options = {}) {
+  return {
+    ...createBaseMessage(options),
+    type: MessageType.HANDSHAKE,
+    handshake: {
+      ...extra,
+      minVersion: Protocol.MIN_VERSION,
+      capabilities
+    }
+  };
+}
@@ -13,9 +13,15 @@ export function createNotification(topic, data, options = {}) {
     ...createBaseMessage(options),
     type: MessageType.NOTIFICATION,
     ...(options.requestId !== undefined && { requestId: options.requestId }),
+    ...(options.messageId !== undefined && { messageId: options.messageId }),
     notification: {
       ...(topic !== undefined && { topic }),
-      data
+      data,
+      ...(options.retain && { retain: true }),
+      ...(options.retain && options.ttl !== undefined && { ttl: options.ttl }),
+      ...(options.retained && { retained: true }),
+      ...(options.seq !== undefined && { seq: options.seq }),
+      ...(options.replayed && { replayed: true })
     }
   };
 }
\ No newline at end of file
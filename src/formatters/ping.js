@@ -0,0 +1,31 @@
+import { MessageType } from "../constants/protocol";
+import { createBaseMessage } from "./base";
+
+/**
+* Creates a heartbeat ping
+* @param {string} [pingId] - Ping identifier, echoed back by the pong
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").PingMessage} Formatted ping message
+*/
+export function createPing(pingId = crypto.randomUUID(), options = {}) {
+  return {
+    ...createBaseMessage(options),
+    type: MessageType.PING,
+    pingId
+  };
+}
+
+/**
+* Creates the reply to a heartbeat ping
+* @param {string} pingId - Identifier of the ping being answered
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").PingMessage} Formatted pong message
+*/
+export function createPong(pingId, options = {}) {
+  return {
+    ...createBaseMessage(options),
+    type: MessageType.PING,
+    pingId,
+    pong: true
+  };
+}
@@ -14,6 +14,7 @@ import { createBaseMessage } from "./base";
       type: MessageType.REQUEST,
       requestId: options.requestId || crypto.randomUUID(),
       method,
-      ...(payload !== undefined && { payload })
+      ...(payload !== undefined && { payload }),
+      ...(options.idempotencyKey && { idempotencyKey: options.idempotencyKey })
     };
   }
\ No newline at end of file
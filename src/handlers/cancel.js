@@ -0,0 +1,37 @@
+/**
+* Handle cancel message for an INBOUND request
+* @param {import('../core/starling').BaseStarling} starling Starling instance
+* @param {import('../types/messages.d').CancelMessage} message Cancel message
+*/
+export const handleCancel = (starling, message) => {
+    const events = starling?._events;
+    
+    /** @type {import('../core').RequestContext} */
+    const context = starling?._incomingRequests?.get(message.requestId);
+    
+    if (!context) {
+        // Already answered, or never received
+        events.emit('request:cancel_unknown', {
+            starling: starling,
+            requestId: message.requestId,
+            debug: {
+                type: 'info',
+                message: `Cancel received for unknown request ${message.requestId}`
+            }
+        });
+        return;
+    }
+    
+    context.abort(message.reason || 'Request cancelled by peer');
+    
+    events.emit('request:cancelled', {
+        starling: starling,
+        requestId: message.requestId,
+        method: context.method,
+        reason: message.reason,
+        debug: {
+            type: 'info',
+            message: `Request ${message.requestId} cancelled by peer${message.reason ? `: ${message.reason}` : ''}`
+        }
+    });
+};
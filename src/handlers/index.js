@@ -1,4 +1,5 @@
 export * from "./message.js";
 export * from "./notification.js";
 export * from "./request.js";
-export * from "./response.js";
\ No newline at end of file
+export * from "./response.js";
+export * from "./cancel.js";
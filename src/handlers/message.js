@@ -2,6 +2,8 @@ import { resolve, createProtocolError, createApplicationError, CommonErrors, Err
 import { handleRequest } from './request';
 import { handleResponse } from './response';
 import { handleNotification } from './notification';
+import { handleCancel } from './cancel';
+import { getSerializer } from '../serializers';
 
 /**
 * Main message handler that routes messages to appropriate sub-handlers
@@ -12,12 +14,14 @@ export async function handleMessage(starling, rawMessage) {
     
     try {
         resolve(rawMessage, {
-            maxMessageSize: starling._options.maxMessageSize
+            maxMessageSize: starling._options.maxMessageSize,
+            serializers: (starling.serializers || []).map(serializer => getSerializer(serializer))
         })
         .onRequest(async request => {
             const context = new RequestContext(starling, request.payload, {
                 method: request.method,
                 requestId: request.requestId,
+                idempotencyKey: request.idempotencyKey,
                 timestamp: request.timestamp,
                 metadata: request.metadata,
                 peer: request.peer || null
@@ -58,12 +62,17 @@ export async function handleMessage(starling, rawMessage) {
         })
         .onNotification(async message => {
             
-            const { topic, data, metadata = {} } = message.notification;
+            const { topic, data, metadata = {}, retain, ttl, retained, seq, replayed } = message.notification;
             
             const context = new NotificationContext(starling, {topic, data}, {
                 timestamp: message.timestamp,
                 metadata: metadata,
+                ...(retain ? {retain: {ttl}} : {}),
+                ...(retained ? {retained} : {}),
+                ...(seq !== undefined ? {seq} : {}),
+                ...(replayed ? {replayed} : {}),
                 ...(message.requestId ? {requestId: message.requestId} : {}),
+                ...(message.messageId ? {messageId: message.messageId} : {}),
                 peer: message.peer || null
             });
             
@@ -73,9 +82,52 @@ export async function handleMessage(starling, rawMessage) {
                 return;
             }
             
-            handleNotification(starling, context);
+            if (!context.messageId) {
+                handleNotification(starling, context);
+                return;
+            }
+            
+            // Delivery acknowledgement requested: dispatch once, acknowledge every copy once dispatched
+            const status = starling._acks.receive(context.messageId);
+            if (status === 'delivered') {
+                starling._acks.acknowledge(context.messageId);
+            }
+            if (status !== 'new') {
+                return;
+            }
+            
+            if (!await handleNotification(starling, context)) {
+                // Left unacknowledged, the notification is redelivered and dispatched again
+                starling._acks.forget(context.messageId);
+                return;
+            }
+            starling._acks.delivered(context.messageId);
+            if (!context.isAcknowledged) {
+                starling._acks.acknowledge(context.messageId);
+            }
+        })
+        .onAck(ack => {
+            starling._acks?.handleAck(ack);
+        })
+        .onCancel(message => {
+            if (message.peer) {
+                starling._networkNode?.config.proxyConfiguration.cancel?.(starling, message);
+                return;
+            }
+            
+            handleCancel(starling, message);
+        })
+        .onPing(message => {
+            starling._heartbeat?.handle(message);
+        })
+        .onHandshake(message => {
+            starling._handshake?.handle(message);
         })
         .onErrorMessage(error => {
+            if (error.error?.code === CommonErrors.VERSION_MISMATCH && !error.peer) {
+                starling._handshake?.rejected(error.error);
+            }
+
             const context = new ErrorMessageContext(starling, error, {
                 timestamp: error.timestamp,
                 metadata: error.metadata,
@@ -122,8 +174,8 @@ export async function handleMessage(starling, rawMessage) {
                 }
             });
         })
-        .onViolation(violations => {
-            handleProtocolError(starling, violations);
+        .onViolation((violations, result) => {
+            handleProtocolError(starling, violations, result?.versionMismatch);
         });
         
     } catch (error) {
@@ -137,7 +189,7 @@ export async function handleMessage(starling, rawMessage) {
 * Handles protocol error messages
 * @private
 */
-function handleProtocolError(starling, violations) {
+function handleProtocolError(starling, violations, versionMismatch = false) {
     starling._events.emit('message:protocol_error', {
         starling: starling,
         violations,
@@ -148,7 +200,11 @@ function handleProtocolError(starling, violations) {
     });
     
     // Send error response to client
-    starling.send(createProtocolError(CommonErrors.PROTOCOL_VIOLATION, 'Message processing failed', { violations }));
+    starling.send(createProtocolError(
+        versionMismatch ? CommonErrors.VERSION_MISMATCH : CommonErrors.PROTOCOL_VIOLATION,
+        'Message processing failed',
+        { violations }
+    ));
 }
 
 
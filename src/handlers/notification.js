@@ -5,45 +5,66 @@ import { CommonErrors } from '../constants';
  * 
  * @param {import('../core/starling').BaseStarling} starling Starling instance
  * @param {import('../core').NotificationContext} context Notification context
+ * @returns {Promise<boolean>} Whether the notification was dispatched without any handler failing (errors are
+ * reported as `notification:error` events)
  */
 export const handleNotification = async (starling, context) => {
+    try {
+        /**
+         * @type {import('../managers/topics').TopicsManager}
+         */
+        const topics = starling?._helios?._topics || starling?._topics || starling?._networkNode?._topics;
+        if (!topics) {
+            throw {
+                code: CommonErrors.INTERNAL_ERROR,
+                message: 'Topics manager not found'
+            };
+        }
 
-    /**
-     * @type {import('../managers/topics').TopicsManager}
-     */
-    const topics = starling?._helios?._topics || starling?._topics;
-    if (!topics) {
-        throw {
-            code: CommonErrors.INTERNAL_ERROR,
-            message: 'Topics manager not found'
-        };
-    }
-
-    /**
-     * @type {import('../managers/requests').RequestsManager}
-     */
-    const requests = starling?._requests;
-    if (!requests) {
-        throw {
-            code: CommonErrors.INTERNAL_ERROR,
-            message: 'Requests manager not found'
-        };
-    }
-
+        /**
+         * @type {import('../managers/requests').RequestsManager}
+         */
+        const requests = starling?._requests;
+        if (!requests) {
+            throw {
+                code: CommonErrors.INTERNAL_ERROR,
+                message: 'Requests manager not found'
+            };
+        }
 
-    if (!context.topic) {
-        throw {
-            code: CommonErrors.INVALID_MESSAGE,
-            message: 'Notification topic is required',
-        };
-    }
+        if (!context.topic) {
+            throw {
+                code: CommonErrors.INVALID_MESSAGE,
+                message: 'Notification topic is required',
+            };
+        }
 
-    try {
+        // The sender asked this node to keep the value for future subscribers
+        const retained = starling?._networkNode?.retained;
+        if (context.retain && !context.requestId && retained) {
+            if (retained.accepts(context.topic, starling)) {
+                retained.set(context.topic, context.data, { ttl: context.retain.ttl });
+            } else {
+                starling._events.emit('topic:retain_refused', {
+                    starling,
+                    topic: context.topic,
+                    debug: {
+                        type: 'warning',
+                        message: `Refused to retain ${context.topic} for a peer`
+                    }
+                });
+            }
+        }
+        
+        if (context.seq !== null) {
+            starling._trackSeq?.(context.seq);
+        }
+        
         if (context.requestId) {
             requests.handleNotification(starling, context);
-        } else {
-            topics.handleNotification(starling, context);
+            return true;
         }
+        return await topics.handleNotification(starling, context);
     } catch (error) {
         starling._events.emit('notification:error', {
             starling: starling,
@@ -54,7 +75,7 @@ export const handleNotification = async (starling, context) => {
                 message: `Notification handling error: ${error.message}`
             }
         });
-        throw error;
+        return false;
     }
 
 }
\ No newline at end of file
@@ -8,10 +8,28 @@ import { Maestro } from '@killiandvcz/maestro';
 */
 export const handleRequest = async (starling, context) => {
     
+    // A retry of a request still executing: its response is on the way.
+    // A cancelled execution never answers: the retry replaces it.
+    const running = starling._incomingRequests?.get(context.requestId);
+    if (running && !running.isCancelled) {
+        starling._events?.emit('request:duplicate', {
+            starling,
+            requestId: context.requestId,
+            method: context.method,
+            debug: {
+                type: 'warning',
+                message: `Request ${context.requestId} (${context.method}) is already executing, duplicate ignored`
+            }
+        });
+        return;
+    }
+    
+    // Track the execution so that a cancel message can reach it
+    starling._incomingRequests?.set(context.requestId, context);
+    
     try {
         /** @type {import('../managers/methods').MethodsManager} */
         const methods = starling?._networkNode?._methods
-        const events = starling?._events;
         
         const method = methods.get(context.method);
         if (!method) {
@@ -21,42 +39,23 @@ export const handleRequest = async (starling, context) => {
             };
         }
         
-        /**
-        * @type {import('@killiandvcz/maestro').Timer}
-        */
-        let timer;
+        const limit = starling?._networkNode?.rateLimiter?.check(starling, method);
+        if (limit && !limit.allowed) {
+            throw {
+                code: CommonErrors.RATE_LIMITED,
+                message: `Rate limit exceeded, retry after ${limit.retryAfter}ms`,
+                details: { retryAfter: limit.retryAfter, scope: limit.scope }
+            };
+        }
+        
+        /** @type {import('../managers/idempotency').IdempotencyManager} */
+        const idempotency = starling?._networkNode?.idempotency;
         
-        await Promise.race([
-            method.execute(context),
-            new Promise((_, reject) => {
-                timer = Maestro.timer(() => {
-                    if (!context.isProcessed) {
-                        try {
-                            context.error(
-                                CommonErrors.REQUEST_TIMEOUT,
-                                `Method execution timed out after ${method?.options?.timeout || 30000}ms`
-                            );
-                        } catch (err) {
-                            events.emit('request:error', {
-                                starling: starling,
-                                request: context,
-                                requestId: context.requestId,
-                                method,
-                                error: err,
-                                debug: {
-                                    type: 'error',
-                                    message: `Timeout error handling failed: ${err.message}`
-                                }
-                            });
-                        }
-                    }
-                    reject(new Error('Timeout'));
-                    
-                }, {delay: method?.options?.timeout || 30000}).link(starling.timers)
-            })
-        ]).finally(() => {
-            timer?.clear();
-        });
+        if (method.options.idempotent && idempotency) {
+            await executeIdempotent(starling, idempotency, method, context);
+        } else {
+            await executeMethod(starling, method, context);
+        }
         
         if (!context.isProcessed) {
             context.error(
@@ -68,10 +67,111 @@ export const handleRequest = async (starling, context) => {
         if (!context.isProcessed) {
             handleRequestError(context, error);
         }
+    } finally {
+        // The request may have moved to a newer connection of the same session, or been replaced by a retry
+        if (context.starling._incomingRequests?.get(context.requestId) === context) {
+            context.starling._incomingRequests.delete(context.requestId);
+        }
     }
 };
 
 
+/**
+* Runs the method, within its execution timeout
+* @param {import('../core/starling').BaseStarling} starling Starling instance
+* @param {import('../core/method').Method} method Method
+* @param {import('../core').RequestContext} context Request context
+* @private
+*/
+async function executeMethod(starling, method, context) {
+    const methods = starling._networkNode._methods;
+    const events = starling._events;
+    
+    /**
+    * @type {import('@killiandvcz/maestro').Timer}
+    */
+    let timer;
+    
+    await Promise.race([
+        methods.execute(method, context),
+        new Promise((_, reject) => {
+            timer = Maestro.timer(() => {
+                if (!context.isProcessed) {
+                    try {
+                        context.error(
+                            CommonErrors.REQUEST_TIMEOUT,
+                            `Method execution timed out after ${method?.options?.timeout || 30000}ms`
+                        );
+                        context.abort('Method execution timed out', CommonErrors.REQUEST_TIMEOUT);
+                    } catch (err) {
+                        events.emit('request:error', {
+                            starling: starling,
+                            request: context,
+                            requestId: context.requestId,
+                            method,
+                            error: err,
+                            debug: {
+                                type: 'error',
+                                message: `Timeout error handling failed: ${err.message}`
+                            }
+                        });
+                    }
+                }
+                reject(new Error('Timeout'));
+                
+            }, {delay: method?.options?.timeout || 30000}).link(starling.timers)
+        })
+    ]).finally(() => {
+        timer?.clear();
+    });
+}
+
+
+/**
+* Runs an idempotent method once per idempotency key (the request ID when the caller sets none):
+* duplicates get the response of the original execution, joining it while it runs
+* @param {import('../core/starling').BaseStarling} starling Starling instance
+* @param {import('../managers/idempotency').IdempotencyManager} idempotency Idempotency manager
+* @param {import('../core/method').Method} method Method
+* @param {import('../core').RequestContext} context Request context
+* @private
+*/
+async function executeIdempotent(starling, idempotency, method, context) {
+    const { idempotent, timeout = 30000 } = method.options;
+    const key = idempotency.keyOf(context);
+    
+    const { result, replayed } = await idempotency.execute(key, async () => {
+        try {
+            await executeMethod(starling, method, context);
+        } catch (error) {
+            if (!context.isProcessed) {
+                handleRequestError(context, error);
+            }
+        }
+        if (!context.isProcessed) {
+            context.error(
+                CommonErrors.METHOD_ERROR,
+                'Method did not provide a response'
+            );
+        }
+        // An aborted execution may still have side effects: do not pretend to know its outcome
+        return context.isCancelled ? null : context.result;
+    }, {
+        ttl: typeof idempotent === 'object' ? idempotent.ttl : undefined,
+        timeout
+    });
+    
+    if (!replayed) return;
+    
+    if (!result) {
+        context.error(CommonErrors.METHOD_ERROR, 'The original execution of the request did not complete');
+    } else if (result.success) {
+        context.success(result.data);
+    } else {
+        context.error(result.error.code, result.error.message, result.error.details);
+    }
+}
+
 
 /**
 * Handles request processing errors
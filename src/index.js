@@ -5,6 +5,9 @@ export * from './utils';
 export * from './handlers';
 export * from './managers';
 export * from './core';
+export * from './serializers';
+export * from './transports';
+export * from './testing';
 
 
 export * from './types';
\ No newline at end of file
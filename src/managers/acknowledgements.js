@@ -0,0 +1,266 @@
+import { Maestro } from '@killiandvcz/maestro';
+import { createAck } from '../formatters';
+
+/**
+ * @typedef {Object} AcknowledgementsOptions
+ * @property {number} [timeout=5000] Delay in ms before an unacknowledged message is redelivered
+ * @property {number} [maxAttempts=5] Delivery attempts before giving up (the delivery promise then rejects)
+ * @property {number} [dedupeWindow=600000] How long in ms received message IDs are remembered for deduplication
+ * @property {number} [dedupeSize=10000] Maximum number of received message IDs remembered for deduplication
+ */
+
+/**
+ * @typedef {Object} DeliveryOptions
+ * @property {number} [timeout] Overrides the redelivery delay for this message
+ * @property {number} [maxAttempts] Overrides the delivery attempts for this message
+ */
+
+/**
+* At-least-once delivery for notifications.
+* Sender side, messages carrying a `messageId` are kept until the peer acknowledges them and are
+* redelivered on timeout or after a reconnection. Receiver side, message IDs are remembered for a
+* while so that redelivered messages are acknowledged again without being dispatched twice.
+*/
+export class AcknowledgementsManager {
+  /**
+  * @param {import('../core/starling').BaseStarling} starling Starling instance
+  * @param {import('../core/events').Events} events Events manager
+  * @param {AcknowledgementsOptions} [options={}] Manager options
+  */
+  constructor(starling, events, options = {}) {
+    /** @private */
+    this._starling = starling;
+
+    /** @private */
+    this._events = events;
+
+    /** @private */
+    this._options = {
+      timeout: 5000,
+      maxAttempts: 5,
+      dedupeWindow: 10 * 60 * 1000,
+      dedupeSize: 10000,
+      ...options
+    };
+
+    /**
+    * Messages waiting for their acknowledgement, by message ID
+    * @type {Map<string, {message: Object, attempts: number, options: DeliveryOptions, timer: *, resolve: function(*): void, reject: function(Error): void}>}
+    * @private
+    */
+    this._pending = new Map();
+
+    /**
+    * Delivered message IDs with their delivery time (insertion ordered)
+    * @type {Map<string, number>}
+    * @private
+    */
+    this._received = new Map();
+
+    /**
+    * Message IDs whose dispatch is still running
+    * @type {Set<string>}
+    * @private
+    */
+    this._dispatching = new Set();
+
+    const own = event => !event.data?.starling || event.data.starling === this._starling;
+    this._events.on('starling:connected', event => own(event) && this._redeliverAll());
+  }
+
+  /**
+  * Sends a message and keeps it until the peer acknowledges it
+  * @param {Object} message Protocol message carrying a `messageId`
+  * @param {DeliveryOptions} [options={}] Delivery options
+  * @returns {Promise<*>} Resolves with the ack data once acknowledged
+  */
+  deliver(message, options = {}) {
+    return new Promise((resolve, reject) => {
+      const entry = {
+        message,
+        attempts: 0,
+        options,
+        timer: null,
+        resolve,
+        reject
+      };
+      this._pending.set(message.messageId, entry);
+      this._attempt(entry);
+    });
+  }
+
+  /**
+  * Handles an incoming acknowledgement
+  * @param {import('../types/messages.d').AckMessage} ack Ack message
+  */
+  handleAck(ack) {
+    const entry = this._pending.get(ack.messageId);
+    if (!entry) return;
+
+    entry.timer?.clear();
+    this._pending.delete(ack.messageId);
+    entry.resolve(ack.data);
+
+    this._emitEvent('notification:acked', {
+      messageId: ack.messageId,
+      attempts: entry.attempts
+    }, `Message ${ack.messageId} acknowledged after ${entry.attempts} attempt(s)`);
+  }
+
+  /**
+  * Records an incoming message ID before its dispatch
+  * @param {string} messageId Message ID
+  * @returns {'new'|'dispatching'|'delivered'} `new` if the message must be dispatched, `dispatching` if a previous
+  * copy is still being dispatched (it acknowledges once done), `delivered` if it was dispatched already (only acknowledged again)
+  */
+  receive(messageId) {
+    this._prune();
+
+    const status = this._received.has(messageId) ? 'delivered'
+    : this._dispatching.has(messageId) ? 'dispatching'
+    : 'new';
+
+    if (status === 'new') {
+      this._dispatching.add(messageId);
+    } else {
+      this._emitEvent('notification:duplicate', {
+        messageId,
+        status
+      }, `Duplicate message ${messageId} ignored (${status})`);
+    }
+    return status;
+  }
+
+  /**
+  * Records that an incoming message was dispatched, so that its copies are acknowledged without being dispatched
+  * @param {string} messageId Message ID
+  */
+  delivered(messageId) {
+    this._dispatching.delete(messageId);
+    this._received.set(messageId, Date.now());
+  }
+
+  /**
+  * Forgets an incoming message ID whose dispatch failed, so that its redelivery is dispatched again
+  * @param {string} messageId Message ID
+  */
+  forget(messageId) {
+    this._dispatching.delete(messageId);
+    this._received.delete(messageId);
+  }
+
+  /**
+  * Acknowledges a received message
+  * @param {string} messageId Message ID
+  * @param {*} [data] Optional data returned to the sender
+  */
+  acknowledge(messageId, data = undefined) {
+    // Acks are tiny and latency-sensitive, they skip the buffer when possible
+    const ack = createAck(messageId, data);
+    if (!this._starling.isConnected || !this._starling._send(ack)) {
+      this._starling.send(ack);
+    }
+  }
+
+  /**
+  * Stops tracking every pending message
+  * @param {string} [reason='Delivery cancelled'] Rejection reason
+  */
+  cancelAll(reason = 'Delivery cancelled') {
+    for (const entry of this._pending.values()) {
+      entry.timer?.clear();
+      entry.reject(new Error(reason));
+    }
+    this._pending.clear();
+  }
+
+  /**
+  * @private
+  */
+  _attempt(entry) {
+    const { messageId } = entry.message;
+    const maxAttempts = entry.options.maxAttempts ?? this._options.maxAttempts;
+
+    if (entry.attempts >= maxAttempts) {
+      this._pending.delete(messageId);
+      entry.reject(new Error(`Message ${messageId} was not acknowledged after ${entry.attempts} attempts`));
+
+      this._emitEvent('notification:undelivered', {
+        messageId,
+        attempts: entry.attempts
+      }, `Message ${messageId} undelivered after ${entry.attempts} attempts`);
+      return;
+    }
+
+    entry.attempts++;
+    entry.timer?.clear();
+
+    if (entry.attempts > 1) {
+      this._emitEvent('notification:redelivered', {
+        messageId,
+        attempt: entry.attempts
+      }, `Redelivering message ${messageId} (attempt ${entry.attempts})`);
+    }
+
+    this._starling.send(entry.message);
+
+    entry.timer = Maestro.timer(() => {
+      // Offline: the reconnection will trigger the redelivery
+      if (!this._starling.isConnected) return;
+      this._attempt(entry);
+    }, { delay: entry.options.timeout ?? this._options.timeout }).link(this._starling.timers);
+  }
+
+  /**
+  * @private
+  */
+  _redeliverAll() {
+    for (const entry of this._pending.values()) {
+      this._attempt(entry);
+    }
+  }
+
+  /**
+  * Forgets received message IDs outside the deduplication window
+  * @private
+  */
+  _prune() {
+    const limit = Date.now() - this._options.dedupeWindow;
+    for (const [messageId, receivedAt] of this._received) {
+      if (receivedAt >= limit && this._received.size < this._options.dedupeSize) break;
+      this._received.delete(messageId);
+    }
+  }
+
+  /**
+  * @private
+  */
+  _emitEvent(event, data, message) {
+    this._events.emit(event, {
+      starling: this._starling,
+      ...data,
+      debug: {
+        type: event === 'notification:undelivered' ? 'error' : 'info',
+        message
+      }
+    });
+  }
+
+  /**
+  * Number of messages waiting for their acknowledgement
+  */
+  get pendingCount() {
+    return this._pending.size;
+  }
+
+  /**
+  * Delivery statistics
+  */
+  get stats() {
+    return {
+      pending: this._pending.size,
+      remembered: this._received.size,
+      dispatching: this._dispatching.size
+    };
+  }
+}
@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+/**
+* Loses the first `count` frames carrying a notification for `topic`
+*/
+const loseFirst = (topic, count = 1) => {
+  let lost = 0;
+  return (frame, direction) => direction === 'b->a' && String(frame).includes(`"topic":"${topic}"`) && lost++ < count;
+};
+
+describe('AcknowledgementsManager', () => {
+  test('redelivers lost notifications until they are acknowledged', async () => {
+    const server = new NetworkNode();
+    const received = [];
+    server.topics.subscribe('billing:invoice_paid', context => {
+      received.push(context.data);
+    });
+    const pair = createLoopbackPair(server, new NetworkNode(), { drop: loseFirst('billing:invoice_paid', 2) });
+    const redelivered = [];
+    pair.b.events.on('notification:redelivered', event => redelivered.push(event.data.attempt));
+
+    await pair.b.notify('billing:invoice_paid', { invoice: 12 }, null, { ack: { timeout: 20 } });
+
+    expect(redelivered).toEqual([2, 3]);
+    expect(received).toEqual([{ invoice: 12 }]);
+    expect(pair.b._acks.pendingCount).toBe(0);
+  });
+
+  test('dispatches redelivered copies once when only the ack was lost', async () => {
+    const server = new NetworkNode();
+    let calls = 0;
+    server.topics.subscribe('billing:invoice_paid', () => {
+      calls++;
+    });
+    let acks = 0;
+    const pair = createLoopbackPair(server, new NetworkNode(), {
+      drop: (frame, direction) => direction === 'a->b' && JSON.parse(frame).type === 'ack' && acks++ === 0
+    });
+
+    await pair.b.notify('billing:invoice_paid', { invoice: 12 }, null, { ack: { timeout: 20 } });
+
+    expect(acks).toBe(2);
+    expect(calls).toBe(1);
+  });
+
+  test('leaves notifications unacknowledged until every handler succeeded', async () => {
+    const server = new NetworkNode();
+    const attempts = [];
+    server.topics.subscribe('billing:invoice_paid', context => {
+      attempts.push(context.data.invoice);
+      if (attempts.length === 1) throw new Error('Ledger unavailable');
+    });
+    const pair = createLoopbackPair(server, new NetworkNode());
+
+    await pair.b.notify('billing:invoice_paid', { invoice: 12 }, null, { ack: { timeout: 20 } });
+
+    expect(attempts).toEqual([12, 12]);
+  });
+
+  test('does not acknowledge copies received while the first one is still dispatched', async () => {
+    const server = new NetworkNode();
+    let calls = 0;
+    server.topics.subscribe('billing:invoice_paid', async () => {
+      // Slower than the ack timeout, and failing the first time
+      await new Promise(resolve => setTimeout(resolve, 50));
+      if (++calls === 1) throw new Error('Ledger unavailable');
+    });
+    const pair = createLoopbackPair(server, new NetworkNode());
+    const duplicates = [];
+    pair.a.events.on('notification:duplicate', event => duplicates.push(event.data.status));
+
+    await pair.b.notify('billing:invoice_paid', { invoice: 12 }, null, { ack: { timeout: 20, maxAttempts: 20 } });
+
+    expect(calls).toBe(2);
+    expect(duplicates).toContain('dispatching');
+    expect(duplicates).not.toContain('delivered');
+  });
+
+  test('reports dispatch errors and leaves the notification unacknowledged', async () => {
+    // A starling without a node has no topics to dispatch to
+    const pair = createLoopbackPair(null, new NetworkNode());
+    const errors = [];
+    pair.a.events.on('notification:error', event => errors.push(event.data.error.code));
+
+    await expect(pair.b.notify('billing:invoice_paid', {}, null, { ack: { timeout: 10, maxAttempts: 2 } }))
+    .rejects.toThrow('was not acknowledged after 2 attempts');
+    expect(errors).toEqual(['INTERNAL_ERROR', 'INTERNAL_ERROR']);
+  });
+
+  test('returns the data a handler acknowledged with', async () => {
+    const server = new NetworkNode();
+    server.topics.subscribe('billing:invoice_paid', context => {
+      context.acknowledge({ receipt: `R-${context.data.invoice}` });
+    });
+    const pair = createLoopbackPair(server, new NetworkNode());
+
+    expect(await pair.b.notify('billing:invoice_paid', { invoice: 12 }, null, { ack: true })).toEqual({ receipt: 'R-12' });
+  });
+
+  test('rejects once the attempts are exhausted', async () => {
+    const pair = createLoopbackPair(new NetworkNode(), new NetworkNode(), { drop: loseFirst('billing:invoice_paid', Infinity) });
+
+    await expect(pair.b.notify('billing:invoice_paid', {}, null, { ack: { timeout: 5, maxAttempts: 3 } }))
+    .rejects.toThrow('was not acknowledged after 3 attempts');
+  });
+});
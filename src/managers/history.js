@@ -0,0 +1,279 @@
+import { matchTopic } from "../utils";
+
+/**
+* @typedef {Object} HistoryEntry
+* @property {number} seq Sequence number, monotonic across every topic of the node
+* @property {string} topic Topic
+* @property {*} data Notification data
+* @property {number} timestamp Publication timestamp
+*/
+
+/**
+* Replay cursor: entries strictly after a sequence number or a timestamp
+* @typedef {{seq: number}|{timestamp: number}} HistoryCursor
+*/
+
+/**
+* Storage backing the topic history. Every method may return a promise.
+* @typedef {Object} HistoryStorage
+* @property {function(HistoryEntry): (void|Promise<void>)} append Stores an entry
+* @property {function(HistoryCursor, {topics: string[], limit: number}): (HistoryEntry[]|Promise<HistoryEntry[]>)} since Entries after the cursor on topics matching one of the patterns, by increasing sequence
+* @property {function(): (number|Promise<number>)} lastSeq Highest stored sequence number (0 when empty), so that numbering resumes after a restart
+* @property {function(string): (void|Promise<void>)} clear Drops the entries of the topics matching a pattern
+*/
+
+/**
+* @typedef {Object} HistoryOptions
+* @property {boolean} [enabled=false] Whether published notifications are recorded
+* @property {string[]} [topics=['**']] Patterns of the topics recorded
+* @property {number} [limit=100] Entries kept per topic (memory storage)
+* @property {number|null} [maxAge=null] Age in ms after which entries are dropped (memory storage)
+* @property {number} [replayLimit=1000] Maximum number of entries replayed at once
+* @property {HistoryStorage} [storage] Storage, in memory by default
+*/
+
+/**
+* Default history storage: a bounded list of entries per topic
+* @implements {HistoryStorage}
+*/
+export class MemoryHistoryStorage {
+
+    /**
+    * @param {{limit?: number, maxAge?: number|null}} [options={}]
+    */
+    constructor(options = {}) {
+        /** @private */
+        this._options = {
+            limit: 100,
+            maxAge: null,
+            ...options
+        };
+
+        /**
+        * Entries by topic, by increasing sequence
+        * @type {Map<string, HistoryEntry[]>}
+        * @private
+        */
+        this._topics = new Map();
+
+        /** @private */
+        this._lastSeq = 0;
+    }
+
+    /**
+    * @param {HistoryEntry} entry
+    */
+    append(entry) {
+        let entries = this._topics.get(entry.topic);
+        if (!entries) {
+            entries = [];
+            this._topics.set(entry.topic, entries);
+        }
+
+        entries.push(entry);
+        if (entries.length > this._options.limit) {
+            entries.splice(0, entries.length - this._options.limit);
+        }
+        this._lastSeq = Math.max(this._lastSeq, entry.seq);
+    }
+
+    /**
+    * @param {HistoryCursor} cursor
+    * @param {{topics: string[], limit: number}} options
+    * @returns {HistoryEntry[]}
+    */
+    since(cursor, { topics, limit }) {
+        const oldest = this._options.maxAge ? Date.now() - this._options.maxAge : -Infinity;
+        const after = entry => entry.timestamp >= oldest
+        && ('seq' in cursor ? entry.seq > cursor.seq : entry.timestamp > cursor.timestamp);
+
+        const entries = [];
+        for (const [topic, topicEntries] of this._topics) {
+            if (!topics.some(pattern => matchTopic(pattern, topic))) continue;
+            entries.push(...topicEntries.filter(after));
+        }
+
+        return entries.sort((a, b) => a.seq - b.seq).slice(0, limit);
+    }
+
+    /**
+    * @returns {number}
+    */
+    lastSeq() {
+        return this._lastSeq;
+    }
+
+    /**
+    * @param {string} pattern
+    */
+    clear(pattern) {
+        for (const topic of [...this._topics.keys()]) {
+            if (matchTopic(pattern, topic)) {
+                this._topics.delete(topic);
+            }
+        }
+    }
+}
+
+/**
+* Bounded history of the notifications published by a node, replayed to subscribers
+* that come back with a cursor (`since`)
+*/
+export class HistoryManager {
+
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {HistoryOptions} [options={}] History options
+    */
+    constructor(events, options = {}) {
+        /** @private */
+        this._events = events;
+
+        /** @private */
+        this._options = {
+            enabled: false,
+            topics: ['**'],
+            limit: 100,
+            maxAge: null,
+            replayLimit: 1000,
+            ...options
+        };
+
+        /**
+        * @type {HistoryStorage}
+        * @private
+        */
+        this._storage = this._options.storage || new MemoryHistoryStorage({
+            limit: this._options.limit,
+            maxAge: this._options.maxAge
+        });
+
+        /** @private */
+        this._seq = 0;
+
+        /**
+        * Resumes numbering after what the storage already holds, null once done
+        * @type {Promise<void>|null}
+        * @private
+        */
+        this._restoring = this._options.enabled ? Promise.resolve()
+        .then(() => this._storage.lastSeq())
+        .then(last => {
+            this._seq = Math.max(this._seq, last || 0);
+        })
+        .catch(error => this._emitError(error, 'Failed to read the last history sequence'))
+        .finally(() => {
+            this._restoring = null;
+        }) : null;
+    }
+
+
+    /**
+    * Whether a topic is recorded
+    * @param {string} topic Concrete topic
+    * @returns {boolean}
+    */
+    accepts = (topic) => {
+        return this._options.enabled && this._options.topics.some(pattern => matchTopic(pattern, topic));
+    }
+
+
+    /**
+    * Records a notification. Until the last stored sequence number is known, entries wait for it
+    * and are numbered in call order once it is.
+    * @param {string} topic Concrete topic
+    * @param {*} data Notification data
+    * @returns {number|Promise<number>} Sequence number assigned to the entry
+    */
+    record = (topic, data) => {
+        if (this._restoring) {
+            return this._restoring.then(() => this._append(topic, data));
+        }
+        return this._append(topic, data);
+    }
+
+
+    /**
+    * Gets the entries published after a cursor on topics matching patterns, at most `replayLimit` of them
+    * @param {HistoryCursor} cursor Replay cursor
+    * @param {string[]} topics Topic patterns
+    * @returns {Promise<{entries: HistoryEntry[], truncated: boolean}>} Entries, and whether more were left out
+    */
+    since = async (cursor, topics) => {
+        const { replayLimit } = this._options;
+        const entries = await this._storage.since(cursor, {
+            topics,
+            limit: replayLimit + 1
+        });
+        return {
+            entries: entries.slice(0, replayLimit),
+            truncated: entries.length > replayLimit
+        };
+    }
+
+
+    /**
+    * Drops the history of the topics matching a pattern
+    * @param {string} [pattern='**'] Topic pattern
+    * @returns {Promise<void>}
+    */
+    clear = async (pattern = '**') => {
+        await this._storage.clear(pattern);
+    }
+
+
+    /**
+    * @private
+    * @param {string} topic
+    * @param {*} data
+    * @returns {number}
+    */
+    _append(topic, data) {
+        const entry = {
+            seq: ++this._seq,
+            topic,
+            data,
+            timestamp: Date.now()
+        };
+
+        const failed = error => this._emitError(error, `Failed to record ${topic} #${entry.seq}`);
+        try {
+            Promise.resolve(this._storage.append(entry)).catch(failed);
+        } catch (error) {
+            failed(error);
+        }
+
+        return entry.seq;
+    }
+
+
+    /**
+    * @private
+    */
+    _emitError(error, message) {
+        this._events.emit('history:error', {
+            error,
+            debug: {
+                type: 'error',
+                message: `${message}: ${error.message}`
+            }
+        });
+    }
+
+
+    /**
+    * Whether the history is enabled
+    * @type {boolean}
+    */
+    get enabled() {
+        return this._options.enabled;
+    }
+
+    /**
+    * Last assigned sequence number
+    * @type {number}
+    */
+    get lastSeq() {
+        return this._seq;
+    }
+}
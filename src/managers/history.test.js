@@ -0,0 +1,89 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+import { MemoryHistoryStorage } from './history.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Subscribes the client of a pair and collects what it receives
+*/
+const collect = async (pair, pattern, options) => {
+    const received = [];
+    await pair.b.subscribe(pattern, context => received.push({
+        topic: context.topic,
+        seq: context.seq,
+        data: context.data,
+        replayed: context.replayed
+    }), options);
+    return received;
+};
+
+describe('History', () => {
+    test('numbers recorded notifications across topics', async () => {
+        const server = new NetworkNode({}, { history: { enabled: true } });
+        server.publish('orders:created', { id: 1 });
+        server.publish('users:created', { id: 2 });
+        await sleep(0);
+
+        expect(server._history.lastSeq).toBe(2);
+    });
+
+    test('replays what was missed since a cursor, then delivers live notifications', async () => {
+        const server = new NetworkNode({}, { history: { enabled: true } });
+        server.publish('orders:created', { id: 1 });
+        server.publish('users:created', { id: 2 });
+        server.publish('orders:shipped', { id: 3 });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const received = await collect(pair, 'orders:*', { since: { seq: 1 } });
+        server.publish('orders:created', { id: 4 });
+        await sleep(10);
+
+        expect(received).toEqual([
+            { topic: 'orders:shipped', seq: 3, data: { id: 3 }, replayed: true },
+            { topic: 'orders:created', seq: 4, data: { id: 4 }, replayed: false }
+        ]);
+    });
+
+    test('reports replays cut short by the replay limit', async () => {
+        const server = new NetworkNode({}, { history: { enabled: true, replayLimit: 2 } });
+        ['created', 'paid', 'shipped'].forEach(action => server.publish(`orders:${action}`, { action }));
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const truncated = new Promise(resolve => pair.b.events.on('history:truncated', ({ data }) => resolve(data)));
+
+        const received = await collect(pair, 'orders:*', { since: { seq: 0 } });
+
+        expect((await truncated).topics).toEqual(['orders:*']);
+        expect(received.map(entry => entry.seq)).toEqual([1, 2]);
+    });
+
+    test('resumes numbering after the entries already stored', async () => {
+        const storage = new MemoryHistoryStorage();
+        storage.append({ seq: 41, topic: 'orders:created', data: null, timestamp: Date.now() });
+        const server = new NetworkNode({}, { history: { enabled: true, storage } });
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const received = await collect(pair, 'orders:*');
+
+        server.publish('orders:paid', { id: 1 });
+        await sleep(10);
+
+        expect(received).toEqual([{ topic: 'orders:paid', seq: 42, data: { id: 1 }, replayed: false }]);
+    });
+
+    test('publishes without a sequence number when numbering fails', async () => {
+        const server = new NetworkNode({}, { history: { enabled: true } });
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const received = await collect(pair, 'orders:*');
+        const errors = [];
+        server.events.on('history:error', ({ data }) => errors.push(data));
+        server._history.record = () => Promise.reject(new Error('Storage down'));
+
+        server.publish('orders:paid', { id: 1 });
+        await sleep(10);
+
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ topic: 'orders:paid', error: { message: 'Storage down' } });
+        expect(received).toEqual([{ topic: 'orders:paid', seq: null, data: { id: 1 }, replayed: false }]);
+    });
+});
@@ -0,0 +1,282 @@
+import { CommonErrors } from "../constants";
+
+/**
+* @typedef {Object} IdempotencyRecord
+* @property {'pending'|'completed'} status Whether the original execution is still running
+* @property {import('../core/context').RequestResult} [result] Response of the original execution, once completed
+* @property {number} createdAt Timestamp of the original execution
+*/
+
+/**
+* Store of the idempotency records. Share one between processes (e.g. backed by Redis) to deduplicate
+* requests across them. Every method may return a promise.
+* @typedef {Object} IdempotencyStore
+* @property {function(string): (IdempotencyRecord|undefined|Promise<IdempotencyRecord|undefined>)} get Gets the record of a key
+* @property {function(string, IdempotencyRecord, number): (boolean|Promise<boolean>)} claim Stores a record for ttl ms
+* unless the key already has one, atomically (as Redis `SET NX PX`). Resolves to whether the record was stored.
+* @property {function(string, IdempotencyRecord, number): (void|Promise<void>)} set Stores a record for ttl ms
+* @property {function(string): (void|Promise<void>)} delete Drops the record of a key
+*/
+
+/**
+* @typedef {Object} IdempotencyOptions
+* @property {number} [ttl=3600000] Time in ms a response is replayed to duplicates
+* @property {number} [pollInterval=100] Delay in ms between two checks of an execution running in another process
+* @property {IdempotencyStore} [store] Records store, in memory by default
+* @property {function(import('../core').RequestContext): string} [keyOf] Builds the record key of a request.
+* Keys must tell callers apart: by default they combine the caller session (or starling) ID, the method and the
+* idempotency key. Key on the authenticated user to deduplicate requests across connections and processes.
+*/
+
+/**
+* Identities of the connections without a session or an ID of their own
+* @type {WeakMap<import('../core/starling').BaseStarling, string>}
+* @private
+*/
+const connections = new WeakMap();
+
+/**
+* Identifies the caller of a request
+* @param {import('../core/starling').BaseStarling} starling Caller
+* @returns {string}
+* @private
+*/
+function callerOf(starling) {
+    const session = starling._networkNode?.sessions?.of(starling);
+    if (session) return `session:${session.id}`;
+    
+    if (typeof starling.id === 'string' || typeof starling.id === 'number') return `starling:${starling.id}`;
+    
+    if (!connections.has(starling)) connections.set(starling, crypto.randomUUID());
+    return `connection:${connections.get(starling)}`;
+}
+
+/**
+* Default idempotency store: records live in the process memory
+* @implements {IdempotencyStore}
+*/
+export class MemoryIdempotencyStore {
+    /**
+    * @param {{pruneInterval?: number}} [options={}] Minimum delay in ms between two sweeps of the expired records
+    */
+    constructor(options = {}) {
+        /** @private @type {Map<string, {record: IdempotencyRecord, expiresAt: number}>} */
+        this._records = new Map();
+
+        /** @private */
+        this._pruneInterval = options.pruneInterval ?? 60000;
+
+        /** @private */
+        this._prunedAt = Date.now();
+    }
+
+    /**
+    * @param {string} key
+    * @returns {IdempotencyRecord|undefined}
+    */
+    get(key) {
+        const entry = this._records.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this._records.delete(key);
+            return undefined;
+        }
+        return entry?.record;
+    }
+
+    /**
+    * @param {string} key
+    * @param {IdempotencyRecord} record
+    * @param {number} ttl
+    * @returns {boolean}
+    */
+    claim(key, record, ttl) {
+        if (this.get(key)) return false;
+        this.set(key, record, ttl);
+        return true;
+    }
+
+    /**
+    * @param {string} key
+    * @param {IdempotencyRecord} record
+    * @param {number} ttl
+    */
+    set(key, record, ttl) {
+        // Expired records are dropped on read: sweeping the others on every write would cost O(n)
+        if (Date.now() - this._prunedAt >= this._pruneInterval) this._prune();
+        this._records.set(key, { record, expiresAt: Date.now() + ttl });
+    }
+
+    /**
+    * @param {string} key
+    */
+    delete(key) {
+        this._records.delete(key);
+    }
+
+    /**
+    * @private
+    */
+    _prune() {
+        const now = Date.now();
+        this._prunedAt = now;
+        for (const [key, { expiresAt }] of this._records) {
+            if (expiresAt <= now) this._records.delete(key);
+        }
+    }
+}
+
+/**
+* Runs each idempotent request once: duplicates (same idempotency key) get the response of the
+* original execution replayed, and join it while it is still running.
+*/
+export class IdempotencyManager {
+
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {IdempotencyOptions} [options={}] Idempotency options
+    */
+    constructor(events, options = {}) {
+        /** @private */
+        this._events = events;
+
+        /** @private */
+        this._options = {
+            ttl: 60 * 60 * 1000,
+            pollInterval: 100,
+            ...options
+        };
+
+        /**
+        * @type {IdempotencyStore}
+        * @private
+        */
+        this._store = this._options.store || new MemoryIdempotencyStore();
+
+        /**
+        * Executions running in this process, by key
+        * @type {Map<string, Promise<{result: import('../core/context').RequestResult|null, replayed: boolean}>>}
+        * @private
+        */
+        this._inFlight = new Map();
+    }
+
+
+    /**
+    * Runs an operation once per key
+    * @param {string} key Idempotency key
+    * @param {function(): Promise<import('../core/context').RequestResult|null>} run Runs the original execution.
+    * Resolves to the response to replay, or null when it must not be kept (e.g. the execution was aborted).
+    * @param {{ttl?: number, timeout?: number}} [options={}] Replay window, and how long to wait for an execution running elsewhere
+    * @returns {Promise<{result: import('../core/context').RequestResult|null, replayed: boolean}>}
+    */
+    execute = (key, run, options = {}) => {
+        const inFlight = this._inFlight.get(key);
+        if (inFlight) {
+            this._emitReplay(key, true);
+            return inFlight.then(({ result }) => ({ result, replayed: true }));
+        }
+
+        const execution = this._run(key, run, options).finally(() => this._inFlight.delete(key));
+        this._inFlight.set(key, execution);
+        return execution;
+    }
+
+
+    /**
+    * Builds the record key of a request, scoped to its caller
+    * @param {import('../core').RequestContext} context Request context
+    * @returns {string}
+    */
+    keyOf = (context) => {
+        if (this._options.keyOf) return this._options.keyOf(context);
+        return `${callerOf(context.starling)}:${context.method}:${context.idempotencyKey ?? context.requestId}`;
+    }
+
+
+    /**
+    * Forgets a key: the next request using it runs again
+    * @param {string} key Idempotency key
+    * @returns {Promise<void>}
+    */
+    forget = async (key) => {
+        await this._store.delete(key);
+    }
+
+
+    /**
+    * @private
+    * @param {string} key
+    * @param {function(): Promise<import('../core/context').RequestResult|null>} run
+    * @param {{ttl?: number, timeout?: number}} options
+    */
+    async _run(key, run, options) {
+        const ttl = options.ttl ?? this._options.ttl;
+        const deadline = Date.now() + (options.timeout ?? 30000);
+
+        // Another process may hold the key: wait for its response, or for the key to be released
+        while (!(await this._store.claim(key, { status: 'pending', createdAt: Date.now() }, ttl))) {
+            const record = await this._store.get(key);
+            if (record?.status === 'completed') {
+                this._emitReplay(key, false);
+                return { result: record.result, replayed: true };
+            }
+            if (Date.now() >= deadline) {
+                throw {
+                    code: CommonErrors.REQUEST_TIMEOUT,
+                    message: 'Timed out waiting for the original execution of the request'
+                };
+            }
+            await new Promise(resolve => setTimeout(resolve, this._options.pollInterval));
+        }
+
+        let result = null;
+        try {
+            result = await run();
+        } finally {
+            await this._save(key, result, ttl);
+        }
+        return { result, replayed: false };
+    }
+
+
+    /**
+    * Keeps the response of the original execution, or releases the key when there is none
+    * @private
+    */
+    async _save(key, result, ttl) {
+        try {
+            if (result) {
+                await this._store.set(key, { status: 'completed', result, createdAt: Date.now() }, ttl);
+            } else {
+                await this._store.delete(key);
+            }
+        } catch (error) {
+            // The response still goes out, only later duplicates miss it
+            this._events.emit('idempotency:error', {
+                key,
+                error,
+                debug: {
+                    type: 'error',
+                    message: `Failed to store the response of request ${key}: ${error.message}`
+                }
+            });
+        }
+    }
+
+
+    /**
+    * @private
+    */
+    _emitReplay(key, joined) {
+        this._events.emit('idempotency:replayed', {
+            key,
+            joined,
+            debug: {
+                type: 'info',
+                message: joined
+                ? `Duplicate request ${key} joined the running execution`
+                : `Replayed the response of request ${key}`
+            }
+        });
+    }
+}
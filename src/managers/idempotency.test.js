@@ -0,0 +1,70 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Server node charging payments, counting how many times it ran
+*/
+const createPaymentsNode = (options = {}) => {
+    const node = new NetworkNode();
+    node.charges = 0;
+    node.method('payments:charge', async context => {
+        const charge = ++node.charges;
+        await sleep(10);
+        context.success({ charge });
+    }, { idempotent: true, ...options });
+    return node;
+};
+
+describe('Idempotency keys', () => {
+    test('replays the response of the original execution to duplicates', async () => {
+        const server = createPaymentsNode();
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const first = await pair.b.request('payments:charge', {}, { idempotencyKey: 'order-1' });
+        const duplicate = await pair.b.request('payments:charge', {}, { idempotencyKey: 'order-1' });
+        const other = await pair.b.request('payments:charge', {}, { idempotencyKey: 'order-2' });
+
+        expect(first).toEqual({ charge: 1 });
+        expect(duplicate).toEqual({ charge: 1 });
+        expect(other).toEqual({ charge: 2 });
+        expect(server.charges).toBe(2);
+    });
+
+    test('joins the original execution while it is still running', async () => {
+        const server = createPaymentsNode();
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const results = await Promise.all([
+            pair.b.request('payments:charge', {}, { idempotencyKey: 'order-1' }),
+            pair.b.request('payments:charge', {}, { idempotencyKey: 'order-1' })
+        ]);
+
+        expect(results).toEqual([{ charge: 1 }, { charge: 1 }]);
+        expect(server.charges).toBe(1);
+    });
+
+    test('scopes keys to the caller', async () => {
+        const server = createPaymentsNode();
+        const alice = createLoopbackPair(server, new NetworkNode());
+        const bob = createLoopbackPair(server, new NetworkNode());
+
+        await alice.b.request('payments:charge', {}, { idempotencyKey: 'order-1' });
+        const charged = await bob.b.request('payments:charge', {}, { idempotencyKey: 'order-1' });
+
+        expect(charged).toEqual({ charge: 2 });
+    });
+
+    test('runs again once the response expired', async () => {
+        const server = createPaymentsNode({ idempotent: { ttl: 20 } });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        await pair.b.request('payments:charge', {}, { idempotencyKey: 'order-1' });
+        await sleep(30);
+        const charged = await pair.b.request('payments:charge', {}, { idempotencyKey: 'order-1' });
+
+        expect(charged).toEqual({ charge: 2 });
+    });
+});
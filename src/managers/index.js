@@ -1,3 +1,10 @@
+export * from './acknowledgements.js';
+export * from './history.js';
+export * from './idempotency.js';
 export * from './methods.js';
+export * from './ratelimiter.js';
 export * from './requests.js';
-export * from './topics.js';
\ No newline at end of file
+export * from './retained.js';
+export * from './sessions.js';
+export * from './topics.js';
+export * from './subscriptions.js';
\ No newline at end of file
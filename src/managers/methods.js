@@ -1,7 +1,7 @@
 import { Method } from "../core/method";
 import { validateMethodName } from "../validators";
 import { ReservedNamespaces } from "../constants";
-import { parseMethod } from "../utils";
+import { compose, matchMethod, parseMethod } from "../utils";
 
 /**
 * @callback MethodHandler
@@ -32,6 +32,13 @@ export class MethodsManager {
         */
         this._events = events;
         
+        /**
+        * Node middleware, in registration order
+        * @type {Array<{pattern: string, middleware: import('../core/method').MethodMiddleware}>}
+        * @private
+        */
+        this._middleware = [];
+        
         // Initialize built-in methods
         this._initializeBuiltInMethods(builtInMethods);
     }
@@ -64,6 +71,57 @@ export class MethodsManager {
     }
     
     
+    /**
+    * Registers middleware running around every method, or only methods matching a pattern
+    * @param {string|import('../core/method').MethodMiddleware} pattern Method pattern (`*` matches one segment, trailing `**` any) or middleware
+    * @param {import('../core/method').MethodMiddleware} [middleware] Middleware (when a pattern is given)
+    * @returns {{off: function(): void}} Handle removing the middleware
+    */
+    use = (pattern, middleware) => {
+        if (typeof pattern === 'function') {
+            middleware = pattern;
+            pattern = '**';
+        }
+        
+        if (typeof middleware !== 'function') {
+            throw new Error('Middleware must be a function');
+        }
+        
+        const entry = { pattern, middleware };
+        this._middleware.push(entry);
+        
+        return {
+            off: () => {
+                const index = this._middleware.indexOf(entry);
+                if (index !== -1) this._middleware.splice(index, 1);
+            }
+        };
+    }
+    
+    
+    /**
+    * Executes a method through the middleware matching it
+    * @param {Method} method Method to execute
+    * @param {import('../core/context').RequestContext} context Request context
+    * @returns {Promise<void>}
+    */
+    execute = (method, context) => {
+        const own = method.options.middleware;
+        const chain = [
+            ...this._middleware
+            .filter(entry => matchMethod(entry.pattern, method.name))
+            .map(entry => entry.middleware),
+            ...(Array.isArray(own) ? own : [own])
+        ].filter(Boolean);
+        
+        if (chain.length === 0) {
+            return method.execute(context);
+        }
+        
+        return compose(chain)(context, () => method.execute(context));
+    }
+    
+    
     /**
     * Gets a registered method
     * @param {string} name Method name
@@ -113,6 +171,18 @@ export class MethodsManager {
     }
     
     
+    /**
+    * Gets the methods published by introspection
+    * @param {{includePrivate?: boolean, includeInternal?: boolean}} [options={}] Also include private or internal methods
+    * @returns {Method[]}
+    */
+    getListedMethods = (options = {}) => {
+        return Array.from(this._methods.values())
+        .filter(method => (options.includePrivate || !method.options.private)
+        && (options.includeInternal || !method.options.internal));
+    }
+    
+    
     /**
     * Gets methods by namespace
     * @param {string} namespace Namespace to filter by
@@ -0,0 +1,77 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+describe('Method middleware', () => {
+    test('runs node middleware, then method middleware, around the handler', async () => {
+        const server = new NetworkNode();
+        const calls = [];
+        server.use(async (context, next) => {
+            calls.push(`node ${context.method}`);
+            await next();
+            calls.push(`node done ${context.result?.success}`);
+        });
+        server.method('users:get', context => {
+            calls.push('handler');
+            context.success({ id: 1 });
+        }, {
+            middleware: [async (context, next) => { calls.push('method'); await next(); }]
+        });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        expect(await pair.b.request('users:get', {})).toEqual({ id: 1 });
+        expect(calls).toEqual(['node users:get', 'method', 'handler', 'node done true']);
+    });
+
+    test('short-circuits the methods matching a pattern until removed', async () => {
+        const server = new NetworkNode();
+        server.method('admin:reset', context => context.success('reset'));
+        server.method('users:list', context => context.success([]));
+        const guard = server.use('admin:*', context => context.error('UNAUTHORIZED', 'Admin access required'));
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        await expect(Promise.resolve(pair.b.request('admin:reset', {}))).rejects.toThrow('Admin access required');
+        expect(await pair.b.request('users:list', {})).toEqual([]);
+
+        guard.off();
+        expect(await pair.b.request('admin:reset', {})).toBe('reset');
+    });
+});
+
+describe('Payload schemas', () => {
+    test('rejects invalid payloads before the handler runs', async () => {
+        const server = new NetworkNode();
+        let runs = 0;
+        server.method('users:create', context => {
+            runs++;
+            context.success({ created: true });
+        }, {
+            schema: { type: 'object', required: ['email'], properties: { email: { type: 'string' } } }
+        });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const invalid = pair.b.request('users:create', { email: 42 });
+        await expect(Promise.resolve(invalid)).rejects.toThrow('Invalid method payload');
+
+        expect(invalid.error).toMatchObject({
+            code: 'VALIDATION_ERROR',
+            details: { errors: [{ path: '/email', keyword: 'type' }] }
+        });
+        expect(runs).toBe(0);
+        expect(await pair.b.request('users:create', { email: 'a@b.c' })).toEqual({ created: true });
+    });
+
+    test('publishes JSON schemas with the method description', async () => {
+        const server = new NetworkNode();
+        const schema = { type: 'object', properties: { id: { type: 'integer' } } };
+        server.method('users:get', context => context.success({}), { schema });
+        server.method('users:list', context => context.success([]), {
+            schema: { '~standard': { version: 1, vendor: 'test', validate: value => ({ value }) } }
+        });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const { methods } = await pair.b.request('system:describe', null);
+
+        expect(methods.map(method => [method.name, method.schema])).toEqual([['users:get', schema], ['users:list', null]]);
+    });
+});
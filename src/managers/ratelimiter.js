@@ -0,0 +1,146 @@
+import { TokenBucket } from "../utils";
+
+/**
+* @typedef {Object} RateLimiterOptions
+* @property {import('../utils/ratelimit').RateLimit} [global] Limit shared by every request of the node
+* @property {import('../utils/ratelimit').RateLimit} [starling] Limit of each starling
+*/
+
+/**
+* Limit of a method, for each starling unless `perStarling` is false
+* @typedef {import('../utils/ratelimit').RateLimit & {perStarling?: boolean}} MethodRateLimit
+*/
+
+/**
+* @typedef {Object} RateLimitDecision
+* @property {boolean} allowed Whether the request may run
+* @property {'global'|'starling'|'method'} [scope] Exhausted limit
+* @property {number} [retryAfter] Delay in ms before the request may be sent again
+*/
+
+/**
+* Token-bucket limits applied to inbound requests: for the whole node, per starling, and per method.
+* A request consumes a token from each applicable bucket, only when all of them have one.
+*/
+export class RateLimiter {
+
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {RateLimiterOptions} [options={}] Node limits
+    */
+    constructor(events, options = {}) {
+        /** @private */
+        this._events = events;
+
+        /** @private */
+        this._options = options;
+
+        /** @private */
+        this._global = options.global ? new TokenBucket(options.global) : null;
+
+        /**
+        * @type {WeakMap<import('../core/starling').BaseStarling, TokenBucket>}
+        * @private
+        */
+        this._starlings = new WeakMap();
+
+        /**
+        * Method buckets shared by every starling, by method
+        * @type {Map<string, TokenBucket>}
+        * @private
+        */
+        this._methods = new Map();
+
+        /**
+        * Method buckets of each starling, by method
+        * @type {WeakMap<import('../core/starling').BaseStarling, Map<string, TokenBucket>>}
+        * @private
+        */
+        this._starlingMethods = new WeakMap();
+    }
+
+
+    /**
+    * Checks the limits of a request, and consumes its tokens when allowed
+    * @param {import('../core/starling').BaseStarling} starling Calling starling
+    * @param {import('../core/method').Method} method Called method
+    * @returns {RateLimitDecision}
+    */
+    check = (starling, method) => {
+        const buckets = [
+            ['global', this._global],
+            ['starling', this._starlingBucket(starling)],
+            ['method', this._methodBucket(starling, method)]
+        ].filter(([, bucket]) => bucket);
+
+        let blocked = null;
+        for (const [scope, bucket] of buckets) {
+            const wait = bucket.wait();
+            if (wait > 0 && (!blocked || wait > blocked.retryAfter)) {
+                blocked = { scope, retryAfter: Math.ceil(wait) };
+            }
+        }
+
+        if (blocked) {
+            this._events.emit('request:rate_limited', {
+                starling,
+                method: method.name,
+                ...blocked,
+                debug: {
+                    type: 'warning',
+                    message: `Request to ${method.name} rate limited (${blocked.scope} limit), retry after ${blocked.retryAfter}ms`
+                }
+            });
+            return { allowed: false, ...blocked };
+        }
+
+        buckets.forEach(([, bucket]) => bucket.take());
+        return { allowed: true };
+    }
+
+
+    /**
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    * @returns {TokenBucket|null}
+    */
+    _starlingBucket(starling) {
+        if (!this._options.starling) return null;
+
+        let bucket = this._starlings.get(starling);
+        if (!bucket) {
+            bucket = new TokenBucket(this._options.starling);
+            this._starlings.set(starling, bucket);
+        }
+        return bucket;
+    }
+
+
+    /**
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    * @param {import('../core/method').Method} method
+    * @returns {TokenBucket|null}
+    */
+    _methodBucket(starling, method) {
+        /** @type {MethodRateLimit} */
+        const limit = method.options.rateLimit;
+        if (!limit) return null;
+
+        let buckets = this._methods;
+        if (limit.perStarling !== false) {
+            buckets = this._starlingMethods.get(starling);
+            if (!buckets) {
+                buckets = new Map();
+                this._starlingMethods.set(starling, buckets);
+            }
+        }
+
+        let bucket = buckets.get(method.name);
+        if (!bucket) {
+            bucket = new TokenBucket(limit);
+            buckets.set(method.name, bucket);
+        }
+        return bucket;
+    }
+}
@@ -0,0 +1,64 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+/**
+* Server node exposing `search`, limited to one request per 50ms for each starling
+*/
+const createSearchNode = (options = {}) => {
+    const node = new NetworkNode({}, options);
+    node.runs = [];
+    node.method('search:run', context => {
+        node.runs.push(Date.now());
+        context.success({ results: [] });
+    }, { rateLimit: { limit: 1, interval: 50 } });
+    node.method('search:status', context => context.success('ok'));
+    return node;
+};
+
+describe('Rate limiting', () => {
+    test('defers the requests over a method limit until the peer accepts them again', async () => {
+        const server = createSearchNode();
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const limited = [];
+        const deferred = [];
+        server.events.on('request:rate_limited', ({ data }) => limited.push(data.scope));
+        pair.b.events.on('request:deferred', ({ data }) => deferred.push(data.method));
+
+        const results = await Promise.all([
+            pair.b.request('search:run', {}),
+            pair.b.request('search:run', {})
+        ]);
+
+        expect(results).toEqual([{ results: [] }, { results: [] }]);
+        expect(limited).toEqual(['method']);
+        expect(deferred).toEqual(['search:run']);
+        expect(server.runs[1] - server.runs[0]).toBeGreaterThanOrEqual(40);
+    });
+
+    test('keeps the limits of each starling apart', async () => {
+        const server = createSearchNode();
+        const alice = createLoopbackPair(server, new NetworkNode());
+        const bob = createLoopbackPair(server, new NetworkNode());
+        const deferred = [];
+        alice.b.events.on('request:deferred', () => deferred.push('alice'));
+        bob.b.events.on('request:deferred', () => deferred.push('bob'));
+
+        await Promise.all([alice.b.request('search:run', {}), bob.b.request('search:run', {})]);
+
+        expect(deferred).toEqual([]);
+        expect(server.runs).toHaveLength(2);
+    });
+
+    test('limits every method of a starling with the starling limit', async () => {
+        const server = createSearchNode({ rateLimit: { starling: { limit: 1, interval: 50 } } });
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const limited = [];
+        server.events.on('request:rate_limited', ({ data }) => limited.push(`${data.scope} ${data.method}`));
+
+        await pair.b.request('search:run', {});
+        expect(await pair.b.request('search:status', {})).toBe('ok');
+
+        expect(limited).toEqual(['starling search:status']);
+    });
+});
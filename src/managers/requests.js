@@ -1,10 +1,19 @@
 import { Request } from '../core/request';
 import { RequestQueue } from '../core/queue';
+import { ResponseContext } from '../core/context';
+import { CircuitBreaker } from '../core/circuit';
+import { CommonErrors, MessageType } from '../constants';
+import { matchMethod } from '../utils';
 
 /**
  * @typedef {Object} RequestManagerOptions
  * @property {import('../core/queue').QueueOptions} [queue={}] Queue configuration options
  * @property {number} [timeout=30000] Request timeout in ms
+ * @property {boolean} [resume=false] Resume the session after each reconnection (`system:session`): responses
+ * missed while disconnected are recovered and requests the peer never received are sent again
+ * @property {import('../core/request').RetryPolicy} [retry] Default retry policy of idempotent requests
+ * @property {import('../core/circuit').CircuitBreakerOptions} [circuitBreaker] Circuit breaker per method, failing fast while a method keeps failing
+ * @property {string[]} [idempotent=[]] Patterns of the methods safe to retry (e.g. `users:get`, `catalog:*`), for requests that do not set `idempotent`
  */
 
 /**
@@ -28,12 +37,41 @@ export class RequestsManager {
     this._options = {
       queue: {},
       timeout: 30000,
-      ...options
+      resume: false,
+      retry: {},
+      idempotent: [],
+      ...options,
+      circuitBreaker: {
+        enabled: false,
+        ...options.circuitBreaker
+      }
     }
     
+    /**
+    * Circuit breakers, by method
+    * @type {Map<string, CircuitBreaker>}
+    * @private
+    */
+    this._circuits = new Map();
+    
+    /**
+    * Session issued by the peer, sent back to resume it
+    * @type {{id: string, token: string}|null}
+    * @private
+    */
+    this._session = null;
+    
+    const own = event => !event.data?.starling || event.data.starling === this._starling;
+    
+    // Registered before the queue so that the session request goes out before queued ones
+    this._starling.events.on('starling:connected', event => own(event) && this._options.resume && this._resume());
+    
     /** @private */
     this._queue = new RequestQueue(starling, this, this._options.queue);
     
+    // Requests dropped by a full buffer will never reach the peer: fail them now rather than on timeout
+    this._starling.events.on('buffer:overflow', event => own(event) && this._failDropped(event.data.messages || []));
+    
     /**
     * Map for tracking active requests
     * @type {Map<string, Request>}
@@ -65,9 +103,75 @@ export class RequestsManager {
   */
   execute = (starling, method, payload, options = {}) => {    
     // Create new request
-    const request = new Request(starling, method, payload, options)
+    const request = new Request(starling, method, payload, {
+      ...options,
+      retry: options.retry === false ? false : {
+        ...this._options.retry,
+        ...(typeof options.retry === 'object' ? options.retry : {})
+      },
+      // Requests carrying an idempotency key are deduplicated by the peer, hence safe to retry
+      idempotent: options.idempotent ?? (!!options.idempotencyKey || this._options.idempotent.some(pattern => matchMethod(pattern, method)))
+    });
+    this._track(request);
+    
+    const circuit = this._getCircuit(method);
+    if (circuit && !circuit.allow()) {
+      request.handleError({
+        code: CommonErrors.CIRCUIT_OPEN,
+        message: `Circuit open for method ${method}, failing fast`,
+        details: circuit.stats
+      });
+      return request;
+    }
+    if (circuit) {
+      request._promise.then(() => circuit.record(null), () => circuit.record(request.error));
+    }
+    
+    // Queue the request
+    this._queue.add(request);
+    
+    // Emit debug event
+    this._emitEvent('request:queued', {
+      starling,
+      requestId: request.id,
+      method: request._method
+    });
+    
+    return request;
+  }
+  
+  /**
+  * Gets the circuit breaker of a method, if enabled
+  * @private
+  * @param {string} method
+  * @returns {CircuitBreaker|null}
+  */
+  _getCircuit(method) {
+    const { enabled, ...options } = this._options.circuitBreaker;
+    if (!enabled) return null;
+    
+    let circuit = this._circuits.get(method);
+    if (!circuit) {
+      circuit = new CircuitBreaker(options, (state, previous) => {
+        const event = { open: 'circuit:opened', closed: 'circuit:closed', 'half-open': 'circuit:half_open' }[state];
+        this._emitEvent(event, {
+          starling: this._starling,
+          method,
+          previous,
+          ...circuit.stats
+        });
+      });
+      this._circuits.set(method, circuit);
+    }
+    return circuit;
+  }
   
-    // Track request
+  /**
+  * Tracks a request until it settles
+  * @private
+  * @param {Request} request
+  */
+  _track(request) {
     this._activeRequests.set(request.id, request);
     
     // Setup automatic cleanup
@@ -83,18 +187,82 @@ export class RequestsManager {
         });
       }
     }).catch(e => {});
+  }
+  
+  /**
+  * Fails the requests the buffer dropped to make room
+  * @private
+  * @param {Array<Object|string|ArrayBuffer|Uint8Array>} messages Dropped messages
+  */
+  _failDropped(messages) {
+    for (const message of messages) {
+      if (message?.type !== MessageType.REQUEST) continue;
+      const request = this._activeRequests.get(message.requestId);
+      if (!request || request._settled) continue;
+      
+      request._sent = false;
+      request.handleError({
+        code: CommonErrors.BUFFER_FULL,
+        message: `Request ${message.requestId} was dropped by the full message buffer`
+      });
+    }
+  }
+  
+  /**
+  * Opens or resumes the session once connected. The session request skips the queue: on resumption,
+  * missed responses are handled and the requests the peer never received are sent again.
+  * @private
+  */
+  async _resume() {
+    // Requests the queue sends again itself, or still in the outbound buffer, are not the peer's concern
+    const pending = this._queue.requests('awaiting').map(request => request.id);
     
-    // Queue the request
-    this._queue.add(request);
+    const request = new Request(this._starling, 'system:session', {
+      session: this._session?.id,
+      token: this._session?.token,
+      pending
+    }, { timeout: this._options.timeout });
+    this._track(request);
     
-    // Emit debug event
-    this._emitEvent('request:queued', {
-      starling,
-      requestId: request.id,
-      method: request._method
-    });
-    
-    return request;
+    try {
+      const { session, token, resumed, responses = [], running = [], unknown = [] } = await request.execute();
+      this._session = { id: session, token };
+      
+      if (resumed) {
+        for (const response of responses) {
+          if (this._activeRequests.get(response.requestId)?._settled !== false) continue;
+          await this.handleResponse(this._starling, new ResponseContext(this._starling, {
+            data: response.data || null,
+            success: response.success || false,
+            error: response.error || null
+          }, {
+            requestId: response.requestId,
+            timestamp: response.timestamp,
+            metadata: response.metadata,
+            peer: response.peer || null
+          }));
+        }
+        for (const requestId of unknown) {
+          this._activeRequests.get(requestId)?.resend();
+        }
+      }
+      
+      this._emitEvent(resumed ? 'session:resumed' : 'session:opened', {
+        starling: this._starling,
+        session,
+        recovered: resumed ? responses.length : 0,
+        running: running.length,
+        resent: unknown.length,
+        // Requests sent on a session the peer does not know anymore, left to their timeout
+        lost: resumed ? 0 : pending.length
+      });
+    } catch (error) {
+      this._emitEvent('session:error', {
+        starling: this._starling,
+        session: this._session?.id ?? null,
+        error
+      });
+    }
   }
   
   /**
@@ -110,6 +278,19 @@ export class RequestsManager {
       return;
     }
     
+    // The peer asked to slow down: the request waits in the queue instead of failing
+    if (!context.success && context.error?.code === CommonErrors.RATE_LIMITED) {
+      const retryAfter = context.error.details?.retryAfter;
+      this._queue.defer(request, retryAfter);
+      this._emitEvent('request:deferred', {
+        starling,
+        requestId: request.id,
+        method: request.method,
+        retryAfter
+      });
+      return;
+    }
+    
     // Process response
     if (context.success) {
       request.handleResponse(context);
@@ -271,8 +452,22 @@ export class RequestsManager {
       return `Late response received for request ${data.requestId} (+${data.responseDelay}ms)`;
       case 'request:unknown_response':
       return `Response received for unknown request ${data.requestId}`;
+      case 'request:deferred':
+      return `Request ${data.requestId} rate limited by the peer, ${data.method} paused for ${data.retryAfter ?? 1000}ms`;
       case 'requests:cancelled':
       return `All requests cancelled: ${data.reason}`;
+      case 'circuit:opened':
+      return `Circuit opened for method ${data.method} (${Math.round(data.failureRate * 100)}% of ${data.requests} requests failed)`;
+      case 'circuit:half_open':
+      return `Circuit half-open for method ${data.method}, letting trial requests through`;
+      case 'circuit:closed':
+      return `Circuit closed for method ${data.method}`;
+      case 'session:opened':
+      return `Session ${data.session} opened${data.lost ? ` (${data.lost} pending request(s) lost)` : ''}`;
+      case 'session:resumed':
+      return `Session ${data.session} resumed: ${data.recovered} response(s) recovered, ${data.running} running, ${data.resent} resent`;
+      case 'session:error':
+      return `Failed to ${data.session ? `resume session ${data.session}` : 'open a session'}: ${data.error?.message}`;
       case 'queue:size_changed':
       return `Queue size changed from ${data.previousSize} to ${data.currentSize}`;
       default:
@@ -288,6 +483,14 @@ export class RequestsManager {
     this.cancelAll('Manager disposed');
   }
   
+  /**
+  * Session ID issued by the peer, null until a session is opened
+  * @type {string|null}
+  */
+  get sessionId() {
+    return this._session?.id ?? null;
+  }
+  
   /**
   * Number of active requests
   */
@@ -303,6 +506,7 @@ export class RequestsManager {
       active: this.activeCount,
       expired: this._expiredRequests.size,
       queue: this._queue.stats,
+      circuits: Object.fromEntries(Array.from(this._circuits, ([method, circuit]) => [method, circuit.stats])),
       // memory: process.memoryUsage(),
       // uptime: process.uptime()
     };
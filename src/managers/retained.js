@@ -0,0 +1,183 @@
+import { matchTopic } from "../utils";
+
+/**
+* @typedef {Object} RetainedOptions
+* @property {number|null} [ttl=null] Default time to live of retained values in ms (null keeps them until cleared)
+* @property {number} [maxTopics=10000] Maximum number of retained topics, the oldest values are evicted first
+* @property {boolean|string[]|function(string, import('../core/starling').BaseStarling): boolean} [acceptRemote=false]
+* Whether peers may retain values with `notify(..., { retain: true })`: every topic, the topics matching a list
+* of patterns, or those a predicate accepts for a given peer. Off by default, only the node retains values.
+*/
+
+/**
+* @typedef {Object} RetainedValue
+* @property {string} topic Topic
+* @property {*} data Last value
+* @property {number} retainedAt Retention timestamp
+* @property {number|null} expiresAt Expiration timestamp, or null
+*/
+
+/**
+* Last value per topic, delivered to new subscribers of matching patterns (as MQTT retained messages)
+*/
+export class RetainedManager {
+
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {RetainedOptions} [options={}] Store options
+    */
+    constructor(events, options = {}) {
+        /** @private */
+        this._events = events;
+
+        /** @private */
+        this._options = {
+            ttl: null,
+            maxTopics: 10000,
+            acceptRemote: false,
+            ...options
+        };
+
+        /**
+        * Retained values by topic, in retention order
+        * @type {Map<string, RetainedValue>}
+        * @private
+        */
+        this._values = new Map();
+    }
+
+
+    /**
+    * Keeps a value as the last value of a topic
+    * @param {string} topic Concrete topic
+    * @param {*} data Value
+    * @param {{ttl?: number|null}} [options={}] Overrides the default time to live
+    * @returns {RetainedValue}
+    */
+    set = (topic, data, options = {}) => {
+        const ttl = options.ttl !== undefined ? options.ttl : this._options.ttl;
+        const now = Date.now();
+
+        // Re-insert so that the map stays in retention order
+        this._values.delete(topic);
+        const value = {
+            topic,
+            data,
+            retainedAt: now,
+            expiresAt: ttl ? now + ttl : null
+        };
+        this._values.set(topic, value);
+
+        while (this._values.size > this._options.maxTopics) {
+            this._values.delete(this._values.keys().next().value);
+        }
+
+        this._events.emit('topic:retained', {
+            topic,
+            ttl,
+            debug: {
+                type: 'info',
+                message: `Retained last value of ${topic}${ttl ? ` for ${ttl}ms` : ''}`
+            }
+        });
+
+        return value;
+    }
+
+
+    /**
+    * Checks whether a peer may retain a value on a topic
+    * @param {string} topic Concrete topic
+    * @param {import('../core/starling').BaseStarling} starling Peer asking to retain the value
+    * @returns {boolean}
+    */
+    accepts = (topic, starling) => {
+        const { acceptRemote } = this._options;
+        if (typeof acceptRemote === 'function') return !!acceptRemote(topic, starling);
+        if (Array.isArray(acceptRemote)) return acceptRemote.some(pattern => matchTopic(pattern, topic));
+        return acceptRemote === true;
+    }
+
+
+    /**
+    * Gets the last value of a topic
+    * @param {string} topic Concrete topic
+    * @returns {RetainedValue|undefined}
+    */
+    get = (topic) => {
+        this._prune();
+        return this._values.get(topic);
+    }
+
+
+    /**
+    * Gets the retained values whose topic matches a pattern
+    * @param {string} pattern Topic pattern
+    * @returns {RetainedValue[]}
+    */
+    match = (pattern) => {
+        this._prune();
+        return Array.from(this._values.values()).filter(value => matchTopic(pattern, value.topic));
+    }
+
+
+    /**
+    * Clears retained values
+    * @param {string} [pattern='**'] Topic or topic pattern to clear (every topic by default)
+    * @returns {number} Number of values cleared
+    */
+    clear = (pattern = '**') => {
+        let cleared = 0;
+        for (const topic of [...this._values.keys()]) {
+            if (matchTopic(pattern, topic)) {
+                this._values.delete(topic);
+                cleared++;
+            }
+        }
+
+        if (cleared > 0) {
+            this._events.emit('topic:retained_cleared', {
+                topic: pattern,
+                cleared,
+                debug: {
+                    type: 'info',
+                    message: `Cleared ${cleared} retained value(s) matching ${pattern}`
+                }
+            });
+        }
+        return cleared;
+    }
+
+
+    /**
+    * Drops expired values
+    * @private
+    */
+    _prune() {
+        const now = Date.now();
+        for (const [topic, value] of this._values) {
+            if (value.expiresAt !== null && value.expiresAt <= now) {
+                this._values.delete(topic);
+            }
+        }
+    }
+
+
+    /**
+    * Topics with a retained value
+    * @type {string[]}
+    */
+    get topics() {
+        this._prune();
+        return Array.from(this._values.keys());
+    }
+
+    /**
+    * Number of retained values
+    * @type {number}
+    */
+    get size() {
+        this._prune();
+        return this._values.size;
+    }
+}
@@ -0,0 +1,70 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Subscribes the client of a pair and collects what it receives
+*/
+const collect = async (pair, pattern) => {
+    const received = [];
+    await pair.b.subscribe(pattern, context => received.push({ topic: context.topic, data: context.data, retained: context.retained }));
+    await sleep(10);
+    return received;
+};
+
+describe('Retained values', () => {
+    test('delivers the last value of matching topics to new subscribers', async () => {
+        const server = new NetworkNode();
+        server.publish('devices:d1:status', { online: true }, { retain: true });
+        server.publish('devices:d1:status', { online: false }, { retain: true });
+        server.publish('devices:d2:status', { online: true });
+        const pair = createLoopbackPair(server, new NetworkNode());
+
+        const received = await collect(pair, 'devices:*:status');
+        server.publish('devices:d2:status', { online: false });
+        await sleep(10);
+
+        expect(received).toEqual([
+            { topic: 'devices:d1:status', data: { online: false }, retained: true },
+            { topic: 'devices:d2:status', data: { online: false }, retained: false }
+        ]);
+    });
+
+    test('drops values once their time to live is over', async () => {
+        const server = new NetworkNode({}, { retained: { ttl: 10 } });
+        server.publish('devices:d1:status', { online: true }, { retain: true });
+        await sleep(20);
+
+        expect(server.retained.get('devices:d1:status')).toBeUndefined();
+        expect(await collect(createLoopbackPair(server, new NetworkNode()), 'devices:*:status')).toEqual([]);
+    });
+
+    test('retains the values peers notify with the options in third position', async () => {
+        const server = new NetworkNode({}, { retained: { acceptRemote: ['devices:*:status'] } });
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const refused = [];
+        pair.a.events.on('topic:retain_refused', ({ data }) => refused.push(data.topic));
+
+        await pair.b.notify('devices:d1:status', { online: true }, { retain: true });
+        await pair.b.notify('devices:d1:battery', { level: 12 }, { retain: true });
+        await sleep(10);
+
+        expect(server.retained.topics).toEqual(['devices:d1:status']);
+        expect(refused).toEqual(['devices:d1:battery']);
+    });
+
+    test('refuses values from peers by default', async () => {
+        const server = new NetworkNode();
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const refused = [];
+        pair.a.events.on('topic:retain_refused', ({ data }) => refused.push(data.topic));
+
+        await pair.b.notify('devices:d1:status', { online: true }, null, { retain: true });
+        await sleep(10);
+
+        expect(server.retained.size).toBe(0);
+        expect(refused).toEqual(['devices:d1:status']);
+    });
+});
@@ -0,0 +1,279 @@
+import { CommonErrors } from "../constants";
+
+/**
+* @typedef {Object} SessionsOptions
+* @property {number} [window=60000] Time in ms a disconnected session stays resumable, and a response stays replayable
+* @property {number} [maxResponses=1000] Responses kept per session for replay, the oldest are dropped first
+*/
+
+/**
+* @typedef {Object} Session
+* @property {string} id Session ID, issued by the node
+* @property {string} token Secret issued with the session, required to resume it
+* @property {import('../core/starling').BaseStarling} starling Latest connection of the session
+* @property {Map<string, {message: Object, sentAt: number}>} responses Responses sent during the window, by request ID
+* @property {number} openedAt Opening timestamp
+* @property {number|null} disconnectedAt Disconnection timestamp, null while connected
+*/
+
+/**
+* @typedef {Object} SessionRecovery
+* @property {Object[]} responses Response messages the peer missed
+* @property {string[]} running Requests still executing: their response goes out through the new connection
+* @property {string[]} unknown Requests never received, to be sent again
+*/
+
+/**
+* Resumable peer sessions (`system:session`). A session outlives its connection for a while:
+* responses sent meanwhile are kept by request ID, and a peer reconnecting with the same session
+* gets the responses it missed while the requests still executing move to its new connection.
+* Session IDs and tokens are issued by the node: only the peer that opened a session can resume it.
+*/
+export class SessionsManager {
+
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {SessionsOptions} [options={}] Sessions options
+    */
+    constructor(events, options = {}) {
+        /** @private */
+        this._events = events;
+
+        /** @private */
+        this._options = {
+            window: 60000,
+            maxResponses: 1000,
+            ...options
+        };
+
+        /**
+        * @type {Map<string, Session>}
+        * @private
+        */
+        this._sessions = new Map();
+
+        /**
+        * Session of each connection, with its disconnection listener
+        * @type {Map<import('../core/starling').BaseStarling, {session: Session, listener: {off: function(): void}}>}
+        * @private
+        */
+        this._byStarling = new Map();
+    }
+
+
+    /**
+    * Resumes the session of a starling when its ID and token match a disconnected session, opens a new one otherwise
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {{id?: string, token?: string}} [credentials={}] Session to resume, as issued when it was opened
+    * @returns {{session: Session, resumed: boolean}}
+    * @throws {{code: string, message: string}} When the session is still connected through another starling
+    */
+    open = (starling, credentials = {}) => {
+        this._prune();
+
+        let session = this._sessions.get(credentials.id);
+        if (session && session.token !== credentials.token) {
+            // Unknown to this peer: it gets a session of its own
+            session = undefined;
+        }
+        if (session && session.disconnectedAt === null && session.starling !== starling) {
+            throw {
+                code: CommonErrors.SESSION_ACTIVE,
+                message: `Session ${session.id} is still connected`
+            };
+        }
+        const resumed = !!session;
+
+        if (!session) {
+            session = {
+                id: crypto.randomUUID(),
+                token: crypto.randomUUID(),
+                starling,
+                responses: new Map(),
+                openedAt: Date.now(),
+                disconnectedAt: null
+            };
+            this._sessions.set(session.id, session);
+        } else if (session.starling !== starling) {
+            this._transfer(session.starling, starling);
+            this._release(session.starling);
+            session.starling = starling;
+        }
+        session.disconnectedAt = null;
+
+        if (this._byStarling.get(starling)?.session !== session) {
+            this._release(starling);
+
+            const listener = starling.events.on('starling:disconnected', event => {
+                if (event.data?.starling && event.data.starling !== starling) return;
+                if (session.starling === starling) {
+                    session.disconnectedAt = Date.now();
+                }
+            });
+            this._byStarling.set(starling, { session, listener });
+        }
+
+        this._events.emit(resumed ? 'session:resumed' : 'session:opened', {
+            starling,
+            session: session.id,
+            debug: {
+                type: 'info',
+                message: `Session ${session.id} ${resumed ? 'resumed' : 'opened'}`
+            }
+        });
+
+        return { session, resumed };
+    }
+
+
+    /**
+    * Keeps a response sent to a starling, when it belongs to a session
+    * @param {import('../core/starling').BaseStarling} starling Starling the response is sent to
+    * @param {string} requestId Request ID
+    * @param {Object} message Response message
+    * @returns {boolean} Whether the response was kept
+    */
+    record = (starling, requestId, message) => {
+        const session = this._byStarling.get(starling)?.session;
+        if (!session || !requestId) return false;
+
+        this._pruneResponses(session);
+        session.responses.set(requestId, { message, sentAt: Date.now() });
+        if (session.responses.size > this._options.maxResponses) {
+            session.responses.delete(session.responses.keys().next().value);
+        }
+        return true;
+    }
+
+
+    /**
+    * Sorts out the requests a reconnecting peer is still waiting for
+    * @param {Session} session Resumed session
+    * @param {string[]} requestIds Requests sent by the peer and not answered
+    * @returns {SessionRecovery}
+    */
+    recover = (session, requestIds) => {
+        this._pruneResponses(session);
+
+        const recovery = { responses: [], running: [], unknown: [] };
+        for (const requestId of requestIds) {
+            const response = session.responses.get(requestId);
+            if (response) {
+                recovery.responses.push(response.message);
+            } else if (session.starling._incomingRequests?.has(requestId)) {
+                recovery.running.push(requestId);
+            } else {
+                recovery.unknown.push(requestId);
+            }
+        }
+        return recovery;
+    }
+
+
+    /**
+    * Gets a session
+    * @param {string} id Session ID
+    * @returns {Session|undefined}
+    */
+    get = (id) => {
+        this._prune();
+        return this._sessions.get(id);
+    }
+
+
+    /**
+    * Gets the session of a connection
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @returns {Session|undefined}
+    */
+    of = (starling) => {
+        return this._byStarling.get(starling)?.session;
+    }
+
+
+    /**
+    * Ends a session: it can no longer be resumed
+    * @param {string} id Session ID
+    * @returns {boolean} Whether the session existed
+    */
+    close = (id) => {
+        const session = this._sessions.get(id);
+        if (!session) return false;
+
+        this._sessions.delete(id);
+        this._release(session.starling);
+
+        this._events.emit('session:closed', {
+            starling: session.starling,
+            session: id,
+            debug: {
+                type: 'info',
+                message: `Session ${id} closed`
+            }
+        });
+        return true;
+    }
+
+
+    /**
+    * Moves the requests executing on the previous connection to the new one
+    * @private
+    * @param {import('../core/starling').BaseStarling} from
+    * @param {import('../core/starling').BaseStarling} to
+    */
+    _transfer(from, to) {
+        for (const [requestId, context] of from._incomingRequests || []) {
+            context._rebind(to);
+            to._incomingRequests?.set(requestId, context);
+        }
+        from._incomingRequests?.clear();
+    }
+
+
+    /**
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    */
+    _release(starling) {
+        this._byStarling.get(starling)?.listener.off();
+        this._byStarling.delete(starling);
+    }
+
+
+    /**
+    * Drops the sessions disconnected for longer than the window
+    * @private
+    */
+    _prune() {
+        const oldest = Date.now() - this._options.window;
+        for (const session of [...this._sessions.values()]) {
+            if (session.disconnectedAt !== null && session.disconnectedAt < oldest) {
+                this.close(session.id);
+            }
+        }
+    }
+
+
+    /**
+    * Drops the responses sent before the window
+    * @private
+    * @param {Session} session
+    */
+    _pruneResponses(session) {
+        const oldest = Date.now() - this._options.window;
+        for (const [requestId, { sentAt }] of session.responses) {
+            if (sentAt >= oldest) break;
+            session.responses.delete(requestId);
+        }
+    }
+
+
+    /**
+    * Number of resumable sessions
+    * @type {number}
+    */
+    get size() {
+        this._prune();
+        return this._sessions.size;
+    }
+}
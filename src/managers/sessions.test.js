@@ -0,0 +1,115 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Waits for the next event of a starling
+*/
+const next = (starling, event) => new Promise(resolve => {
+    const listener = starling.events.on(event, ({ data }) => {
+        listener.off();
+        resolve(data);
+    });
+});
+
+describe('Session resumption', () => {
+    test('recovers the responses sent while disconnected', async () => {
+        const server = new NetworkNode({}, { sessions: { window: 1000 } });
+        let runs = 0;
+        server.method('reports:generate', async context => {
+            runs++;
+            await sleep(30);
+            context.success('report');
+        });
+        const pair = createLoopbackPair(server, new NetworkNode(), { starling: { requests: { resume: true } } });
+        const opened = await next(pair.b, 'session:opened');
+
+        const report = pair.b.request('reports:generate', null, { timeout: 1000 });
+        await sleep(10);
+        pair.disconnect();
+        // The response goes out while the starling is away
+        await sleep(40);
+
+        const resumed = next(pair.b, 'session:resumed');
+        pair.reconnect();
+
+        expect(await resumed).toMatchObject({ session: opened.session, recovered: 1, running: 0, resent: 0 });
+        expect(await report).toBe('report');
+        expect(runs).toBe(1);
+        expect(server.sessions.size).toBe(1);
+    });
+
+    test('answers the requests still running through the new connection', async () => {
+        const server = new NetworkNode({}, { sessions: { window: 1000 } });
+        server.method('reports:generate', async context => {
+            await sleep(40);
+            context.success('report');
+        });
+        const pair = createLoopbackPair(server, new NetworkNode(), { starling: { requests: { resume: true } } });
+        await next(pair.b, 'session:opened');
+
+        const report = pair.b.request('reports:generate', null, { timeout: 1000 });
+        await sleep(10);
+        pair.disconnect();
+
+        const resumed = next(pair.b, 'session:resumed');
+        pair.reconnect();
+
+        expect(await resumed).toMatchObject({ recovered: 0, running: 1, resent: 0 });
+        expect(await report).toBe('report');
+    });
+
+    test('sends again the requests the peer never received', async () => {
+        const server = new NetworkNode({}, { sessions: { window: 1000 } });
+        let runs = 0;
+        server.method('reports:generate', context => {
+            runs++;
+            context.success('report');
+        });
+        const pair = createLoopbackPair(server, new NetworkNode(), { latency: 10, starling: { requests: { resume: true } } });
+        await next(pair.b, 'session:opened');
+
+        // Not idempotent: the queue leaves it to the session
+        const report = pair.b.request('reports:generate', null, { timeout: 1000 });
+        await sleep(2);
+        pair.disconnect();
+
+        const resumed = next(pair.b, 'session:resumed');
+        pair.reconnect();
+
+        expect(await resumed).toMatchObject({ recovered: 0, resent: 1 });
+        expect(await report).toBe('report');
+        expect(runs).toBe(1);
+    });
+
+    test('refuses to resume a session that is still connected', async () => {
+        const server = new NetworkNode();
+        const owner = createLoopbackPair(server, new NetworkNode(), { starling: { requests: { resume: true } } });
+        const { session } = await next(owner.b, 'session:opened');
+
+        const intruder = createLoopbackPair(server, new NetworkNode(), { connected: false, starling: { requests: { resume: true } } });
+        intruder.b._requests._session = { ...owner.b._requests._session };
+        const failed = next(intruder.b, 'session:error');
+        intruder.reconnect();
+
+        expect((await failed).error.cause.error.code).toBe('SESSION_ACTIVE');
+        expect(server.sessions.of(owner.a)?.id).toBe(session);
+    });
+
+    test('opens a new session for an unknown token', async () => {
+        const server = new NetworkNode();
+        const first = createLoopbackPair(server, new NetworkNode(), { starling: { requests: { resume: true } } });
+        const { session } = await next(first.b, 'session:opened');
+        first.disconnect();
+
+        const second = createLoopbackPair(server, new NetworkNode(), { connected: false, starling: { requests: { resume: true } } });
+        second.b._requests._session = { id: session, token: 'forged' };
+        const opened = next(second.b, 'session:opened');
+        second.reconnect();
+
+        expect((await opened).session).not.toBe(session);
+        expect(server.sessions.size).toBe(2);
+    });
+});
@@ -0,0 +1,205 @@
+import { TopicTrie } from "../utils";
+import { validateTopicPattern } from "../validators";
+
+/**
+* @typedef {Object} RemoteSubscription
+* @property {import('../core/starling').BaseStarling} starling Subscribed starling
+* @property {string} pattern Topic pattern
+* @property {number} subscribedAt Subscription timestamp
+*/
+
+/**
+* Subscriptions announced by remote peers (`system:subscribe`), per starling.
+* Patterns share the topic trie used by `TopicsManager`, so a publication only visits
+* the subscriptions that can match it. A starling's subscriptions end with its connection:
+* the peer re-announces the persistent ones with `system:subscriptions:sync` once reconnected.
+*/
+export class SubscriptionsManager {
+
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    */
+    constructor(events) {
+        /** @private */
+        this._events = events;
+
+        /**
+        * Subscriptions by starling, then by pattern
+        * @type {Map<import('../core/starling').BaseStarling, Map<string, RemoteSubscription>>}
+        * @private
+        */
+        this._byStarling = new Map();
+
+        /**
+        * @type {TopicTrie<RemoteSubscription>}
+        * @private
+        */
+        this._index = new TopicTrie();
+
+        /**
+        * Disconnection listeners, by subscribed starling
+        * @type {Map<import('../core/starling').BaseStarling, {off: function(): void}>}
+        * @private
+        */
+        this._sessions = new Map();
+    }
+
+
+    /**
+    * Subscribes a starling to a topic pattern (no-op if already subscribed)
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {string} pattern Topic pattern
+    * @returns {RemoteSubscription}
+    * @throws {Error} If the pattern is invalid
+    */
+    add = (starling, pattern) => {
+        const validation = validateTopicPattern(pattern);
+        if (!validation.valid) {
+            throw new Error(`Invalid topic pattern: ${validation.errors.join(', ')}`);
+        }
+
+        let subscriptions = this._byStarling.get(starling);
+        if (!subscriptions) {
+            subscriptions = new Map();
+            this._byStarling.set(starling, subscriptions);
+            this._watch(starling);
+        }
+
+        if (subscriptions.has(pattern)) {
+            return subscriptions.get(pattern);
+        }
+
+        const subscription = { starling, pattern, subscribedAt: Date.now() };
+        subscriptions.set(pattern, subscription);
+        this._index.add(pattern, subscription);
+
+        this._events.emit('subscription:added', {
+            starling,
+            topic: pattern,
+            debug: {
+                type: 'info',
+                message: `Peer subscribed to ${pattern}`
+            }
+        });
+
+        return subscription;
+    }
+
+
+    /**
+    * Unsubscribes a starling from a topic pattern
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {string} pattern Topic pattern, exactly as subscribed
+    * @returns {boolean} Whether the starling was subscribed
+    */
+    remove = (starling, pattern) => {
+        const subscriptions = this._byStarling.get(starling);
+        const subscription = subscriptions?.get(pattern);
+        if (!subscription) return false;
+
+        subscriptions.delete(pattern);
+        this._index.remove(subscription);
+        if (subscriptions.size === 0) {
+            this._byStarling.delete(starling);
+            this._sessions.get(starling)?.off();
+            this._sessions.delete(starling);
+        }
+
+        this._events.emit('subscription:removed', {
+            starling,
+            topic: pattern,
+            debug: {
+                type: 'info',
+                message: `Peer unsubscribed from ${pattern}`
+            }
+        });
+
+        return true;
+    }
+
+
+    /**
+    * Removes every subscription of a starling
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @returns {string[]} Removed patterns
+    */
+    removeAll = (starling) => {
+        const patterns = this.get(starling);
+        patterns.forEach(pattern => this.remove(starling, pattern));
+        return patterns;
+    }
+
+
+    /**
+    * Replaces the subscriptions of a starling (after a reconnection)
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {string[]} patterns Every pattern the starling must be subscribed to
+    * @returns {string[]} Patterns the starling is now subscribed to
+    * @throws {Error} If a pattern is invalid (the previous subscriptions are then kept)
+    */
+    sync = (starling, patterns) => {
+        const invalid = patterns.find(pattern => !validateTopicPattern(pattern).valid);
+        if (invalid !== undefined) {
+            throw new Error(`Invalid topic pattern: ${invalid}`);
+        }
+
+        for (const pattern of this.get(starling)) {
+            if (!patterns.includes(pattern)) this.remove(starling, pattern);
+        }
+        for (const pattern of patterns) {
+            this.add(starling, pattern);
+        }
+        return this.get(starling);
+    }
+
+
+    /**
+    * Gets the patterns a starling is subscribed to
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @returns {string[]}
+    */
+    get = (starling) => {
+        return Array.from(this._byStarling.get(starling)?.keys() || []);
+    }
+
+
+    /**
+    * Gets the starlings subscribed to a topic, each listed once
+    * @param {string} topic Concrete topic
+    * @returns {import('../core/starling').BaseStarling[]}
+    */
+    match = (topic) => {
+        return [...new Set(this._index.match(topic).map(match => match.value.starling))];
+    }
+
+
+    /**
+    * Drops the subscriptions of a starling when its connection ends
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    */
+    _watch(starling) {
+        const listener = starling.events.on('starling:disconnected', event => {
+            if (event.data?.starling && event.data.starling !== starling) return;
+            this.removeAll(starling);
+        });
+        this._sessions.set(starling, listener);
+    }
+
+
+    /**
+    * Starlings with at least one subscription
+    * @type {import('../core/starling').BaseStarling[]}
+    */
+    get starlings() {
+        return Array.from(this._byStarling.keys());
+    }
+
+    /**
+    * Total number of subscriptions
+    * @type {number}
+    */
+    get size() {
+        return this._index.size;
+    }
+}
@@ -0,0 +1,119 @@
+import { describe, expect, test } from 'bun:test';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from '../testing/loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Subscriptions', () => {
+    test('publishes to the starlings whose patterns match', async () => {
+        const server = new NetworkNode();
+        const orders = createLoopbackPair(server, new NetworkNode());
+        const users = createLoopbackPair(server, new NetworkNode());
+        const received = { orders: [], users: [] };
+        await orders.b.subscribe('orders:*', context => received.orders.push(context.topic));
+        await users.b.subscribe('users:**', context => received.users.push(context.topic));
+
+        expect(server.publish('orders:created', {})).toBe(1);
+        expect(server.publish('users:admin:created', {})).toBe(1);
+        expect(server.publish('stock:updated', {})).toBe(0);
+        await sleep(10);
+
+        expect(received).toEqual({ orders: ['orders:created'], users: ['users:admin:created'] });
+    });
+
+    test('stops publishing once unsubscribed', async () => {
+        const server = new NetworkNode();
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const received = [];
+        await pair.b.subscribe(['orders:*', 'users:*'], context => received.push(context.topic));
+
+        expect(await pair.b.unsubscribe('orders:*')).toEqual(['users:*']);
+        server.publish('orders:created', {});
+        server.publish('users:created', {});
+        await sleep(10);
+
+        expect(received).toEqual(['users:created']);
+        expect([...pair.b._subscriptions.keys()]).toEqual(['users:*']);
+    });
+
+    test('leaves the subscriptions as they were when the peer refuses', async () => {
+        const server = new NetworkNode();
+        const client = new NetworkNode();
+        const pair = createLoopbackPair(server, client);
+        const received = [];
+        await pair.b.subscribe('orders:*', context => received.push(context.topic));
+
+        const refused = pair.b.subscribe(['orders:*', 'users:*'], context => received.push(`again ${context.topic}`), {
+            persistent: true,
+            since: 'yesterday'
+        });
+
+        await expect(refused).rejects.toThrow('since must be a sequence number');
+        expect([...pair.b._subscriptions.keys()]).toEqual(['orders:*']);
+        expect(pair.b._subscriptions.get('orders:*')).toMatchObject({ persistent: false });
+        expect(pair.b._subscriptions.get('orders:*').handlers).toHaveLength(1);
+        expect(server.subscriptions.get(pair.a)).toEqual(['orders:*']);
+
+        server.publish('orders:created', {});
+        await sleep(10);
+        expect(received).toEqual(['orders:created']);
+    });
+});
+
+describe('Persistent subscriptions', () => {
+    const restored = starling => new Promise(resolve => starling.events.on('subscriptions:restored', ({ data }) => resolve(data.topics)));
+
+    test('are restored after a reconnection, unlike the others', async () => {
+        const server = new NetworkNode();
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const received = [];
+        await pair.b.subscribe('orders:*', context => received.push(context.topic), { persistent: true });
+        await pair.b.subscribe('users:*', context => received.push(context.topic));
+
+        pair.disconnect();
+        expect(pair.b.subscriptions).toEqual([{ topic: 'orders:*', persistent: true }]);
+        const topics = restored(pair.b);
+        pair.reconnect();
+
+        expect(await topics).toEqual(['orders:*']);
+        server.publish('orders:created', {});
+        server.publish('users:created', {});
+        await sleep(10);
+        expect(received).toEqual(['orders:created']);
+    });
+
+    test('replay what was published while disconnected', async () => {
+        const server = new NetworkNode({}, { history: { enabled: true } });
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const received = [];
+        await pair.b.subscribe('orders:*', context => received.push([context.topic, context.replayed]), { persistent: true });
+        server.publish('orders:created', {});
+        await sleep(10);
+
+        pair.disconnect();
+        server.publish('orders:paid', {});
+        server.publish('orders:shipped', {});
+        const topics = restored(pair.b);
+        pair.reconnect();
+        await topics;
+        await sleep(10);
+
+        expect(received).toEqual([['orders:created', false], ['orders:paid', true], ['orders:shipped', true]]);
+    });
+
+    test('deliver the retained values again once restored', async () => {
+        const server = new NetworkNode();
+        const pair = createLoopbackPair(server, new NetworkNode());
+        const received = [];
+        await pair.b.subscribe('devices:*:status', context => received.push(context.data), { persistent: true });
+
+        pair.disconnect();
+        server.publish('devices:d1:status', { online: false }, { retain: true });
+        const topics = restored(pair.b);
+        pair.reconnect();
+        await topics;
+        await sleep(10);
+
+        expect(received).toEqual([{ online: false }]);
+    });
+});
@@ -1,12 +1,24 @@
 import { NotificationContext } from "../core/context";
 import { Events } from "../core/events";
+import { TopicTrie } from "../utils";
+import { validateTopicPattern } from "../validators";
 
 
 /**
 * @typedef {Object} TopicHandlerOptions
-* @property {boolean} [persistent=false] - Whether the handler survives reconnections
+* @property {boolean} [persistent=false] - Whether the handler survives reconnections (only applies to handlers scoped to a starling)
 * @property {number} [priority=0] - Handler priority (higher = executed first)
 * @property {function} [filter] - Optional filter function for notifications
+* @property {import('../core/starling').BaseStarling} [starling] - Scopes the handler to the notifications of one starling session:
+* it is torn down when that starling disconnects, unless persistent
+*/
+
+/**
+* @typedef {Object} TopicSubscription
+* @property {string} topic - Topic pattern
+* @property {boolean} persistent - Whether the subscription survives reconnections
+* @property {number} priority - Handler priority
+* @property {import('../core/starling').BaseStarling|null} starling - Starling the subscription is scoped to
 */
 
 /**
@@ -16,7 +28,9 @@ import { Events } from "../core/events";
 
 
 /**
-* Extended Pulse event emitter for topic-based notifications
+* Extended Pulse event emitter for topic-based notifications.
+* Subscriptions are indexed in a topic trie, so dispatching a notification only visits the
+* patterns that can match it.
 * @extends Events
 */
 export class TopicsManager extends Events {
@@ -28,35 +42,58 @@ export class TopicsManager extends Events {
         super();
         this._events = events;
         
-        this.use(async (event) => {
-            if (event.data?.debug !== false) {
-                this._events.emit('topic:handled', {
-                    topic: event.name,
-                    starling: event.data?.starling,
-                    debug: {
-                        type: 'info',
-                        message: `Handling topic ${event.name}`
-                    }
-                });
-            }
-        });
-        
+        /**
+        * Subscription options, by handler
+        * @type {Map<function, TopicSubscription & {order: number}>}
+        */
         this._handlerOptions = new Map();
+        
+        /**
+        * Disconnection listeners of the starlings that scope subscriptions
+        * @type {Map<import('../core/starling').BaseStarling, {off: function(): void}>}
+        * @private
+        */
+        this._sessions = new Map();
+        
+        /**
+        * Handlers indexed by topic pattern
+        * @type {TopicTrie<function>}
+        * @private
+        */
+        this._index = new TopicTrie();
+        
+        /** @private */
+        this._order = 0;
     }
     
     
     
     /**
     * Subscribe to a topic with enhanced options
-    * @param {string} topic Topic to subscribe to (supports wildcards)
+    * @param {string} topic Topic to subscribe to: `*` matches one segment, `{name}` captures one segment in `context.params`, a trailing `**` matches the rest
     * @param {function(import('../core/context').NotificationContext): Promise<void>} handler Notification handler
     * @param {TopicHandlerOptions} [options={}] Subscription options
     * @returns {SubscriptionResult} Subscription handle with .off() method
+    * @throws {Error} If the topic pattern is invalid
+    *
+    * @example
+    * topics.subscribe('orders:{orderId}:*', context => {
+    *     console.log(context.params.orderId, context.topic);
+    * });
     */
     subscribe(topic, handler, options = {}) {
-        const wrappedHandler = async event => {
+        const validation = validateTopicPattern(topic);
+        if (!validation.valid) {
+            throw new Error(`Invalid topic pattern: ${validation.errors.join(', ')}`);
+        }
+        
+        const wrappedHandler = async (source, params) => {
             try {
-                const { data, starling, metadata = {} } = event.data;
+                const { data, starling, metadata = {}, messageId, retained, seq, replayed } = source;
+                
+                if (options.starling && starling !== options.starling) {
+                    return;
+                }
                 
                 if (options.filter && !options.filter(data)) {
                     return;
@@ -64,8 +101,13 @@ export class TopicsManager extends Events {
                 
                 const context = new NotificationContext(starling, {
                     data,
-                    topic: event.name,
-                }, {metadata, timestamp: event.timestamp});
+                    topic: source.topic,
+                }, {
+                    metadata, timestamp: source.timestamp, params, retained, replayed,
+                    ...(seq !== null ? { seq } : {}),
+                    ...(messageId ? { messageId } : {}),
+                    ...(source instanceof NotificationContext ? { delivery: source } : {})
+                });
                 
                 await handler(context);
             } catch (error) {
@@ -77,37 +119,147 @@ export class TopicsManager extends Events {
                         message: `Error handling topic ${topic}`
                     }
                 });
+                throw error;
             }
         }
         
         this._handlerOptions.set(wrappedHandler, {
             topic,
             persistent: options.persistent || false,
+            priority: options.priority || 0,
+            starling: options.starling || null,
+            order: this._order++
         });
+        this._index.add(topic, wrappedHandler);
         
-
-        const listener = this.on(topic, wrappedHandler, {
-            priority: options.priority || 0
-        });
+        if (options.starling) {
+            this._watch(options.starling);
+        }
         
         return {
-            off: () => {
-                this._handlerOptions.delete(wrappedHandler);
-                listener.off();
-            }
+            off: () => this._remove(wrappedHandler)
         };
     }
     
     
     /**
-    * Handle an incoming notification
+    * Live subscriptions, in subscription order
+    * @type {TopicSubscription[]}
+    */
+    get subscriptions() {
+        return Array.from(this._handlerOptions.values(), ({ topic, persistent, priority, starling }) => ({
+            topic,
+            persistent,
+            priority,
+            starling
+        }));
+    }
+    
+    
+    /**
+    * @private
+    * @param {function} handler Wrapped handler
+    */
+    _remove(handler) {
+        const options = this._handlerOptions.get(handler);
+        if (!options) return;
+        
+        this._handlerOptions.delete(handler);
+        this._index.remove(handler);
+        
+        // Stop following a starling once it scopes no subscription
+        if (options.starling && !this.subscriptions.some(subscription => subscription.starling === options.starling)) {
+            this._sessions.get(options.starling)?.off();
+            this._sessions.delete(options.starling);
+        }
+    }
+    
+    
+    /**
+    * Tears down the non-persistent subscriptions of a starling when its session ends
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    */
+    _watch(starling) {
+        if (this._sessions.has(starling)) return;
+        
+        const listener = starling.events.on('starling:disconnected', event => {
+            if (event.data?.starling && event.data.starling !== starling) return;
+            
+            const removed = [];
+            for (const [handler, options] of this._handlerOptions) {
+                if (options.starling === starling && !options.persistent) {
+                    removed.push(options.topic);
+                    this._remove(handler);
+                }
+            }
+            
+            if (removed.length > 0) {
+                this._events.emit('topic:session_ended', {
+                    starling,
+                    topics: removed,
+                    debug: {
+                        type: 'info',
+                        message: `Removed ${removed.length} session subscription(s) after disconnection`
+                    }
+                });
+            }
+        });
+        
+        this._sessions.set(starling, listener);
+    }
+    
+    
+    /**
+    * Gets the topic patterns that currently have at least one handler
+    * @returns {string[]}
+    */
+    getTopics() {
+        return [...new Set(Array.from(this._handlerOptions.values(), options => options.topic))];
+    }
+    
+    
+    /**
+    * Checks whether at least one subscription matches a topic
+    * @param {string} topic Concrete topic
+    * @returns {boolean}
+    */
+    hasSubscribers(topic) {
+        return this._index.match(topic).length > 0;
+    }
+    
+    
+    /**
+    * Handle an incoming notification: runs every matching handler, by decreasing priority
+    * then subscription order. A failing handler does not prevent the next ones from running.
     * @param {import('../core/starling').Starling} starling Starling instance
     * @param {import('../core/context').NotificationContext} context Notification context
+    * @returns {Promise<boolean>} Whether every handler succeeded
     */
     async handleNotification(starling, context) {
+        let succeeded = true;
         try {
-            await this.emit(context.topic, context);
+            const matches = this._index.match(context.topic)
+            .map(match => ({ ...match, options: this._handlerOptions.get(match.value) }))
+            .sort((a, b) => b.options.priority - a.options.priority || a.options.order - b.options.order);
+            
+            this._events.emit('topic:handled', {
+                topic: context.topic,
+                starling,
+                handlers: matches.length,
+                debug: {
+                    type: 'info',
+                    message: `Handling topic ${context.topic} (${matches.length} handler(s))`
+                }
+            });
+            
+            for (const { value: handler, params } of matches) {
+                await handler(context, params).catch(() => {
+                    succeeded = false;
+                });
+            }
         } catch (error) {
+            succeeded = false;
             this._events.emit('notification:error', {
                 starling: starling,
                 topic: context.topic,
@@ -119,5 +271,6 @@ export class TopicsManager extends Events {
                 }
             });
         }
+        return succeeded;
     }
 }
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+* Wire serializer contract shared by both sides of a connection
+* @typedef {Object} Serializer
+* @property {string} name Codec name, used during content negotiation
+* @property {string} contentType MIME type of the encoded frames
+* @property {boolean} binary Whether encoded frames are binary (otherwise text)
+* @property {function(Object): (string|Uint8Array)} encode Encodes a message into a wire frame
+* @property {function(string|ArrayBuffer|Uint8Array): Object} decode Decodes a wire frame into a message
+* @property {function(string|ArrayBuffer|Uint8Array): boolean} [accepts] Cheap check telling whether a frame may have been produced by this codec
+*/
+
+/**
+* Checks if a value implements the serializer contract
+* @param {unknown} value Value to check
+* @returns {boolean} Whether the value is a serializer
+*/
+export function isSerializer(value) {
+    return !!value
+    && typeof value === 'object'
+    && typeof value.name === 'string'
+    && typeof value.encode === 'function'
+    && typeof value.decode === 'function';
+}
+
+/**
+* Normalizes binary input to a Uint8Array view
+* @param {ArrayBuffer|Uint8Array|ArrayBufferView} data Binary data
+* @returns {Uint8Array} Byte view over the same memory
+*/
+export function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new TypeError('Expected binary data');
+}
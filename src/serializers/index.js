@@ -0,0 +1,59 @@
+import { isSerializer } from './base.js';
+import { JsonSerializer } from './json.js';
+import { MessagePackSerializer } from './msgpack.js';
+
+export * from './base.js';
+export * from './json.js';
+export * from './msgpack.js';
+
+/**
+* Built-in serializers, by codec name
+* @readonly
+*/
+export const Serializers = {
+    json: JsonSerializer,
+    msgpack: MessagePackSerializer
+};
+
+/**
+* Codecs offered by default, in order of preference
+* @readonly
+* @type {string[]}
+*/
+export const DefaultSerializerPreference = ['msgpack', 'json'];
+
+/**
+* Resolves a serializer from its name or returns the given serializer as is
+* @param {string|import('./base.js').Serializer} [serializer='json'] Codec name or serializer object
+* @returns {import('./base.js').Serializer} Serializer
+* @throws {Error} If the codec is unknown or the object does not implement the contract
+*/
+export function getSerializer(serializer = 'json') {
+    if (isSerializer(serializer)) {
+        return serializer;
+    }
+    
+    if (typeof serializer === 'string' && Object.hasOwn(Serializers, serializer)) {
+        return Serializers[serializer];
+    }
+    
+    throw new Error(`Unknown serializer: ${typeof serializer === 'string' ? serializer : typeof serializer}`);
+}
+
+/**
+* Picks the codec both peers support.
+* The choice is symmetric: both sides compute the same result from the same two lists,
+* favouring the codec with the best combined rank (ties broken by name).
+* @param {string[]} local Codecs supported locally, in order of preference
+* @param {string[]} remote Codecs supported by the peer, in order of preference
+* @returns {string|null} Agreed codec name, or null if there is none
+*/
+export function negotiateSerializer(local = [], remote = []) {
+    const candidates = local.filter(name => remote.includes(name));
+    if (candidates.length === 0) {
+        return null;
+    }
+    
+    const rank = name => local.indexOf(name) + remote.indexOf(name);
+    return candidates.sort((a, b) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0))[0];
+}
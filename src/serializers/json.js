@@ -0,0 +1,24 @@
+import { toBytes } from './base.js';
+
+/**
+* JSON text codec (protocol default)
+* @type {import('./base.js').Serializer}
+*/
+export const JsonSerializer = {
+    name: 'json',
+    contentType: 'application/json',
+    binary: false,
+    
+    encode(message) {
+        return JSON.stringify(message);
+    },
+    
+    decode(data) {
+        const text = typeof data === 'string' ? data : new TextDecoder().decode(toBytes(data));
+        return JSON.parse(text);
+    },
+    
+    accepts(data) {
+        return typeof data === 'string';
+    }
+};
@@ -0,0 +1,425 @@
+import { toBytes } from './base.js';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+* Growable byte writer used by the encoder
+* @private
+*/
+class Writer {
+    constructor(initialSize = 256) {
+        this.bytes = new Uint8Array(initialSize);
+        this.view = new DataView(this.bytes.buffer);
+        this.offset = 0;
+    }
+
+    ensure(size) {
+        const required = this.offset + size;
+        if (required <= this.bytes.length) return;
+
+        let length = this.bytes.length * 2;
+        while (length < required) length *= 2;
+
+        const bytes = new Uint8Array(length);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    u8(value) {
+        this.ensure(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    u16(value) {
+        this.ensure(2);
+        this.view.setUint16(this.offset, value);
+        this.offset += 2;
+    }
+
+    u32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.offset, value);
+        this.offset += 4;
+    }
+
+    raw(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.offset);
+        this.offset += bytes.length;
+    }
+
+    result() {
+        return this.bytes.slice(0, this.offset);
+    }
+}
+
+/**
+* @private
+* @param {Writer} writer
+* @param {number} value
+*/
+function encodeNumber(writer, value) {
+    if (Number.isInteger(value) && Number.isSafeInteger(value)) {
+        if (value >= 0) {
+            if (value < 0x80) return writer.u8(value);
+            if (value <= 0xff) return writer.u8(0xcc), writer.u8(value);
+            if (value <= 0xffff) return writer.u8(0xcd), writer.u16(value);
+            if (value <= 0xffffffff) return writer.u8(0xce), writer.u32(value);
+            writer.u8(0xcf);
+            writer.ensure(8);
+            writer.view.setBigUint64(writer.offset, BigInt(value));
+            writer.offset += 8;
+            return;
+        }
+        if (value >= -0x20) return writer.u8(value & 0xff);
+        if (value >= -0x80) {
+            writer.u8(0xd0);
+            writer.ensure(1);
+            writer.view.setInt8(writer.offset, value);
+            writer.offset += 1;
+            return;
+        }
+        if (value >= -0x8000) {
+            writer.u8(0xd1);
+            writer.ensure(2);
+            writer.view.setInt16(writer.offset, value);
+            writer.offset += 2;
+            return;
+        }
+        if (value >= -0x80000000) {
+            writer.u8(0xd2);
+            writer.ensure(4);
+            writer.view.setInt32(writer.offset, value);
+            writer.offset += 4;
+            return;
+        }
+        writer.u8(0xd3);
+        writer.ensure(8);
+        writer.view.setBigInt64(writer.offset, BigInt(value));
+        writer.offset += 8;
+        return;
+    }
+
+    // NaN and Infinity serialize to null, as with JSON
+    if (!Number.isFinite(value)) return writer.u8(0xc0);
+
+    writer.u8(0xcb);
+    writer.ensure(8);
+    writer.view.setFloat64(writer.offset, value);
+    writer.offset += 8;
+}
+
+/**
+* @private
+* @param {Writer} writer
+* @param {string} value
+*/
+function encodeString(writer, value) {
+    const bytes = textEncoder.encode(value);
+    const length = bytes.length;
+
+    if (length < 0x20) writer.u8(0xa0 | length);
+    else if (length <= 0xff) writer.u8(0xd9), writer.u8(length);
+    else if (length <= 0xffff) writer.u8(0xda), writer.u16(length);
+    else writer.u8(0xdb), writer.u32(length);
+
+    writer.raw(bytes);
+}
+
+/**
+* @private
+* @param {Writer} writer
+* @param {Uint8Array} bytes
+*/
+function encodeBinary(writer, bytes) {
+    const length = bytes.length;
+
+    if (length <= 0xff) writer.u8(0xc4), writer.u8(length);
+    else if (length <= 0xffff) writer.u8(0xc5), writer.u16(length);
+    else writer.u8(0xc6), writer.u32(length);
+
+    writer.raw(bytes);
+}
+
+/**
+* @private
+* @param {Writer} writer
+* @param {unknown} value
+* @param {number} depth
+*/
+function encodeValue(writer, value, depth) {
+    if (depth > 512) {
+        throw new RangeError('MessagePack: maximum nesting depth exceeded');
+    }
+
+    if (value === null || value === undefined) return writer.u8(0xc0);
+
+    switch (typeof value) {
+        case 'boolean':
+        return writer.u8(value ? 0xc3 : 0xc2);
+        case 'number':
+        return encodeNumber(writer, value);
+        case 'bigint':
+        return encodeNumber(writer, Number(value));
+        case 'string':
+        return encodeString(writer, value);
+        case 'function':
+        case 'symbol':
+        return writer.u8(0xc0);
+    }
+
+    if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+        return encodeBinary(writer, toBytes(value));
+    }
+
+    // Mirror JSON semantics for Date and other toJSON-aware objects
+    if (typeof value.toJSON === 'function') {
+        return encodeValue(writer, value.toJSON(), depth + 1);
+    }
+
+    if (Array.isArray(value)) {
+        const length = value.length;
+        if (length < 0x10) writer.u8(0x90 | length);
+        else if (length <= 0xffff) writer.u8(0xdc), writer.u16(length);
+        else writer.u8(0xdd), writer.u32(length);
+
+        for (const item of value) {
+            encodeValue(writer, item, depth + 1);
+        }
+        return;
+    }
+
+    // Undefined and function members are omitted, as with JSON
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined && typeof v !== 'function' && typeof v !== 'symbol');
+    const size = entries.length;
+    if (size < 0x10) writer.u8(0x80 | size);
+    else if (size <= 0xffff) writer.u8(0xde), writer.u16(size);
+    else writer.u8(0xdf), writer.u32(size);
+
+    for (const [key, item] of entries) {
+        encodeString(writer, key);
+        encodeValue(writer, item, depth + 1);
+    }
+}
+
+/**
+* Encodes a value to MessagePack
+* @param {unknown} value Value to encode
+* @returns {Uint8Array} Encoded bytes
+*/
+export function encodeMessagePack(value) {
+    const writer = new Writer();
+    encodeValue(writer, value, 0);
+    return writer.result();
+}
+
+/**
+* Sequential byte reader used by the decoder
+* @private
+*/
+class Reader {
+    /**
+    * @param {Uint8Array} bytes
+    */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    check(size) {
+        if (this.offset + size > this.bytes.length) {
+            throw new RangeError('MessagePack: unexpected end of data');
+        }
+    }
+
+    u8() { this.check(1); return this.view.getUint8(this.offset++); }
+    i8() { this.check(1); return this.view.getInt8(this.offset++); }
+    u16() { this.check(2); const v = this.view.getUint16(this.offset); this.offset += 2; return v; }
+    i16() { this.check(2); const v = this.view.getInt16(this.offset); this.offset += 2; return v; }
+    u32() { this.check(4); const v = this.view.getUint32(this.offset); this.offset += 4; return v; }
+    i32() { this.check(4); const v = this.view.getInt32(this.offset); this.offset += 4; return v; }
+    u64() { this.check(8); const v = this.view.getBigUint64(this.offset); this.offset += 8; return Number(v); }
+    i64() { this.check(8); const v = this.view.getBigInt64(this.offset); this.offset += 8; return Number(v); }
+    f32() { this.check(4); const v = this.view.getFloat32(this.offset); this.offset += 4; return v; }
+    f64() { this.check(8); const v = this.view.getFloat64(this.offset); this.offset += 8; return v; }
+
+    bytesOf(length) {
+        this.check(length);
+        const slice = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return slice;
+    }
+
+    string(length) {
+        this.check(length);
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+/**
+* @private
+* @param {Reader} reader
+* @param {number} length
+* @param {number} depth
+*/
+function decodeArray(reader, length, depth) {
+    const result = new Array(length);
+    for (let i = 0; i < length; i++) {
+        result[i] = decodeValue(reader, depth + 1);
+    }
+    return result;
+}
+
+/**
+* @private
+* @param {Reader} reader
+* @param {number} length
+* @param {number} depth
+*/
+function decodeMap(reader, length, depth) {
+    const result = {};
+    for (let i = 0; i < length; i++) {
+        const key = decodeValue(reader, depth + 1);
+        const value = decodeValue(reader, depth + 1);
+        // Guard against prototype pollution through crafted keys
+        if (key === '__proto__') continue;
+        result[String(key)] = value;
+    }
+    return result;
+}
+
+/**
+* @private
+* @param {Reader} reader
+* @param {number} type
+* @param {number} length
+*/
+function decodeExtension(reader, type, length) {
+    const data = reader.bytesOf(length);
+
+    // Timestamp extension (-1)
+    if (type === -1) {
+        const view = new DataView(data.buffer);
+        if (length === 4) return new Date(view.getUint32(0) * 1000);
+        if (length === 8) {
+            const high = view.getUint32(0);
+            const low = view.getUint32(4);
+            const nanoseconds = high >>> 2;
+            const seconds = (high & 0x3) * 0x100000000 + low;
+            return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+        }
+        if (length === 12) {
+            const nanoseconds = view.getUint32(0);
+            const seconds = Number(view.getBigInt64(4));
+            return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+        }
+    }
+
+    return { type, data };
+}
+
+/**
+* @private
+* @param {Reader} reader
+* @param {number} depth
+*/
+function decodeValue(reader, depth) {
+    if (depth > 512) {
+        throw new RangeError('MessagePack: maximum nesting depth exceeded');
+    }
+
+    const byte = reader.u8();
+
+    if (byte < 0x80) return byte;
+    if (byte < 0x90) return decodeMap(reader, byte & 0x0f, depth);
+    if (byte < 0xa0) return decodeArray(reader, byte & 0x0f, depth);
+    if (byte < 0xc0) return reader.string(byte & 0x1f);
+    if (byte >= 0xe0) return byte - 0x100;
+
+    switch (byte) {
+        case 0xc0: return null;
+        case 0xc2: return false;
+        case 0xc3: return true;
+        case 0xc4: return reader.bytesOf(reader.u8());
+        case 0xc5: return reader.bytesOf(reader.u16());
+        case 0xc6: return reader.bytesOf(reader.u32());
+        case 0xc7: { const length = reader.u8(); return decodeExtension(reader, reader.i8(), length); }
+        case 0xc8: { const length = reader.u16(); return decodeExtension(reader, reader.i8(), length); }
+        case 0xc9: { const length = reader.u32(); return decodeExtension(reader, reader.i8(), length); }
+        case 0xca: return reader.f32();
+        case 0xcb: return reader.f64();
+        case 0xcc: return reader.u8();
+        case 0xcd: return reader.u16();
+        case 0xce: return reader.u32();
+        case 0xcf: return reader.u64();
+        case 0xd0: return reader.i8();
+        case 0xd1: return reader.i16();
+        case 0xd2: return reader.i32();
+        case 0xd3: return reader.i64();
+        case 0xd4: return decodeExtension(reader, reader.i8(), 1);
+        case 0xd5: return decodeExtension(reader, reader.i8(), 2);
+        case 0xd6: return decodeExtension(reader, reader.i8(), 4);
+        case 0xd7: return decodeExtension(reader, reader.i8(), 8);
+        case 0xd8: return decodeExtension(reader, reader.i8(), 16);
+        case 0xd9: return reader.string(reader.u8());
+        case 0xda: return reader.string(reader.u16());
+        case 0xdb: return reader.string(reader.u32());
+        case 0xdc: return decodeArray(reader, reader.u16(), depth);
+        case 0xdd: return decodeArray(reader, reader.u32(), depth);
+        case 0xde: return decodeMap(reader, reader.u16(), depth);
+        case 0xdf: return decodeMap(reader, reader.u32(), depth);
+    }
+
+    throw new RangeError(`MessagePack: invalid type byte 0x${byte.toString(16)}`);
+}
+
+/**
+* Decodes a MessagePack payload
+* @param {ArrayBuffer|Uint8Array} data Encoded bytes
+* @returns {unknown} Decoded value
+* @throws {RangeError} If the payload is truncated, malformed or has trailing bytes
+*/
+export function decodeMessagePack(data) {
+    const reader = new Reader(toBytes(data));
+    const value = decodeValue(reader, 0);
+
+    if (reader.offset !== reader.bytes.length) {
+        throw new RangeError('MessagePack: unexpected trailing data');
+    }
+
+    return value;
+}
+
+/**
+* Dependency-free MessagePack binary codec
+* @type {import('./base.js').Serializer}
+*/
+export const MessagePackSerializer = {
+    name: 'msgpack',
+    contentType: 'application/msgpack',
+    binary: true,
+
+    encode(message) {
+        return encodeMessagePack(message);
+    },
+
+    decode(data) {
+        return decodeMessagePack(data);
+    },
+
+    accepts(data) {
+        if (typeof data === 'string') return false;
+        const bytes = toBytes(data);
+        if (bytes.length === 0) return false;
+
+        // Protocol envelopes are always maps: fixmap, map16 or map32
+        const first = bytes[0];
+        return (first & 0xf0) === 0x80 || first === 0xde || first === 0xdf;
+    }
+};
@@ -0,0 +1,54 @@
+import { describe, expect, test } from 'bun:test';
+import { MessagePackSerializer, decodeMessagePack, encodeMessagePack } from './msgpack.js';
+import { JsonSerializer } from './json.js';
+import { negotiateSerializer } from './index.js';
+import { createRequest } from '../formatters';
+
+describe('MessagePackSerializer', () => {
+    test('round-trips every value type', () => {
+        const value = {
+            nil: null,
+            flags: [true, false],
+            small: 7,
+            negative: -33,
+            large: 2 ** 40,
+            float: 1.5,
+            text: 'héllo',
+            long: 'x'.repeat(70000),
+            bytes: new Uint8Array([0, 1, 254, 255]),
+            nested: { list: [1, 'two', { three: 3 }] }
+        };
+
+        expect(decodeMessagePack(encodeMessagePack(value))).toEqual(value);
+    });
+
+    test('round-trips a protocol envelope', () => {
+        const request = createRequest('users:get', { id: 42 });
+        const frame = MessagePackSerializer.encode(request);
+
+        expect(MessagePackSerializer.accepts(frame)).toBe(true);
+        expect(MessagePackSerializer.decode(frame)).toEqual(request);
+        expect(MessagePackSerializer.decode(frame.buffer)).toEqual(request);
+    });
+
+    test('only accepts binary maps', () => {
+        expect(MessagePackSerializer.accepts('{}')).toBe(false);
+        expect(MessagePackSerializer.accepts(new Uint8Array())).toBe(false);
+        expect(MessagePackSerializer.accepts(encodeMessagePack([1, 2]))).toBe(false);
+    });
+
+    test('rejects truncated and trailing data', () => {
+        const frame = encodeMessagePack({ a: 'value' });
+
+        expect(() => decodeMessagePack(frame.subarray(0, frame.length - 1))).toThrow(RangeError);
+        expect(() => decodeMessagePack(new Uint8Array([...frame, 0xc0]))).toThrow(RangeError);
+    });
+});
+
+describe('negotiateSerializer', () => {
+    test('picks the same codec on both sides', () => {
+        expect(negotiateSerializer(['msgpack', 'json'], ['json', 'msgpack'])).toBe(negotiateSerializer(['json', 'msgpack'], ['msgpack', 'json']));
+        expect(negotiateSerializer(['msgpack', 'json'], ['json'])).toBe(JsonSerializer.name);
+        expect(negotiateSerializer(['msgpack'], ['json'])).toBeNull();
+    });
+});
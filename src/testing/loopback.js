@@ -0,0 +1,64 @@
+import { BaseStarling } from '../core/starling.js';
+import { LoopbackTransport } from '../transports/loopback.js';
+
+/**
+* @typedef {Object} LoopbackStarlingOptions
+* @property {import('../core/starling').BaseStarlingOptions} [starling] Options passed to both Starlings
+* @property {function(import('../core/node').NetworkNode, LoopbackTransport, import('../core/starling').BaseStarlingOptions): BaseStarling} [createStarling] Starling factory (must attach the transport), defaults to BaseStarling
+*/
+
+/**
+* @typedef {import('../transports/loopback').LoopbackOptions & LoopbackStarlingOptions} LoopbackPairOptions
+*/
+
+/**
+* @typedef {Object} LoopbackPair
+* @property {BaseStarling} a Starling bound to the first node
+* @property {BaseStarling} b Starling bound to the second node
+* @property {[LoopbackTransport, LoopbackTransport]} transports Both ends of the channel
+* @property {function(string=): void} disconnect Drops the link (in-flight frames are lost)
+* @property {function(): void} reconnect Restores the link
+* @property {function(): void} flush Delivers every in-flight frame immediately, in order
+* @property {{sent: number, delivered: number, dropped: number, inFlight: number}} stats Traffic counters
+*/
+
+/**
+* Creates two connected Starlings bound to two network nodes through an in-memory link.
+* Meant for tests: latency, frame loss and disconnections can be simulated deterministically.
+* @param {import('../core/node').NetworkNode} nodeA First node
+* @param {import('../core/node').NetworkNode} nodeB Second node
+* @param {LoopbackPairOptions} [options={}] Link and Starling options
+* @returns {LoopbackPair}
+*
+* @example
+* const pair = createLoopbackPair(server, client, { latency: 20, seed: 42 });
+* const result = await pair.b.request('math:add', { a: 1, b: 2 });
+* pair.disconnect();
+* pair.reconnect();
+*/
+export function createLoopbackPair(nodeA, nodeB, options = {}) {
+    const [transportA, transportB] = LoopbackTransport.createPair({ ...options, connected: false });
+    const link = transportA._link;
+
+    const create = options.createStarling
+    || ((node, transport, starlingOptions) => new BaseStarling({ ...starlingOptions, networkNode: node }).attach(transport));
+
+    const a = create(nodeA, transportA, options.starling || {});
+    const b = create(nodeB, transportB, options.starling || {});
+
+    if (options.connected !== false) {
+        link.reconnect();
+    }
+
+    return {
+        a,
+        b,
+        transports: [transportA, transportB],
+        disconnect: reason => link.disconnect(reason),
+        reconnect: () => link.reconnect(),
+        flush: () => link.flush(),
+        get stats() {
+            return { ...link.stats, inFlight: link.inFlight.length };
+        }
+    };
+}
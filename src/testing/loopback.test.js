@@ -0,0 +1,96 @@
+import { describe, expect, test } from 'bun:test';
+import { LoopbackTransport } from '../transports/loopback.js';
+import { NetworkNode } from '../core/node.js';
+import { createLoopbackPair } from './loopback.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+* Collects what one end of a transport pair receives
+*/
+const inbox = transport => {
+    const frames = [];
+    transport.onMessage(frame => frames.push(frame));
+    return frames;
+};
+
+describe('LoopbackTransport', () => {
+    test('keeps frames in order whatever their latency', async () => {
+        const [a, b] = LoopbackTransport.createPair({ latency: [0, 20], seed: 1 });
+        const received = inbox(b);
+
+        for (let i = 0; i < 20; i++) a.send(`frame ${i}`);
+        await sleep(40);
+
+        expect(received).toEqual(Array.from({ length: 20 }, (_, i) => `frame ${i}`));
+    });
+
+    test('loses the same frames for the same seed', async () => {
+        const run = async seed => {
+            const [a, b] = LoopbackTransport.createPair({ drop: 0.3, seed });
+            const received = inbox(b);
+            for (let i = 0; i < 50; i++) a.send(String(i));
+            await sleep(0);
+            return received;
+        };
+
+        const first = await run(42);
+        expect(first.length).toBeGreaterThan(20);
+        expect(first.length).toBeLessThan(50);
+        expect(await run(42)).toEqual(first);
+        expect(await run(7)).not.toEqual(first);
+    });
+
+    test('drops in-flight frames on disconnect and refuses to send until reconnected', async () => {
+        const [a, b] = LoopbackTransport.createPair({ latency: 10 });
+        const received = inbox(b);
+        const closes = [];
+        a.onClose(info => closes.push(info.reason));
+
+        a.send('lost');
+        a.close(1000, 'Going away');
+        expect(() => a.send('refused')).toThrow('not connected');
+        expect(closes).toEqual(['Going away']);
+
+        await a.open();
+        a.send('delivered');
+        await sleep(20);
+        expect(received).toEqual(['delivered']);
+    });
+
+    test('delivers in-flight frames at once on flush', () => {
+        const [a, b] = LoopbackTransport.createPair({ latency: 1000 });
+        const received = inbox(b);
+
+        a.send('first');
+        a.send(new Uint8Array([1, 2]));
+        expect(a.bufferedAmount).toBe(7);
+
+        a._link.flush();
+        expect(received).toEqual(['first', new Uint8Array([1, 2])]);
+        expect(a.bufferedAmount).toBe(0);
+    });
+});
+
+describe('createLoopbackPair', () => {
+    test('connects two nodes without a socket', async () => {
+        const server = new NetworkNode();
+        server.method('math:add', context => context.success(context.payload.a + context.payload.b));
+        const pair = createLoopbackPair(server, new NetworkNode(), { latency: 5 });
+
+        expect(await pair.b.request('math:add', { a: 1, b: 2 })).toBe(3);
+        expect(pair.stats.dropped).toBe(0);
+    });
+
+    test('reports the disconnection on both ends', () => {
+        const pair = createLoopbackPair(new NetworkNode(), new NetworkNode());
+        const disconnected = [];
+        pair.a.events.on('starling:disconnected', () => disconnected.push('a'));
+        pair.b.events.on('starling:disconnected', () => disconnected.push('b'));
+
+        pair.disconnect('Cable cut');
+
+        expect(disconnected.sort()).toEqual(['a', 'b']);
+        expect(pair.a.isConnected || pair.b.isConnected).toBe(false);
+    });
+});
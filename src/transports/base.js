@@ -0,0 +1,178 @@
+import { Events } from '../core/events.js';
+
+/**
+* @typedef {"connecting"|"connected"|"closing"|"disconnected"} TransportStateValue
+*/
+
+/**
+* Transport connection states
+* @readonly
+*/
+export const TransportState = {
+    /** @type {"connecting"} */
+    CONNECTING: 'connecting',
+    /** @type {"connected"} */
+    CONNECTED: 'connected',
+    /** @type {"closing"} */
+    CLOSING: 'closing',
+    /** @type {"disconnected"} */
+    DISCONNECTED: 'disconnected'
+};
+
+/**
+* @typedef {Object} TransportCloseInfo
+* @property {number} [code] Close code
+* @property {string} [reason] Close reason
+*/
+
+/**
+* Base class for the channels a Starling talks through (WebSocket, worker port, pipe, loopback...).
+* 
+* Implementations provide `open`, `close` and `send`, and report what happens on the channel
+* through `_setState`, `_receive` and `_fail`. Consumers subscribe with `onMessage`, `onOpen`,
+* `onClose`, `onError` and `onStateChange`.
+* @abstract
+*/
+export class Transport extends Events {
+    constructor() {
+        super();
+        
+        /** @protected @type {TransportStateValue} */
+        this._state = TransportState.DISCONNECTED;
+    }
+    
+    /**
+    * Opens the channel
+    * @abstract
+    * @returns {Promise<void>} Resolves once connected
+    */
+    async open() {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+    
+    /**
+    * Closes the channel
+    * @abstract
+    * @param {number} [code] Close code
+    * @param {string} [reason] Close reason
+    */
+    close(code = undefined, reason = undefined) {
+        throw new Error(`${this.constructor.name} does not implement close()`);
+    }
+    
+    /**
+    * Sends a wire frame
+    * @abstract
+    * @param {string|ArrayBuffer|Uint8Array} data Encoded frame
+    */
+    send(data) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+    
+    /**
+    * Listens on incoming frames
+    * @param {function(string|ArrayBuffer|Uint8Array): void} handler Frame handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onMessage(handler) {
+        return this.on('message', event => handler(event.data.data));
+    }
+    
+    /**
+    * Listens on the channel being opened
+    * @param {function(): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onOpen(handler) {
+        return this.on('open', () => handler());
+    }
+    
+    /**
+    * Listens on the channel being closed
+    * @param {function(TransportCloseInfo): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onClose(handler) {
+        return this.on('close', event => handler(event.data));
+    }
+    
+    /**
+    * Listens on channel errors
+    * @param {function(Error): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onError(handler) {
+        return this.on('error', event => handler(event.data.error));
+    }
+    
+    /**
+    * Listens on state transitions
+    * @param {function({state: TransportStateValue, previous: TransportStateValue}): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onStateChange(handler) {
+        return this.on('state', event => handler(event.data));
+    }
+    
+    /**
+    * Updates the state and notifies listeners
+    * @protected
+    * @param {TransportStateValue} state New state
+    * @param {TransportCloseInfo} [info] Close information, when disconnecting
+    */
+    _setState(state, info = {}) {
+        const previous = this._state;
+        if (previous === state) return;
+        this._state = state;
+        
+        this.emit('state', { state, previous });
+        
+        if (state === TransportState.CONNECTED) {
+            this.emit('open', {});
+        } else if (state === TransportState.DISCONNECTED) {
+            this.emit('close', info);
+        }
+    }
+    
+    /**
+    * Dispatches an incoming frame
+    * @protected
+    * @param {string|ArrayBuffer|Uint8Array} data Incoming frame
+    */
+    _receive(data) {
+        this.emit('message', { data });
+    }
+    
+    /**
+    * Reports a channel error
+    * @protected
+    * @param {Error} error
+    */
+    _fail(error) {
+        this.emit('error', { error });
+    }
+    
+    /**
+    * Current state
+    * @type {TransportStateValue}
+    */
+    get state() {
+        return this._state;
+    }
+    
+    /**
+    * Whether frames can be sent right now
+    * @type {boolean}
+    */
+    get isOpen() {
+        return this.state === TransportState.CONNECTED;
+    }
+    
+    /**
+    * Bytes accepted by `send` but not yet handed to the underlying channel
+    * @type {number}
+    */
+    get bufferedAmount() {
+        return 0;
+    }
+}
@@ -0,0 +1,261 @@
+import { Transport, TransportState } from './base.js';
+
+/**
+* @typedef {'a->b'|'b->a'} LoopbackDirection
+*/
+
+/**
+* @typedef {Object} LoopbackOptions
+* @property {number|[number, number]|function(*, LoopbackDirection): number} [latency=0] Delivery delay in ms: fixed, `[min, max]` range, or computed per frame
+* @property {number|function(*, LoopbackDirection): boolean} [drop=0] Probability (0-1) of silently losing a frame, or predicate deciding it per frame
+* @property {number} [seed] Seed for the pseudo-random generator used by latency ranges and drop rates, for reproducible runs
+* @property {function(): number} [random] Custom random source in [0, 1), takes precedence over `seed`
+* @property {boolean} [connected=true] Whether the pair starts connected
+*/
+
+/**
+* Small seeded PRNG (mulberry32), good enough for reproducible network simulations
+* @param {number} seed
+* @returns {function(): number} Random source in [0, 1)
+*/
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+* Shared state of a loopback link
+* @private
+*/
+class LoopbackLink {
+    /**
+    * @param {LoopbackOptions} options
+    */
+    constructor(options = {}) {
+        this.options = {
+            latency: 0,
+            drop: 0,
+            connected: true,
+            ...options
+        };
+
+        this.random = this.options.random
+        || (this.options.seed !== undefined ? createSeededRandom(this.options.seed) : Math.random);
+
+        /** @type {LoopbackTransport[]} */
+        this.ends = [];
+
+        /** @type {Array<{to: LoopbackTransport, data: *, timer: *}>} */
+        this.inFlight = [];
+
+        /** Last scheduled delivery time per direction, to keep frames ordered */
+        this.lastDelivery = new Map();
+
+        this.stats = { sent: 0, delivered: 0, dropped: 0 };
+    }
+
+    /**
+    * @param {LoopbackTransport} from
+    * @returns {LoopbackTransport}
+    */
+    peerOf(from) {
+        return this.ends[0] === from ? this.ends[1] : this.ends[0];
+    }
+
+    /**
+    * @param {LoopbackTransport} from
+    * @returns {LoopbackDirection}
+    */
+    directionOf(from) {
+        return this.ends[0] === from ? 'a->b' : 'b->a';
+    }
+
+    /**
+    * @param {*} data
+    * @param {LoopbackDirection} direction
+    */
+    shouldDrop(data, direction) {
+        const { drop } = this.options;
+        if (typeof drop === 'function') return !!drop(data, direction);
+        return drop > 0 && this.random() < drop;
+    }
+
+    /**
+    * @param {*} data
+    * @param {LoopbackDirection} direction
+    */
+    latencyOf(data, direction) {
+        const { latency } = this.options;
+        if (typeof latency === 'function') return Math.max(0, latency(data, direction));
+        if (Array.isArray(latency)) {
+            const [min, max] = latency;
+            return min + this.random() * (max - min);
+        }
+        return latency || 0;
+    }
+
+    /**
+    * @param {LoopbackTransport} from
+    * @param {*} data
+    */
+    transmit(from, data) {
+        const to = this.peerOf(from);
+        const direction = this.directionOf(from);
+        this.stats.sent++;
+
+        if (this.shouldDrop(data, direction)) {
+            this.stats.dropped++;
+            return;
+        }
+
+        // Frames never overtake each other, as on a real stream socket
+        const now = Date.now();
+        const at = Math.max(now + this.latencyOf(data, direction), this.lastDelivery.get(direction) || 0);
+        this.lastDelivery.set(direction, at);
+
+        const frame = { to, data, timer: null };
+        this.inFlight.push(frame);
+
+        if (at <= now) {
+            queueMicrotask(() => this.deliver(frame));
+        } else {
+            frame.timer = setTimeout(() => this.deliver(frame), at - now);
+        }
+    }
+
+    /**
+    * @param {{to: LoopbackTransport, data: *, timer: *}} frame
+    */
+    deliver(frame) {
+        if (!this.inFlight.includes(frame)) return;
+
+        // Anything sent earlier in the same direction goes first
+        const index = this.inFlight.indexOf(frame);
+        const due = this.inFlight.slice(0, index + 1).filter(pending => pending.to === frame.to);
+        this.inFlight = this.inFlight.filter(pending => !due.includes(pending));
+
+        for (const pending of due) {
+            clearTimeout(pending.timer);
+            this.stats.delivered++;
+            pending.to._receive(pending.data);
+        }
+    }
+
+    flush() {
+        const frames = this.inFlight;
+        this.inFlight = [];
+        for (const frame of frames) {
+            clearTimeout(frame.timer);
+            this.stats.delivered++;
+            frame.to._receive(frame.data);
+        }
+    }
+
+    /**
+    * @param {string} [reason]
+    * @param {number} [code]
+    */
+    disconnect(reason = 'Loopback disconnected', code = 1006) {
+        for (const frame of this.inFlight) {
+            clearTimeout(frame.timer);
+            this.stats.dropped++;
+        }
+        this.inFlight = [];
+        this.lastDelivery.clear();
+
+        for (const end of this.ends) {
+            end._setState(TransportState.DISCONNECTED, { code, reason });
+        }
+    }
+
+    reconnect() {
+        for (const end of this.ends) {
+            end._setState(TransportState.CONNECTED);
+        }
+    }
+}
+
+/**
+* In-memory transport, one end of a loopback link
+* @extends Transport
+*/
+export class LoopbackTransport extends Transport {
+    /**
+    * @param {LoopbackLink} link
+    */
+    constructor(link) {
+        super();
+
+        /** @private */
+        this._link = link;
+    }
+
+    /**
+    * Creates two connected transports
+    * @param {LoopbackOptions} [options={}]
+    * @returns {[LoopbackTransport, LoopbackTransport]}
+    */
+    static createPair(options = {}) {
+        const link = new LoopbackLink(options);
+        const ends = [new LoopbackTransport(link), new LoopbackTransport(link)];
+        link.ends = ends;
+
+        if (link.options.connected) {
+            link.reconnect();
+        }
+        return /** @type {[LoopbackTransport, LoopbackTransport]} */ (ends);
+    }
+
+    /**
+    * Restores the link (both ends reconnect)
+    * @returns {Promise<void>}
+    */
+    async open() {
+        if (!this.isOpen) {
+            this._link.reconnect();
+        }
+    }
+
+    /**
+    * Drops the link (both ends disconnect)
+    * @param {number} [code]
+    * @param {string} [reason]
+    */
+    close(code = 1000, reason = 'Loopback closed') {
+        if (this.state === TransportState.DISCONNECTED) return;
+        this._link.disconnect(reason, code);
+    }
+
+    /**
+    * @param {string|ArrayBuffer|Uint8Array} data
+    * @throws {Error} If the link is down
+    */
+    send(data) {
+        if (!this.isOpen) {
+            throw new Error('Loopback transport is not connected');
+        }
+
+        // Copy binary frames so the receiver never shares memory with the sender
+        const frame = data instanceof Uint8Array ? data.slice()
+        : data instanceof ArrayBuffer ? data.slice(0)
+        : data;
+
+        this._link.transmit(this, frame);
+    }
+
+    /**
+    * Frames sent by this end and not yet delivered
+    * @type {number}
+    */
+    get bufferedAmount() {
+        return this._link.inFlight
+        .filter(frame => frame.to !== this)
+        .reduce((total, frame) => total + (typeof frame.data === 'string' ? frame.data.length : frame.data.byteLength || 0), 0);
+    }
+}
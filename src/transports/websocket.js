@@ -0,0 +1,188 @@
+import { Transport, TransportState } from './base.js';
+
+/**
+* @typedef {Object} WebSocketTransportOptions
+* @property {string|string[]} [protocols] Sub-protocols, when the transport creates the socket itself
+* @property {boolean} [listen=true] Whether to attach to the socket events. Disable it when the socket
+* events are already routed elsewhere (e.g. server sockets whose messages are dispatched by the server).
+* @property {'arraybuffer'|'blob'} [binaryType='arraybuffer'] Binary type applied to created sockets
+*/
+
+/**
+* Maps WebSocket ready states to transport states
+* @private
+*/
+const READY_STATES = [
+    TransportState.CONNECTING,
+    TransportState.CONNECTED,
+    TransportState.CLOSING,
+    TransportState.DISCONNECTED
+];
+
+/**
+* Transport adapter over a WebSocket (browser, Bun, Node or any object exposing `readyState`, `send` and `close`)
+* @extends Transport
+*/
+export class WebSocketTransport extends Transport {
+    /**
+    * @param {WebSocket|string|URL|function(): WebSocket} socket Existing socket, URL to connect to, or socket factory
+    * @param {WebSocketTransportOptions} [options={}] Transport options
+    */
+    constructor(socket, options = {}) {
+        super();
+        
+        /** @private */
+        this._options = {
+            listen: true,
+            binaryType: 'arraybuffer',
+            ...options
+        };
+        
+        /** @private */
+        this._socket = null;
+        
+        /** @private */
+        this._factory = null;
+        
+        /** @private */
+        this._detach = null;
+        
+        if (typeof socket === 'string' || socket instanceof URL) {
+            this._factory = () => new WebSocket(socket, this._options.protocols);
+        } else if (typeof socket === 'function') {
+            this._factory = socket;
+        } else if (socket) {
+            this._bind(socket);
+        }
+    }
+    
+    /**
+    * Wraps an existing socket
+    * @param {WebSocket} socket
+    * @param {WebSocketTransportOptions} [options]
+    * @returns {WebSocketTransport}
+    */
+    static from(socket, options = {}) {
+        return new WebSocketTransport(socket, options);
+    }
+    
+    /**
+    * Opens the socket. Existing sockets are awaited, factories are (re)invoked.
+    * @returns {Promise<void>}
+    */
+    open() {
+        if (this._factory && (!this._socket || this.state === TransportState.DISCONNECTED)) {
+            this._bind(this._factory());
+        }
+        
+        if (!this._socket) {
+            return Promise.reject(new Error('No socket to open'));
+        }
+        
+        if (this.state === TransportState.CONNECTED) {
+            return Promise.resolve();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const opened = this.onOpen(() => {
+                opened.off();
+                closed.off();
+                resolve();
+            });
+            const closed = this.onClose(info => {
+                opened.off();
+                closed.off();
+                reject(new Error(`Socket closed before opening${info?.reason ? `: ${info.reason}` : ''}`));
+            });
+        });
+    }
+    
+    /**
+    * Closes the socket
+    * @param {number} [code] Close code
+    * @param {string} [reason] Close reason
+    */
+    close(code = undefined, reason = undefined) {
+        this._socket?.close(code, reason);
+    }
+    
+    /**
+    * Sends a frame through the socket
+    * @param {string|ArrayBuffer|Uint8Array} data
+    * @throws {Error} If there is no socket
+    */
+    send(data) {
+        if (!this._socket) {
+            throw new Error('No socket attached to transport');
+        }
+        this._socket.send(data);
+    }
+    
+    /**
+    * Attaches to a socket's events
+    * @private
+    * @param {WebSocket} socket
+    */
+    _bind(socket) {
+        this._detach?.();
+        this._socket = socket;
+        this._detach = null;
+        
+        if (!this._options.listen || typeof socket.addEventListener !== 'function') {
+            return;
+        }
+        
+        if ('binaryType' in socket && this._options.binaryType) {
+            socket.binaryType = this._options.binaryType;
+        }
+        
+        const onOpen = () => this._setState(TransportState.CONNECTED);
+        const onClose = event => this._setState(TransportState.DISCONNECTED, {
+            code: event?.code,
+            reason: event?.reason
+        });
+        const onMessage = event => this._receive(event.data);
+        const onError = event => this._fail(event?.error || new Error('WebSocket error'));
+        
+        socket.addEventListener('open', onOpen);
+        socket.addEventListener('close', onClose);
+        socket.addEventListener('message', onMessage);
+        socket.addEventListener('error', onError);
+        
+        this._detach = () => {
+            socket.removeEventListener('open', onOpen);
+            socket.removeEventListener('close', onClose);
+            socket.removeEventListener('message', onMessage);
+            socket.removeEventListener('error', onError);
+        };
+        
+        this._state = this.state;
+    }
+    
+    /**
+    * Current state, read from the socket ready state
+    * @type {import('./base.js').TransportStateValue}
+    */
+    get state() {
+        const readyState = this._socket?.readyState;
+        return typeof readyState === 'number' && READY_STATES[readyState]
+        ? READY_STATES[readyState]
+        : TransportState.DISCONNECTED;
+    }
+    
+    /**
+    * Bytes queued by the socket but not yet transmitted
+    * @type {number}
+    */
+    get bufferedAmount() {
+        return this._socket?.bufferedAmount || 0;
+    }
+    
+    /**
+    * Underlying socket
+    * @type {WebSocket|null}
+    */
+    get socket() {
+        return this._socket;
+    }
+}
@@ -0,0 +1,103 @@
+import { describe, expect, test } from 'bun:test';
+import { WebSocketTransport } from './websocket.js';
+import { BaseStarling } from '../core/starling.js';
+import { createPing } from '../formatters';
+
+/**
+* Socket double following the WebSocket ready states, driven by the test
+*/
+class FakeSocket extends EventTarget {
+    constructor(readyState = 0) {
+        super();
+        this.readyState = readyState;
+        this.sent = [];
+    }
+
+    send(data) {
+        this.sent.push(data);
+    }
+
+    close(code = 1000, reason = '') {
+        this.readyState = 3;
+        this.dispatchEvent(Object.assign(new Event('close'), { code, reason }));
+    }
+
+    accept() {
+        this.readyState = 1;
+        this.dispatchEvent(new Event('open'));
+    }
+
+    receive(data) {
+        this.dispatchEvent(new MessageEvent('message', { data }));
+    }
+}
+
+/**
+* Records the connection lifecycle events of a starling
+*/
+const lifecycle = starling => {
+    const events = [];
+    starling.events.on('starling:connected', () => events.push('connected'));
+    starling.events.on('starling:disconnected', event => events.push(`disconnected: ${event.data.reason}`));
+    return events;
+};
+
+describe('WebSocketTransport', () => {
+    test('reports the socket lifecycle once attached', () => {
+        const socket = new FakeSocket();
+        const starling = new BaseStarling();
+        const events = lifecycle(starling);
+
+        starling.attach(WebSocketTransport.from(socket));
+        expect(events).toEqual([]);
+
+        socket.accept();
+        socket.close(1001, 'Going away');
+
+        expect(events).toEqual(['connected', 'disconnected: Going away']);
+    });
+
+    test('routes incoming frames to the starling', async () => {
+        const socket = new FakeSocket(1);
+        const starling = new BaseStarling();
+        starling.attach(WebSocketTransport.from(socket));
+
+        // Pings are answered directly, without going through the buffer
+        const ping = createPing();
+        socket.receive(JSON.stringify(ping));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(socket.sent.map(frame => JSON.parse(frame))).toMatchObject([{ type: 'ping', pingId: ping.pingId, pong: true }]);
+    });
+
+    test('leaves the lifecycle of assigned sockets to their owner', () => {
+        const starling = new BaseStarling();
+        const events = lifecycle(starling);
+
+        starling._ws = new FakeSocket(1);
+        starling._ws = new FakeSocket(1);
+        starling._ws = null;
+
+        expect(events).toEqual([]);
+    });
+
+    test('sends through assigned sockets without listening to them', () => {
+        const socket = new FakeSocket(1);
+        const starling = new BaseStarling();
+        starling._ws = socket;
+
+        expect(starling.isConnected).toBe(true);
+        expect(starling._send(createPing())).toBe(true);
+        expect(socket.sent).toHaveLength(1);
+    });
+
+    test('rejects open() when the socket closes first', async () => {
+        const socket = new FakeSocket();
+        const transport = new WebSocketTransport(() => socket);
+
+        const opening = transport.open();
+        socket.close(1006, 'Refused');
+
+        await expect(opening).rejects.toThrow('Socket closed before opening: Refused');
+    });
+});
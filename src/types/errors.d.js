@@ -8,11 +8,20 @@
 * 
 * @typedef {"METHOD_NOT_FOUND"} MethodNotFoundError
 * @typedef {"METHOD_ERROR"} MethodError
-* @typedef {MethodNotFoundError | MethodError} MethodError
+* @typedef {"METHOD_BUSY"} MethodBusyError
+* @typedef {MethodNotFoundError | MethodError | MethodBusyError} MethodError
 * 
 * @typedef {"REQUEST_INVALID"} RequestInvalidError
 * @typedef {"REQUEST_TIMEOUT"} RequestTimeoutError
-* @typedef {RequestInvalidError | RequestTimeoutError} RequestError
+* @typedef {"REQUEST_CANCELLED"} RequestCancelledError
+* @typedef {"RATE_LIMITED"} RequestRateLimitedError
+* @typedef {RequestInvalidError | RequestTimeoutError | RequestCancelledError | RequestRateLimitedError} RequestError
+* 
+* @typedef {"CONNECTION_LOST"} ConnectionLostError
+* @typedef {"CIRCUIT_OPEN"} CircuitOpenError
+* @typedef {"BUFFER_FULL"} BufferFullError
+* @typedef {"SESSION_ACTIVE"} SessionActiveError
+* @typedef {ConnectionLostError | CircuitOpenError | BufferFullError | SessionActiveError} ConnectionError
 * 
 * 
 * @typedef {"VALIDATION_ERROR"} ValidationError
@@ -25,7 +34,7 @@
 * @typedef {"PROXY_ERROR"} ProxyError
 * @typedef {ProxyForbiddenError | ProxyTimeoutError | ProxyError} ProxyError
 * 
-* @typedef {ProtocolError | MethodError | RequestError | ValidationError | InternalError | ProxyError} CommonError
+* @typedef {ProtocolError | MethodError | RequestError | ConnectionError | ValidationError | InternalError | ProxyError} CommonError
 */
 
 export default {};
\ No newline at end of file
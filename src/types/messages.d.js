@@ -7,6 +7,7 @@
 /**
  * @typedef {Object} MessageOptions
  * @property {PeerConfiguration} [peer] Peer configuration
+ * @property {number} [priority] Outbound priority lane (see `MessagePriority`)
  */
 
 /**
@@ -16,11 +17,13 @@
 * @property {import("./protocol.d").Timestamp} timestamp - Unix timestamp in milliseconds
 * @property {import("./protocol.d").MessageType} type - Message type
 * @property {PeerConfiguration} [peer=false] - Peer configuration
+* @property {number} [priority] - Outbound priority lane of the sender
 */
 
 /**
  * @typedef {MessageOptions & {
- *    requestId: import("./protocol.d").requestId
+ *    requestId: import("./protocol.d").requestId,
+ *    idempotencyKey?: string
  * }} RequestOptions
  */
 
@@ -30,6 +33,7 @@
 *  requestId: import("./protocol.d").requestId
 *  method: import("./protocol.d").method
 *  payload?: import("./protocol.d").payload
+*  idempotencyKey?: string
 * }} RequestMessage
 */
 
@@ -55,6 +59,12 @@
  /**
   * @typedef {MessageOptions & {
   *     requestId?: import("./protocol.d").requestId
+  *     messageId?: string
+  *     retain?: boolean
+  *     ttl?: number
+  *     retained?: boolean
+  *     seq?: number
+  *     replayed?: boolean
   * }} NotificationOptions
   */
 
@@ -62,10 +72,42 @@
 * @typedef {BaseMessage & {
 *    type: import("./protocol.d").NotificationType
 *    requestId?: import("./protocol.d").requestId
+*    messageId?: string
 *    notification: import("./protocol.d").Notification
 * }} NotificationMessage
 */
 
+/**
+* @typedef {BaseMessage & {
+*    type: import("./protocol.d").AckType
+*    messageId: string
+*    data?: *
+* }} AckMessage
+*/
+
+/**
+* @typedef {BaseMessage & {
+*    type: import("./protocol.d").CancelType
+*    requestId: import("./protocol.d").requestId
+*    reason?: string
+* }} CancelMessage
+*/
+
+/**
+* @typedef {BaseMessage & {
+*    type: import("./protocol.d").PingType
+*    pingId: string
+*    pong?: boolean
+* }} PingMessage
+*/
+
+/**
+* @typedef {BaseMessage & {
+*    type: import("./protocol.d").HandshakeType
+*    handshake: import("./protocol.d").Handshake
+* }} HandshakeMessage
+*/
+
 /**
 * @typedef {BaseMessage & {
 *   type: import("./protocol.d").ErrorType,
@@ -16,7 +16,9 @@
 * @typedef {"error"} ErrorType "error" message type
 * @typedef {"ack"} AckType "ack" message type
 * @typedef {"ping"} PingType "ping" message type
-* @typedef {RequestType|ResponseType|NotificationType|ErrorType|AckType|PingType} MessageType
+* @typedef {"cancel"} CancelType "cancel" message type
+* @typedef {"handshake"} HandshakeType "handshake" message type
+* @typedef {RequestType|ResponseType|NotificationType|ErrorType|AckType|PingType|CancelType|HandshakeType} MessageType
 */
 
 /**
@@ -50,6 +52,26 @@
  * @typedef {Object} Notification
  * @property {string} topic - Notification topic
  * @property {*} [data] - Optional notification data
+ * @property {boolean} [retain] - Asks the receiving node to keep the value as the topic last value
+ * @property {number} [ttl] - How long in ms a retained value is kept
+ * @property {boolean} [retained] - Whether the notification replays a retained value
+ * @property {number} [seq] - History sequence number assigned by the publishing node
+ * @property {boolean} [replayed] - Whether the notification is replayed from the history
+ */
+
+
+/**
+ * @typedef {Object} Capabilities Features a peer supports
+ * @property {string[]} [codecs] Wire codecs, in order of preference
+ * @property {boolean} [ack] Delivery acknowledgements
+ * @property {boolean} [cancel] Request cancellation
+ * @property {boolean} [heartbeat] Ping/pong heartbeat
+ */
+
+/**
+ * @typedef {Object} Handshake
+ * @property {ProtocolVersion} minVersion - Oldest protocol version the peer can talk
+ * @property {Capabilities} capabilities - Features the peer supports
  */
 
 
@@ -1,3 +1,7 @@
 export * from './message.js';
 export * from './methods.js';
-export * from './retry.js';
\ No newline at end of file
+export * from './retry.js';
+export * from './version.js';
+export * from './middleware.js';
+export * from './topics.js';
+export * from './ratelimit.js';
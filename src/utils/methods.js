@@ -1,3 +1,5 @@
+import { matchTopic } from './topics.js';
+
 /**
 * Extracts method components
 * @param {method} method - Method name (e.g., "namespace:action")
@@ -10,4 +12,15 @@ export function parseMethod(method) {
     subspaces: rest.slice(0, -1),
     action: rest[rest.length - 1]
   };
-}
\ No newline at end of file
+}
+
+/**
+* Checks whether a method name matches a pattern, with the wildcards of topic patterns (see `matchTopic`):
+* `*` matches exactly one segment and a trailing `**` matches one or more.
+* @param {string} pattern - Method pattern (e.g., "admin:*", "admin:**")
+* @param {string} method - Method name
+* @returns {boolean} Whether the method matches
+*/
+export function matchMethod(pattern, method) {
+  return matchTopic(pattern, method) !== null;
+}
@@ -0,0 +1,33 @@
+import { describe, expect, test } from 'bun:test';
+import { matchMethod, parseMethod } from './methods.js';
+
+describe('matchMethod', () => {
+  test('matches exact names', () => {
+    expect(matchMethod('users:get', 'users:get')).toBe(true);
+    expect(matchMethod('users:get', 'users:list')).toBe(false);
+  });
+
+  test('matches exactly one segment per *', () => {
+    expect(matchMethod('admin:*', 'admin:reset')).toBe(true);
+    expect(matchMethod('admin:*', 'admin:users:reset')).toBe(false);
+    expect(matchMethod('*:reset', 'admin:reset')).toBe(true);
+  });
+
+  test('matches a lone * against a single segment only', () => {
+    expect(matchMethod('*', 'ping')).toBe(true);
+    expect(matchMethod('*', 'users:get')).toBe(false);
+  });
+
+  test('matches one or more trailing segments with **', () => {
+    expect(matchMethod('admin:**', 'admin:reset')).toBe(true);
+    expect(matchMethod('admin:**', 'admin:users:reset')).toBe(true);
+    expect(matchMethod('admin:**', 'admin')).toBe(false);
+    expect(matchMethod('**', 'users:get')).toBe(true);
+  });
+});
+
+describe('parseMethod', () => {
+  test('splits namespace, subspaces and action', () => {
+    expect(parseMethod('admin:users:reset')).toEqual({ namespace: 'admin', subspaces: ['users'], action: 'reset' });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+* @template C
+* @typedef {function(C, function(): Promise<void>): (Promise<void>|void)} Middleware
+*/
+
+/**
+* Composes middleware into a single onion-style function: each middleware runs its code before
+* `await next()`, then the rest of the chain, then its code after `next()` resolves.
+* A middleware that does not call `next()` short-circuits the rest of the chain.
+* @template C
+* @param {Middleware<C>[]} middleware - Middleware, outermost first
+* @returns {function(C, function(): (Promise<void>|void)=): Promise<void>} Composed function, taking the context and the innermost handler
+*/
+export function compose(middleware) {
+  return (context, last) => {
+    let index = -1;
+
+    const dispatch = i => {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      index = i;
+
+      const fn = i === middleware.length ? last : middleware[i];
+      if (!fn) return Promise.resolve();
+
+      try {
+        return Promise.resolve(fn(context, () => dispatch(i + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
@@ -0,0 +1,30 @@
+import { describe, expect, test } from 'bun:test';
+import { compose } from './middleware.js';
+
+describe('compose', () => {
+  test('runs middleware around the innermost handler, outermost first', async () => {
+    const calls = [];
+    const run = compose([
+      async (context, next) => { calls.push('outer in'); await next(); calls.push('outer out'); },
+      async (context, next) => { calls.push('inner in'); await next(); calls.push('inner out'); }
+    ]);
+
+    await run({}, () => { calls.push('handler'); });
+
+    expect(calls).toEqual(['outer in', 'inner in', 'handler', 'inner out', 'outer out']);
+  });
+
+  test('short-circuits the chain when a middleware does not call next()', async () => {
+    let handled = false;
+    const run = compose([() => {}]);
+
+    await run({}, () => { handled = true; });
+
+    expect(handled).toBe(false);
+  });
+
+  test('rejects when next() is called twice or a middleware throws', async () => {
+    await expect(compose([async (context, next) => { await next(); await next(); }])({})).rejects.toThrow('next() called multiple times');
+    await expect(compose([() => { throw new Error('Boom'); }])({})).rejects.toThrow('Boom');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+* @typedef {Object} RateLimit
+* @property {number} limit - Requests allowed per interval
+* @property {number} [interval=1000] - Interval in ms
+* @property {number} [burst] - Bucket capacity, i.e. requests allowed at once (defaults to limit)
+*/
+
+/**
+* Token bucket: holds up to `burst` tokens, refilled continuously at `limit` tokens per `interval`
+*/
+export class TokenBucket {
+  /**
+  * @param {RateLimit} limit - Bucket configuration
+  */
+  constructor({ limit, interval = 1000, burst = limit }) {
+    if (!(limit > 0) || !(interval > 0) || !(burst > 0)) {
+      throw new Error('Rate limits need a positive limit, interval and burst');
+    }
+
+    /** @private Tokens per ms */
+    this._rate = limit / interval;
+
+    /** @private */
+    this._capacity = burst;
+
+    /** @private */
+    this._tokens = burst;
+
+    /** @private */
+    this._updatedAt = Date.now();
+  }
+
+  /**
+  * Delay in ms before tokens are available (0 when they already are)
+  * @param {number} [count=1] - Tokens needed
+  * @returns {number}
+  */
+  wait(count = 1) {
+    this._refill();
+    return this._tokens >= count ? 0 : (count - this._tokens) / this._rate;
+  }
+
+  /**
+  * Takes tokens if available
+  * @param {number} [count=1] - Tokens needed
+  * @returns {boolean} Whether the tokens were taken
+  */
+  take(count = 1) {
+    if (this.wait(count) > 0) return false;
+    this._tokens -= count;
+    return true;
+  }
+
+  /**
+  * @private
+  */
+  _refill() {
+    const now = Date.now();
+    this._tokens = Math.min(this._capacity, this._tokens + (now - this._updatedAt) * this._rate);
+    this._updatedAt = now;
+  }
+
+  /**
+  * Tokens currently available
+  * @type {number}
+  */
+  get tokens() {
+    this._refill();
+    return this._tokens;
+  }
+}
@@ -0,0 +1,31 @@
+import { describe, expect, test } from 'bun:test';
+import { TokenBucket } from './ratelimit.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('TokenBucket', () => {
+  test('allows a burst, then tells how long to wait', () => {
+    const bucket = new TokenBucket({ limit: 10, interval: 1000, burst: 2 });
+
+    expect(bucket.take()).toBe(true);
+    expect(bucket.take()).toBe(true);
+    expect(bucket.take()).toBe(false);
+    expect(bucket.wait()).toBeGreaterThan(90);
+    expect(bucket.wait()).toBeLessThanOrEqual(100);
+  });
+
+  test('refills continuously up to its capacity', async () => {
+    const bucket = new TokenBucket({ limit: 1, interval: 20 });
+    bucket.take();
+
+    await sleep(50);
+
+    expect(bucket.tokens).toBe(1);
+    expect(bucket.take()).toBe(true);
+  });
+
+  test('refuses limits that are not positive', () => {
+    expect(() => new TokenBucket({ limit: 0 })).toThrow('Rate limits need a positive limit, interval and burst');
+    expect(() => new TokenBucket({ limit: 1, interval: -1 })).toThrow();
+  });
+});
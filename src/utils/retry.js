@@ -23,9 +23,8 @@
  * @param {number} attempt - Current attempt number (0-based)
  * @param {RetryOptions} options - Retry configuration
  * @returns {number} Calculated delay in milliseconds
- * @private
  */
-const calculateBackoffDelay = (attempt, { baseDelay, maxDelay, jitter }) => {
+export const calculateBackoffDelay = (attempt, { baseDelay, maxDelay, jitter }) => {
     const exponentialDelay = Math.min(
       baseDelay * Math.pow(2, attempt),
       maxDelay
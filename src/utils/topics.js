@@ -0,0 +1,210 @@
+/**
+* Topic patterns are `:`-separated like topic names, with three kinds of wildcard segments:
+* - `*` matches exactly one segment
+* - `{name}` matches exactly one segment and captures it as `params.name`
+* - `**` (last segment only) matches one or more trailing segments
+*/
+
+/**
+* @typedef {Object<string, string>} TopicParams
+*/
+
+/**
+* @template T
+* @typedef {Object} TopicMatch
+* @property {T} value - Value stored with the matching pattern
+* @property {string} pattern - Matching pattern
+* @property {TopicParams} params - Named captures
+*/
+
+/** Matches a `{name}` capture segment */
+const CAPTURE = /^\{([a-zA-Z_][a-zA-Z0-9_]*)\}$/;
+
+/**
+* Checks whether a topic contains wildcard segments
+* @param {string} topic - Topic or pattern
+* @returns {boolean}
+*/
+export function isTopicPattern(topic) {
+  return topic.split(':').some(segment => segment === '*' || segment === '**' || CAPTURE.test(segment));
+}
+
+/**
+* Matches a topic against a single pattern
+* @param {string} pattern - Topic pattern (e.g., "orders:{id}:*")
+* @param {string} topic - Concrete topic
+* @returns {TopicParams|null} Named captures, or null if the topic does not match
+*/
+export function matchTopic(pattern, topic) {
+  const patternSegments = pattern.split(':');
+  const topicSegments = topic.split(':');
+  const params = {};
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    const segment = patternSegments[i];
+
+    if (segment === '**' && i === patternSegments.length - 1) {
+      return topicSegments.length > i ? params : null;
+    }
+    if (i >= topicSegments.length) return null;
+
+    const capture = CAPTURE.exec(segment);
+    if (capture) {
+      params[capture[1]] = topicSegments[i];
+    } else if (segment !== '*' && segment !== topicSegments[i]) {
+      return null;
+    }
+  }
+
+  return patternSegments.length === topicSegments.length ? params : null;
+}
+
+/**
+* @private
+*/
+class TrieNode {
+  constructor() {
+    /** Literal children, by segment @type {Map<string, TrieNode>} */
+    this.literals = new Map();
+    /** Single segment wildcard child (`*` and `{name}` share it) @type {TrieNode|null} */
+    this.wildcard = null;
+    /** Values whose pattern ends here @type {Map<*, {pattern: string, captures: Array<string|null>}>} */
+    this.exact = new Map();
+    /** Values whose pattern ends with `**` here @type {Map<*, {pattern: string, captures: Array<string|null>}>} */
+    this.tail = new Map();
+  }
+
+  get isEmpty() {
+    return this.literals.size === 0 && !this.wildcard && this.exact.size === 0 && this.tail.size === 0;
+  }
+}
+
+/**
+* Index of topic patterns: matching a topic walks one trie path per wildcard branch
+* instead of testing every pattern.
+* @template T
+*/
+export class TopicTrie {
+  constructor() {
+    /** @private */
+    this._root = new TrieNode();
+
+    /** @private @type {Map<T, string>} */
+    this._patterns = new Map();
+  }
+
+  /**
+  * Indexes a value under a pattern
+  * @param {string} pattern - Topic pattern
+  * @param {T} value - Value returned on match (must be unique in the trie)
+  */
+  add(pattern, value) {
+    const segments = pattern.split(':');
+    const captures = [];
+    let node = this._root;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+
+      if (segment === '**') {
+        if (i !== segments.length - 1) {
+          throw new Error(`Invalid topic pattern ${pattern}: ** must be the last segment`);
+        }
+        node.tail.set(value, { pattern, captures });
+        this._patterns.set(value, pattern);
+        return;
+      }
+
+      const capture = CAPTURE.exec(segment);
+      if (capture || segment === '*') {
+        captures.push(capture ? capture[1] : null);
+        node = node.wildcard || (node.wildcard = new TrieNode());
+      } else {
+        captures.push(null);
+        if (!node.literals.has(segment)) node.literals.set(segment, new TrieNode());
+        node = node.literals.get(segment);
+      }
+    }
+
+    node.exact.set(value, { pattern, captures });
+    this._patterns.set(value, pattern);
+  }
+
+  /**
+  * Removes a value from the index
+  * @param {T} value - Indexed value
+  * @returns {boolean} Whether the value was indexed
+  */
+  remove(value) {
+    const pattern = this._patterns.get(value);
+    if (pattern === undefined) return false;
+    this._patterns.delete(value);
+
+    // Walk down, then prune the branches left empty
+    const path = [];
+    let node = this._root;
+    for (const segment of pattern.split(':')) {
+      if (segment === '**') break;
+      const key = segment === '*' || CAPTURE.test(segment) ? null : segment;
+      const child = key === null ? node.wildcard : node.literals.get(key);
+      path.push([node, key]);
+      node = child;
+    }
+
+    node.exact.delete(value);
+    node.tail.delete(value);
+
+    for (let i = path.length - 1; i >= 0 && node.isEmpty; i--) {
+      const [parent, key] = path[i];
+      if (key === null) parent.wildcard = null;
+      else parent.literals.delete(key);
+      node = parent;
+    }
+    return true;
+  }
+
+  /**
+  * Finds every value whose pattern matches a topic
+  * @param {string} topic - Concrete topic
+  * @returns {TopicMatch<T>[]} Matches, in no particular order
+  */
+  match(topic) {
+    const segments = topic.split(':');
+    const matches = [];
+
+    const collect = (entries, values) => {
+      for (const [value, { pattern, captures }] of entries) {
+        const params = {};
+        captures.forEach((name, i) => {
+          if (name) params[name] = values[i];
+        });
+        matches.push({ value, pattern, params });
+      }
+    };
+
+    const visit = (node, depth) => {
+      if (node.tail.size > 0 && depth < segments.length) {
+        collect(node.tail, segments);
+      }
+      if (depth === segments.length) {
+        collect(node.exact, segments);
+        return;
+      }
+
+      const literal = node.literals.get(segments[depth]);
+      if (literal) visit(literal, depth + 1);
+      if (node.wildcard) visit(node.wildcard, depth + 1);
+    };
+
+    visit(this._root, 0);
+    return matches;
+  }
+
+  /**
+  * Number of indexed values
+  * @type {number}
+  */
+  get size() {
+    return this._patterns.size;
+  }
+}
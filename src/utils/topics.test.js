@@ -0,0 +1,73 @@
+import { describe, expect, test } from 'bun:test';
+import { TopicTrie, isTopicPattern, matchTopic } from './topics.js';
+
+const values = matches => matches.map(match => match.value).sort();
+
+describe('matchTopic', () => {
+  test('matches one segment per wildcard and captures named segments', () => {
+    expect(matchTopic('orders:*', 'orders:42')).toEqual({});
+    expect(matchTopic('orders:{id}:items', 'orders:42:items')).toEqual({ id: '42' });
+    expect(matchTopic('orders:*', 'orders:42:items')).toBeNull();
+    expect(matchTopic('orders:*', 'orders')).toBeNull();
+  });
+
+  test('matches one or more trailing segments with **', () => {
+    expect(matchTopic('orders:**', 'orders:42:items')).toEqual({});
+    expect(matchTopic('orders:**', 'orders')).toBeNull();
+  });
+
+  test('tells patterns from topics', () => {
+    expect(isTopicPattern('orders:{id}')).toBe(true);
+    expect(isTopicPattern('orders:**')).toBe(true);
+    expect(isTopicPattern('orders:42')).toBe(false);
+  });
+});
+
+describe('TopicTrie', () => {
+  test('returns every matching pattern with its captures', () => {
+    const trie = new TopicTrie();
+    trie.add('orders:42', 'literal');
+    trie.add('orders:*', 'wildcard');
+    trie.add('orders:{id}', 'capture');
+    trie.add('orders:**', 'tail');
+    trie.add('users:*', 'other');
+
+    const matches = trie.match('orders:42');
+    expect(values(matches)).toEqual(['capture', 'literal', 'tail', 'wildcard']);
+    expect(matches.find(match => match.value === 'capture')).toEqual({ value: 'capture', pattern: 'orders:{id}', params: { id: '42' } });
+
+    expect(values(trie.match('orders:42:items'))).toEqual(['tail']);
+    expect(trie.match('orders')).toEqual([]);
+  });
+
+  test('agrees with matchTopic', () => {
+    const patterns = ['a:b:c', 'a:*:c', 'a:{x}:{y}', '*:b:**', 'a:**', '**', '*'];
+    const topics = ['a', 'a:b', 'a:b:c', 'a:z:c', 'z:b:c:d', 'a:b:c:d'];
+    const trie = new TopicTrie();
+    patterns.forEach(pattern => trie.add(pattern, pattern));
+
+    for (const topic of topics) {
+      const expected = patterns.filter(pattern => matchTopic(pattern, topic)).sort();
+      expect(values(trie.match(topic))).toEqual(expected);
+    }
+  });
+
+  test('removes values and prunes their branches', () => {
+    const trie = new TopicTrie();
+    trie.add('orders:{id}:items', 'items');
+    trie.add('orders:**', 'tail');
+
+    expect(trie.remove('items')).toBe(true);
+    expect(trie.remove('items')).toBe(false);
+    expect(values(trie.match('orders:42:items'))).toEqual(['tail']);
+    expect(trie.size).toBe(1);
+
+    trie.remove('tail');
+    expect(trie.match('orders:42:items')).toEqual([]);
+    expect(trie._root.isEmpty).toBe(true);
+  });
+
+  test('only allows ** as the last segment', () => {
+    expect(() => new TopicTrie().add('orders:**:items', 'invalid')).toThrow();
+  });
+});
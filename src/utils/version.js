@@ -0,0 +1,31 @@
+import { Protocol } from '../constants/protocol.js';
+
+/**
+* Compares two semantic versions (x.y.z)
+* @param {string} a - First version
+* @param {string} b - Second version
+* @returns {number} Negative if a < b, positive if a > b, 0 if equal
+*/
+export function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  
+  for (let i = 0; i < 3; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+* Checks if a peer version can be talked to.
+* The peer must speak at least our minimum version and the same major version as ours.
+* @param {string} version - Peer protocol version
+* @param {string} [minVersion=Protocol.MIN_VERSION] - Oldest version accepted
+* @param {string} [currentVersion=Protocol.CURRENT_VERSION] - Local protocol version
+* @returns {boolean} Whether the version is supported
+*/
+export function isSupportedVersion(version, minVersion = Protocol.MIN_VERSION, currentVersion = Protocol.CURRENT_VERSION) {
+  return compareVersions(version, minVersion) >= 0
+    && version.split('.')[0] === currentVersion.split('.')[0];
+}
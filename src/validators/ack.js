@@ -18,7 +18,8 @@ import { MessageType, Patterns } from '../constants/protocol.js';
 * @property {string} version - Semantic version (x.y.z)
 * @property {number} timestamp - Unix timestamp in milliseconds
 * @property {'ack'} type - Must be "ack"
-* @property {string} messageId - Request ID
+* @property {string} messageId - ID of the acknowledged message
+* @property {*} [data] - Optional data returned to the sender
 */
 
 /**
@@ -36,9 +36,10 @@ export function matchesPattern(value, pattern) {
 /**
 * Validates a method name
 * @param {string} methodName - Method name to validate
+* @param {{allowReserved?: boolean}} [options] - Pass `allowReserved` to accept reserved namespaces (e.g. when calling built-in `system:*` methods)
 * @returns {ValidationResult} Validation result
 */
-export function validateMethodName(methodName) {
+export function validateMethodName(methodName, options = {}) {
   const errors = [];
   
   if (typeof methodName !== 'string') {
@@ -57,7 +58,7 @@ export function validateMethodName(methodName) {
   }
   
   const namespace = methodName.split(':')[0];
-  if (ReservedNamespaces.includes(namespace)) {
+  if (!options.allowReserved && ReservedNamespaces.includes(namespace)) {
     errors.push(`Namespace "${namespace}" is reserved`);
   }
   
@@ -67,6 +68,35 @@ export function validateMethodName(methodName) {
   };
 }
 
+/**
+* Validates a topic subscription pattern
+* @param {string} pattern - Topic or topic pattern to validate
+* @returns {ValidationResult} Validation result
+*/
+export function validateTopicPattern(pattern) {
+  const errors = [];
+  
+  if (typeof pattern !== 'string') {
+    return {
+      valid: false,
+      errors: ['Topic pattern must be a string']
+    };
+  }
+  
+  if (pattern.length > SizeLimits.MAX_TOPIC_NAME) {
+    errors.push(`Topic pattern exceeds maximum length of ${SizeLimits.MAX_TOPIC_NAME}`);
+  }
+  
+  if (!matchesPattern(pattern, Patterns.TOPIC_PATTERN)) {
+    errors.push('Invalid topic pattern format. Segments must be names, *, {name} or a trailing **');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
 * Validates a message against the base message schema
 * @param {unknown} message - Message to validate
@@ -116,6 +146,11 @@ export function validateBaseMessage(message) {
     errors.push(`Invalid type: must be one of ${validTypes.join(', ')}`);
   }
   
+  // Priority check
+  if ('priority' in message && !Number.isFinite(message.priority)) {
+    errors.push('Priority must be a finite number');
+  }
+  
   // Peer check
   if ('peer' in message) {
     if (typeof message.peer !== 'boolean' && typeof message.peer !== 'object') {
@@ -0,0 +1,61 @@
+import {
+    validateBaseMessage
+} from './base.js';
+
+import { MessageType, Patterns, SizeLimits } from '../constants/protocol.js';
+
+/**
+* @typedef {import('./base.js').ValidationResult} ValidationResult
+*/
+
+/**
+* @typedef {Object} CancelMessage
+* @property {string} protocol - Must be "helios-starling"
+* @property {string} version - Semantic version (x.y.z)
+* @property {number} timestamp - Unix timestamp in milliseconds
+* @property {'cancel'} type - Must be "cancel"
+* @property {string} requestId - ID of the request to cancel
+* @property {string} [reason] - Cancellation reason
+*/
+
+/**
+ * Validates a cancel message
+ * @param {unknown} message - Message to validate
+ * @returns {ValidationResult} Validation result
+ */
+export function validateCancel(message) {
+    const baseValidation = validateBaseMessage(message);
+    if (!baseValidation.valid) {
+        return baseValidation;
+    }
+
+    const errors = [];
+
+    // Verify type
+    if (message.type !== MessageType.CANCEL) {
+        errors.push('Invalid message type: must be "cancel"');
+    }
+
+    // Verify requestId
+    if (!('requestId' in message)) {
+        errors.push('Missing required field: requestId');
+    } else if (typeof message.requestId !== 'string') {
+        errors.push('requestId must be a string');
+    } else if (!Patterns.UUID.test(message.requestId)) {
+        errors.push('requestId must be a valid UUID');
+    }
+
+    // Verify reason
+    if ('reason' in message) {
+        if (typeof message.reason !== 'string') {
+            errors.push('reason must be a string');
+        } else if (message.reason.length > SizeLimits.MAX_ERROR_MESSAGE) {
+            errors.push(`reason exceeds maximum length of ${SizeLimits.MAX_ERROR_MESSAGE}`);
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
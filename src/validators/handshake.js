@@ -0,0 +1,67 @@
+import {
+    validateBaseMessage,
+    isValidVersion
+} from './base.js';
+
+import { MessageType } from '../constants/protocol.js';
+
+/**
+* @typedef {import('./base.js').ValidationResult} ValidationResult
+*/
+
+/**
+* @typedef {Object} HandshakeMessage
+* @property {string} protocol - Must be "helios-starling"
+* @property {string} version - Semantic version (x.y.z) spoken by the peer
+* @property {number} timestamp - Unix timestamp in milliseconds
+* @property {'handshake'} type - Must be "handshake"
+* @property {{minVersion: string, capabilities: Object}} handshake - Version range and capabilities
+*/
+
+/**
+ * Validates a handshake message
+ * @param {unknown} message - Message to validate
+ * @returns {ValidationResult} Validation result
+ */
+export function validateHandshake(message) {
+    const baseValidation = validateBaseMessage(message);
+    if (!baseValidation.valid) {
+        return baseValidation;
+    }
+
+    const errors = [];
+
+    // Verify type
+    if (message.type !== MessageType.HANDSHAKE) {
+        errors.push('Invalid message type: must be "handshake"');
+    }
+
+    const { handshake } = message;
+    if (!handshake || typeof handshake !== 'object' || Array.isArray(handshake)) {
+        errors.push('Missing required field: handshake');
+        return { valid: false, errors };
+    }
+
+    // Verify minimum version
+    if (!('minVersion' in handshake)) {
+        errors.push('Missing required field: handshake.minVersion');
+    } else if (typeof handshake.minVersion !== 'string' || !isValidVersion(handshake.minVersion)) {
+        errors.push('handshake.minVersion must be in semantic version format (x.y.z)');
+    }
+
+    // Verify capabilities
+    const { capabilities } = handshake;
+    if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+        errors.push('handshake.capabilities must be an object');
+    } else {
+        const { codecs } = capabilities;
+        if ('codecs' in capabilities && (!Array.isArray(codecs) || codecs.some(codec => typeof codec !== 'string'))) {
+            errors.push('handshake.capabilities.codecs must be an array of strings');
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
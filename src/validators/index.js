@@ -4,4 +4,8 @@ export * from './response.js';
 export * from './notification.js';
 export * from './protocol.js';
 export * from './error.js';
-export * from './ack.js';
\ No newline at end of file
+export * from './ack.js';
+export * from './cancel.js';
+export * from './ping.js';
+export * from './handshake.js';
+export * from './schema.js';
@@ -53,6 +53,15 @@ import {
       return { valid: false, errors };
     }
   
+    // Validate messageId (delivery acknowledgement requested)
+    if ('messageId' in message) {
+      if (typeof message.messageId !== 'string') {
+        errors.push('messageId must be a string');
+      } else if (!Patterns.UUID.test(message.messageId)) {
+        errors.push('messageId must be a valid UUID');
+      }
+    }
+  
     // Validate notification object
     if (!('notification' in message)) {
       errors.push('Missing required field: notification');
@@ -72,6 +81,19 @@ import {
         }
       }
   
+      // Validate retained values flags
+      for (const flag of ['retain', 'retained', 'replayed']) {
+        if (flag in message.notification && typeof message.notification[flag] !== 'boolean') {
+          errors.push(`notification.${flag} must be a boolean`);
+        }
+      }
+      if ('ttl' in message.notification && (typeof message.notification.ttl !== 'number' || message.notification.ttl <= 0)) {
+        errors.push('notification.ttl must be a positive number');
+      }
+      if ('seq' in message.notification && (!Number.isInteger(message.notification.seq) || message.notification.seq < 0)) {
+        errors.push('notification.seq must be a non-negative integer');
+      }
+  
       // Validate data
       if (!('data' in message.notification)) {
         // errors.push('notification.data is required');
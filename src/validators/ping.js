@@ -0,0 +1,57 @@
+import {
+    validateBaseMessage
+} from './base.js';
+
+import { MessageType, Patterns } from '../constants/protocol.js';
+
+/**
+* @typedef {import('./base.js').ValidationResult} ValidationResult
+*/
+
+/**
+* @typedef {Object} PingMessage
+* @property {string} protocol - Must be "helios-starling"
+* @property {string} version - Semantic version (x.y.z)
+* @property {number} timestamp - Unix timestamp in milliseconds
+* @property {'ping'} type - Must be "ping"
+* @property {string} pingId - Ping identifier
+* @property {boolean} [pong] - Whether this is the reply to a ping
+*/
+
+/**
+ * Validates a ping (or pong) message
+ * @param {unknown} message - Message to validate
+ * @returns {ValidationResult} Validation result
+ */
+export function validatePing(message) {
+    const baseValidation = validateBaseMessage(message);
+    if (!baseValidation.valid) {
+        return baseValidation;
+    }
+
+    const errors = [];
+
+    // Verify type
+    if (message.type !== MessageType.PING) {
+        errors.push('Invalid message type: must be "ping"');
+    }
+
+    // Verify pingId
+    if (!('pingId' in message)) {
+        errors.push('Missing required field: pingId');
+    } else if (typeof message.pingId !== 'string') {
+        errors.push('pingId must be a string');
+    } else if (!Patterns.UUID.test(message.pingId)) {
+        errors.push('pingId must be a valid UUID');
+    }
+
+    // Verify pong flag
+    if ('pong' in message && typeof message.pong !== 'boolean') {
+        errors.push('pong must be a boolean');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
@@ -2,6 +2,11 @@ import { validateRequest, validateResponse, validateNotification, validateErrorM
 import { Protocol, ValidationLevel, MessageType } from "../constants/protocol.js";
 import { estimateMessageSize } from "../utils/message.js";
 import { validateAck } from "./ack.js";
+import { validateCancel } from "./cancel.js";
+import { validatePing } from "./ping.js";
+import { validateHandshake } from "./handshake.js";
+import { isSupportedVersion } from "../utils/version.js";
+import { MessagePackSerializer } from "../serializers/msgpack.js";
 
 /**
  * Message format enumeration
@@ -22,12 +27,14 @@ export const MessageFormat = {
  * @property {boolean} [allowCustomTypes=false] Whether to allow custom message types
  * @property {number} [maxMessageSize] Maximum allowed message size in bytes
  * @property {ValidationLevel} [level=ValidationLevel.PROTOCOL] Validation level
+ * @property {import('../serializers/base.js').Serializer[]} [serializers] Binary codecs tried on binary frames before treating them as raw binary
+ * @property {string} [minVersion=Protocol.MIN_VERSION] Oldest protocol version accepted
  */
 
 /**
  * Handler types
  * @typedef {(message: unknown) => void} MessageHandler
- * @typedef {(violations: string[]) => void} ViolationHandler
+ * @typedef {(violations: string[], result: ResolutionResult) => void} ViolationHandler
  * @typedef {(text: string) => void} TextHandler
  * @typedef {(data: object) => void} JsonHandler
  * @typedef {(data: ArrayBuffer|Uint8Array) => void} BinaryHandler
@@ -39,6 +46,7 @@ export const MessageFormat = {
  * @property {MessageFormat} format Detected message format
  * @property {boolean} isValid Whether the message is valid
  * @property {string[]} violations Array of protocol violations if any
+ * @property {boolean} versionMismatch Whether the message uses an unsupported protocol version
  * @property {string} [type] Resolved protocol message type if applicable
  */
 
@@ -63,11 +71,19 @@ class ProtocolResolution {
     /** @private */
     this._parsedData = null;
 
+    /** @private */
+    this._serializer = null;
+
+    /** @private */
+    this._versionMismatch = false;
+
     /** @private */
     this._options = {
       strict: true,
       allowCustomTypes: false,
       level: ValidationLevel.PROTOCOL,
+      serializers: [MessagePackSerializer],
+      minVersion: Protocol.MIN_VERSION,
       ...options
     };
     
@@ -93,10 +109,20 @@ class ProtocolResolution {
    */
   _detectFormat = (message) => {
     if (message instanceof ArrayBuffer || message instanceof Uint8Array) {
-      return MessageFormat.BINARY;
+      // Oversized frames are rejected before being decoded
+      if (this._exceedsMaxSize(message.byteLength)) {
+        return MessageFormat.BINARY;
+      }
+      return this._decodeBinary(message)
+        ? MessageFormat.PROTOCOL
+        : MessageFormat.BINARY;
     }
 
     if (typeof message === 'string') {
+      // Each character takes at least one byte: longer strings are over the limit without being parsed
+      if (this._exceedsMaxSize(message.length)) {
+        return MessageFormat.TEXT;
+      }
       try {
         this._parsedData = JSON.parse(message);
         
@@ -118,6 +144,47 @@ class ProtocolResolution {
     return MessageFormat.TEXT;
   }
 
+  /**
+   * Checks the size of a raw frame against `maxMessageSize`, recording a violation when it is over
+   * @private
+   * @param {number} size Frame size in bytes
+   * @returns {boolean} Whether the frame is too large to be decoded
+   */
+  _exceedsMaxSize = (size) => {
+    if (!this._options.maxMessageSize || size <= this._options.maxMessageSize) {
+      return false;
+    }
+    this._addViolation(`Message size (${size} bytes) exceeds maximum allowed size`);
+    return true;
+  }
+
+  /**
+   * Tries to decode a binary frame as a protocol envelope with the configured binary codecs
+   * @private
+   * @param {ArrayBuffer|Uint8Array} message Binary frame
+   * @returns {boolean} Whether the frame holds a protocol message
+   */
+  _decodeBinary = (message) => {
+    for (const serializer of this._options.serializers || []) {
+      if (!serializer.binary || (serializer.accepts && !serializer.accepts(message))) {
+        continue;
+      }
+
+      try {
+        const decoded = serializer.decode(message);
+        if (this._isProtocolMessage(decoded)) {
+          this._parsedData = decoded;
+          this._serializer = serializer.name;
+          return true;
+        }
+      } catch {
+        // Not produced by this codec, try the next one
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Checks if a message follows the protocol format
    * @private
@@ -167,6 +234,10 @@ class ProtocolResolution {
       this._addViolation('Version must be a string');
     } else if (!isValidVersion(this._parsedData.version)) {
       this._addViolation('Version must be in semantic version format (x.y.z)');
+    } else if (![MessageType.HANDSHAKE, MessageType.ERROR].includes(this._parsedData.type) && !isSupportedVersion(this._parsedData.version, this._options.minVersion)) {
+      // Handshakes negotiate versions and errors report mismatches: both must get through
+      this._versionMismatch = true;
+      this._addViolation(`Unsupported protocol version ${this._parsedData.version} (supported: ${this._options.minVersion} to ${Protocol.CURRENT_VERSION.split('.')[0]}.x.x)`);
     }
 
     // Timestamp check
@@ -223,6 +294,15 @@ class ProtocolResolution {
       case MessageType.ACK:
         typeValidation = validateAck(this._parsedData);
         break;
+      case MessageType.CANCEL:
+        typeValidation = validateCancel(this._parsedData);
+        break;
+      case MessageType.PING:
+        typeValidation = validatePing(this._parsedData);
+        break;
+      case MessageType.HANDSHAKE:
+        typeValidation = validateHandshake(this._parsedData);
+        break;
       default:
         if (this._options.strict) {
           this._addViolation(`Unsupported message type: ${this._parsedData.type}`);
@@ -253,6 +333,7 @@ class ProtocolResolution {
       format: this._format,
       isValid: this.isValid(),
       violations: [...this._violations],
+      versionMismatch: this._versionMismatch,
       ...(this._resolvedType && { type: this._resolvedType })
     };
   }
@@ -273,6 +354,15 @@ class ProtocolResolution {
     return this._resolvedType;
   }
 
+  /**
+   * Gets the name of the codec a protocol message was decoded with
+   * @returns {string|null} Codec name, or null for messages that were not serialized
+   */
+  getSerializer() {
+    if (this._format !== MessageFormat.PROTOCOL) return null;
+    return this._serializer || (typeof this._message === 'string' ? 'json' : null);
+  }
+
   /**
    * Gets protocol violations if any
    * @returns {string[]} List of violations
@@ -328,7 +418,7 @@ class ProtocolResolution {
    * @returns {this} For chaining
    */
   onText(handler) {
-    if (this._format === MessageFormat.TEXT) {
+    if (this._format === MessageFormat.TEXT && this._violations.length === 0) {
       handler(String(this._message));
     }
     return this;
@@ -352,7 +442,7 @@ class ProtocolResolution {
    * @returns {this} For chaining
    */
   onBinary(handler) {
-    if (this._format === MessageFormat.BINARY) {
+    if (this._format === MessageFormat.BINARY && this._violations.length === 0) {
       handler(this._message);
     }
     return this;
@@ -365,7 +455,7 @@ class ProtocolResolution {
    */
   onViolation(handler) {
     if (this._violations.length > 0) {
-      handler(this._violations);
+      handler(this._violations, this.getResult());
     }
     return this;
   }
@@ -418,6 +508,42 @@ class ProtocolResolution {
     return this;
   }
 
+  /**
+   * Subscribes to cancel messages
+   * @param {MessageHandler} handler Cancel handler
+   * @returns {this} For chaining
+   */
+  onCancel(handler) {
+    if (this.isValid() && this._resolvedType === MessageType.CANCEL) {
+      handler(this._parsedData);
+    }
+    return this;
+  }
+
+  /**
+   * Subscribes to ping messages (pings and pongs)
+   * @param {MessageHandler} handler Ping handler
+   * @returns {this} For chaining
+   */
+  onPing(handler) {
+    if (this.isValid() && this._resolvedType === MessageType.PING) {
+      handler(this._parsedData);
+    }
+    return this;
+  }
+
+  /**
+   * Subscribes to handshake messages
+   * @param {MessageHandler} handler Handshake handler
+   * @returns {this} For chaining
+   */
+  onHandshake(handler) {
+    if (this.isValid() && this._resolvedType === MessageType.HANDSHAKE) {
+      handler(this._parsedData);
+    }
+    return this;
+  }
+
   /**
    * Subscribes to error messages
    * @param {MessageHandler} handler Error message handler
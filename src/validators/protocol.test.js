@@ -0,0 +1,48 @@
+import { describe, expect, test } from 'bun:test';
+import { MessageFormat, resolve } from './protocol.js';
+import { MessagePackSerializer } from '../serializers/msgpack.js';
+import { createRequest } from '../formatters';
+
+describe('resolve', () => {
+  test('resolves JSON and MessagePack frames alike', () => {
+    const request = createRequest('users:get', { id: 42 });
+
+    const received = [];
+
+    const text = resolve(JSON.stringify(request)).onRequest(message => received.push(message));
+    expect(text.isValid()).toBe(true);
+    expect(text.getSerializer()).toBe('json');
+
+    const binary = resolve(MessagePackSerializer.encode(request)).onRequest(message => received.push(message));
+    expect(binary.isValid()).toBe(true);
+    expect(binary.getSerializer()).toBe(MessagePackSerializer.name);
+
+    expect(received).toMatchObject([request, request]);
+  });
+
+  test('rejects oversized frames before decoding them', () => {
+    const request = createRequest('users:get', { padding: 'x'.repeat(1024) });
+    const decode = MessagePackSerializer.decode;
+    let decoded = 0;
+    const serializer = { ...MessagePackSerializer, decode: frame => (decoded++, decode(frame)) };
+
+    const binary = resolve(MessagePackSerializer.encode(request), { maxMessageSize: 256, serializers: [serializer] });
+    expect(binary.isValid()).toBe(false);
+    expect(binary.getFormat()).toBe(MessageFormat.BINARY);
+    expect(decoded).toBe(0);
+
+    const text = resolve(JSON.stringify(request), { maxMessageSize: 256 });
+    expect(text.isValid()).toBe(false);
+    expect(text.getFormat()).toBe(MessageFormat.TEXT);
+    expect(text.getViolations()[0]).toContain('exceeds maximum allowed size');
+  });
+
+  test('does not hand oversized frames to the text and binary handlers', () => {
+    let handled = false;
+    resolve('x'.repeat(512), { maxMessageSize: 256 })
+      .onText(() => { handled = true; })
+      .onBinary(() => { handled = true; });
+
+    expect(handled).toBe(false);
+  });
+});
@@ -62,7 +62,8 @@ import {
     if (!('method' in message)) {
       errors.push('Missing required field: method');
     } else {
-      const methodValidation = validateMethodName(message.method);
+      // Reserved namespaces cannot be registered by users, but their built-ins can be called
+      const methodValidation = validateMethodName(message.method, { allowReserved: true });
       if (!methodValidation.valid) {
         errors.push(...methodValidation.errors);
       }
@@ -73,6 +74,15 @@ import {
       }
     }
   
+    // Validate idempotency key
+    if ('idempotencyKey' in message) {
+      if (typeof message.idempotencyKey !== 'string' || message.idempotencyKey.length === 0) {
+        errors.push('idempotencyKey must be a non-empty string');
+      } else if (message.idempotencyKey.length > 255) {
+        errors.push('idempotencyKey must not exceed 255 characters');
+      }
+    }
+  
     // Validate payload if necessary
     if ('payload' in message) {
       // Check payload size
@@ -0,0 +1,250 @@
+/**
+* @typedef {"string"|"number"|"integer"|"boolean"|"object"|"array"|"null"} SchemaType
+*/
+
+/**
+* JSON Schema subset understood by the built-in engine
+* @typedef {Object} JsonSchema
+* @property {SchemaType|SchemaType[]} [type] - Accepted type(s)
+* @property {Array<*>} [enum] - Accepted values
+* @property {*} [const] - Single accepted value
+* @property {number} [minimum] - Inclusive lower bound
+* @property {number} [maximum] - Inclusive upper bound
+* @property {number} [exclusiveMinimum] - Exclusive lower bound
+* @property {number} [exclusiveMaximum] - Exclusive upper bound
+* @property {number} [minLength] - Minimum string length
+* @property {number} [maxLength] - Maximum string length
+* @property {string} [pattern] - Regular expression strings must match
+* @property {Object<string, JsonSchema>} [properties] - Object properties schemas
+* @property {string[]} [required] - Required object properties
+* @property {boolean|JsonSchema} [additionalProperties=true] - Whether (or how) undeclared properties are accepted
+* @property {JsonSchema} [items] - Array items schema
+* @property {number} [minItems] - Minimum array length
+* @property {number} [maxItems] - Maximum array length
+* @property {boolean} [uniqueItems] - Whether array items must be distinct
+*/
+
+/**
+* Any validator implementing the Standard Schema interface (Zod, Valibot, ArkType...)
+* @see https://standardschema.dev
+* @typedef {{'~standard': {version: 1, vendor: string, validate: function(unknown): ({value: *, issues?: undefined}|{issues: Array<{message: string, path?: Array<PropertyKey|{key: PropertyKey}>}>}|Promise<*>)}}} StandardSchema
+*/
+
+/**
+* @typedef {Object} SchemaIssue
+* @property {string} path - JSON pointer to the offending value ("" for the root)
+* @property {string} message - Error message
+* @property {string} [keyword] - Failing schema keyword (built-in engine only)
+*/
+
+/**
+* @typedef {Object} SchemaValidationResult
+* @property {boolean} valid - Whether the value matches the schema
+* @property {SchemaIssue[]} errors - Path-addressed issues if validation failed
+* @property {*} [value] - Validated value (possibly transformed by a Standard Schema)
+*/
+
+/**
+* Checks whether a value implements the Standard Schema interface
+* @param {unknown} schema - Value to check
+* @returns {schema is StandardSchema}
+*/
+export function isStandardSchema(schema) {
+  return !!schema
+    && (typeof schema === 'object' || typeof schema === 'function')
+    && typeof schema['~standard']?.validate === 'function';
+}
+
+/**
+* Returns the JSON type name of a value
+* @param {unknown} value
+* @returns {SchemaType|"undefined"}
+* @private
+*/
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return /** @type {*} */ (typeof value);
+}
+
+/**
+* @param {unknown} value
+* @param {SchemaType} type
+* @returns {boolean}
+* @private
+*/
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+* Deep equality for JSON values
+* @private
+*/
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+* Escapes a JSON pointer segment
+* @param {string|number} segment
+* @returns {string}
+* @private
+*/
+function pointer(segment) {
+  return '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+* Walks a value against a schema, collecting issues
+* @param {unknown} value
+* @param {JsonSchema} schema
+* @param {string} path
+* @param {SchemaIssue[]} issues
+* @private
+*/
+function walk(value, schema, path, issues) {
+  const fail = (keyword, message) => issues.push({ path, message, keyword });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      // Further keywords would only repeat the type mismatch
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && !isEqual(value, schema.const)) {
+    fail('const', `Must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some(candidate => isEqual(value, candidate))) {
+    fail('enum', `Must be one of ${schema.enum.map(candidate => JSON.stringify(candidate)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `Must be greater than or equal to ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `Must be less than or equal to ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `Must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `Must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    // Length in code points, as JSON Schema specifies
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `Must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `Must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `Must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `Must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `Must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => isEqual(item, other)) !== i)) {
+      fail('uniqueItems', 'Items must be unique');
+    }
+    if (schema.items) {
+      value.forEach((item, i) => walk(item, schema.items, path + pointer(i), issues));
+    }
+  } else if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key) || value[key] === undefined) {
+        issues.push({ path: path + pointer(key), message: 'Required property is missing', keyword: 'required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        walk(item, properties[key], path + pointer(key), issues);
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: path + pointer(key), message: 'Unknown property', keyword: 'additionalProperties' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        walk(item, schema.additionalProperties, path + pointer(key), issues);
+      }
+    }
+  }
+}
+
+/**
+* Converts a Standard Schema issue path to a JSON pointer
+* @param {Array<PropertyKey|{key: PropertyKey}>} [path]
+* @returns {string}
+* @private
+*/
+function toPointer(path = []) {
+  return path.map(segment => pointer(typeof segment === 'object' ? String(segment.key) : String(segment))).join('');
+}
+
+/**
+* Validates a value against a JSON Schema subset or a Standard Schema validator.
+* Returns a promise only for asynchronous Standard Schema validators.
+* @param {unknown} value - Value to validate
+* @param {JsonSchema|StandardSchema} schema - Schema to validate against
+* @returns {SchemaValidationResult|Promise<SchemaValidationResult>} Validation result
+*
+* @example
+* validateSchema({ user: { age: -1 } }, {
+*   type: 'object',
+*   required: ['user'],
+*   properties: { user: { type: 'object', properties: { age: { type: 'integer', minimum: 0 } } } }
+* });
+* // { valid: false, errors: [{ path: '/user/age', message: 'Must be greater than or equal to 0', keyword: 'minimum' }] }
+*/
+export function validateSchema(value, schema) {
+  if (isStandardSchema(schema)) {
+    const toResult = result => result.issues
+      ? {
+          valid: false,
+          errors: result.issues.map(issue => ({ path: toPointer(issue.path), message: issue.message }))
+        }
+      : { valid: true, errors: [], value: result.value };
+
+    const result = schema['~standard'].validate(value);
+    return result instanceof Promise ? result.then(toResult) : toResult(result);
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    throw new TypeError('Schema must be a JSON schema object or a Standard Schema validator');
+  }
+
+  const errors = [];
+  walk(value, schema, '', errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value
+  };
+}
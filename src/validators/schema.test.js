@@ -0,0 +1,66 @@
+import { describe, expect, test } from 'bun:test';
+import { validateSchema } from './schema.js';
+
+const user = {
+  type: 'object',
+  required: ['email', 'roles'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+    age: { type: 'integer', minimum: 0 },
+    roles: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: ['admin', 'user'] } }
+  }
+};
+
+/**
+* Minimal Standard Schema validator accepting strings
+*/
+const standardString = validate => ({
+  '~standard': { version: 1, vendor: 'test', validate }
+});
+
+describe('validateSchema', () => {
+  test('accepts values matching the schema', () => {
+    expect(validateSchema({ email: 'a@b.c', roles: ['user'], age: 3 }, user)).toEqual({
+      valid: true,
+      errors: [],
+      value: { email: 'a@b.c', roles: ['user'], age: 3 }
+    });
+  });
+
+  test('reports one path-addressed issue per failing keyword', () => {
+    const { valid, errors } = validateSchema({ email: 'nope', age: 1.5, roles: ['root'], extra: true }, user);
+
+    expect(valid).toBe(false);
+    expect(errors.map(({ path, keyword }) => [path, keyword])).toEqual(expect.arrayContaining([
+      ['/email', 'pattern'],
+      ['/age', 'type'],
+      ['/roles/0', 'enum'],
+      ['/extra', 'additionalProperties']
+    ]));
+  });
+
+  test('reports missing properties and empty arrays', () => {
+    const { errors } = validateSchema({ roles: [] }, user);
+
+    expect(errors.map(({ path, keyword }) => [path, keyword])).toEqual(expect.arrayContaining([
+      ['/email', 'required'],
+      ['/roles', 'minItems']
+    ]));
+  });
+
+  test('runs Standard Schema validators, synchronous or not', async () => {
+    const sync = standardString(value => typeof value === 'string'
+      ? { value: value.trim() }
+      : { issues: [{ message: 'Expected a string', path: [{ key: 'name' }, 0] }] });
+    const async = standardString(async value => ({ value }));
+
+    expect(validateSchema(' x ', sync)).toEqual({ valid: true, errors: [], value: 'x' });
+    expect(validateSchema(1, sync)).toEqual({ valid: false, errors: [{ path: '/name/0', message: 'Expected a string' }] });
+    expect(await validateSchema('x', async)).toMatchObject({ valid: true, value: 'x' });
+  });
+
+  test('refuses anything but a schema', () => {
+    expect(() => validateSchema({}, null)).toThrow('Schema must be a JSON schema object or a Standard Schema validator');
+  });
+});
@@ -4,8 +4,15 @@ export namespace CommonErrors {
     let PROTOCOL_VIOLATION: import("../types/errors.d").ProtocolViolationError;
     let METHOD_NOT_FOUND: import("../types/errors.d").MethodNotFoundError;
     let METHOD_ERROR: import("../types/errors.d").MethodError;
+    let METHOD_BUSY: import("../types/errors.d").MethodBusyError;
     let INVALID_REQUEST: import("../types/errors.d").RequestInvalidError;
     let REQUEST_TIMEOUT: import("../types/errors.d").RequestTimeoutError;
+    let REQUEST_CANCELLED: import("../types/errors.d").RequestCancelledError;
+    let RATE_LIMITED: import("../types/errors.d").RequestRateLimitedError;
+    let CONNECTION_LOST: import("../types/errors.d").ConnectionLostError;
+    let CIRCUIT_OPEN: import("../types/errors.d").CircuitOpenError;
+    let BUFFER_FULL: import("../types/errors.d").BufferFullError;
+    let SESSION_ACTIVE: import("../types/errors.d").SessionActiveError;
     let VALIDATION_ERROR: import("../types/errors.d").ValidationError;
     let INTERNAL_ERROR: import("../types/errors.d").InternalError;
     let PROXY_FORBIDDEN: import("../types/errors.d").ProxyForbiddenError;
@@ -1,4 +1,4 @@
-export type MessageType = RequestType | ResponseType | NotificationType | ErrorType | AckType | PingType;
+export type MessageType = RequestType | ResponseType | NotificationType | ErrorType | AckType | PingType | CancelType | HandshakeType;
 export namespace MessageType {
     let REQUEST: RequestType;
     let RESPONSE: ResponseType;
@@ -6,6 +6,8 @@ export namespace MessageType {
     let ERROR: ErrorType;
     let ACK: AckType;
     let PING: PingType;
+    let CANCEL: CancelType;
+    let HANDSHAKE: HandshakeType;
     /** @returns {string[]} Array of all valid message types */
     function values(): string[];
     /**
@@ -15,6 +17,16 @@ export namespace MessageType {
     */
     function isValid(value: string): boolean;
 }
+/**
+ * Outbound priority lanes: the buffer sends higher lanes first. Any other number makes a lane of its own.
+ */
+export type MessagePriority = number;
+export namespace MessagePriority {
+    let CONTROL: number;
+    let HIGH: number;
+    let NORMAL: number;
+    let LOW: number;
+}
 export type ValidationLevel = ProtocolLevel | MessageLevel;
 export namespace ValidationLevel {
     let PROTOCOL: ProtocolLevel;
@@ -37,6 +49,7 @@ export namespace Patterns {
     let VERSION: RegExp;
     let METHOD_NAME: RegExp;
     let TOPIC_NAME: RegExp;
+    let TOPIC_PATTERN: RegExp;
     let UUID: RegExp;
 }
 /**
@@ -89,6 +102,8 @@ export type NotificationType = "notification";
 export type ErrorType = "error";
 export type AckType = "ack";
 export type PingType = "ping";
+export type CancelType = "cancel";
+export type HandshakeType = "handshake";
 export type ProtocolLevel = "protocol";
 export type MessageLevel = "message";
 export type ProtocolErrorSeverity = "protocol";
@@ -1,15 +1,253 @@
 /**
- * @typedef {import('@killiandvcz/buffer').BufferConfig} BufferOptions
- */
+* @typedef {Object} SendStatus
+* @property {boolean} queued Whether the message was queued (false when dropped by the `drop-newest` policy,
+* or for a cancel that withdrew its request before it went out)
+* @property {boolean} backpressure Whether pending bytes are over the high watermark: slow down until `buffer:drained`
+* @property {number} bufferedBytes Bytes waiting in the buffer and in the transport
+* @property {number} dropped Older messages dropped to make room for this one
+*/
 /**
-* Manages message buffering for disconnected states
+* Manages message buffering for disconnected states.
+* Messages waiting for a connection go through an outbox storage: with a persistent one, requests and
+* notifications queued while offline survive a restart and are restored, before any new message, when the
+* buffer is created. Messages queued while connected are only written to it if the connection drops first.
+* Pending bytes (queued here plus buffered by the transport) are tracked against high and low watermarks,
+* and messages stay here while the transport holds more than the high watermark.
+* Messages wait in priority lanes: higher lanes go out first, each lane in order.
 */
-export class Buffer extends MegaBuffer {
+export class Buffer {
     /**
     * @param {import('../core/starling').BaseStarling} starling
     * @param {BufferOptions} options
     */
     constructor(starling: import("../core/starling").BaseStarling, options?: BufferOptions);
+    /** @private */
+    private _starling;
+    /** @private @type {import('./outbox').OutboxStorage} */
+    private _storage;
+    /** @private */
+    private _maxAge;
+    /** @private */
+    private _watermarks;
+    /** @private */
+    private _maxBytes;
+    /** @private @type {OverflowPolicy} */
+    private _overflow;
+    /**
+    * Queued entries and their size by priority, oldest first in each lane
+    * @private
+    * @type {Map<number, Map<string, {entry: import('./outbox').OutboxEntry, size: number}>>}
+    */
+    private _lanes;
+    /**
+    * Priorities of the lanes, highest first
+    * @private
+    * @type {number[]}
+    */
+    private _priorities;
+    /** @private */
+    private _bytes;
+    /** @private Whether pending bytes went over the high watermark and not yet back under the low one */
+    private _high;
+    /** @private @type {import('@killiandvcz/maestro').Timer|null} */
+    private _drainTimer;
+    /** @private */
+    private _seq;
+    /** @private */
+    private _restoring;
+    /**
+    * Queues a message until it can be sent
+    * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
+    * @param {SendOptions} [options={}] Send options
+    * @returns {Promise<SendStatus>} Resolves once queued, rejects with `BUFFER_FULL` under the `reject` policy
+    */
+    add(message: any | string | ArrayBuffer | Uint8Array, options?: SendOptions): Promise<SendStatus>;
+    /**
+    * Bytes waiting in the buffer and in the transport
+    * @type {number}
+    */
+    get bufferedBytes(): number;
+    /**
+    * Whether pending bytes are over the high watermark
+    * @type {boolean}
+    */
+    get backpressure(): boolean;
+    /**
+    * Sends the next queued message. Each entry handed to the batch buffer stands for one send,
+    * of the oldest message in the highest lane: control traffic overtakes bulk messages queued before it.
+    * @private
+    */
+    private _flush;
+    /**
+    * Oldest message of the highest non-empty lane
+    * @private
+    * @returns {import('./outbox').OutboxEntry|undefined}
+    */
+    private _next;
+    /**
+    * Queues the messages a previous run left in the storage
+    * @private
+    */
+    private _restore;
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    */
+    private _isExpired;
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    */
+    private _drop;
+    /**
+    * Drops the oldest queued messages, lowest lanes first, until a new one fits.
+    * The control lane is never dropped.
+    * @private
+    * @param {number} size Size of the new message
+    * @returns {number} Dropped messages
+    */
+    private _dropOldest;
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    * @param {number} size
+    * @param {boolean} [persist=false] Whether the entry goes to the storage while waiting for a connection
+    * @returns {{entry: import('./outbox').OutboxEntry, size: number, persist: boolean, persisted: boolean}}
+    */
+    private _track;
+    /**
+    * @private
+    * @param {import('./outbox').OutboxEntry} entry
+    */
+    private _untrack;
+    /**
+    * Removes the queued request a cancel message targets
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @returns {boolean} Whether a queued request was withdrawn
+    */
+    private _withdraw;
+    /**
+    * Writes a queued entry to the storage, if it is meant to survive a restart
+    * @private
+    * @param {{entry: import('./outbox').OutboxEntry, persist: boolean, persisted: boolean}} pending
+    */
+    private _save;
+    /**
+    * Writes every queued entry meant to survive a restart to the storage
+    * @private
+    */
+    private _saveQueued;
+    /**
+    * Removes an entry that left the buffer from the storage
+    * @private
+    * @param {{entry: import('./outbox').OutboxEntry, persisted: boolean}|null} pending
+    * @param {string} message Error message, should the removal fail
+    */
+    private _forget;
+    /**
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @param {boolean} [persist] Whether the sender asked for the message to be persisted
+    * @returns {boolean}
+    */
+    private _persistable;
+    /**
+    * Emits `buffer:high` when pending bytes reach the high watermark, and `buffer:drained` once they are
+    * back under the low one. The transport drains on its own, so it is checked periodically meanwhile.
+    * @private
+    */
+    private _checkWatermarks;
+    /**
+    * @private
+    * @param {boolean} queued
+    * @param {number} dropped
+    * @returns {SendStatus}
+    */
+    private _status;
+    /**
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @param {number} [priority] Priority asked by the sender
+    * @returns {number}
+    */
+    private _priorityOf;
+    /**
+    * Approximate size of a message on the wire
+    * @private
+    * @param {Object|string|ArrayBuffer|Uint8Array} message
+    * @returns {number}
+    */
+    private _sizeOf;
+    /**
+    * Runs a storage operation, reporting its failure without blocking the buffer
+    * @private
+    * @param {function(): (void|Promise<void>)} operation
+    * @param {string} message
+    */
+    private _persist;
+    /**
+    * @private
+    */
+    private _emitWatermark;
+    /**
+    * @private
+    * @param {Array<Object|string|ArrayBuffer|Uint8Array>} messages Messages dropped, the new one under `drop-newest`
+    * @param {number} size Size of the new message
+    */
+    private _emitOverflow;
+    /**
+    * @private
+    */
+    private _emitError;
 }
-export type BufferOptions = import("@killiandvcz/buffer").BufferConfig;
-import { MegaBuffer } from "@killiandvcz/buffer";
+/**
+ * Buffer configuration, plus the outbox `storage` persisting queued messages (in memory by default),
+ * the `maxAge` in ms after which a queued message is dropped, and the backpressure limits in bytes
+ */
+export type BufferOptions = any & {
+    storage?: import("./outbox").OutboxStorage;
+    maxAge?: number | null;
+    highWatermark?: number;
+    lowWatermark?: number;
+    maxBytes?: number;
+    overflow?: OverflowPolicy;
+};
+/**
+ * What happens to a message that would take the buffer over `maxBytes`:
+ * drop the oldest queued messages to make room, drop the new message, or reject it with `BUFFER_FULL`.
+ * Messages of the control lane are always queued, even over `maxBytes`, and never dropped.
+ */
+export type OverflowPolicy = "drop-oldest" | "drop-newest" | "reject";
+export type SendOptions = {
+    /**
+     * Priority lane (see `MessagePriority`). Defaults to the `priority` of the message,
+     * then to `CONTROL` for responses, errors, cancels, acks, pings and handshakes, and `NORMAL` for the others.
+     */
+    priority?: number;
+    /**
+     * Whether the message is written to the outbox storage when it waits for a connection,
+     * to survive a restart. Defaults to true for requests and notifications, false for the others: their request
+     * belongs to a connection a new process will never see.
+     */
+    persist?: boolean;
+};
+export type SendStatus = {
+    /**
+     * Whether the message was queued (false when dropped by the `drop-newest` policy,
+     * or for a cancel that withdrew its request before it went out)
+     */
+    queued: boolean;
+    /**
+     * Whether pending bytes are over the high watermark: slow down until `buffer:drained`
+     */
+    backpressure: boolean;
+    /**
+     * Bytes waiting in the buffer and in the transport
+     */
+    bufferedBytes: number;
+    /**
+     * Older messages dropped to make room for this one
+     */
+    dropped: number;
+};
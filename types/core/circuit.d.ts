@@ -0,0 +1,147 @@
+/**
+* @typedef {Object} CircuitBreakerOptions
+* @property {boolean} [enabled=false] Whether requests go through a circuit breaker per method
+* @property {number} [windowSize=20] Number of latest outcomes the failure rate is computed on
+* @property {number} [minimumRequests=10] Outcomes needed before the circuit can open
+* @property {number} [failureRate=0.5] Failure rate (0-1) opening the circuit
+* @property {number} [coolDown=30000] Time in ms the circuit stays open before letting trial requests through
+* @property {number} [halfOpenRequests=1] Trial requests let through while half-open, all must succeed to close the circuit
+* @property {string[]} [codes] Error codes counted as failures (timeouts and server errors by default)
+*/
+/**
+* @typedef {"closed"|"open"|"half-open"} CircuitState
+*/
+/**
+* @typedef {Object} CircuitStats
+* @property {CircuitState} state Current state
+* @property {number} requests Outcomes in the window
+* @property {number} failures Failures in the window
+* @property {number} failureRate Failure rate in the window (0-1)
+* @property {number|null} openedAt Time the circuit last opened, null while closed
+*/
+/**
+* Error codes counted as failures by default: the method is failing, not the caller
+* @type {string[]}
+*/
+export const DefaultCircuitFailureCodes: string[];
+/**
+* Circuit breaker guarding one method: once its failure rate crosses the threshold, calls fail fast
+* for a cool-down, then a few trial calls decide whether the circuit closes again
+*/
+export class CircuitBreaker {
+    /**
+    * @param {CircuitBreakerOptions} [options={}] Breaker options
+    * @param {function(CircuitState, CircuitState): void} [onStateChange] Called with the new and the previous state
+    */
+    constructor(options?: CircuitBreakerOptions, onStateChange?: (arg0: CircuitState, arg1: CircuitState) => void);
+    /** @private */
+    private _options;
+    /** @private */
+    private _onStateChange;
+    /** @private @type {CircuitState} */
+    private _state;
+    /**
+    * Latest outcomes, true for failures
+    * @private
+    * @type {boolean[]}
+    */
+    private _outcomes;
+    /** @private */
+    private _openedAt;
+    /** @private Trial requests in flight while half-open */
+    private _trials;
+    /** @private Trial requests that succeeded while half-open */
+    private _trialSuccesses;
+    /**
+    * Whether a request may go out now. While half-open, each allowed request is a trial.
+    * @returns {boolean}
+    */
+    allow(): boolean;
+    /**
+    * Records the outcome of an allowed request
+    * @param {{code?: string}|null} error Error the request failed with, null on success
+    */
+    record(error: {
+        code?: string;
+    } | null): void;
+    /**
+    * Closes the circuit and forgets the outcomes
+    */
+    reset(): void;
+    /**
+    * @private
+    */
+    private _open;
+    /**
+    * @private
+    * @param {CircuitState} state
+    */
+    private _transition;
+    /**
+    * Current state, moving to half-open once the cool-down is over
+    * @type {CircuitState}
+    */
+    get state(): CircuitState;
+    /**
+    * Failure rate of the outcomes in the window (0-1)
+    * @type {number}
+    */
+    get failureRate(): number;
+    /**
+    * @type {CircuitStats}
+    */
+    get stats(): CircuitStats;
+}
+export type CircuitBreakerOptions = {
+    /**
+     * Whether requests go through a circuit breaker per method
+     */
+    enabled?: boolean;
+    /**
+     * Number of latest outcomes the failure rate is computed on
+     */
+    windowSize?: number;
+    /**
+     * Outcomes needed before the circuit can open
+     */
+    minimumRequests?: number;
+    /**
+     * Failure rate (0-1) opening the circuit
+     */
+    failureRate?: number;
+    /**
+     * Time in ms the circuit stays open before letting trial requests through
+     */
+    coolDown?: number;
+    /**
+     * Trial requests let through while half-open, all must succeed to close the circuit
+     */
+    halfOpenRequests?: number;
+    /**
+     * Error codes counted as failures (timeouts and server errors by default)
+     */
+    codes?: string[];
+};
+export type CircuitState = "closed" | "open" | "half-open";
+export type CircuitStats = {
+    /**
+     * Current state
+     */
+    state: CircuitState;
+    /**
+     * Outcomes in the window
+     */
+    requests: number;
+    /**
+     * Failures in the window
+     */
+    failures: number;
+    /**
+     * Failure rate in the window (0-1)
+     */
+    failureRate: number;
+    /**
+     * Time the circuit last opened, null while closed
+     */
+    openedAt: number | null;
+};
@@ -74,6 +74,13 @@ export class Context {
 * @typedef {Object} RequestContextOptions
 * @property {string} requestId - Request ID
 * @property {import('../types/protocol.d').method} method - Request method
+* @property {string} [idempotencyKey] - Key identifying the duplicates of the request
+*/
+/**
+* @typedef {Object} RequestResult
+* @property {boolean} success - Whether the request succeeded
+* @property {*} [data] - Response data (success)
+* @property {{code: string, message: string, details?: *}} [error] - Response error (failure)
 */
 /**
 * Context for handling incoming requests
@@ -91,6 +98,8 @@ export class RequestContext extends Context {
     /** @protected */
     protected _requestId: string;
     /** @protected */
+    protected _idempotencyKey: string;
+    /** @protected */
     protected _payload: any;
     /** @protected */
     protected _streaming: boolean;
@@ -99,6 +108,20 @@ export class RequestContext extends Context {
         notifications: number;
         lastNotification: any;
     };
+    /** @protected */
+    protected _abortController: AbortController;
+    /**
+    * Outcome of the request, once answered
+    * @protected
+    * @type {RequestResult|null}
+    */
+    protected _result: RequestResult | null;
+    /**
+    * Aborts the request execution: the signal fires and any later response is dropped
+    * @param {string} [reason='Request cancelled'] Cancellation reason
+    * @param {string} [code=CommonErrors.REQUEST_CANCELLED] Cancellation code
+    */
+    abort(reason?: string, code?: string): void;
     /**
     * Sends a success response (if you need to override the default success handler)
     * @param {*} data - Response data
@@ -120,6 +143,18 @@ export class RequestContext extends Context {
     */
     error(code: string, message: string, details?: any): void;
     /**
+    * Sends the response, kept for replay when the peer opened a resumable session
+    * @private
+    * @param {Object} message - Response message
+    */
+    private _respond;
+    /**
+    * Moves the request to a newer connection of the same session: the response goes out through it
+    * @protected
+    * @param {import('./starling').BaseStarling} starling - New connection
+    */
+    protected _rebind(starling: import("./starling").BaseStarling): void;
+    /**
     * Sends an intermediate notification (for streaming/progress)
     * @param {Object|*} data - Notification data
     * @param {string} [topic] - Optional notification topic
@@ -151,6 +186,11 @@ export class RequestContext extends Context {
     */
     get requestId(): string;
     /**
+    * Key identifying the duplicates of the request, set by the caller
+    * @type {string|null}
+    */
+    get idempotencyKey(): string | null;
+    /**
     * Request method
     * @type {import('../types/protocol.d').method}
     */
@@ -161,10 +201,26 @@ export class RequestContext extends Context {
     */
     get payload(): any;
     /**
+    * Outcome of the request once answered (null before), for middleware observing the response
+    * @type {RequestResult|null}
+    */
+    get result(): RequestResult | null;
+    /**
     * Whether the request used streaming
     * @type {boolean}
     */
     get isStreaming(): boolean;
+    /**
+    * Aborted when the caller cancels the request or the execution times out.
+    * Long-running handlers should watch it to stop their work.
+    * @type {AbortSignal}
+    */
+    get signal(): AbortSignal;
+    /**
+    * Whether the request was cancelled or timed out
+    * @type {boolean}
+    */
+    get isCancelled(): boolean;
 }
 /**
 * Context for handling incoming responses
@@ -198,6 +254,18 @@ export class ResponseContext extends Context {
 * @property {string} requestId - Request ID
 */
 /**
+* @typedef {Object} NotificationContextOptions
+* @property {string} [requestId] - Request ID, for notifications streamed by a request
+* @property {string} [messageId] - Message ID, when a delivery acknowledgement is requested
+* @property {Object<string, string>} [params] - Segments captured by the matching subscription pattern
+* @property {{ttl?: number}} [retain] - Set when the sender asked to keep the value as the topic last value
+* @property {boolean} [retained=false] - Whether the notification replays a retained value
+* @property {number} [seq] - History sequence number assigned by the publishing node
+* @property {boolean} [replayed=false] - Whether the notification is replayed from the history
+* @property {NotificationContext} [delivery] - Context of the received notification, when handed to one of its handlers:
+* both share a single delivery acknowledgement
+*/
+/**
 * Context for handling incoming notifications
 * @extends Context
 */
@@ -205,9 +273,9 @@ export class NotificationContext extends Context {
     /**
     * @param {import('./starling').BaseStarling} starling - The Starling instance
     * @param {Object} notification - Notification object
-    * @param {ContextOptions & ResponseContextOptions} options - Context options
+    * @param {ContextOptions & NotificationContextOptions} options - Context options
     */
-    constructor(starling: import("./starling").BaseStarling, notification: any, options?: ContextOptions & ResponseContextOptions);
+    constructor(starling: import("./starling").BaseStarling, notification: any, options?: ContextOptions & NotificationContextOptions);
     /** @protected */
     protected _topic: any;
     /** @protected */
@@ -215,12 +283,40 @@ export class NotificationContext extends Context {
     /** @protected */
     protected _type: any;
     _requestId: string;
+    /** @protected */
+    protected _messageId: string;
+    /** @protected */
+    protected _acknowledged: boolean;
+    /** @protected */
+    protected _delivery: NotificationContext;
+    /** @protected */
+    protected _params: {
+        [x: string]: string;
+    };
+    /** @protected */
+    protected _retain: {
+        ttl?: number;
+    };
+    /** @protected */
+    protected _retained: boolean;
+    /** @protected */
+    protected _seq: number;
+    /** @protected */
+    protected _replayed: boolean;
     /**
-    * Acknowledges the notification processing
-    * @param {Object} [response] - Optional response data
+    * Acknowledges the notification processing.
+    * When the sender asked for a delivery acknowledgement, an ack message is sent right away
+    * (otherwise it is sent automatically once every handler has succeeded).
+    * @param {Object} [response] - Optional response data, returned to the sender with the ack
     */
     acknowledge(response?: any): void;
     /**
+    * Sends the delivery acknowledgement, once per received notification
+    * @protected
+    * @param {Object} [response]
+    */
+    protected _acknowledgeDelivery(response?: any): void;
+    /**
     * Notification topic
     * @type {string}
     */
@@ -240,6 +336,45 @@ export class NotificationContext extends Context {
     * @type {string}
     */
     get type(): string;
+    /**
+    * Segments captured by the subscription pattern (e.g. `{ orderId: '42' }` for `orders:{orderId}` on `orders:42`)
+    * @type {Object<string, string>}
+    */
+    get params(): {
+        [x: string]: string;
+    };
+    /**
+    * Retention requested by the sender (`{ ttl }`), or null
+    * @type {{ttl?: number}|null}
+    */
+    get retain(): {
+        ttl?: number;
+    } | null;
+    /**
+    * Whether the notification replays a retained value (sent on subscription) rather than a live change
+    * @type {boolean}
+    */
+    get retained(): boolean;
+    /**
+    * History sequence number assigned by the publishing node, or null when the topic has no history
+    * @type {number|null}
+    */
+    get seq(): number | null;
+    /**
+    * Whether the notification was missed while disconnected and is replayed from the history
+    * @type {boolean}
+    */
+    get replayed(): boolean;
+    /**
+    * Message ID, set when the sender asked for a delivery acknowledgement
+    * @type {string|null}
+    */
+    get messageId(): string | null;
+    /**
+    * Whether an ack was already sent for this notification
+    * @type {boolean}
+    */
+    get isAcknowledged(): boolean;
 }
 /**
 * Context for handling incoming error messages
@@ -377,6 +512,28 @@ export type RequestContextOptions = {
      * - Request method
      */
     method: import("../types/protocol.d").method;
+    /**
+     * - Key identifying the duplicates of the request
+     */
+    idempotencyKey?: string;
+};
+export type RequestResult = {
+    /**
+     * - Whether the request succeeded
+     */
+    success: boolean;
+    /**
+     * - Response data (success)
+     */
+    data?: any;
+    /**
+     * - Response error (failure)
+     */
+    error?: {
+        code: string;
+        message: string;
+        details?: any;
+    };
 };
 export type ResponseContextOptions = {
     /**
@@ -384,3 +541,42 @@ export type ResponseContextOptions = {
      */
     requestId: string;
 };
+export type NotificationContextOptions = {
+    /**
+     * - Request ID, for notifications streamed by a request
+     */
+    requestId?: string;
+    /**
+     * - Message ID, when a delivery acknowledgement is requested
+     */
+    messageId?: string;
+    /**
+     * - Segments captured by the matching subscription pattern
+     */
+    params?: {
+        [x: string]: string;
+    };
+    /**
+     * - Set when the sender asked to keep the value as the topic last value
+     */
+    retain?: {
+        ttl?: number;
+    };
+    /**
+     * - Whether the notification replays a retained value
+     */
+    retained?: boolean;
+    /**
+     * - History sequence number assigned by the publishing node
+     */
+    seq?: number;
+    /**
+     * - Whether the notification is replayed from the history
+     */
+    replayed?: boolean;
+    /**
+     * - Context of the received notification, when handed to one of its handlers:
+     * both share a single delivery acknowledgement
+     */
+    delivery?: NotificationContext;
+};
@@ -0,0 +1,183 @@
+/**
+* @typedef {Object} HandshakeOptions
+* @property {boolean} [enabled=false] Whether to open every connection with a handshake.
+* Peers that do not enable it still answer handshakes they receive.
+* @property {number} [timeout=5000] Delay in ms after which a silent peer is assumed to predate the handshake
+* @property {boolean} [closeOnMismatch=true] Whether to close the transport when the peer version is incompatible
+*/
+/**
+* @typedef {Object} AgreedFeatures
+* @property {string} version Protocol version both peers talk (the lowest of the two)
+* @property {string|null} codec Wire codec
+* @property {boolean} ack Delivery acknowledgements
+* @property {boolean} cancel Request cancellation
+* @property {boolean} heartbeat Ping/pong heartbeat
+*/
+/**
+* @typedef {"idle"|"pending"|"completed"|"failed"|"legacy"} HandshakeState
+*/
+/**
+* Opening handshake: both peers exchange their protocol version range and capabilities,
+* then agree on the common feature set. Incompatible peers are rejected with a
+* `PROTOCOL_VERSION_MISMATCH` error.
+*/
+export class Handshake {
+    /**
+    * @param {import('./starling').BaseStarling} starling Starling instance
+    * @param {HandshakeOptions} [options={}] Handshake options
+    */
+    constructor(starling: import("./starling").BaseStarling, options?: HandshakeOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /** @private @type {HandshakeState} */
+    private _state;
+    /** @private */
+    private _sent;
+    /** @private @type {{version: string, minVersion: string, capabilities: import('../types/protocol.d').Capabilities}|null} */
+    private _peer;
+    /** @private @type {AgreedFeatures|null} */
+    private _agreed;
+    /** @private @type {import('@killiandvcz/maestro').Timer} */
+    private _timer;
+    /** @private */
+    private _ready;
+    /** @private */
+    private _settle;
+    /**
+    * Sends the local handshake (no-op when disabled)
+    */
+    start(): void;
+    /**
+    * Handles the peer handshake
+    * @param {import('../types/messages.d').HandshakeMessage} message Handshake message
+    */
+    handle(message: import("../types/messages.d").HandshakeMessage): void;
+    /**
+    * Features supported locally
+    * @returns {import('../types/protocol.d').Capabilities}
+    */
+    get capabilities(): import("../types/protocol.d").Capabilities;
+    /**
+    * Extra fields sent with the local handshake
+    * @protected
+    * @returns {Object}
+    */
+    protected _extra(): any;
+    /**
+    * @private
+    */
+    private _sendHello;
+    /**
+    * Computes the common feature set
+    * @private
+    * @param {string} version Peer protocol version
+    * @param {import('../types/protocol.d').Capabilities} remote Peer capabilities
+    * @returns {AgreedFeatures}
+    */
+    private _agree;
+    /**
+    * Features assumed for peers that do not handshake
+    * @private
+    * @returns {AgreedFeatures}
+    */
+    private _defaults;
+    /**
+    * @private
+    * @param {HandshakeState} state
+    * @param {AgreedFeatures} agreed
+    */
+    private _complete;
+    /**
+    * @private
+    * @param {string} version Peer version
+    * @param {string} minVersion Peer minimum version
+    */
+    private _reject;
+    /**
+    * Marks the handshake failed after the peer rejected our version.
+    * Ignored unless a handshake is pending: a completed handshake is not undone by a late or forged error.
+    * @param {{code: string, message: string, details?: *}} reason Error sent by the peer
+    */
+    rejected(reason: {
+        code: string;
+        message: string;
+        details?: any;
+    }): void;
+    /**
+    * @private
+    */
+    private _closeOnMismatch;
+    /**
+    * @private
+    */
+    private _reset;
+    /**
+    * Resolves with the agreed features once the handshake completes
+    * @type {Promise<AgreedFeatures>}
+    */
+    get ready(): Promise<AgreedFeatures>;
+    /**
+    * Handshake state
+    * @type {HandshakeState}
+    */
+    get state(): HandshakeState;
+    /**
+    * Whether the feature set was agreed (or defaulted for a legacy peer)
+    * @type {boolean}
+    */
+    get isCompleted(): boolean;
+    /**
+    * Peer version and capabilities, once received
+    * @type {{version: string, minVersion: string, capabilities: import('../types/protocol.d').Capabilities}|null}
+    */
+    get peer(): {
+        version: string;
+        minVersion: string;
+        capabilities: import("../types/protocol.d").Capabilities;
+    } | null;
+    /**
+    * Agreed feature set, once completed
+    * @type {AgreedFeatures|null}
+    */
+    get agreed(): AgreedFeatures | null;
+}
+export type HandshakeOptions = {
+    /**
+     * Whether to open every connection with a handshake.
+     * Peers that do not enable it still answer handshakes they receive.
+     */
+    enabled?: boolean;
+    /**
+     * Delay in ms after which a silent peer is assumed to predate the handshake
+     */
+    timeout?: number;
+    /**
+     * Whether to close the transport when the peer version is incompatible
+     */
+    closeOnMismatch?: boolean;
+};
+export type AgreedFeatures = {
+    /**
+     * Protocol version both peers talk (the lowest of the two)
+     */
+    version: string;
+    /**
+     * Wire codec
+     */
+    codec: string | null;
+    /**
+     * Delivery acknowledgements
+     */
+    ack: boolean;
+    /**
+     * Request cancellation
+     */
+    cancel: boolean;
+    /**
+     * Ping/pong heartbeat
+     */
+    heartbeat: boolean;
+};
+export type HandshakeState = "idle" | "pending" | "completed" | "failed" | "legacy";
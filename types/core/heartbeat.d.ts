@@ -0,0 +1,173 @@
+/**
+* @typedef {Object} HeartbeatOptions
+* @property {boolean} [enabled=false] Whether to send heartbeats while connected
+* @property {number} [interval=15000] Delay between two pings in ms
+* @property {number} [timeout] Delay in ms after which an unanswered ping times out, defaults to `interval`
+* @property {number} [maxMissed=3] Consecutive unanswered pings after which the connection is considered dead
+* @property {number} [degradedLatency=1000] Round-trip time in ms above which the connection is considered degraded
+* @property {number} [samples=20] Number of round-trip samples kept for the rolling latency statistics
+* @property {boolean} [closeOnDead=true] Whether to close the transport once the connection is considered dead
+*/
+/**
+* @typedef {Object} LatencyStats
+* @property {number|null} current Last measured round-trip time in ms
+* @property {number|null} average Rolling average round-trip time in ms
+* @property {number|null} min Lowest round-trip time in the window
+* @property {number|null} max Highest round-trip time in the window
+* @property {number|null} jitter Mean deviation between consecutive samples in ms
+* @property {number} samples Number of samples in the window
+*/
+/**
+* @typedef {"healthy"|"degraded"|"dead"} ConnectionHealth
+*/
+/**
+* Heartbeat over the protocol `ping` message type: detects half-open connections
+* and keeps a rolling round-trip time measurement
+*/
+export class Heartbeat {
+    /**
+    * @param {import('./starling').BaseStarling} starling Starling instance
+    * @param {HeartbeatOptions} [options={}] Heartbeat options
+    */
+    constructor(starling: import("./starling").BaseStarling, options?: HeartbeatOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _options;
+    /**
+    * Pings waiting for their pong, by ping ID
+    * @private
+    * @type {Map<string, {sentAt: number, beat: boolean, timer: import('@killiandvcz/maestro').Timer, resolve: function(number): void, reject: function(Error): void}>}
+    */
+    private _pending;
+    /** @private @type {number[]} */
+    private _samples;
+    /** @private */
+    private _missed;
+    /** @private @type {ConnectionHealth} */
+    private _health;
+    /** @private @type {import('@killiandvcz/maestro').Timer} */
+    private _timer;
+    /**
+    * Starts sending heartbeats (no-op when disabled)
+    */
+    start(): void;
+    /**
+    * Stops sending heartbeats and rejects pending pings
+    */
+    stop(): void;
+    /**
+    * Sends a ping and measures the round-trip time.
+    * Rejects once the ping times out, without counting as a missed heartbeat.
+    * @returns {Promise<number>} Round-trip time in ms
+    */
+    ping(): Promise<number>;
+    /**
+    * @private
+    * @param {boolean} beat Whether the ping is a heartbeat, counted as missed when unanswered
+    * @returns {Promise<number>}
+    */
+    private _ping;
+    /**
+    * Handles an incoming ping or pong
+    * @param {import('../types/messages.d').PingMessage} message Ping message
+    */
+    handle(message: import("../types/messages.d").PingMessage): void;
+    /**
+    * @private
+    */
+    private _schedule;
+    /**
+    * @private
+    */
+    private _beat;
+    /**
+    * Times out an unanswered ping, only heartbeats count as missed
+    * @private
+    * @param {string} pingId
+    */
+    private _expire;
+    /**
+    * @private
+    * @param {number} rtt
+    */
+    private _record;
+    /**
+    * @private
+    * @param {ConnectionHealth} health
+    * @param {Object} details
+    */
+    private _setHealth;
+    /**
+    * Rolling round-trip time statistics
+    * @type {LatencyStats}
+    */
+    get latency(): LatencyStats;
+    /**
+    * Connection health as seen by the heartbeat
+    * @type {ConnectionHealth}
+    */
+    get health(): ConnectionHealth;
+    /**
+    * Consecutive unanswered pings
+    * @type {number}
+    */
+    get missed(): number;
+}
+export type HeartbeatOptions = {
+    /**
+     * Whether to send heartbeats while connected
+     */
+    enabled?: boolean;
+    /**
+     * Delay between two pings in ms
+     */
+    interval?: number;
+    /**
+     * Delay in ms after which an unanswered ping times out, defaults to `interval`
+     */
+    timeout?: number;
+    /**
+     * Consecutive unanswered pings after which the connection is considered dead
+     */
+    maxMissed?: number;
+    /**
+     * Round-trip time in ms above which the connection is considered degraded
+     */
+    degradedLatency?: number;
+    /**
+     * Number of round-trip samples kept for the rolling latency statistics
+     */
+    samples?: number;
+    /**
+     * Whether to close the transport once the connection is considered dead
+     */
+    closeOnDead?: boolean;
+};
+export type LatencyStats = {
+    /**
+     * Last measured round-trip time in ms
+     */
+    current: number | null;
+    /**
+     * Rolling average round-trip time in ms
+     */
+    average: number | null;
+    /**
+     * Lowest round-trip time in the window
+     */
+    min: number | null;
+    /**
+     * Highest round-trip time in the window
+     */
+    max: number | null;
+    /**
+     * Mean deviation between consecutive samples in ms
+     */
+    jitter: number | null;
+    /**
+     * Number of samples in the window
+     */
+    samples: number;
+};
+export type ConnectionHealth = "healthy" | "degraded" | "dead";
@@ -1,8 +1,13 @@
 export * from "./buffer.js";
+export * from "./circuit.js";
 export * from "./context.js";
 export * from "./events.js";
+export * from "./handshake.js";
+export * from "./heartbeat.js";
 export * from "./method.js";
+export * from "./outbox.js";
 export * from "./queue.js";
 export * from "./request.js";
 export * from "./starling.js";
+export * from "./system.js";
 export * from "./node.js";
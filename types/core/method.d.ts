@@ -5,6 +5,28 @@
 * @property {function} [validator] Payload validation function
 * @property {Object} [metadata] Additional metadata
 * @property {boolean} [private=false] Will not be listed if true when the client requests the list of methods
+* @property {import('../validators/schema').JsonSchema|import('../validators/schema').StandardSchema} [schema] Payload schema (JSON Schema subset or Standard Schema validator), also published by `system:describe`
+* @property {string} [description] Human readable description, published by `system:describe`
+* @property {boolean|{ttl?: number}} [idempotent=false] Whether callers may retry the method: it runs once per idempotency key
+* (the request ID when the caller sets none) and duplicates get the response replayed, for the node idempotency window or `ttl` ms
+* @property {import('../managers/ratelimiter').MethodRateLimit} [rateLimit] Token-bucket limit of the method, on top of the node limits
+* @property {MethodMiddleware|MethodMiddleware[]} [middleware] Middleware running around this method only, after the node middleware
+* @property {number} [maxConcurrent=Infinity] Executions running at once, the next ones wait in a FIFO queue
+* @property {number} [maxQueued=Infinity] Executions waiting at once, the next ones are rejected with `METHOD_BUSY`
+* @property {'per-starling'|false} [serial=false] With `'per-starling'`, the calls of a starling run one at a time, in order
+*/
+/**
+* @typedef {import('../utils/middleware').Middleware<import('./context').RequestContext>} MethodMiddleware
+*/
+/**
+* @typedef {Object} MethodDescription
+* @property {string} name Method name
+* @property {string} namespace Method namespace
+* @property {string|null} description Method description
+* @property {number} timeout Execution timeout in ms
+* @property {boolean} idempotent Whether callers may retry the method
+* @property {Object|null} schema Payload schema
+* @property {Object} metadata Additional metadata
 */
 /**
  * @typedef {function(import('./context').RequestContext): Promise<void>} MethodHandler Handler de la méthode
@@ -22,6 +44,20 @@ export class Method {
     private _options;
     /** @private */
     private _metrics;
+    /** @private Executions running */
+    private _active;
+    /**
+    * Executions waiting for a slot, in arrival order
+    * @type {Array<{starling: import('./starling').BaseStarling|null, resolve: function(boolean): void}>}
+    * @private
+    */
+    private _waiting;
+    /**
+    * Starlings with a serial execution running
+    * @type {WeakSet<import('./starling').BaseStarling>}
+    * @private
+    */
+    private _running;
     /**
     * Exécute la méthode avec timeout
     * @param {import('../core/context').RequestContext} context Contexte de la requête
@@ -29,10 +65,53 @@ export class Method {
     */
     execute(context: import("../core/context").RequestContext): Promise<void>;
     /**
+    * Waits for an execution slot, within the `maxConcurrent` and `serial` limits.
+    * Time spent waiting counts toward the method timeout.
+    * @private
+    * @param {import('../core/context').RequestContext} context
+    * @returns {Promise<(function(): void)|null>} Releases the slot, null when the execution was rejected or aborted while waiting
+    */
+    private _acquire;
+    /**
+    * @private
+    * @param {import('./starling').BaseStarling|null} starling Starling of a serial execution
+    */
+    private _canRun;
+    /**
+    * @private
+    * @param {import('./starling').BaseStarling|null} starling Starling of a serial execution
+    */
+    private _start;
+    /**
+    * Starts the waiting executions that got a slot, oldest first
+    * @private
+    */
+    private _dispatch;
+    /**
+    * Public description of the method, as returned by `system:describe`
+    * @returns {MethodDescription}
+    */
+    describe(): MethodDescription;
+    /**
     * Récupère les métriques de la méthode
     * @returns {Object} Métriques de la méthode
     */
     getMetrics(): any;
+    /**
+    * Method options
+    * @type {MethodOptions}
+    */
+    get options(): MethodOptions;
+    /**
+    * Method namespace
+    * @type {string}
+    */
+    get namespace(): string;
+    /**
+    * Whether the method is listed by introspection (neither private nor internal)
+    * @type {boolean}
+    */
+    get isListed(): boolean;
 }
 export type MethodOptions = {
     /**
@@ -55,6 +134,72 @@ export type MethodOptions = {
      * Will not be listed if true when the client requests the list of methods
      */
     private?: boolean;
+    /**
+     * Payload schema (JSON Schema subset or Standard Schema validator), also published by `system:describe`
+     */
+    schema?: import("../validators/schema").JsonSchema | import("../validators/schema").StandardSchema;
+    /**
+     * Human readable description, published by `system:describe`
+     */
+    description?: string;
+    /**
+     * Whether callers may retry the method: it runs once per idempotency key
+     * (the request ID when the caller sets none) and duplicates get the response replayed, for the node idempotency window or `ttl` ms
+     */
+    idempotent?: boolean | {
+        ttl?: number;
+    };
+    /**
+     * Token-bucket limit of the method, on top of the node limits
+     */
+    rateLimit?: import("../managers/ratelimiter").MethodRateLimit;
+    /**
+     * Middleware running around this method only, after the node middleware
+     */
+    middleware?: MethodMiddleware | MethodMiddleware[];
+    /**
+     * Executions running at once, the next ones wait in a FIFO queue
+     */
+    maxConcurrent?: number;
+    /**
+     * Executions waiting at once, the next ones are rejected with `METHOD_BUSY`
+     */
+    maxQueued?: number;
+    /**
+     * With `'per-starling'`, the calls of a starling run one at a time, in order
+     */
+    serial?: "per-starling" | false;
+};
+export type MethodMiddleware = import("../utils/middleware").Middleware<import("./context").RequestContext>;
+export type MethodDescription = {
+    /**
+     * Method name
+     */
+    name: string;
+    /**
+     * Method namespace
+     */
+    namespace: string;
+    /**
+     * Method description
+     */
+    description: string | null;
+    /**
+     * Execution timeout in ms
+     */
+    timeout: number;
+    /**
+     * Whether callers may retry the method
+     */
+    idempotent: boolean;
+    /**
+     * Payload schema
+     */
+    schema: any | null;
+    /**
+     * Additional metadata
+     */
+    metadata: any;
 };
 /**
  * Handler de la méthode
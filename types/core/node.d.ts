@@ -1,6 +1,12 @@
 /**
 * @typedef {Object} NetworkNodeOptions
 * @property {boolean} [debug=false] Enable debug mode
+* @property {boolean} [systemMethods=true] Register the built-in `system:*` introspection methods
+* @property {import('../managers/retained').RetainedOptions} [retained] Retained values options
+* @property {import('../managers/history').HistoryOptions} [history] Published notifications history options
+* @property {import('../managers/sessions').SessionsOptions} [sessions] Resumable sessions options
+* @property {import('../managers/idempotency').IdempotencyOptions} [idempotency] Response cache of idempotent methods
+* @property {import('../managers/ratelimiter').RateLimiterOptions} [rateLimit] Inbound request limits, for the whole node and per starling
 */
 /**
 * @typedef {Object} ProxyHandlers
@@ -8,6 +14,7 @@
 * @property {function(import('./context').ResponseContext): Promise<void>} response Proxied response handler
 * @property {function(import('./context').NotificationContext): Promise<void>} notification Proxied notification handler
 * @property {function(import('./context').ErrorMessageContext): Promise<void>} errorMessage Proxied error message handler
+* @property {function(import('./starling').BaseStarling, import('../types/messages.d').CancelMessage): void} [cancel] Proxied cancel message handler
 */
 /**
 * @typedef {Object} NetworkNodeConfig
@@ -38,6 +45,24 @@ export class NetworkNode {
     protected _events: Events;
     /** @protected */
     protected _topics: TopicsManager;
+    /** @protected */
+    protected _subscriptions: SubscriptionsManager;
+    /** @protected */
+    protected _retained: RetainedManager;
+    /** @protected */
+    protected _history: HistoryManager;
+    /** @protected */
+    protected _sessions: SessionsManager;
+    /** @protected */
+    protected _idempotency: IdempotencyManager;
+    /** @protected */
+    protected _rateLimiter: RateLimiter;
+    /**
+    * Live notifications held back while a starling gets its history replayed
+    * @private
+    * @type {Map<import('./starling').BaseStarling, {held: Array<{topic: string, data: *, options: Object}>, pending: number, lastSeq: number}>}
+    */
+    private _replaying;
     _methods: MethodsManager;
     /** @type {symbol} */
     _nodeId: symbol;
@@ -48,6 +73,26 @@ export class NetworkNode {
     */
     method: (name: string, handler: import("../managers/methods").MethodHandler, options?: import("./method").MethodOptions) => void;
     /**
+    * Registers method middleware, for every method or only those matching a pattern
+    * @param {string|import('./method').MethodMiddleware} pattern Method pattern (e.g. `admin:*`) or middleware
+    * @param {import('./method').MethodMiddleware} [middleware]
+    * @returns {{off: function(): void}}
+    *
+    * @example
+    * node.use(async (context, next) => {
+    *     const start = performance.now();
+    *     await next();
+    *     console.log(context.method, context.result?.success, performance.now() - start);
+    * });
+    * node.use('admin:*', async (context, next) => {
+    *     if (!context.starling.data.get('admin')) return context.error('UNAUTHORIZED', 'Admins only');
+    *     await next();
+    * });
+    */
+    use: (pattern: string | import("./method").MethodMiddleware, middleware?: import("./method").MethodMiddleware) => {
+        off: () => void;
+    };
+    /**
     * Listen on inbounding notifications
     * @param {string} topic
     * @param {function(import('./context').NotificationContext): Promise<void>} handler
@@ -55,6 +100,41 @@ export class NetworkNode {
     */
     on: (topic: string, handler: (arg0: import("./context").NotificationContext) => Promise<void>, options?: import("../managers/topics").TopicHandlerOptions) => import("../managers").SubscriptionResult;
     /**
+    * Publishes a notification to every peer subscribed to a matching pattern (`system:subscribe`).
+    * With `retain`, the value is also kept as the topic last value and delivered to future subscribers.
+    * While the history resumes its numbering at startup, recorded notifications go out once numbered.
+    * @param {string} topic Concrete topic
+    * @param {*} data Notification data
+    * @param {import('./starling').NotifyOptions} [options] Notification options
+    * @returns {number} Number of starlings notified
+    */
+    publish: (topic: string, data?: any, options?: import("./starling").NotifyOptions) => number;
+    /**
+    * @private
+    * @param {import('./starling').BaseStarling[]} starlings Subscribers
+    * @param {string} topic
+    * @param {*} data
+    * @param {import('./starling').NotifyOptions} notifyOptions
+    */
+    private _publishTo;
+    /**
+    * Replays to a starling the notifications it missed on topics matching patterns,
+    * before any live notification published meanwhile
+    * @param {import('./starling').BaseStarling} starling Subscriber
+    * @param {string[]} topics Topic patterns
+    * @param {import('../managers/history').HistoryCursor} cursor Replay cursor
+    * @returns {Promise<{replayed: number, truncated: boolean}>} Number of notifications replayed, and whether
+    * `replayLimit` left older ones out: the subscriber then misses part of the history
+    */
+    replay: (starling: import("./starling").BaseStarling, topics: string[], cursor: import("../managers/history").HistoryCursor) => Promise<{
+        replayed: number;
+        truncated: boolean;
+    }>;
+    /**
+    * @private
+    */
+    private _deliver;
+    /**
     * Listen on inbounding error messages (on protocol level)
     * @param {function(import('./context').ErrorMessageContext): Promise<void>} handler
     */
@@ -82,6 +162,36 @@ export class NetworkNode {
     get events(): Events;
     get topics(): TopicsManager;
     get methods(): MethodsManager;
+    /**
+    * Last value per topic, delivered on subscription
+    * @type {RetainedManager}
+    */
+    get retained(): RetainedManager;
+    /**
+    * History of the published notifications
+    * @type {HistoryManager}
+    */
+    get history(): HistoryManager;
+    /**
+    * Peer subscriptions, fed by `system:subscribe`
+    * @type {SubscriptionsManager}
+    */
+    get subscriptions(): SubscriptionsManager;
+    /**
+    * Resumable peer sessions, opened with `system:session`
+    * @type {SessionsManager}
+    */
+    get sessions(): SessionsManager;
+    /**
+    * Runs idempotent methods once per idempotency key
+    * @type {IdempotencyManager}
+    */
+    get idempotency(): IdempotencyManager;
+    /**
+    * Inbound request limits
+    * @type {RateLimiter}
+    */
+    get rateLimiter(): RateLimiter;
     get id(): symbol;
     /**
     * @type {NetworkNodeConfig}
@@ -93,6 +203,30 @@ export type NetworkNodeOptions = {
      * Enable debug mode
      */
     debug?: boolean;
+    /**
+     * Register the built-in `system:*` introspection methods
+     */
+    systemMethods?: boolean;
+    /**
+     * Retained values options
+     */
+    retained?: import("../managers/retained").RetainedOptions;
+    /**
+     * Published notifications history options
+     */
+    history?: import("../managers/history").HistoryOptions;
+    /**
+     * Resumable sessions options
+     */
+    sessions?: import("../managers/sessions").SessionsOptions;
+    /**
+     * Response cache of idempotent methods
+     */
+    idempotency?: import("../managers/idempotency").IdempotencyOptions;
+    /**
+     * Inbound request limits, for the whole node and per starling
+     */
+    rateLimit?: import("../managers/ratelimiter").RateLimiterOptions;
 };
 export type ProxyHandlers = {
     /**
@@ -111,6 +245,10 @@ export type ProxyHandlers = {
      * Proxied error message handler
      */
     errorMessage: (arg0: import("./context").ErrorMessageContext) => Promise<void>;
+    /**
+     * Proxied cancel message handler
+     */
+    cancel?: (arg0: import("./starling").BaseStarling, arg1: import("../types/messages.d").CancelMessage) => void;
 };
 export type NetworkNodeConfig = {
     /**
@@ -124,4 +262,10 @@ export type NetworkNodeConfig = {
 };
 import { Events } from "./events";
 import { TopicsManager } from "../managers";
+import { SubscriptionsManager } from "../managers";
+import { RetainedManager } from "../managers";
+import { HistoryManager } from "../managers";
+import { SessionsManager } from "../managers";
+import { IdempotencyManager } from "../managers";
+import { RateLimiter } from "../managers";
 import { MethodsManager } from "../managers";
@@ -0,0 +1,174 @@
+/**
+* @typedef {Object} OutboxEntry
+* @property {string} id Entry ID
+* @property {number} seq Position in the outbox, increasing
+* @property {number} timestamp Time the message was queued
+* @property {Object|string|ArrayBuffer|Uint8Array} message Queued message
+* @property {number} [priority] Priority lane of the message
+*/
+/**
+* Storage persisting the messages queued while offline. Every method may return a promise.
+* @typedef {Object} OutboxStorage
+* @property {function(): (OutboxEntry[]|Promise<OutboxEntry[]>)} load Entries still queued, in any order
+* @property {function(OutboxEntry): (void|Promise<void>)} put Stores an entry
+* @property {function(string): (void|Promise<void>)} delete Drops a sent entry
+* @property {function(): (void|Promise<void>)} clear Drops every entry
+*/
+/**
+* Default outbox storage: entries only live as long as the process
+* @implements {OutboxStorage}
+*/
+export class MemoryOutboxStorage implements OutboxStorage {
+    /** @private @type {Map<string, OutboxEntry>} */
+    private _entries;
+    load(): any;
+    /**
+    * @param {OutboxEntry} entry
+    */
+    put(entry: OutboxEntry): void;
+    /**
+    * @param {string} id
+    */
+    delete(id: string): void;
+    clear(): void;
+}
+/**
+* Outbox kept in a JSON Lines file, for servers and CLI clients.
+* Each line records a `put` or a `delete`; the file is compacted on load and whenever it empties.
+* @implements {OutboxStorage}
+*/
+export class FileOutboxStorage implements OutboxStorage {
+    /**
+    * @param {string} path File path
+    * @param {{compactAfter?: number}} [options={}] Number of deletions after which the file is rewritten
+    */
+    constructor(path: string, options?: {
+        compactAfter?: number;
+    });
+    /** @private */
+    private _path;
+    /** @private */
+    private _options;
+    /** @private @type {Map<string, OutboxEntry>} */
+    private _entries;
+    /** @private */
+    private _deletions;
+    /**
+    * Writes go one after the other so that lines keep their order
+    * @private
+    * @type {Promise<void>}
+    */
+    private _writes;
+    /**
+    * @returns {Promise<OutboxEntry[]>}
+    */
+    load(): Promise<OutboxEntry[]>;
+    /**
+    * @param {OutboxEntry} entry
+    */
+    put(entry: OutboxEntry): Promise<void>;
+    /**
+    * @param {string} id
+    */
+    delete(id: string): Promise<void>;
+    clear(): Promise<void>;
+    /**
+    * @private
+    * @param {Object} record
+    */
+    private _append;
+    /**
+    * Rewrites the file with the entries still queued
+    * @private
+    */
+    private _compact;
+    /**
+    * @private
+    * @param {function(typeof import('node:fs/promises')): Promise<void>} write
+    */
+    private _enqueue;
+}
+/**
+* Outbox kept in an asynchronous key/value store, for browsers: an IndexedDB wrapper such as
+* `idb-keyval` (`get`, `set`, `del`, `keys`), or any store exposing the same methods.
+* @implements {OutboxStorage}
+*/
+export class KeyValueOutboxStorage implements OutboxStorage {
+    /**
+    * @param {{get: function(string): Promise<*>, set: function(string, *): Promise<void>, del: function(string): Promise<void>, keys: function(): Promise<string[]>}} store Key/value store
+    * @param {{prefix?: string}} [options={}] Prefix of the outbox keys, so that the store can be shared
+    */
+    constructor(store: {
+        get: (arg0: string) => Promise<any>;
+        set: (arg0: string, arg1: any) => Promise<void>;
+        del: (arg0: string) => Promise<void>;
+        keys: () => Promise<string[]>;
+    }, options?: {
+        prefix?: string;
+    });
+    /** @private */
+    private _store;
+    /** @private */
+    private _prefix;
+    /**
+    * @returns {Promise<OutboxEntry[]>}
+    */
+    load(): Promise<OutboxEntry[]>;
+    /**
+    * @param {OutboxEntry} entry
+    */
+    put(entry: OutboxEntry): Promise<void>;
+    /**
+    * @param {string} id
+    */
+    delete(id: string): Promise<void>;
+    clear(): Promise<void>;
+    /**
+    * @private
+    * @returns {Promise<string[]>}
+    */
+    private _keys;
+}
+export type OutboxEntry = {
+    /**
+     * Entry ID
+     */
+    id: string;
+    /**
+     * Position in the outbox, increasing
+     */
+    seq: number;
+    /**
+     * Time the message was queued
+     */
+    timestamp: number;
+    /**
+     * Queued message
+     */
+    message: any | string | ArrayBuffer | Uint8Array;
+    /**
+     * Priority lane of the message
+     */
+    priority?: number;
+};
+/**
+ * Storage persisting the messages queued while offline. Every method may return a promise.
+ */
+export type OutboxStorage = {
+    /**
+     * Entries still queued, in any order
+     */
+    load: () => (OutboxEntry[] | Promise<OutboxEntry[]>);
+    /**
+     * Stores an entry
+     */
+    put: (arg0: OutboxEntry) => (void | Promise<void>);
+    /**
+     * Drops a sent entry
+     */
+    delete: (arg0: string) => (void | Promise<void>);
+    /**
+     * Drops every entry
+     */
+    clear: () => (void | Promise<void>);
+};
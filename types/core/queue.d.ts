@@ -1,15 +1,32 @@
 /**
 * @typedef {Object} QueueOptions
-* @property {number} [maxSize=1000] Maximum queue size
-* @property {number} [maxRetries=3] Maximum retry attempts
-* @property {number} [baseDelay=1000] Base delay for exponential backoff in ms
+* @property {number} [maxSize=1000] Maximum number of requests in the queue, whatever their state
 * @property {number} [maxConcurrent=10] Maximum concurrent requests
 * @property {boolean} [priorityQueuing=false] Enable priority-based queuing
 * @property {'block'|'drop'|'error'} [onFull='block'] Behavior when queue is full
 * @property {number} [drainTimeout=30000] Timeout for queue draining in ms
 */
 /**
-* Robust request queue with advanced flow control and monitoring
+* State of a request in the queue:
+* - `queued`: waiting to be sent
+* - `sent`: handed to the outbound buffer, which holds it until the connection can take it
+* - `awaiting`: written to the connection, waiting for the response
+* @typedef {'queued'|'sent'|'awaiting'} QueueEntryState
+*/
+/**
+* @typedef {Object} QueueEntry
+* @property {import('./request').Request} request Queued request
+* @property {QueueEntryState} state Current state
+* @property {number} retryCount Times the request went back to the queue
+* @property {number} addedAt Time the request entered the queue
+* @property {number} queuedAt Time the request last entered the `queued` state
+* @property {number} priority Request priority
+* @property {boolean} resend Whether the request was sent before, and goes out again under the same ID
+*/
+/**
+* Robust request queue with advanced flow control and monitoring.
+* Requests stay in the queue until they settle: those written to a connection that drops before
+* their response go back to `queued`, and are sent again once reconnected when their retry policy allows it.
 */
 export class RequestQueue {
     /**
@@ -24,7 +41,11 @@ export class RequestQueue {
     private _requestsManager;
     /** @private */
     private _options;
-    /** @private */
+    /**
+    * Requests by ID, until they settle
+    * @type {Map<string, QueueEntry>}
+    * @private
+    */
     private _queue;
     /** @private */
     private _activeCount;
@@ -35,12 +56,51 @@ export class RequestQueue {
     /** @private */
     private _drainResolve;
     /**
+    * Methods the peer rate limited: their requests stay queued until the timer fires
+    * @type {Map<string, {until: number, timer: ReturnType<typeof setTimeout>}>}
+    * @private
+    */
+    private _paused;
+    /**
     * Adds a request to the queue
     * @param {import('./request').Request} request Request to queue
     * @returns {Promise<boolean>} Whether request was queued
     */
     add(request: import("./request").Request): Promise<boolean>;
     /**
+    * Puts back a request the peer rate limited, and holds every request to its method
+    * until the delay the peer asked for is over
+    * @param {import('./request').Request} request Rate limited request
+    * @param {number} [retryAfter=1000] Delay in ms before the method accepts requests again
+    */
+    defer(request: import("./request").Request, retryAfter?: number): void;
+    /**
+    * Adds a request in the `queued` state, and keeps it until it settles
+    * @private
+    * @param {import('./request').Request} request
+    * @returns {QueueEntry}
+    */
+    private _enqueue;
+    /**
+    * Moves a request that went out back to `queued`, to be sent again under the same request ID
+    * @private
+    * @param {QueueEntry} entry
+    * @param {'rate_limited'|'disconnected'} reason Why the request goes back to the queue
+    */
+    private _requeue;
+    /**
+    * Drops a settled request
+    * @private
+    * @param {QueueEntry} entry
+    */
+    private _remove;
+    /**
+    * Moves a request the outbound buffer wrote to the connection to `awaiting`
+    * @private
+    * @param {Object} message Sent message
+    */
+    private _onSent;
+    /**
     * Processes queued requests
     * @private
     */
@@ -51,22 +111,24 @@ export class RequestQueue {
     */
     private _handleRequestFailure;
     /**
-    * Calculates retry delay with exponential backoff
+    * Checks if queue can process requests
     * @private
     */
-    private _getRetryDelay;
+    private _canProcess;
     /**
-    * Checks if queue can process requests
+    * Checks if a queued request belongs to a method that is not paused
     * @private
     */
-    private _canProcess;
+    private _hasReady;
     /**
     * Handles connection established
     * @private
     */
     private _onConnected;
     /**
-    * Handles connection lost
+    * Handles connection lost: requests waiting for their response go back to the queue when their
+    * retry policy and deadline allow it. Those still in the outbound buffer go out with the next connection,
+    * the others wait for their timeout or for the session to be resumed.
     * @private
     */
     private _onDisconnected;
@@ -91,6 +153,23 @@ export class RequestQueue {
     */
     clear(reason?: string): void;
     /**
+    * Requests in a state
+    * @param {QueueEntryState} state Queue state
+    * @returns {import('./request').Request[]}
+    */
+    requests(state: QueueEntryState): import("./request").Request[];
+    /**
+    * Number of requests in the queue until they settle, whatever their state (see `stats.states`)
+    * @type {number}
+    */
+    get size(): number;
+    /**
+    * Number of requests in each state
+    * @private
+    * @returns {Record<QueueEntryState, number>}
+    */
+    private _countByState;
+    /**
     * Gets queue statistics
     * @returns {Object} Queue statistics
     */
@@ -98,17 +177,9 @@ export class RequestQueue {
 }
 export type QueueOptions = {
     /**
-     * Maximum queue size
+     * Maximum number of requests in the queue, whatever their state
      */
     maxSize?: number;
-    /**
-     * Maximum retry attempts
-     */
-    maxRetries?: number;
-    /**
-     * Base delay for exponential backoff in ms
-     */
-    baseDelay?: number;
     /**
      * Maximum concurrent requests
      */
@@ -126,3 +197,40 @@ export type QueueOptions = {
      */
     drainTimeout?: number;
 };
+/**
+ * State of a request in the queue:
+ * - `queued`: waiting to be sent
+ * - `sent`: handed to the outbound buffer, which holds it until the connection can take it
+ * - `awaiting`: written to the connection, waiting for the response
+ */
+export type QueueEntryState = "queued" | "sent" | "awaiting";
+export type QueueEntry = {
+    /**
+     * Queued request
+     */
+    request: import("./request").Request;
+    /**
+     * Current state
+     */
+    state: QueueEntryState;
+    /**
+     * Times the request went back to the queue
+     */
+    retryCount: number;
+    /**
+     * Time the request entered the queue
+     */
+    addedAt: number;
+    /**
+     * Time the request last entered the `queued` state
+     */
+    queuedAt: number;
+    /**
+     * Request priority
+     */
+    priority: number;
+    /**
+     * Whether the request was sent before, and goes out again under the same ID
+     */
+    resend: boolean;
+};
@@ -1,10 +1,18 @@
 /**
 * @typedef {Object} RequestOptions
 * @property {number} [timeout=30000] Request timeout in milliseconds
-* @property {boolean} [retry=true] Whether to retry on connection loss
+* @property {boolean|RetryPolicy} [retry=true] Retry policy, applied to idempotent requests only.
+* Every attempt reuses the request ID, so that the peer can recognize a retry.
+* @property {boolean} [idempotent=false] Whether the request can safely run more than once
+* @property {string} [idempotencyKey] Key identifying the duplicates of the request: the peer runs idempotent methods
+* once per key and replays the response to duplicates
 * @property {Object} [metadata={}] Additional request metadata
+* @property {number} [priority] Priority in the request queue and the outbound buffer (see `MessagePriority`),
+* `metadata.priority` otherwise
 * @property {boolean} [noResponse=false] Whether the request doesn't expect a response
 * @property {Object|Boolean} [peer=false] Proxy peer options
+* @property {AbortSignal} [signal] External signal cancelling the request (locally and on the remote handler) when aborted
+* @property {number} [deadline] Time (ms since epoch) after which the request is not sent again
 */
 /**
 * Extended Promise with additional request-specific features
@@ -19,8 +27,8 @@ export class Request {
     */
     constructor(starling: import("./starling").BaseStarling, method: string, payload: any, options?: RequestOptions);
     _promiseId: string;
-    _promise: Promise<any>;
-    _resolve: (value: any) => void;
+    _promise: any;
+    _resolve: any;
     _reject: (reason: any) => void;
     then: any;
     catch: any;
@@ -34,13 +42,28 @@ export class Request {
          */
         timeout: number;
         /**
-         * Whether to retry on connection loss
+         * Retry policy, applied to idempotent requests only.
+         * Every attempt reuses the request ID, so that the peer can recognize a retry.
          */
-        retry: boolean;
+        retry: boolean | RetryPolicy;
+        /**
+         * Whether the request can safely run more than once
+         */
+        idempotent: boolean;
+        /**
+         * Key identifying the duplicates of the request: the peer runs idempotent methods
+         * once per key and replays the response to duplicates
+         */
+        idempotencyKey?: string;
         /**
          * Additional request metadata
          */
         metadata: any;
+        /**
+         * Priority in the request queue and the outbound buffer (see `MessagePriority`),
+         * `metadata.priority` otherwise
+         */
+        priority?: number;
         /**
          * Whether the request doesn't expect a response
          */
@@ -49,24 +72,59 @@ export class Request {
          * Proxy peer options
          */
         peer?: any | boolean;
+        /**
+         * External signal cancelling the request (locally and on the remote handler) when aborted
+         */
+        signal?: AbortSignal;
+        /**
+         * Time (ms since epoch) after which the request is not sent again
+         */
+        deadline?: number;
     };
     /**
     * Event listeners
     * @private
     */
     private _progressListeners;
-    _notificationListeners: Set<any>;
+    _notificationListeners: any;
     /**
     * Request metadata
     */
     id: `${string}-${string}-${string}-${string}-${string}`;
     timestamp: number;
+    /** @private Whether the request went out to the peer */
+    private _sent;
+    /** @private Whether the promise was resolved or rejected */
+    private _settled;
+    /** @type {Object|null} Error the request failed with */
+    error: any | null;
+    /**
+    * Retry policy, for idempotent requests only
+    * @private
+    * @type {RetryPolicy|null}
+    */
+    private _retryPolicy;
+    /** @private Number of times the request was sent */
+    private _attempts;
+    /** @private @type {import('@killiandvcz/maestro').Timer} */
+    private _retryTimer;
+    /**
+    * Links an external AbortSignal to the request
+    * @private
+    * @param {AbortSignal} [signal]
+    */
+    private _bindSignal;
     /**
     * Executes the request
     * @returns {this} For chaining
     */
     execute: () => this;
-    _timeout: import("@killiandvcz/maestro").Timer;
+    _timeout: any;
+    /**
+    * Sends the request again, when the peer never received it (after a session resumption)
+    * @returns {this} For chaining
+    */
+    resend: () => this;
     /**
     * Adds a progress listener
     * @param {function(Object): void} listener Progress event handler
@@ -98,25 +156,104 @@ export class Request {
     */
     handleError(error: any | Error, context: import("./context").ResponseContext): void;
     /**
+    * Whether the retry policy and the deadline allow sending the request again after an error
+    * @param {{code: string}} error Error of the failed attempt
+    * @returns {boolean}
+    */
+    canRetry(error: {
+        code: string;
+    }): boolean;
+    /**
+    * Sends the request again after a backoff delay, when its retry policy covers the error.
+    * Failed attempts are reported as `request:attempt_failed` events.
+    * @param {{code: string, message: string}} error Error of the failed attempt
+    * @param {{schedule?: boolean}} [options={}] With `schedule: false`, nothing is scheduled: the caller
+    * sends the request again itself (the queue does once reconnected)
+    * @returns {boolean} Whether the request will be sent again
+    */
+    retry(error: {
+        code: string;
+        message: string;
+    }, { schedule }?: {
+        schedule?: boolean;
+    }): boolean;
+    /**
     * Cancels the request
     * @param {string} [reason='Request cancelled'] Cancellation reason
     */
     cancel(reason?: string): void;
+    /**
+    * Tells the peer to stop processing the request, if it was sent and is still pending
+    * @private
+    * @param {string} reason Cancellation reason
+    */
+    private _sendCancel;
     get method(): string;
+    /**
+    * Number of times the request was sent
+    * @type {number}
+    */
+    get attempts(): number;
+    /**
+    * Priority of the request, in the queue and on the wire
+    * @type {number}
+    */
+    get priority(): number;
 }
+export type RetryPolicy = {
+    /**
+     * Attempts after the first one
+     */
+    maxRetries?: number;
+    /**
+     * Backoff base delay in ms
+     */
+    baseDelay?: number;
+    /**
+     * Maximum backoff delay in ms
+     */
+    maxDelay?: number;
+    /**
+     * Random jitter factor (0-1) added to the delay
+     */
+    jitter?: number;
+    /**
+     * Send again the request when the connection drops before its response
+     */
+    onDisconnect?: boolean;
+    /**
+     * Error codes triggering a retry, answered by the peer or raised locally (e.g. `REQUEST_TIMEOUT`)
+     */
+    codes?: string[];
+};
 export type RequestOptions = {
     /**
      * Request timeout in milliseconds
      */
     timeout?: number;
     /**
-     * Whether to retry on connection loss
+     * Retry policy, applied to idempotent requests only.
+     * Every attempt reuses the request ID, so that the peer can recognize a retry.
+     */
+    retry?: boolean | RetryPolicy;
+    /**
+     * Whether the request can safely run more than once
+     */
+    idempotent?: boolean;
+    /**
+     * Key identifying the duplicates of the request: the peer runs idempotent methods
+     * once per key and replays the response to duplicates
      */
-    retry?: boolean;
+    idempotencyKey?: string;
     /**
      * Additional request metadata
      */
     metadata?: any;
+    /**
+     * Priority in the request queue and the outbound buffer (see `MessagePriority`),
+     * `metadata.priority` otherwise
+     */
+    priority?: number;
     /**
      * Whether the request doesn't expect a response
      */
@@ -125,4 +262,12 @@ export type RequestOptions = {
      * Proxy peer options
      */
     peer?: any | boolean;
+    /**
+     * External signal cancelling the request (locally and on the remote handler) when aborted
+     */
+    signal?: AbortSignal;
+    /**
+     * Time (ms since epoch) after which the request is not sent again
+     */
+    deadline?: number;
 };
@@ -10,6 +10,11 @@
 * @property {NetworkNode} [networkNode] Network node
 * @property {import('./buffer').BufferOptions} [buffer] Buffer options
 * @property {import('../managers/requests').RequestManagerOptions} [requests] Requests manager options
+* @property {string} [serializer='json'] Codec used for outgoing messages
+* @property {string[]} [serializers=['msgpack', 'json']] Codecs accepted from the peer, in order of preference
+* @property {import('./handshake').HandshakeOptions} [handshake] Handshake options
+* @property {import('./heartbeat').HeartbeatOptions} [heartbeat] Heartbeat options
+* @property {import('../managers/acknowledgements').AcknowledgementsOptions} [acks] Acknowledgements options
 */
 /**
 * Base class for Starling implementations (server/client)
@@ -28,16 +33,26 @@ export class BaseStarling {
     protected _id: any;
     /** @protected @type {NetworkNode} */
     protected _networkNode: NetworkNode;
-    /** @protected */
-    protected _ws: any;
+    /** @protected @type {Transport} */
+    protected _transport: Transport;
+    /** @private */
+    private _transportListeners;
+    /** @protected @type {import('../serializers').Serializer} */
+    protected _serializer: import("../serializers").Serializer;
     /** @protected */
     protected _createdAt: number;
     /** @protected */
-    protected _lastConnected: any;
+    protected _lastConnected: number;
     /** @protected */
-    protected _disconnectedAt: any;
+    protected _disconnectedAt: number;
     /** @protected */
-    protected _data: Map<any, any>;
+    protected _data: any;
+    /**
+    * Inbound requests currently executing, by request ID
+    * @protected
+    * @type {Map<string, import('./context').RequestContext>}
+    */
+    protected _incomingRequests: Map<string, import("./context").RequestContext>;
     /**
     * Local starling events
     */
@@ -49,16 +64,82 @@ export class BaseStarling {
     /**
     * @type {import('@killiandvcz/maestro').Group}
     */
-    timers: import("@killiandvcz/maestro").Group;
+    timers: any;
     _buffer: Buffer;
     _requests: RequestsManager;
-    get _state(): "connected" | "connecting" | "disconnected" | "closing";
+    _handshake: Handshake;
+    _heartbeat: Heartbeat;
+    _acks: AcknowledgementsManager;
+    /**
+    * Topic patterns the peer publishes to this starling, by pattern
+    * @protected
+    * @type {Map<string, {persistent: boolean, handlers: Array<{off: function(): void}>}>}
+    */
+    protected _subscriptions: Map<string, {
+        persistent: boolean;
+        handlers: Array<{
+            off: () => void;
+        }>;
+    }>;
+    /**
+    * Highest history sequence number received from the peer, used as replay cursor
+    * @protected
+    * @type {number|null}
+    */
+    protected _lastSeq: number | null;
+    get _state(): import("../transports").TransportStateValue;
+    set _ws(ws: WebSocket);
+    /**
+    * Underlying WebSocket, kept for implementations that assign their socket directly.
+    * Assigning a socket wraps it in a passive {@link WebSocketTransport}: its events stay routed by the caller,
+    * which also reports the connection lifecycle (`starling:connected` / `starling:disconnected`).
+    * @deprecated Use attach() with a Transport instead
+    */
+    get _ws(): WebSocket;
+    /**
+    * Binds the Starling to a transport: incoming frames are handled, and the transport
+    * lifecycle is reported as `starling:connected` / `starling:disconnected` events.
+    * @param {Transport} transport Transport to talk through
+    * @returns {this} For chaining
+    */
+    attach(transport: Transport): this;
+    /**
+    * Unbinds the current transport without closing it
+    * @returns {Transport|null} The detached transport
+    */
+    detach(): Transport | null;
+    /**
+    * @private
+    */
+    private _unbindTransport;
+    /**
+    * @protected
+    */
+    protected _onTransportOpen(): void;
+    /**
+    * @protected
+    * @param {import('../transports').TransportCloseInfo} info
+    */
+    protected _onTransportClose(info?: import("../transports").TransportCloseInfo): void;
     /**
     * Handles incoming messages
     * @param {string|ArrayBuffer|Uint8Array} message Raw message data
     */
     handleMessage(message: string | ArrayBuffer | Uint8Array): void;
     /**
+    * Switches the codec used for outgoing protocol messages
+    * @param {string|import('../serializers').Serializer} serializer Codec name or serializer object
+    * @returns {this} For chaining
+    */
+    useSerializer(serializer: string | import("../serializers").Serializer): this;
+    /**
+    * Encodes a message for the wire. Protocol objects go through the serializer, raw frames are left untouched.
+    * @protected
+    * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
+    * @returns {string|ArrayBuffer|Uint8Array} Wire frame
+    */
+    protected _encode(message: any | string | ArrayBuffer | Uint8Array): string | ArrayBuffer | Uint8Array;
+    /**
     *
     * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
     * @returns
@@ -67,17 +148,46 @@ export class BaseStarling {
     /**
     * Send a message (let the buffer handle)
     * @param {Object|string|ArrayBuffer|Uint8Array} message Raw message data
-    * @returns {Promise<boolean>} Whether the message was sent
+    * @param {import('./buffer').SendOptions} [options={}] Send options
+    * @returns {Promise<import('./buffer').SendStatus>} Resolves once queued, with `backpressure` set when the caller should slow down
+    */
+    send(message: any | string | ArrayBuffer | Uint8Array, options?: import("./buffer").SendOptions): Promise<import("./buffer").SendStatus>;
+    /**
+    * @typedef {import("../types/messages.d").NotificationOptions & {
+    *   ack?: boolean|import('../managers/acknowledgements').DeliveryOptions
+    * }} NotifyOptions
     */
-    send(message: any | string | ArrayBuffer | Uint8Array): Promise<boolean>;
     /**
     * Send a notification
     * @param {string} topic
     * @param {*} data
-    * @param {string} [requestId=null]
-    * @param {import("../types/messages.d").NotificationOptions} [options] - Message options
+    * @param {string|NotifyOptions} [requestId=null] Request the notification relates to, or the options when it relates to none
+    * @param {NotifyOptions} [options] - Message options. With `ack`, the notification is redelivered until the peer acknowledges it.
+    * @returns {Promise<*>} Resolves once queued (see `send`), or once acknowledged when `ack` is set
+    * @example
+    * starling.notify('devices:42:status', { online: false }, { retain: true });
     */
-    notify(topic: string, data?: any, requestId?: string, options?: import("../types/messages.d").NotificationOptions): void;
+    notify(topic: string, data?: any, requestId?: string | (import("../types/messages.d").MessageOptions & {
+        requestId?: import("../types/protocol.d").requestId;
+        messageId?: string;
+        retain?: boolean;
+        ttl?: number;
+        retained?: boolean;
+        seq?: number;
+        replayed?: boolean;
+    } & {
+        ack?: boolean | import("../managers/acknowledgements").DeliveryOptions;
+    }), options?: import("../types/messages.d").MessageOptions & {
+        requestId?: import("../types/protocol.d").requestId;
+        messageId?: string;
+        retain?: boolean;
+        ttl?: number;
+        retained?: boolean;
+        seq?: number;
+        replayed?: boolean;
+    } & {
+        ack?: boolean | import("../managers/acknowledgements").DeliveryOptions;
+    }): Promise<any>;
     /**
     * @param {import('../types/protocol.d').method} method
     * @param {import('../types/protocol.d').payload} payload
@@ -85,6 +195,65 @@ export class BaseStarling {
     */
     request: (method: import("../types/protocol.d").method, payload: import("../types/protocol.d").payload, options?: import("./request").RequestOptions) => import("./request").Request;
     /**
+    * @typedef {import('./request').RequestOptions & {
+    *   persistent?: boolean,
+    *   priority?: number,
+    *   since?: number|{seq: number}|{timestamp: number}
+    * }} SubscribeOptions
+    */
+    /**
+    * Asks the peer to publish the notifications matching topic patterns to this starling.
+    * Subscriptions end with the connection, unless persistent: those are restored on the peer
+    * (`system:subscriptions:sync`) each time the starling reconnects.
+    * @param {string|string[]} topics Topic patterns
+    * @param {function(import('./context').NotificationContext): Promise<void>} [handler] Handler for the notifications of this starling (registered on the node topics)
+    * @param {SubscribeOptions} [options={}] Subscription and request options
+    * @returns {Promise<string[]>} Every pattern the peer now publishes to this starling
+    */
+    subscribe: (topics: string | string[], handler?: (arg0: import("./context").NotificationContext) => Promise<void>, options?: import("./request").RequestOptions & {
+        persistent?: boolean;
+        priority?: number;
+        since?: number | {
+            seq: number;
+        } | {
+            timestamp: number;
+        };
+    }) => Promise<string[]>;
+    /**
+    * Asks the peer to stop publishing topic patterns to this starling (and removes their handlers)
+    * @param {string|string[]} topics Topic patterns, exactly as subscribed
+    * @param {import('./request').RequestOptions} [options={}] Request options
+    * @returns {Promise<string[]>} Every pattern the peer still publishes to this starling
+    */
+    unsubscribe: (topics: string | string[], options?: import("./request").RequestOptions) => Promise<string[]>;
+    /**
+    * Re-announces persistent subscriptions after a reconnection
+    * @protected
+    */
+    protected _restoreSubscriptions(): void;
+    /**
+    * Moves the replay cursor forward
+    * @protected
+    * @param {number} [seq] History sequence number received from the peer
+    */
+    protected _trackSeq(seq?: number): void;
+    /**
+    * Tells that the peer replayed only part of the history it holds for subscribed patterns
+    * @protected
+    * @param {string[]} topics Topic patterns
+    */
+    protected _emitTruncated(topics: string[]): void;
+    /**
+    * Forgets non-persistent subscriptions once disconnected (the node tears down their handlers)
+    * @protected
+    */
+    protected _endSubscriptions(): void;
+    /**
+    * Measures the round-trip time to the peer
+    * @returns {Promise<number>} Round-trip time in ms
+    */
+    ping: () => Promise<number>;
+    /**
     * Sends an error message
     * @param {string} code Error code
     * @param {string} message Error message
@@ -93,6 +262,44 @@ export class BaseStarling {
     sendError: (code: string, message: string, details?: any) => void;
     get id(): any;
     /**
+    * Rolling round-trip time statistics, measured by the heartbeat
+    * @returns {import('./heartbeat').LatencyStats}
+    */
+    get latency(): import("./heartbeat").LatencyStats;
+    /**
+    * Protocol version negotiation
+    * @returns {Handshake}
+    */
+    get handshake(): Handshake;
+    /**
+    * Topic patterns the peer publishes to this starling
+    * @returns {Array<{topic: string, persistent: boolean}>}
+    */
+    get subscriptions(): Array<{
+        topic: string;
+        persistent: boolean;
+    }>;
+    /**
+    * Connection heartbeat
+    * @returns {Heartbeat}
+    */
+    get heartbeat(): Heartbeat;
+    /**
+    * Transport the Starling talks through
+    * @returns {Transport|null}
+    */
+    get transport(): Transport | null;
+    /**
+    * Codec used to encode outgoing protocol messages
+    * @returns {import('../serializers').Serializer}
+    */
+    get serializer(): import("../serializers").Serializer;
+    /**
+    * Codecs accepted from the peer, in order of preference
+    * @returns {string[]}
+    */
+    get serializers(): string[];
+    /**
     * Current connection state
     * @returns {'connecting'|'connected'|'disconnected'|'closing'} Connection state
     */
@@ -104,7 +311,7 @@ export class BaseStarling {
     /**
     * Last connection timestamp
     */
-    get lastConnected(): any;
+    get lastConnected(): number;
     /**
     * Creation timestamp
     */
@@ -112,7 +319,7 @@ export class BaseStarling {
     /**
     * Custom data store
     */
-    get data(): Map<any, any>;
+    get data(): any;
 }
 export type BaseStarlingOptions = {
     /**
@@ -155,8 +362,32 @@ export type BaseStarlingOptions = {
      * Requests manager options
      */
     requests?: import("../managers/requests").RequestManagerOptions;
+    /**
+     * Codec used for outgoing messages
+     */
+    serializer?: string;
+    /**
+     * Codecs accepted from the peer, in order of preference
+     */
+    serializers?: string[];
+    /**
+     * Handshake options
+     */
+    handshake?: import("./handshake").HandshakeOptions;
+    /**
+     * Heartbeat options
+     */
+    heartbeat?: import("./heartbeat").HeartbeatOptions;
+    /**
+     * Acknowledgements options
+     */
+    acks?: import("../managers/acknowledgements").AcknowledgementsOptions;
 };
 import { NetworkNode } from './node';
+import { Transport } from '../transports';
 import { Events } from './events';
 import { Buffer } from './buffer';
 import { RequestsManager } from '../managers';
+import { Handshake } from './handshake';
+import { Heartbeat } from './heartbeat';
+import { AcknowledgementsManager } from '../managers';
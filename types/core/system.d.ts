@@ -0,0 +1,7 @@
+/**
+* Built-in `system:*` methods, registered as internal methods on every network node.
+* Introspection only publishes methods that are neither private nor internal.
+* @param {import('./node').NetworkNode} node Network node
+* @returns {import('../managers/methods').builtInMethods}
+*/
+export function createSystemMethods(node: import("./node").NetworkNode): import("../managers/methods").builtInMethods;
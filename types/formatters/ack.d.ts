@@ -0,0 +1,8 @@
+/**
+* Creates a delivery acknowledgement
+* @param {string} messageId - ID of the message being acknowledged
+* @param {*} [data] - Optional data returned to the sender
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").AckMessage} Formatted ack message
+*/
+export function createAck(messageId: string, data?: any, options?: import("../types/messages.d").MessageOptions): import("../types/messages.d").AckMessage;
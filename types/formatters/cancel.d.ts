@@ -0,0 +1,8 @@
+/**
+* Creates a cancel message, telling the peer to stop processing a request
+* @param {import("../types/protocol.d").requestId} requestId - ID of the request to cancel
+* @param {string} [reason] - Cancellation reason
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").CancelMessage} Formatted cancel message
+*/
+export function createCancel(requestId: import("../types/protocol.d").requestId, reason?: string, options?: import("../types/messages.d").MessageOptions): import("../types/messages.d").CancelMessage;
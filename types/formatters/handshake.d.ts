@@ -0,0 +1,8 @@
+/**
+* Creates a handshake message, announcing the local protocol version range and capabilities
+* @param {import("../types/protocol.d").Capabilities} [capabilities] - Supported features
+* @param {Object} [extra] - Additional handshake fields
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").HandshakeMessage} Formatted handshake message
+*/
+export function createHandshake(capabilities?: import("../types/protocol.d").Capabilities, extra?: any, options?: import("../types/messages.d").MessageOptions): import("../types/messages.d").HandshakeMessage;
@@ -2,3 +2,7 @@ export * from "./request.js";
 export * from "./response.js";
 export * from "./notification.js";
 export * from "./error.js";
+export * from "./cancel.js";
+export * from "./ping.js";
+export * from "./ack.js";
+export * from "./handshake.js";
@@ -0,0 +1,14 @@
+/**
+* Creates a heartbeat ping
+* @param {string} [pingId] - Ping identifier, echoed back by the pong
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").PingMessage} Formatted ping message
+*/
+export function createPing(pingId?: string, options?: import("../types/messages.d").MessageOptions): import("../types/messages.d").PingMessage;
+/**
+* Creates the reply to a heartbeat ping
+* @param {string} pingId - Identifier of the ping being answered
+* @param {import("../types/messages.d").MessageOptions} [options] - Message options
+* @returns {import("../types/messages.d").PingMessage} Formatted pong message
+*/
+export function createPong(pingId: string, options?: import("../types/messages.d").MessageOptions): import("../types/messages.d").PingMessage;
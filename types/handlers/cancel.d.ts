@@ -0,0 +1 @@
+export function handleCancel(starling: import("../core/starling").BaseStarling, message: import("../types/messages.d").CancelMessage): void;
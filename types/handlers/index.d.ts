@@ -2,3 +2,4 @@ export * from "./message.js";
 export * from "./notification.js";
 export * from "./request.js";
 export * from "./response.js";
+export * from "./cancel.js";
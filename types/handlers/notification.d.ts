@@ -1 +1 @@
-export function handleNotification(starling: import("../core/starling").BaseStarling, context: import("../core").NotificationContext): Promise<void>;
+export function handleNotification(starling: import("../core/starling").BaseStarling, context: import("../core").NotificationContext): Promise<boolean>;
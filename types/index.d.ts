@@ -1,10 +1,11 @@
-export * from './validators';
-export * from './formatters';
-export * from './constants';
-export * from './utils';
-export * from './handlers';
-export * from './managers';
-export * from './core';
-
-
-export * from './types';
\ No newline at end of file
+export * from "./validators";
+export * from "./formatters";
+export * from "./constants";
+export * from "./utils";
+export * from "./handlers";
+export * from "./managers";
+export * from "./core";
+export * from "./serializers";
+export * from "./transports";
+export * from "./testing";
+export * from "./types";
@@ -0,0 +1,147 @@
+/**
+ * @typedef {Object} AcknowledgementsOptions
+ * @property {number} [timeout=5000] Delay in ms before an unacknowledged message is redelivered
+ * @property {number} [maxAttempts=5] Delivery attempts before giving up (the delivery promise then rejects)
+ * @property {number} [dedupeWindow=600000] How long in ms received message IDs are remembered for deduplication
+ * @property {number} [dedupeSize=10000] Maximum number of received message IDs remembered for deduplication
+ */
+/**
+ * @typedef {Object} DeliveryOptions
+ * @property {number} [timeout] Overrides the redelivery delay for this message
+ * @property {number} [maxAttempts] Overrides the delivery attempts for this message
+ */
+/**
+* At-least-once delivery for notifications.
+* Sender side, messages carrying a `messageId` are kept until the peer acknowledges them and are
+* redelivered on timeout or after a reconnection. Receiver side, message IDs are remembered for a
+* while so that redelivered messages are acknowledged again without being dispatched twice.
+*/
+export class AcknowledgementsManager {
+    /**
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {import('../core/events').Events} events Events manager
+    * @param {AcknowledgementsOptions} [options={}] Manager options
+    */
+    constructor(starling: import("../core/starling").BaseStarling, events: import("../core/events").Events, options?: AcknowledgementsOptions);
+    /** @private */
+    private _starling;
+    /** @private */
+    private _events;
+    /** @private */
+    private _options;
+    /**
+    * Messages waiting for their acknowledgement, by message ID
+    * @type {Map<string, {message: Object, attempts: number, options: DeliveryOptions, timer: *, resolve: function(*): void, reject: function(Error): void}>}
+    * @private
+    */
+    private _pending;
+    /**
+    * Delivered message IDs with their delivery time (insertion ordered)
+    * @type {Map<string, number>}
+    * @private
+    */
+    private _received;
+    /**
+    * Message IDs whose dispatch is still running
+    * @type {Set<string>}
+    * @private
+    */
+    private _dispatching;
+    /**
+    * Sends a message and keeps it until the peer acknowledges it
+    * @param {Object} message Protocol message carrying a `messageId`
+    * @param {DeliveryOptions} [options={}] Delivery options
+    * @returns {Promise<*>} Resolves with the ack data once acknowledged
+    */
+    deliver(message: any, options?: DeliveryOptions): Promise<any>;
+    /**
+    * Handles an incoming acknowledgement
+    * @param {import('../types/messages.d').AckMessage} ack Ack message
+    */
+    handleAck(ack: import("../types/messages.d").AckMessage): void;
+    /**
+    * Records an incoming message ID before its dispatch
+    * @param {string} messageId Message ID
+    * @returns {'new'|'dispatching'|'delivered'} `new` if the message must be dispatched, `dispatching` if a previous
+    * copy is still being dispatched (it acknowledges once done), `delivered` if it was dispatched already (only acknowledged again)
+    */
+    receive(messageId: string): "new" | "dispatching" | "delivered";
+    /**
+    * Records that an incoming message was dispatched, so that its copies are acknowledged without being dispatched
+    * @param {string} messageId Message ID
+    */
+    delivered(messageId: string): void;
+    /**
+    * Forgets an incoming message ID whose dispatch failed, so that its redelivery is dispatched again
+    * @param {string} messageId Message ID
+    */
+    forget(messageId: string): void;
+    /**
+    * Acknowledges a received message
+    * @param {string} messageId Message ID
+    * @param {*} [data] Optional data returned to the sender
+    */
+    acknowledge(messageId: string, data?: any): void;
+    /**
+    * Stops tracking every pending message
+    * @param {string} [reason='Delivery cancelled'] Rejection reason
+    */
+    cancelAll(reason?: string): void;
+    /**
+    * @private
+    */
+    private _attempt;
+    /**
+    * @private
+    */
+    private _redeliverAll;
+    /**
+    * Forgets received message IDs outside the deduplication window
+    * @private
+    */
+    private _prune;
+    /**
+    * @private
+    */
+    private _emitEvent;
+    /**
+    * Number of messages waiting for their acknowledgement
+    */
+    get pendingCount(): any;
+    /**
+    * Delivery statistics
+    */
+    get stats(): {
+        pending: any;
+        remembered: any;
+        dispatching: any;
+    };
+}
+export type AcknowledgementsOptions = {
+    /**
+     * Delay in ms before an unacknowledged message is redelivered
+     */
+    timeout?: number;
+    /**
+     * Delivery attempts before giving up (the delivery promise then rejects)
+     */
+    maxAttempts?: number;
+    /**
+     * How long in ms received message IDs are remembered for deduplication
+     */
+    dedupeWindow?: number;
+    /**
+     * Maximum number of received message IDs remembered for deduplication
+     */
+    dedupeSize?: number;
+};
+export type DeliveryOptions = {
+    /**
+     * Overrides the redelivery delay for this message
+     */
+    timeout?: number;
+    /**
+     * Overrides the delivery attempts for this message
+     */
+    maxAttempts?: number;
+};
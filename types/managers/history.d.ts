@@ -0,0 +1,227 @@
+/**
+* @typedef {Object} HistoryEntry
+* @property {number} seq Sequence number, monotonic across every topic of the node
+* @property {string} topic Topic
+* @property {*} data Notification data
+* @property {number} timestamp Publication timestamp
+*/
+/**
+* Replay cursor: entries strictly after a sequence number or a timestamp
+* @typedef {{seq: number}|{timestamp: number}} HistoryCursor
+*/
+/**
+* Storage backing the topic history. Every method may return a promise.
+* @typedef {Object} HistoryStorage
+* @property {function(HistoryEntry): (void|Promise<void>)} append Stores an entry
+* @property {function(HistoryCursor, {topics: string[], limit: number}): (HistoryEntry[]|Promise<HistoryEntry[]>)} since Entries after the cursor on topics matching one of the patterns, by increasing sequence
+* @property {function(): (number|Promise<number>)} lastSeq Highest stored sequence number (0 when empty), so that numbering resumes after a restart
+* @property {function(string): (void|Promise<void>)} clear Drops the entries of the topics matching a pattern
+*/
+/**
+* @typedef {Object} HistoryOptions
+* @property {boolean} [enabled=false] Whether published notifications are recorded
+* @property {string[]} [topics=['**']] Patterns of the topics recorded
+* @property {number} [limit=100] Entries kept per topic (memory storage)
+* @property {number|null} [maxAge=null] Age in ms after which entries are dropped (memory storage)
+* @property {number} [replayLimit=1000] Maximum number of entries replayed at once
+* @property {HistoryStorage} [storage] Storage, in memory by default
+*/
+/**
+* Default history storage: a bounded list of entries per topic
+* @implements {HistoryStorage}
+*/
+export class MemoryHistoryStorage implements HistoryStorage {
+    /**
+    * @param {{limit?: number, maxAge?: number|null}} [options={}]
+    */
+    constructor(options?: {
+        limit?: number;
+        maxAge?: number | null;
+    });
+    /** @private */
+    private _options;
+    /**
+    * Entries by topic, by increasing sequence
+    * @type {Map<string, HistoryEntry[]>}
+    * @private
+    */
+    private _topics;
+    /** @private */
+    private _lastSeq;
+    /**
+    * @param {HistoryEntry} entry
+    */
+    append(entry: HistoryEntry): void;
+    /**
+    * @param {HistoryCursor} cursor
+    * @param {{topics: string[], limit: number}} options
+    * @returns {HistoryEntry[]}
+    */
+    since(cursor: HistoryCursor, { topics, limit }: {
+        topics: string[];
+        limit: number;
+    }): HistoryEntry[];
+    /**
+    * @returns {number}
+    */
+    lastSeq(): number;
+    /**
+    * @param {string} pattern
+    */
+    clear(pattern: string): void;
+}
+/**
+* Bounded history of the notifications published by a node, replayed to subscribers
+* that come back with a cursor (`since`)
+*/
+export class HistoryManager {
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {HistoryOptions} [options={}] History options
+    */
+    constructor(events: import("../core/events").Events, options?: HistoryOptions);
+    /** @private */
+    private _events;
+    /** @private */
+    private _options;
+    /**
+    * @type {HistoryStorage}
+    * @private
+    */
+    private _storage;
+    /** @private */
+    private _seq;
+    /**
+    * Resumes numbering after what the storage already holds, null once done
+    * @type {Promise<void>|null}
+    * @private
+    */
+    private _restoring;
+    /**
+    * Whether a topic is recorded
+    * @param {string} topic Concrete topic
+    * @returns {boolean}
+    */
+    accepts: (topic: string) => boolean;
+    /**
+    * Records a notification. Until the last stored sequence number is known, entries wait for it
+    * and are numbered in call order once it is.
+    * @param {string} topic Concrete topic
+    * @param {*} data Notification data
+    * @returns {number|Promise<number>} Sequence number assigned to the entry
+    */
+    record: (topic: string, data: any) => number | Promise<number>;
+    /**
+    * Gets the entries published after a cursor on topics matching patterns, at most `replayLimit` of them
+    * @param {HistoryCursor} cursor Replay cursor
+    * @param {string[]} topics Topic patterns
+    * @returns {Promise<{entries: HistoryEntry[], truncated: boolean}>} Entries, and whether more were left out
+    */
+    since: (cursor: HistoryCursor, topics: string[]) => Promise<{
+        entries: HistoryEntry[];
+        truncated: boolean;
+    }>;
+    /**
+    * Drops the history of the topics matching a pattern
+    * @param {string} [pattern='**'] Topic pattern
+    * @returns {Promise<void>}
+    */
+    clear: (pattern?: string) => Promise<void>;
+    /**
+    * @private
+    * @param {string} topic
+    * @param {*} data
+    * @returns {number}
+    */
+    private _append;
+    /**
+    * @private
+    */
+    private _emitError;
+    /**
+    * Whether the history is enabled
+    * @type {boolean}
+    */
+    get enabled(): boolean;
+    /**
+    * Last assigned sequence number
+    * @type {number}
+    */
+    get lastSeq(): number;
+}
+export type HistoryEntry = {
+    /**
+     * Sequence number, monotonic across every topic of the node
+     */
+    seq: number;
+    /**
+     * Topic
+     */
+    topic: string;
+    /**
+     * Notification data
+     */
+    data: any;
+    /**
+     * Publication timestamp
+     */
+    timestamp: number;
+};
+/**
+ * Replay cursor: entries strictly after a sequence number or a timestamp
+ */
+export type HistoryCursor = {
+    seq: number;
+} | {
+    timestamp: number;
+};
+/**
+ * Storage backing the topic history. Every method may return a promise.
+ */
+export type HistoryStorage = {
+    /**
+     * Stores an entry
+     */
+    append: (arg0: HistoryEntry) => (void | Promise<void>);
+    /**
+     * Entries after the cursor on topics matching one of the patterns, by increasing sequence
+     */
+    since: (arg0: HistoryCursor, arg1: {
+        topics: string[];
+        limit: number;
+    }) => (HistoryEntry[] | Promise<HistoryEntry[]>);
+    /**
+     * Highest stored sequence number (0 when empty), so that numbering resumes after a restart
+     */
+    lastSeq: () => (number | Promise<number>);
+    /**
+     * Drops the entries of the topics matching a pattern
+     */
+    clear: (arg0: string) => (void | Promise<void>);
+};
+export type HistoryOptions = {
+    /**
+     * Whether published notifications are recorded
+     */
+    enabled?: boolean;
+    /**
+     * Patterns of the topics recorded
+     */
+    topics?: string[];
+    /**
+     * Entries kept per topic (memory storage)
+     */
+    limit?: number;
+    /**
+     * Age in ms after which entries are dropped (memory storage)
+     */
+    maxAge?: number | null;
+    /**
+     * Maximum number of entries replayed at once
+     */
+    replayLimit?: number;
+    /**
+     * Storage, in memory by default
+     */
+    storage?: HistoryStorage;
+};
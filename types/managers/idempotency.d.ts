@@ -0,0 +1,170 @@
+/**
+* Default idempotency store: records live in the process memory
+* @implements {IdempotencyStore}
+*/
+export class MemoryIdempotencyStore implements IdempotencyStore {
+    /**
+    * @param {{pruneInterval?: number}} [options={}] Minimum delay in ms between two sweeps of the expired records
+    */
+    constructor(options?: {
+        pruneInterval?: number;
+    });
+    /** @private @type {Map<string, {record: IdempotencyRecord, expiresAt: number}>} */
+    private _records;
+    /** @private */
+    private _pruneInterval;
+    /** @private */
+    private _prunedAt;
+    /**
+    * @param {string} key
+    * @returns {IdempotencyRecord|undefined}
+    */
+    get(key: string): IdempotencyRecord | undefined;
+    /**
+    * @param {string} key
+    * @param {IdempotencyRecord} record
+    * @param {number} ttl
+    * @returns {boolean}
+    */
+    claim(key: string, record: IdempotencyRecord, ttl: number): boolean;
+    /**
+    * @param {string} key
+    * @param {IdempotencyRecord} record
+    * @param {number} ttl
+    */
+    set(key: string, record: IdempotencyRecord, ttl: number): void;
+    /**
+    * @param {string} key
+    */
+    delete(key: string): void;
+    /**
+    * @private
+    */
+    private _prune;
+}
+/**
+* Runs each idempotent request once: duplicates (same idempotency key) get the response of the
+* original execution replayed, and join it while it is still running.
+*/
+export class IdempotencyManager {
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {IdempotencyOptions} [options={}] Idempotency options
+    */
+    constructor(events: import("../core/events").Events, options?: IdempotencyOptions);
+    /** @private */
+    private _events;
+    /** @private */
+    private _options;
+    /**
+    * @type {IdempotencyStore}
+    * @private
+    */
+    private _store;
+    /**
+    * Executions running in this process, by key
+    * @type {Map<string, Promise<{result: import('../core/context').RequestResult|null, replayed: boolean}>>}
+    * @private
+    */
+    private _inFlight;
+    /**
+    * Runs an operation once per key
+    * @param {string} key Idempotency key
+    * @param {function(): Promise<import('../core/context').RequestResult|null>} run Runs the original execution.
+    * Resolves to the response to replay, or null when it must not be kept (e.g. the execution was aborted).
+    * @param {{ttl?: number, timeout?: number}} [options={}] Replay window, and how long to wait for an execution running elsewhere
+    * @returns {Promise<{result: import('../core/context').RequestResult|null, replayed: boolean}>}
+    */
+    execute: (key: string, run: () => Promise<import("../core/context").RequestResult | null>, options?: {
+        ttl?: number;
+        timeout?: number;
+    }) => Promise<{
+        result: import("../core/context").RequestResult | null;
+        replayed: boolean;
+    }>;
+    /**
+    * Builds the record key of a request, scoped to its caller
+    * @param {import('../core').RequestContext} context Request context
+    * @returns {string}
+    */
+    keyOf: (context: import("../core").RequestContext) => string;
+    /**
+    * Forgets a key: the next request using it runs again
+    * @param {string} key Idempotency key
+    * @returns {Promise<void>}
+    */
+    forget: (key: string) => Promise<void>;
+    /**
+    * @private
+    * @param {string} key
+    * @param {function(): Promise<import('../core/context').RequestResult|null>} run
+    * @param {{ttl?: number, timeout?: number}} options
+    */
+    private _run;
+    /**
+    * Keeps the response of the original execution, or releases the key when there is none
+    * @private
+    */
+    private _save;
+    /**
+    * @private
+    */
+    private _emitReplay;
+}
+export type IdempotencyRecord = {
+    /**
+     * Whether the original execution is still running
+     */
+    status: "pending" | "completed";
+    /**
+     * Response of the original execution, once completed
+     */
+    result?: import("../core/context").RequestResult;
+    /**
+     * Timestamp of the original execution
+     */
+    createdAt: number;
+};
+/**
+ * Store of the idempotency records. Share one between processes (e.g. backed by Redis) to deduplicate
+ * requests across them. Every method may return a promise.
+ */
+export type IdempotencyStore = {
+    /**
+     * Gets the record of a key
+     */
+    get: (arg0: string) => (IdempotencyRecord | undefined | Promise<IdempotencyRecord | undefined>);
+    /**
+     * Stores a record for ttl ms
+     * unless the key already has one, atomically (as Redis `SET NX PX`). Resolves to whether the record was stored.
+     */
+    claim: (arg0: string, arg1: IdempotencyRecord, arg2: number) => (boolean | Promise<boolean>);
+    /**
+     * Stores a record for ttl ms
+     */
+    set: (arg0: string, arg1: IdempotencyRecord, arg2: number) => (void | Promise<void>);
+    /**
+     * Drops the record of a key
+     */
+    delete: (arg0: string) => (void | Promise<void>);
+};
+export type IdempotencyOptions = {
+    /**
+     * Time in ms a response is replayed to duplicates
+     */
+    ttl?: number;
+    /**
+     * Delay in ms between two checks of an execution running in another process
+     */
+    pollInterval?: number;
+    /**
+     * Records store, in memory by default
+     */
+    store?: IdempotencyStore;
+    /**
+     * Builds the record key of a request.
+     * Keys must tell callers apart: by default they combine the caller session (or starling) ID, the method and the
+     * idempotency key. Key on the authenticated user to deduplicate requests across connections and processes.
+     */
+    keyOf?: (arg0: import("../core").RequestContext) => string;
+};
@@ -23,6 +23,12 @@ export class MethodsManager {
     */
     _events: import("../core/events").Events;
     /**
+    * Node middleware, in registration order
+    * @type {Array<{pattern: string, middleware: import('../core/method').MethodMiddleware}>}
+    * @private
+    */
+    private _middleware;
+    /**
     * Register a new method
     * @param {string} name Method name
     * @param {MethodHandler} handler Method handler
@@ -30,6 +36,22 @@ export class MethodsManager {
     */
     register: (name: string, handler: MethodHandler, options?: import("../core/method").MethodOptions) => void;
     /**
+    * Registers middleware running around every method, or only methods matching a pattern
+    * @param {string|import('../core/method').MethodMiddleware} pattern Method pattern (`*` matches one segment, trailing `**` any) or middleware
+    * @param {import('../core/method').MethodMiddleware} [middleware] Middleware (when a pattern is given)
+    * @returns {{off: function(): void}} Handle removing the middleware
+    */
+    use: (pattern: string | import("../core/method").MethodMiddleware, middleware?: import("../core/method").MethodMiddleware) => {
+        off: () => void;
+    };
+    /**
+    * Executes a method through the middleware matching it
+    * @param {Method} method Method to execute
+    * @param {import('../core/context').RequestContext} context Request context
+    * @returns {Promise<void>}
+    */
+    execute: (method: Method, context: import("../core/context").RequestContext) => Promise<void>;
+    /**
     * Gets a registered method
     * @param {string} name Method name
     * @returns {Method|undefined}
@@ -53,6 +75,15 @@ export class MethodsManager {
     */
     getAllMethodNames: () => string[];
     /**
+    * Gets the methods published by introspection
+    * @param {{includePrivate?: boolean, includeInternal?: boolean}} [options={}] Also include private or internal methods
+    * @returns {Method[]}
+    */
+    getListedMethods: (options?: {
+        includePrivate?: boolean;
+        includeInternal?: boolean;
+    }) => Method[];
+    /**
     * Gets methods by namespace
     * @param {string} namespace Namespace to filter by
     * @returns {Method[]}
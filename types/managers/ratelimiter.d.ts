@@ -0,0 +1,99 @@
+/**
+* @typedef {Object} RateLimiterOptions
+* @property {import('../utils/ratelimit').RateLimit} [global] Limit shared by every request of the node
+* @property {import('../utils/ratelimit').RateLimit} [starling] Limit of each starling
+*/
+/**
+* Limit of a method, for each starling unless `perStarling` is false
+* @typedef {import('../utils/ratelimit').RateLimit & {perStarling?: boolean}} MethodRateLimit
+*/
+/**
+* @typedef {Object} RateLimitDecision
+* @property {boolean} allowed Whether the request may run
+* @property {'global'|'starling'|'method'} [scope] Exhausted limit
+* @property {number} [retryAfter] Delay in ms before the request may be sent again
+*/
+/**
+* Token-bucket limits applied to inbound requests: for the whole node, per starling, and per method.
+* A request consumes a token from each applicable bucket, only when all of them have one.
+*/
+export class RateLimiter {
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {RateLimiterOptions} [options={}] Node limits
+    */
+    constructor(events: import("../core/events").Events, options?: RateLimiterOptions);
+    /** @private */
+    private _events;
+    /** @private */
+    private _options;
+    /** @private */
+    private _global;
+    /**
+    * @type {WeakMap<import('../core/starling').BaseStarling, TokenBucket>}
+    * @private
+    */
+    private _starlings;
+    /**
+    * Method buckets shared by every starling, by method
+    * @type {Map<string, TokenBucket>}
+    * @private
+    */
+    private _methods;
+    /**
+    * Method buckets of each starling, by method
+    * @type {WeakMap<import('../core/starling').BaseStarling, Map<string, TokenBucket>>}
+    * @private
+    */
+    private _starlingMethods;
+    /**
+    * Checks the limits of a request, and consumes its tokens when allowed
+    * @param {import('../core/starling').BaseStarling} starling Calling starling
+    * @param {import('../core/method').Method} method Called method
+    * @returns {RateLimitDecision}
+    */
+    check: (starling: import("../core/starling").BaseStarling, method: import("../core/method").Method) => RateLimitDecision;
+    /**
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    * @returns {TokenBucket|null}
+    */
+    private _starlingBucket;
+    /**
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    * @param {import('../core/method').Method} method
+    * @returns {TokenBucket|null}
+    */
+    private _methodBucket;
+}
+export type RateLimiterOptions = {
+    /**
+     * Limit shared by every request of the node
+     */
+    global?: import("../utils/ratelimit").RateLimit;
+    /**
+     * Limit of each starling
+     */
+    starling?: import("../utils/ratelimit").RateLimit;
+};
+/**
+ * Limit of a method, for each starling unless `perStarling` is false
+ */
+export type MethodRateLimit = import("../utils/ratelimit").RateLimit & {
+    perStarling?: boolean;
+};
+export type RateLimitDecision = {
+    /**
+     * Whether the request may run
+     */
+    allowed: boolean;
+    /**
+     * Exhausted limit
+     */
+    scope?: "global" | "starling" | "method";
+    /**
+     * Delay in ms before the request may be sent again
+     */
+    retryAfter?: number;
+};
@@ -2,6 +2,11 @@
  * @typedef {Object} RequestManagerOptions
  * @property {import('../core/queue').QueueOptions} [queue={}] Queue configuration options
  * @property {number} [timeout=30000] Request timeout in ms
+ * @property {boolean} [resume=false] Resume the session after each reconnection (`system:session`): responses
+ * missed while disconnected are recovered and requests the peer never received are sent again
+ * @property {import('../core/request').RetryPolicy} [retry] Default retry policy of idempotent requests
+ * @property {import('../core/circuit').CircuitBreakerOptions} [circuitBreaker] Circuit breaker per method, failing fast while a method keeps failing
+ * @property {string[]} [idempotent=[]] Patterns of the methods safe to retry (e.g. `users:get`, `catalog:*`), for requests that do not set `idempotent`
  */
 /**
 * Manages the lifecycle of requests in the Helios-Starling protocol
@@ -20,6 +25,18 @@ export class RequestsManager {
     private _events;
     /** @private @type {RequestManagerOptions} */
     private _options;
+    /**
+    * Circuit breakers, by method
+    * @type {Map<string, CircuitBreaker>}
+    * @private
+    */
+    private _circuits;
+    /**
+    * Session issued by the peer, sent back to resume it
+    * @type {{id: string, token: string}|null}
+    * @private
+    */
+    private _session;
     /** @private */
     private _queue;
     /**
@@ -34,7 +51,7 @@ export class RequestsManager {
     * @private
     */
     private _expiredRequests;
-    _cleanupInterval: Timer;
+    _cleanupInterval: number;
     /**
     * Creates and queues a new request
     * @param {import('../core/starling').Starling} starling Starling instance
@@ -45,6 +62,31 @@ export class RequestsManager {
     */
     execute: (starling: import("../core/starling").Starling, method: string, payload: any, options?: import("../core/request").RequestOptions) => Request;
     /**
+    * Gets the circuit breaker of a method, if enabled
+    * @private
+    * @param {string} method
+    * @returns {CircuitBreaker|null}
+    */
+    private _getCircuit;
+    /**
+    * Tracks a request until it settles
+    * @private
+    * @param {Request} request
+    */
+    private _track;
+    /**
+    * Fails the requests the buffer dropped to make room
+    * @private
+    * @param {Array<Object|string|ArrayBuffer|Uint8Array>} messages Dropped messages
+    */
+    private _failDropped;
+    /**
+    * Opens or resumes the session once connected. The session request skips the queue: on resumption,
+    * missed responses are handled and the requests the peer never received are sent again.
+    * @private
+    */
+    private _resume;
+    /**
     * Handles an incoming response
     * @param {import('../core/starling').Starling} starling Starling instance
     * @param {import('../core').ResponseContext} context Response message
@@ -89,16 +131,22 @@ export class RequestsManager {
     */
     dispose(): void;
     /**
+    * Session ID issued by the peer, null until a session is opened
+    * @type {string|null}
+    */
+    get sessionId(): string | null;
+    /**
     * Number of active requests
     */
-    get activeCount(): number;
+    get activeCount(): any;
     /**
     * System statistics
     */
     get stats(): {
-        active: number;
-        expired: number;
+        active: any;
+        expired: any;
         queue: any;
+        circuits: any;
     };
 }
 export type RequestManagerOptions = {
@@ -110,5 +158,22 @@ export type RequestManagerOptions = {
      * Request timeout in ms
      */
     timeout?: number;
+    /**
+     * Resume the session after each reconnection (`system:session`): responses
+     * missed while disconnected are recovered and requests the peer never received are sent again
+     */
+    resume?: boolean;
+    /**
+     * Default retry policy of idempotent requests
+     */
+    retry?: import("../core/request").RetryPolicy;
+    /**
+     * Circuit breaker per method, failing fast while a method keeps failing
+     */
+    circuitBreaker?: import("../core/circuit").CircuitBreakerOptions;
+    /**
+     * Patterns of the methods safe to retry (e.g. `users:get`, `catalog:*`), for requests that do not set `idempotent`
+     */
+    idempotent?: string[];
 };
 import { Request } from '../core/request';
@@ -0,0 +1,118 @@
+/**
+* @typedef {Object} RetainedOptions
+* @property {number|null} [ttl=null] Default time to live of retained values in ms (null keeps them until cleared)
+* @property {number} [maxTopics=10000] Maximum number of retained topics, the oldest values are evicted first
+* @property {boolean|string[]|function(string, import('../core/starling').BaseStarling): boolean} [acceptRemote=false]
+* Whether peers may retain values with `notify(..., { retain: true })`: every topic, the topics matching a list
+* of patterns, or those a predicate accepts for a given peer. Off by default, only the node retains values.
+*/
+/**
+* @typedef {Object} RetainedValue
+* @property {string} topic Topic
+* @property {*} data Last value
+* @property {number} retainedAt Retention timestamp
+* @property {number|null} expiresAt Expiration timestamp, or null
+*/
+/**
+* Last value per topic, delivered to new subscribers of matching patterns (as MQTT retained messages)
+*/
+export class RetainedManager {
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {RetainedOptions} [options={}] Store options
+    */
+    constructor(events: import("../core/events").Events, options?: RetainedOptions);
+    /** @private */
+    private _events;
+    /** @private */
+    private _options;
+    /**
+    * Retained values by topic, in retention order
+    * @type {Map<string, RetainedValue>}
+    * @private
+    */
+    private _values;
+    /**
+    * Keeps a value as the last value of a topic
+    * @param {string} topic Concrete topic
+    * @param {*} data Value
+    * @param {{ttl?: number|null}} [options={}] Overrides the default time to live
+    * @returns {RetainedValue}
+    */
+    set: (topic: string, data: any, options?: {
+        ttl?: number | null;
+    }) => RetainedValue;
+    /**
+    * Checks whether a peer may retain a value on a topic
+    * @param {string} topic Concrete topic
+    * @param {import('../core/starling').BaseStarling} starling Peer asking to retain the value
+    * @returns {boolean}
+    */
+    accepts: (topic: string, starling: import("../core/starling").BaseStarling) => boolean;
+    /**
+    * Gets the last value of a topic
+    * @param {string} topic Concrete topic
+    * @returns {RetainedValue|undefined}
+    */
+    get: (topic: string) => RetainedValue | undefined;
+    /**
+    * Gets the retained values whose topic matches a pattern
+    * @param {string} pattern Topic pattern
+    * @returns {RetainedValue[]}
+    */
+    match: (pattern: string) => RetainedValue[];
+    /**
+    * Clears retained values
+    * @param {string} [pattern='**'] Topic or topic pattern to clear (every topic by default)
+    * @returns {number} Number of values cleared
+    */
+    clear: (pattern?: string) => number;
+    /**
+    * Drops expired values
+    * @private
+    */
+    private _prune;
+    /**
+    * Topics with a retained value
+    * @type {string[]}
+    */
+    get topics(): string[];
+    /**
+    * Number of retained values
+    * @type {number}
+    */
+    get size(): number;
+}
+export type RetainedOptions = {
+    /**
+     * Default time to live of retained values in ms (null keeps them until cleared)
+     */
+    ttl?: number | null;
+    /**
+     * Maximum number of retained topics, the oldest values are evicted first
+     */
+    maxTopics?: number;
+    /**
+     * Whether peers may retain values with `notify(..., { retain: true })`: every topic, the topics matching a list
+     * of patterns, or those a predicate accepts for a given peer. Off by default, only the node retains values.
+     */
+    acceptRemote?: boolean | string[] | ((arg0: string, arg1: import("../core/starling").BaseStarling) => boolean);
+};
+export type RetainedValue = {
+    /**
+     * Topic
+     */
+    topic: string;
+    /**
+     * Last value
+     */
+    data: any;
+    /**
+     * Retention timestamp
+     */
+    retainedAt: number;
+    /**
+     * Expiration timestamp, or null
+     */
+    expiresAt: number | null;
+};
@@ -0,0 +1,176 @@
+/**
+* @typedef {Object} SessionsOptions
+* @property {number} [window=60000] Time in ms a disconnected session stays resumable, and a response stays replayable
+* @property {number} [maxResponses=1000] Responses kept per session for replay, the oldest are dropped first
+*/
+/**
+* @typedef {Object} Session
+* @property {string} id Session ID, issued by the node
+* @property {string} token Secret issued with the session, required to resume it
+* @property {import('../core/starling').BaseStarling} starling Latest connection of the session
+* @property {Map<string, {message: Object, sentAt: number}>} responses Responses sent during the window, by request ID
+* @property {number} openedAt Opening timestamp
+* @property {number|null} disconnectedAt Disconnection timestamp, null while connected
+*/
+/**
+* @typedef {Object} SessionRecovery
+* @property {Object[]} responses Response messages the peer missed
+* @property {string[]} running Requests still executing: their response goes out through the new connection
+* @property {string[]} unknown Requests never received, to be sent again
+*/
+/**
+* Resumable peer sessions (`system:session`). A session outlives its connection for a while:
+* responses sent meanwhile are kept by request ID, and a peer reconnecting with the same session
+* gets the responses it missed while the requests still executing move to its new connection.
+* Session IDs and tokens are issued by the node: only the peer that opened a session can resume it.
+*/
+export class SessionsManager {
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    * @param {SessionsOptions} [options={}] Sessions options
+    */
+    constructor(events: import("../core/events").Events, options?: SessionsOptions);
+    /** @private */
+    private _events;
+    /** @private */
+    private _options;
+    /**
+    * @type {Map<string, Session>}
+    * @private
+    */
+    private _sessions;
+    /**
+    * Session of each connection, with its disconnection listener
+    * @type {Map<import('../core/starling').BaseStarling, {session: Session, listener: {off: function(): void}}>}
+    * @private
+    */
+    private _byStarling;
+    /**
+    * Resumes the session of a starling when its ID and token match a disconnected session, opens a new one otherwise
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {{id?: string, token?: string}} [credentials={}] Session to resume, as issued when it was opened
+    * @returns {{session: Session, resumed: boolean}}
+    * @throws {{code: string, message: string}} When the session is still connected through another starling
+    */
+    open: (starling: import("../core/starling").BaseStarling, credentials?: {
+        id?: string;
+        token?: string;
+    }) => {
+        session: Session;
+        resumed: boolean;
+    };
+    /**
+    * Keeps a response sent to a starling, when it belongs to a session
+    * @param {import('../core/starling').BaseStarling} starling Starling the response is sent to
+    * @param {string} requestId Request ID
+    * @param {Object} message Response message
+    * @returns {boolean} Whether the response was kept
+    */
+    record: (starling: import("../core/starling").BaseStarling, requestId: string, message: any) => boolean;
+    /**
+    * Sorts out the requests a reconnecting peer is still waiting for
+    * @param {Session} session Resumed session
+    * @param {string[]} requestIds Requests sent by the peer and not answered
+    * @returns {SessionRecovery}
+    */
+    recover: (session: Session, requestIds: string[]) => SessionRecovery;
+    /**
+    * Gets a session
+    * @param {string} id Session ID
+    * @returns {Session|undefined}
+    */
+    get: (id: string) => Session | undefined;
+    /**
+    * Gets the session of a connection
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @returns {Session|undefined}
+    */
+    of: (starling: import("../core/starling").BaseStarling) => Session | undefined;
+    /**
+    * Ends a session: it can no longer be resumed
+    * @param {string} id Session ID
+    * @returns {boolean} Whether the session existed
+    */
+    close: (id: string) => boolean;
+    /**
+    * Moves the requests executing on the previous connection to the new one
+    * @private
+    * @param {import('../core/starling').BaseStarling} from
+    * @param {import('../core/starling').BaseStarling} to
+    */
+    private _transfer;
+    /**
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    */
+    private _release;
+    /**
+    * Drops the sessions disconnected for longer than the window
+    * @private
+    */
+    private _prune;
+    /**
+    * Drops the responses sent before the window
+    * @private
+    * @param {Session} session
+    */
+    private _pruneResponses;
+    /**
+    * Number of resumable sessions
+    * @type {number}
+    */
+    get size(): number;
+}
+export type SessionsOptions = {
+    /**
+     * Time in ms a disconnected session stays resumable, and a response stays replayable
+     */
+    window?: number;
+    /**
+     * Responses kept per session for replay, the oldest are dropped first
+     */
+    maxResponses?: number;
+};
+export type Session = {
+    /**
+     * Session ID, issued by the node
+     */
+    id: string;
+    /**
+     * Secret issued with the session, required to resume it
+     */
+    token: string;
+    /**
+     * Latest connection of the session
+     */
+    starling: import("../core/starling").BaseStarling;
+    /**
+     * Responses sent during the window, by request ID
+     */
+    responses: Map<string, {
+        message: any;
+        sentAt: number;
+    }>;
+    /**
+     * Opening timestamp
+     */
+    openedAt: number;
+    /**
+     * Disconnection timestamp, null while connected
+     */
+    disconnectedAt: number | null;
+};
+export type SessionRecovery = {
+    /**
+     * Response messages the peer missed
+     */
+    responses: any[];
+    /**
+     * Requests still executing: their response goes out through the new connection
+     */
+    running: string[];
+    /**
+     * Requests never received, to be sent again
+     */
+    unknown: string[];
+};
@@ -0,0 +1,108 @@
+/**
+* @typedef {Object} RemoteSubscription
+* @property {import('../core/starling').BaseStarling} starling Subscribed starling
+* @property {string} pattern Topic pattern
+* @property {number} subscribedAt Subscription timestamp
+*/
+/**
+* Subscriptions announced by remote peers (`system:subscribe`), per starling.
+* Patterns share the topic trie used by `TopicsManager`, so a publication only visits
+* the subscriptions that can match it. A starling's subscriptions end with its connection:
+* the peer re-announces the persistent ones with `system:subscriptions:sync` once reconnected.
+*/
+export class SubscriptionsManager {
+    /**
+    * @param {import('../core/events').Events} events Events manager
+    */
+    constructor(events: import("../core/events").Events);
+    /** @private */
+    private _events;
+    /**
+    * Subscriptions by starling, then by pattern
+    * @type {Map<import('../core/starling').BaseStarling, Map<string, RemoteSubscription>>}
+    * @private
+    */
+    private _byStarling;
+    /**
+    * @type {TopicTrie<RemoteSubscription>}
+    * @private
+    */
+    private _index;
+    /**
+    * Disconnection listeners, by subscribed starling
+    * @type {Map<import('../core/starling').BaseStarling, {off: function(): void}>}
+    * @private
+    */
+    private _sessions;
+    /**
+    * Subscribes a starling to a topic pattern (no-op if already subscribed)
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {string} pattern Topic pattern
+    * @returns {RemoteSubscription}
+    * @throws {Error} If the pattern is invalid
+    */
+    add: (starling: import("../core/starling").BaseStarling, pattern: string) => RemoteSubscription;
+    /**
+    * Unsubscribes a starling from a topic pattern
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {string} pattern Topic pattern, exactly as subscribed
+    * @returns {boolean} Whether the starling was subscribed
+    */
+    remove: (starling: import("../core/starling").BaseStarling, pattern: string) => boolean;
+    /**
+    * Removes every subscription of a starling
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @returns {string[]} Removed patterns
+    */
+    removeAll: (starling: import("../core/starling").BaseStarling) => string[];
+    /**
+    * Replaces the subscriptions of a starling (after a reconnection)
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @param {string[]} patterns Every pattern the starling must be subscribed to
+    * @returns {string[]} Patterns the starling is now subscribed to
+    * @throws {Error} If a pattern is invalid (the previous subscriptions are then kept)
+    */
+    sync: (starling: import("../core/starling").BaseStarling, patterns: string[]) => string[];
+    /**
+    * Gets the patterns a starling is subscribed to
+    * @param {import('../core/starling').BaseStarling} starling Starling instance
+    * @returns {string[]}
+    */
+    get: (starling: import("../core/starling").BaseStarling) => string[];
+    /**
+    * Gets the starlings subscribed to a topic, each listed once
+    * @param {string} topic Concrete topic
+    * @returns {import('../core/starling').BaseStarling[]}
+    */
+    match: (topic: string) => import("../core/starling").BaseStarling[];
+    /**
+    * Drops the subscriptions of a starling when its connection ends
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    */
+    private _watch;
+    /**
+    * Starlings with at least one subscription
+    * @type {import('../core/starling').BaseStarling[]}
+    */
+    get starlings(): import("../core/starling").BaseStarling[];
+    /**
+    * Total number of subscriptions
+    * @type {number}
+    */
+    get size(): number;
+}
+export type RemoteSubscription = {
+    /**
+     * Subscribed starling
+     */
+    starling: import("../core/starling").BaseStarling;
+    /**
+     * Topic pattern
+     */
+    pattern: string;
+    /**
+     * Subscription timestamp
+     */
+    subscribedAt: number;
+};
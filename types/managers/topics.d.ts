@@ -1,15 +1,26 @@
 /**
 * @typedef {Object} TopicHandlerOptions
-* @property {boolean} [persistent=false] - Whether the handler survives reconnections
+* @property {boolean} [persistent=false] - Whether the handler survives reconnections (only applies to handlers scoped to a starling)
 * @property {number} [priority=0] - Handler priority (higher = executed first)
 * @property {function} [filter] - Optional filter function for notifications
+* @property {import('../core/starling').BaseStarling} [starling] - Scopes the handler to the notifications of one starling session:
+* it is torn down when that starling disconnects, unless persistent
+*/
+/**
+* @typedef {Object} TopicSubscription
+* @property {string} topic - Topic pattern
+* @property {boolean} persistent - Whether the subscription survives reconnections
+* @property {number} priority - Handler priority
+* @property {import('../core/starling').BaseStarling|null} starling - Starling the subscription is scoped to
 */
 /**
 * @typedef {Object} SubscriptionResult
 * @property {function} off - Unsubscribe function
 */
 /**
-* Extended Pulse event emitter for topic-based notifications
+* Extended Pulse event emitter for topic-based notifications.
+* Subscriptions are indexed in a topic trie, so dispatching a notification only visits the
+* patterns that can match it.
 * @extends Events
 */
 export class TopicsManager extends Events {
@@ -18,25 +29,80 @@ export class TopicsManager extends Events {
     */
     constructor(events: import("../core/events").Events);
     _events: Events;
-    _handlerOptions: Map<any, any>;
+    /**
+    * Subscription options, by handler
+    * @type {Map<function, TopicSubscription & {order: number}>}
+    */
+    _handlerOptions: Map<Function, TopicSubscription & {
+        order: number;
+    }>;
+    /**
+    * Disconnection listeners of the starlings that scope subscriptions
+    * @type {Map<import('../core/starling').BaseStarling, {off: function(): void}>}
+    * @private
+    */
+    private _sessions;
+    /**
+    * Handlers indexed by topic pattern
+    * @type {TopicTrie<function>}
+    * @private
+    */
+    private _index;
+    /** @private */
+    private _order;
     /**
     * Subscribe to a topic with enhanced options
-    * @param {string} topic Topic to subscribe to (supports wildcards)
+    * @param {string} topic Topic to subscribe to: `*` matches one segment, `{name}` captures one segment in `context.params`, a trailing `**` matches the rest
     * @param {function(import('../core/context').NotificationContext): Promise<void>} handler Notification handler
     * @param {TopicHandlerOptions} [options={}] Subscription options
     * @returns {SubscriptionResult} Subscription handle with .off() method
+    * @throws {Error} If the topic pattern is invalid
+    *
+    * @example
+    * topics.subscribe('orders:{orderId}:*', context => {
+    *     console.log(context.params.orderId, context.topic);
+    * });
     */
     subscribe(topic: string, handler: (arg0: import("../core/context").NotificationContext) => Promise<void>, options?: TopicHandlerOptions): SubscriptionResult;
     /**
-    * Handle an incoming notification
+    * Live subscriptions, in subscription order
+    * @type {TopicSubscription[]}
+    */
+    get subscriptions(): TopicSubscription[];
+    /**
+    * @private
+    * @param {function} handler Wrapped handler
+    */
+    private _remove;
+    /**
+    * Tears down the non-persistent subscriptions of a starling when its session ends
+    * @private
+    * @param {import('../core/starling').BaseStarling} starling
+    */
+    private _watch;
+    /**
+    * Gets the topic patterns that currently have at least one handler
+    * @returns {string[]}
+    */
+    getTopics(): string[];
+    /**
+    * Checks whether at least one subscription matches a topic
+    * @param {string} topic Concrete topic
+    * @returns {boolean}
+    */
+    hasSubscribers(topic: string): boolean;
+    /**
+    * Handle an incoming notification: runs every matching handler, by decreasing priority
+    * then subscription order. A failing handler does not prevent the next ones from running.
     * @param {import('../core/starling').Starling} starling Starling instance
     * @param {import('../core/context').NotificationContext} context Notification context
+    * @returns {Promise<boolean>} Whether every handler succeeded
     */
-    handleNotification(starling: import("../core/starling").Starling, context: import("../core/context").NotificationContext): Promise<void>;
+    handleNotification(starling: import("../core/starling").Starling, context: import("../core/context").NotificationContext): Promise<boolean>;
 }
 export type TopicHandlerOptions = {
     /**
-     * - Whether the handler survives reconnections
+     * - Whether the handler survives reconnections (only applies to handlers scoped to a starling)
      */
     persistent?: boolean;
     /**
@@ -47,6 +113,29 @@ export type TopicHandlerOptions = {
      * - Optional filter function for notifications
      */
     filter?: Function;
+    /**
+     * - Scopes the handler to the notifications of one starling session:
+     * it is torn down when that starling disconnects, unless persistent
+     */
+    starling?: import("../core/starling").BaseStarling;
+};
+export type TopicSubscription = {
+    /**
+     * - Topic pattern
+     */
+    topic: string;
+    /**
+     * - Whether the subscription survives reconnections
+     */
+    persistent: boolean;
+    /**
+     * - Handler priority
+     */
+    priority: number;
+    /**
+     * - Starling the subscription is scoped to
+     */
+    starling: import("../core/starling").BaseStarling | null;
 };
 export type SubscriptionResult = {
     /**
@@ -0,0 +1,51 @@
+/**
+* Wire serializer contract shared by both sides of a connection
+* @typedef {Object} Serializer
+* @property {string} name Codec name, used during content negotiation
+* @property {string} contentType MIME type of the encoded frames
+* @property {boolean} binary Whether encoded frames are binary (otherwise text)
+* @property {function(Object): (string|Uint8Array)} encode Encodes a message into a wire frame
+* @property {function(string|ArrayBuffer|Uint8Array): Object} decode Decodes a wire frame into a message
+* @property {function(string|ArrayBuffer|Uint8Array): boolean} [accepts] Cheap check telling whether a frame may have been produced by this codec
+*/
+/**
+* Checks if a value implements the serializer contract
+* @param {unknown} value Value to check
+* @returns {boolean} Whether the value is a serializer
+*/
+export function isSerializer(value: unknown): boolean;
+/**
+* Normalizes binary input to a Uint8Array view
+* @param {ArrayBuffer|Uint8Array|ArrayBufferView} data Binary data
+* @returns {Uint8Array} Byte view over the same memory
+*/
+export function toBytes(data: ArrayBuffer | Uint8Array | ArrayBufferView): Uint8Array;
+/**
+ * Wire serializer contract shared by both sides of a connection
+ */
+export type Serializer = {
+    /**
+     * Codec name, used during content negotiation
+     */
+    name: string;
+    /**
+     * MIME type of the encoded frames
+     */
+    contentType: string;
+    /**
+     * Whether encoded frames are binary (otherwise text)
+     */
+    binary: boolean;
+    /**
+     * Encodes a message into a wire frame
+     */
+    encode: (arg0: any) => (string | Uint8Array);
+    /**
+     * Decodes a wire frame into a message
+     */
+    decode: (arg0: string | ArrayBuffer | Uint8Array) => any;
+    /**
+     * Cheap check telling whether a frame may have been produced by this codec
+     */
+    accepts?: (arg0: string | ArrayBuffer | Uint8Array) => boolean;
+};
@@ -0,0 +1,31 @@
+/**
+* Resolves a serializer from its name or returns the given serializer as is
+* @param {string|import('./base.js').Serializer} [serializer='json'] Codec name or serializer object
+* @returns {import('./base.js').Serializer} Serializer
+* @throws {Error} If the codec is unknown or the object does not implement the contract
+*/
+export function getSerializer(serializer?: string | import("./base.js").Serializer): import("./base.js").Serializer;
+/**
+* Picks the codec both peers support.
+* The choice is symmetric: both sides compute the same result from the same two lists,
+* favouring the codec with the best combined rank (ties broken by name).
+* @param {string[]} local Codecs supported locally, in order of preference
+* @param {string[]} remote Codecs supported by the peer, in order of preference
+* @returns {string|null} Agreed codec name, or null if there is none
+*/
+export function negotiateSerializer(local?: string[], remote?: string[]): string | null;
+export * from "./base.js";
+export * from "./json.js";
+export * from "./msgpack.js";
+export namespace Serializers {
+    export { JsonSerializer as json };
+    export { MessagePackSerializer as msgpack };
+}
+/**
+* Codecs offered by default, in order of preference
+* @readonly
+* @type {string[]}
+*/
+export const DefaultSerializerPreference: string[];
+import { JsonSerializer } from './json.js';
+import { MessagePackSerializer } from './msgpack.js';
@@ -0,0 +1,5 @@
+/**
+* JSON text codec (protocol default)
+* @type {import('./base.js').Serializer}
+*/
+export const JsonSerializer: import("./base.js").Serializer;
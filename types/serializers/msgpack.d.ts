@@ -0,0 +1,18 @@
+/**
+* Encodes a value to MessagePack
+* @param {unknown} value Value to encode
+* @returns {Uint8Array} Encoded bytes
+*/
+export function encodeMessagePack(value: unknown): Uint8Array;
+/**
+* Decodes a MessagePack payload
+* @param {ArrayBuffer|Uint8Array} data Encoded bytes
+* @returns {unknown} Decoded value
+* @throws {RangeError} If the payload is truncated, malformed or has trailing bytes
+*/
+export function decodeMessagePack(data: ArrayBuffer | Uint8Array): unknown;
+/**
+* Dependency-free MessagePack binary codec
+* @type {import('./base.js').Serializer}
+*/
+export const MessagePackSerializer: import("./base.js").Serializer;
@@ -0,0 +1,131 @@
+export namespace TransportState {
+    let CONNECTING: "connecting";
+    let CONNECTED: "connected";
+    let CLOSING: "closing";
+    let DISCONNECTED: "disconnected";
+}
+/**
+* @typedef {Object} TransportCloseInfo
+* @property {number} [code] Close code
+* @property {string} [reason] Close reason
+*/
+/**
+* Base class for the channels a Starling talks through (WebSocket, worker port, pipe, loopback...).
+*
+* Implementations provide `open`, `close` and `send`, and report what happens on the channel
+* through `_setState`, `_receive` and `_fail`. Consumers subscribe with `onMessage`, `onOpen`,
+* `onClose`, `onError` and `onStateChange`.
+* @abstract
+*/
+export class Transport extends Events {
+    /** @protected @type {TransportStateValue} */
+    protected _state: TransportStateValue;
+    /**
+    * Opens the channel
+    * @abstract
+    * @returns {Promise<void>} Resolves once connected
+    */
+    open(): Promise<void>;
+    /**
+    * Closes the channel
+    * @abstract
+    * @param {number} [code] Close code
+    * @param {string} [reason] Close reason
+    */
+    close(code?: number, reason?: string): void;
+    /**
+    * Sends a wire frame
+    * @abstract
+    * @param {string|ArrayBuffer|Uint8Array} data Encoded frame
+    */
+    send(data: string | ArrayBuffer | Uint8Array): void;
+    /**
+    * Listens on incoming frames
+    * @param {function(string|ArrayBuffer|Uint8Array): void} handler Frame handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onMessage(handler: (arg0: string | ArrayBuffer | Uint8Array) => void): {
+        off: () => void;
+    };
+    /**
+    * Listens on the channel being opened
+    * @param {function(): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onOpen(handler: () => void): {
+        off: () => void;
+    };
+    /**
+    * Listens on the channel being closed
+    * @param {function(TransportCloseInfo): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onClose(handler: (arg0: TransportCloseInfo) => void): {
+        off: () => void;
+    };
+    /**
+    * Listens on channel errors
+    * @param {function(Error): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onError(handler: (arg0: Error) => void): {
+        off: () => void;
+    };
+    /**
+    * Listens on state transitions
+    * @param {function({state: TransportStateValue, previous: TransportStateValue}): void} handler
+    * @returns {{off: function(): void}} Subscription handle
+    */
+    onStateChange(handler: (arg0: {
+        state: TransportStateValue;
+        previous: TransportStateValue;
+    }) => void): {
+        off: () => void;
+    };
+    /**
+    * Updates the state and notifies listeners
+    * @protected
+    * @param {TransportStateValue} state New state
+    * @param {TransportCloseInfo} [info] Close information, when disconnecting
+    */
+    protected _setState(state: TransportStateValue, info?: TransportCloseInfo): void;
+    /**
+    * Dispatches an incoming frame
+    * @protected
+    * @param {string|ArrayBuffer|Uint8Array} data Incoming frame
+    */
+    protected _receive(data: string | ArrayBuffer | Uint8Array): void;
+    /**
+    * Reports a channel error
+    * @protected
+    * @param {Error} error
+    */
+    protected _fail(error: Error): void;
+    /**
+    * Current state
+    * @type {TransportStateValue}
+    */
+    get state(): TransportStateValue;
+    /**
+    * Whether frames can be sent right now
+    * @type {boolean}
+    */
+    get isOpen(): boolean;
+    /**
+    * Bytes accepted by `send` but not yet handed to the underlying channel
+    * @type {number}
+    */
+    get bufferedAmount(): number;
+}
+export type TransportStateValue = "connecting" | "connected" | "closing" | "disconnected";
+export type TransportCloseInfo = {
+    /**
+     * Close code
+     */
+    code?: number;
+    /**
+     * Close reason
+     */
+    reason?: string;
+};
+import { Events } from '../core/events.js';
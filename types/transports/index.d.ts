@@ -0,0 +1,3 @@
+export * from "./base.js";
+export * from "./websocket.js";
+export * from "./loopback.js";
@@ -0,0 +1,148 @@
+/**
+* @typedef {'a->b'|'b->a'} LoopbackDirection
+*/
+/**
+* @typedef {Object} LoopbackOptions
+* @property {number|[number, number]|function(*, LoopbackDirection): number} [latency=0] Delivery delay in ms: fixed, `[min, max]` range, or computed per frame
+* @property {number|function(*, LoopbackDirection): boolean} [drop=0] Probability (0-1) of silently losing a frame, or predicate deciding it per frame
+* @property {number} [seed] Seed for the pseudo-random generator used by latency ranges and drop rates, for reproducible runs
+* @property {function(): number} [random] Custom random source in [0, 1), takes precedence over `seed`
+* @property {boolean} [connected=true] Whether the pair starts connected
+*/
+/**
+* Small seeded PRNG (mulberry32), good enough for reproducible network simulations
+* @param {number} seed
+* @returns {function(): number} Random source in [0, 1)
+*/
+export function createSeededRandom(seed: number): () => number;
+/**
+* In-memory transport, one end of a loopback link
+* @extends Transport
+*/
+export class LoopbackTransport extends Transport {
+    /**
+    * Creates two connected transports
+    * @param {LoopbackOptions} [options={}]
+    * @returns {[LoopbackTransport, LoopbackTransport]}
+    */
+    static createPair(options?: LoopbackOptions): [LoopbackTransport, LoopbackTransport];
+    /**
+    * @param {LoopbackLink} link
+    */
+    constructor(link: LoopbackLink);
+    /** @private */
+    private _link;
+}
+export type LoopbackDirection = "a->b" | "b->a";
+export type LoopbackOptions = {
+    /**
+     * Delivery delay in ms: fixed, `[min, max]` range, or computed per frame
+     */
+    latency?: number | [number, number] | ((arg0: any, arg1: LoopbackDirection) => number);
+    /**
+     * Probability (0-1) of silently losing a frame, or predicate deciding it per frame
+     */
+    drop?: number | ((arg0: any, arg1: LoopbackDirection) => boolean);
+    /**
+     * Seed for the pseudo-random generator used by latency ranges and drop rates, for reproducible runs
+     */
+    seed?: number;
+    /**
+     * Custom random source in [0, 1), takes precedence over `seed`
+     */
+    random?: () => number;
+    /**
+     * Whether the pair starts connected
+     */
+    connected?: boolean;
+};
+import { Transport } from './base.js';
+/**
+* Shared state of a loopback link
+* @private
+*/
+declare class LoopbackLink {
+    /**
+    * @param {LoopbackOptions} options
+    */
+    constructor(options?: LoopbackOptions);
+    options: {
+        /**
+         * Delivery delay in ms: fixed, `[min, max]` range, or computed per frame
+         */
+        latency: number | [number, number] | ((arg0: any, arg1: LoopbackDirection) => number);
+        /**
+         * Probability (0-1) of silently losing a frame, or predicate deciding it per frame
+         */
+        drop: number | ((arg0: any, arg1: LoopbackDirection) => boolean);
+        /**
+         * Seed for the pseudo-random generator used by latency ranges and drop rates, for reproducible runs
+         */
+        seed?: number;
+        /**
+         * Custom random source in [0, 1), takes precedence over `seed`
+         */
+        random?: () => number;
+        /**
+         * Whether the pair starts connected
+         */
+        connected: boolean;
+    };
+    random: () => number;
+    /** @type {LoopbackTransport[]} */
+    ends: LoopbackTransport[];
+    /** @type {Array<{to: LoopbackTransport, data: *, timer: *}>} */
+    inFlight: Array<{
+        to: LoopbackTransport;
+        data: any;
+        timer: any;
+    }>;
+    /** Last scheduled delivery time per direction, to keep frames ordered */
+    lastDelivery: any;
+    stats: {
+        sent: number;
+        delivered: number;
+        dropped: number;
+    };
+    /**
+    * @param {LoopbackTransport} from
+    * @returns {LoopbackTransport}
+    */
+    peerOf(from: LoopbackTransport): LoopbackTransport;
+    /**
+    * @param {LoopbackTransport} from
+    * @returns {LoopbackDirection}
+    */
+    directionOf(from: LoopbackTransport): LoopbackDirection;
+    /**
+    * @param {*} data
+    * @param {LoopbackDirection} direction
+    */
+    shouldDrop(data: any, direction: LoopbackDirection): boolean;
+    /**
+    * @param {*} data
+    * @param {LoopbackDirection} direction
+    */
+    latencyOf(data: any, direction: LoopbackDirection): number;
+    /**
+    * @param {LoopbackTransport} from
+    * @param {*} data
+    */
+    transmit(from: LoopbackTransport, data: any): void;
+    /**
+    * @param {{to: LoopbackTransport, data: *, timer: *}} frame
+    */
+    deliver(frame: {
+        to: LoopbackTransport;
+        data: any;
+        timer: any;
+    }): void;
+    flush(): void;
+    /**
+    * @param {string} [reason]
+    * @param {number} [code]
+    */
+    disconnect(reason?: string, code?: number): void;
+    reconnect(): void;
+}
+export {};
@@ -0,0 +1,53 @@
+/**
+* Transport adapter over a WebSocket (browser, Bun, Node or any object exposing `readyState`, `send` and `close`)
+* @extends Transport
+*/
+export class WebSocketTransport extends Transport {
+    /**
+    * Wraps an existing socket
+    * @param {WebSocket} socket
+    * @param {WebSocketTransportOptions} [options]
+    * @returns {WebSocketTransport}
+    */
+    static from(socket: WebSocket, options?: WebSocketTransportOptions): WebSocketTransport;
+    /**
+    * @param {WebSocket|string|URL|function(): WebSocket} socket Existing socket, URL to connect to, or socket factory
+    * @param {WebSocketTransportOptions} [options={}] Transport options
+    */
+    constructor(socket: WebSocket | string | URL | (() => WebSocket), options?: WebSocketTransportOptions);
+    /** @private */
+    private _options;
+    /** @private */
+    private _socket;
+    /** @private */
+    private _factory;
+    /** @private */
+    private _detach;
+    /**
+    * Attaches to a socket's events
+    * @private
+    * @param {WebSocket} socket
+    */
+    private _bind;
+    /**
+    * Underlying socket
+    * @type {WebSocket|null}
+    */
+    get socket(): WebSocket | null;
+}
+export type WebSocketTransportOptions = {
+    /**
+     * Sub-protocols, when the transport creates the socket itself
+     */
+    protocols?: string | string[];
+    /**
+     * Whether to attach to the socket events. Disable it when the socket
+     * events are already routed elsewhere (e.g. server sockets whose messages are dispatched by the server).
+     */
+    listen?: boolean;
+    /**
+     * Binary type applied to created sockets
+     */
+    binaryType?: "arraybuffer" | "blob";
+};
+import { Transport } from './base.js';
@@ -6,12 +6,20 @@ export type ProtocolViolationError = "PROTOCOL_VIOLATION";
 export type ProtocolError = ProtocolInvalidMessageError | ProtocolVersionMismatchError | ProtocolViolationError;
 export type MethodNotFoundError = "METHOD_NOT_FOUND";
 export type MethodError = "METHOD_ERROR";
+export type MethodBusyError = "METHOD_BUSY";
 export type RequestInvalidError = "REQUEST_INVALID";
 export type RequestTimeoutError = "REQUEST_TIMEOUT";
-export type RequestError = RequestInvalidError | RequestTimeoutError;
+export type RequestCancelledError = "REQUEST_CANCELLED";
+export type RequestRateLimitedError = "RATE_LIMITED";
+export type RequestError = RequestInvalidError | RequestTimeoutError | RequestCancelledError | RequestRateLimitedError;
+export type ConnectionLostError = "CONNECTION_LOST";
+export type CircuitOpenError = "CIRCUIT_OPEN";
+export type BufferFullError = "BUFFER_FULL";
+export type SessionActiveError = "SESSION_ACTIVE";
+export type ConnectionError = ConnectionLostError | CircuitOpenError | BufferFullError | SessionActiveError;
 export type ValidationError = "VALIDATION_ERROR";
 export type InternalError = "INTERNAL_ERROR";
 export type ProxyForbiddenError = "PROXY_FORBIDDEN";
 export type ProxyTimeoutError = "PROXY_TIMEOUT";
 export type ProxyError = "PROXY_ERROR";
-export type CommonError = ProtocolError | MethodError | RequestError | ValidationError | InternalError | ProxyError;
+export type CommonError = ProtocolError | MethodError | RequestError | ConnectionError | ValidationError | InternalError | ProxyError;
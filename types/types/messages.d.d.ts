@@ -9,6 +9,10 @@ export type MessageOptions = {
      * Peer configuration
      */
     peer?: PeerConfiguration;
+    /**
+     * Outbound priority lane (see `MessagePriority`)
+     */
+    priority?: number;
 };
 export type BaseMessage = {
     /**
@@ -31,15 +35,21 @@ export type BaseMessage = {
      * - Peer configuration
      */
     peer?: PeerConfiguration;
+    /**
+     * - Outbound priority lane of the sender
+     */
+    priority?: number;
 };
 export type RequestOptions = MessageOptions & {
     requestId: import("./protocol.d").requestId;
+    idempotencyKey?: string;
 };
 export type RequestMessage = BaseMessage & {
     type: import("./protocol.d").RequestType;
     requestId: import("./protocol.d").requestId;
     method: import("./protocol.d").method;
     payload?: import("./protocol.d").payload;
+    idempotencyKey?: string;
 };
 export type ResponseMessage = BaseMessage & {
     type: import("./protocol.d").ResponseType;
@@ -64,12 +74,38 @@ export type ResponseError = {
 };
 export type NotificationOptions = MessageOptions & {
     requestId?: import("./protocol.d").requestId;
+    messageId?: string;
+    retain?: boolean;
+    ttl?: number;
+    retained?: boolean;
+    seq?: number;
+    replayed?: boolean;
 };
 export type NotificationMessage = BaseMessage & {
     type: import("./protocol.d").NotificationType;
     requestId?: import("./protocol.d").requestId;
+    messageId?: string;
     notification: import("./protocol.d").Notification;
 };
+export type AckMessage = BaseMessage & {
+    type: import("./protocol.d").AckType;
+    messageId: string;
+    data?: any;
+};
+export type CancelMessage = BaseMessage & {
+    type: import("./protocol.d").CancelType;
+    requestId: import("./protocol.d").requestId;
+    reason?: string;
+};
+export type PingMessage = BaseMessage & {
+    type: import("./protocol.d").PingType;
+    pingId: string;
+    pong?: boolean;
+};
+export type HandshakeMessage = BaseMessage & {
+    type: import("./protocol.d").HandshakeType;
+    handshake: import("./protocol.d").Handshake;
+};
 export type ErrorMessage = BaseMessage & {
     type: import("./protocol.d").ErrorType;
     error: import("./protocol.d").Error;
@@ -36,7 +36,15 @@ export type AckType = "ack";
  * "ping" message type
  */
 export type PingType = "ping";
-export type MessageType = RequestType | ResponseType | NotificationType | ErrorType | AckType | PingType;
+/**
+ * "cancel" message type
+ */
+export type CancelType = "cancel";
+/**
+ * "handshake" message type
+ */
+export type HandshakeType = "handshake";
+export type MessageType = RequestType | ResponseType | NotificationType | ErrorType | AckType | PingType | CancelType | HandshakeType;
 /**
  * Protocol validation level
  */
@@ -96,6 +104,57 @@ export type Notification = {
      * - Optional notification data
      */
     data?: any;
+    /**
+     * - Asks the receiving node to keep the value as the topic last value
+     */
+    retain?: boolean;
+    /**
+     * - How long in ms a retained value is kept
+     */
+    ttl?: number;
+    /**
+     * - Whether the notification replays a retained value
+     */
+    retained?: boolean;
+    /**
+     * - History sequence number assigned by the publishing node
+     */
+    seq?: number;
+    /**
+     * - Whether the notification is replayed from the history
+     */
+    replayed?: boolean;
+};
+/**
+ * Features a peer supports
+ */
+export type Capabilities = {
+    /**
+     * Wire codecs, in order of preference
+     */
+    codecs?: string[];
+    /**
+     * Delivery acknowledgements
+     */
+    ack?: boolean;
+    /**
+     * Request cancellation
+     */
+    cancel?: boolean;
+    /**
+     * Ping/pong heartbeat
+     */
+    heartbeat?: boolean;
+};
+export type Handshake = {
+    /**
+     * - Oldest protocol version the peer can talk
+     */
+    minVersion: ProtocolVersion;
+    /**
+     * - Features the peer supports
+     */
+    capabilities: Capabilities;
 };
 /**
  * Error code
@@ -7,3 +7,11 @@ export function parseMethod(method: any): {
     namespace: string;
     action: string;
 };
+/**
+* Checks whether a method name matches a pattern, with the wildcards of topic patterns (see `matchTopic`):
+* `*` matches exactly one segment and a trailing `**` matches one or more.
+* @param {string} pattern - Method pattern (e.g., "admin:*", "admin:**")
+* @param {string} method - Method name
+* @returns {boolean} Whether the method matches
+*/
+export function matchMethod(pattern: string, method: string): boolean;
@@ -0,0 +1,14 @@
+/**
+* @template C
+* @typedef {function(C, function(): Promise<void>): (Promise<void>|void)} Middleware
+*/
+/**
+* Composes middleware into a single onion-style function: each middleware runs its code before
+* `await next()`, then the rest of the chain, then its code after `next()` resolves.
+* A middleware that does not call `next()` short-circuits the rest of the chain.
+* @template C
+* @param {Middleware<C>[]} middleware - Middleware, outermost first
+* @returns {function(C, function(): (Promise<void>|void)=): Promise<void>} Composed function, taking the context and the innermost handler
+*/
+export function compose<C>(middleware: Middleware<C>[]): (arg0: C, arg1: (() => (Promise<void> | void)) | undefined) => Promise<void>;
+export type Middleware<C> = (arg0: C, arg1: () => Promise<void>) => (Promise<void> | void);
@@ -0,0 +1,58 @@
+/**
+* @typedef {Object} RateLimit
+* @property {number} limit - Requests allowed per interval
+* @property {number} [interval=1000] - Interval in ms
+* @property {number} [burst] - Bucket capacity, i.e. requests allowed at once (defaults to limit)
+*/
+/**
+* Token bucket: holds up to `burst` tokens, refilled continuously at `limit` tokens per `interval`
+*/
+export class TokenBucket {
+    /**
+    * @param {RateLimit} limit - Bucket configuration
+    */
+    constructor({ limit, interval, burst }: RateLimit);
+    /** @private Tokens per ms */
+    private _rate;
+    /** @private */
+    private _capacity;
+    /** @private */
+    private _tokens;
+    /** @private */
+    private _updatedAt;
+    /**
+    * Delay in ms before tokens are available (0 when they already are)
+    * @param {number} [count=1] - Tokens needed
+    * @returns {number}
+    */
+    wait(count?: number): number;
+    /**
+    * Takes tokens if available
+    * @param {number} [count=1] - Tokens needed
+    * @returns {boolean} Whether the tokens were taken
+    */
+    take(count?: number): boolean;
+    /**
+    * @private
+    */
+    private _refill;
+    /**
+    * Tokens currently available
+    * @type {number}
+    */
+    get tokens(): number;
+}
+export type RateLimit = {
+    /**
+     * - Requests allowed per interval
+     */
+    limit: number;
+    /**
+     * - Interval in ms
+     */
+    interval?: number;
+    /**
+     * - Bucket capacity, i.e. requests allowed at once (defaults to limit)
+     */
+    burst?: number;
+};
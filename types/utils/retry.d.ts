@@ -1,3 +1,4 @@
+export function calculateBackoffDelay(attempt: number, { baseDelay, maxDelay, jitter }: RetryOptions): number;
 export function withRetry<T>(operation: () => Promise<T>, options?: RetryOptions, onRetry?: (arg0: RetryAttemptInfo) => void): Promise<T>;
 /**
  * Exponential backoff configuration
@@ -0,0 +1,64 @@
+/**
+* Checks whether a topic contains wildcard segments
+* @param {string} topic - Topic or pattern
+* @returns {boolean}
+*/
+export function isTopicPattern(topic: string): boolean;
+/**
+* Matches a topic against a single pattern
+* @param {string} pattern - Topic pattern (e.g., "orders:{id}:*")
+* @param {string} topic - Concrete topic
+* @returns {TopicParams|null} Named captures, or null if the topic does not match
+*/
+export function matchTopic(pattern: string, topic: string): TopicParams | null;
+/**
+* Index of topic patterns: matching a topic walks one trie path per wildcard branch
+* instead of testing every pattern.
+* @template T
+*/
+export class TopicTrie<T> {
+    /** @private */
+    private _root;
+    /** @private @type {Map<T, string>} */
+    private _patterns;
+    /**
+    * Indexes a value under a pattern
+    * @param {string} pattern - Topic pattern
+    * @param {T} value - Value returned on match (must be unique in the trie)
+    */
+    add(pattern: string, value: T): void;
+    /**
+    * Removes a value from the index
+    * @param {T} value - Indexed value
+    * @returns {boolean} Whether the value was indexed
+    */
+    remove(value: T): boolean;
+    /**
+    * Finds every value whose pattern matches a topic
+    * @param {string} topic - Concrete topic
+    * @returns {TopicMatch<T>[]} Matches, in no particular order
+    */
+    match(topic: string): TopicMatch<T>[];
+    /**
+    * Number of indexed values
+    * @type {number}
+    */
+    get size(): number;
+}
+export type TopicParams = {
+    [x: string]: string;
+};
+export type TopicMatch<T> = {
+    /**
+     * - Value stored with the matching pattern
+     */
+    value: T;
+    /**
+     * - Matching pattern
+     */
+    pattern: string;
+    /**
+     * - Named captures
+     */
+    params: TopicParams;
+};
@@ -0,0 +1,16 @@
+/**
+* Compares two semantic versions (x.y.z)
+* @param {string} a - First version
+* @param {string} b - Second version
+* @returns {number} Negative if a < b, positive if a > b, 0 if equal
+*/
+export function compareVersions(a: string, b: string): number;
+/**
+* Checks if a peer version can be talked to.
+* The peer must speak at least our minimum version and the same major version as ours.
+* @param {string} version - Peer protocol version
+* @param {string} [minVersion=Protocol.MIN_VERSION] - Oldest version accepted
+* @param {string} [currentVersion=Protocol.CURRENT_VERSION] - Local protocol version
+* @returns {boolean} Whether the version is supported
+*/
+export function isSupportedVersion(version: string, minVersion?: string, currentVersion?: string): boolean;
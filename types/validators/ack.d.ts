@@ -17,7 +17,8 @@ export function validateAck(message: unknown, options?: AckValidationOptions): V
 * @property {string} version - Semantic version (x.y.z)
 * @property {number} timestamp - Unix timestamp in milliseconds
 * @property {'ack'} type - Must be "ack"
-* @property {string} messageId - Request ID
+* @property {string} messageId - ID of the acknowledged message
+* @property {*} [data] - Optional data returned to the sender
 */
 /**
 * @typedef {Object} AckValidationOptions
@@ -48,9 +49,13 @@ export type AckMessage = {
      */
     type: "ack";
     /**
-     * - Request ID
+     * - ID of the acknowledged message
      */
     messageId: string;
+    /**
+     * - Optional data returned to the sender
+     */
+    data?: any;
 };
 export type AckValidationOptions = {
     /**
@@ -8,9 +8,18 @@ export function matchesPattern(value: string, pattern: RegExp): boolean;
 /**
 * Validates a method name
 * @param {string} methodName - Method name to validate
+* @param {{allowReserved?: boolean}} [options] - Pass `allowReserved` to accept reserved namespaces (e.g. when calling built-in `system:*` methods)
 * @returns {ValidationResult} Validation result
 */
-export function validateMethodName(methodName: string): ValidationResult;
+export function validateMethodName(methodName: string, options?: {
+    allowReserved?: boolean;
+}): ValidationResult;
+/**
+* Validates a topic subscription pattern
+* @param {string} pattern - Topic or topic pattern to validate
+* @returns {ValidationResult} Validation result
+*/
+export function validateTopicPattern(pattern: string): ValidationResult;
 /**
 * Validates a message against the base message schema
 * @param {unknown} message - Message to validate
@@ -0,0 +1,45 @@
+/**
+* @typedef {import('./base.js').ValidationResult} ValidationResult
+*/
+/**
+* @typedef {Object} CancelMessage
+* @property {string} protocol - Must be "helios-starling"
+* @property {string} version - Semantic version (x.y.z)
+* @property {number} timestamp - Unix timestamp in milliseconds
+* @property {'cancel'} type - Must be "cancel"
+* @property {string} requestId - ID of the request to cancel
+* @property {string} [reason] - Cancellation reason
+*/
+/**
+ * Validates a cancel message
+ * @param {unknown} message - Message to validate
+ * @returns {ValidationResult} Validation result
+ */
+export function validateCancel(message: unknown): ValidationResult;
+export type ValidationResult = import("./base.js").ValidationResult;
+export type CancelMessage = {
+    /**
+     * - Must be "helios-starling"
+     */
+    protocol: string;
+    /**
+     * - Semantic version (x.y.z)
+     */
+    version: string;
+    /**
+     * - Unix timestamp in milliseconds
+     */
+    timestamp: number;
+    /**
+     * - Must be "cancel"
+     */
+    type: "cancel";
+    /**
+     * - ID of the request to cancel
+     */
+    requestId: string;
+    /**
+     * - Cancellation reason
+     */
+    reason?: string;
+};
@@ -0,0 +1,43 @@
+/**
+* @typedef {import('./base.js').ValidationResult} ValidationResult
+*/
+/**
+* @typedef {Object} HandshakeMessage
+* @property {string} protocol - Must be "helios-starling"
+* @property {string} version - Semantic version (x.y.z) spoken by the peer
+* @property {number} timestamp - Unix timestamp in milliseconds
+* @property {'handshake'} type - Must be "handshake"
+* @property {{minVersion: string, capabilities: Object}} handshake - Version range and capabilities
+*/
+/**
+ * Validates a handshake message
+ * @param {unknown} message - Message to validate
+ * @returns {ValidationResult} Validation result
+ */
+export function validateHandshake(message: unknown): ValidationResult;
+export type ValidationResult = import("./base.js").ValidationResult;
+export type HandshakeMessage = {
+    /**
+     * - Must be "helios-starling"
+     */
+    protocol: string;
+    /**
+     * - Semantic version (x.y.z) spoken by the peer
+     */
+    version: string;
+    /**
+     * - Unix timestamp in milliseconds
+     */
+    timestamp: number;
+    /**
+     * - Must be "handshake"
+     */
+    type: "handshake";
+    /**
+     * - Version range and capabilities
+     */
+    handshake: {
+        minVersion: string;
+        capabilities: any;
+    };
+};
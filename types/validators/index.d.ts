@@ -5,3 +5,7 @@ export * from "./notification.js";
 export * from "./protocol.js";
 export * from "./error.js";
 export * from "./ack.js";
+export * from "./cancel.js";
+export * from "./ping.js";
+export * from "./handshake.js";
+export * from "./schema.js";
@@ -0,0 +1,45 @@
+/**
+* @typedef {import('./base.js').ValidationResult} ValidationResult
+*/
+/**
+* @typedef {Object} PingMessage
+* @property {string} protocol - Must be "helios-starling"
+* @property {string} version - Semantic version (x.y.z)
+* @property {number} timestamp - Unix timestamp in milliseconds
+* @property {'ping'} type - Must be "ping"
+* @property {string} pingId - Ping identifier
+* @property {boolean} [pong] - Whether this is the reply to a ping
+*/
+/**
+ * Validates a ping (or pong) message
+ * @param {unknown} message - Message to validate
+ * @returns {ValidationResult} Validation result
+ */
+export function validatePing(message: unknown): ValidationResult;
+export type ValidationResult = import("./base.js").ValidationResult;
+export type PingMessage = {
+    /**
+     * - Must be "helios-starling"
+     */
+    protocol: string;
+    /**
+     * - Semantic version (x.y.z)
+     */
+    version: string;
+    /**
+     * - Unix timestamp in milliseconds
+     */
+    timestamp: number;
+    /**
+     * - Must be "ping"
+     */
+    type: "ping";
+    /**
+     * - Ping identifier
+     */
+    pingId: string;
+    /**
+     * - Whether this is the reply to a ping
+     */
+    pong?: boolean;
+};
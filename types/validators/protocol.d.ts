@@ -70,6 +70,14 @@ export type ResolutionOptions = {
      * Validation level
      */
     level?: ValidationLevel;
+    /**
+     * Binary codecs tried on binary frames before treating them as raw binary
+     */
+    serializers?: import("../serializers/base.js").Serializer[];
+    /**
+     * Oldest protocol version accepted
+     */
+    minVersion?: string;
 };
 /**
  * Handler types
@@ -78,7 +86,7 @@ export type MessageHandler = (message: unknown) => void;
 /**
  * Handler types
  */
-export type ViolationHandler = (violations: string[]) => void;
+export type ViolationHandler = (violations: string[], result: ResolutionResult) => void;
 /**
  * Handler types
  */
@@ -107,6 +115,10 @@ export type ResolutionResult = {
      * Array of protocol violations if any
      */
     violations: string[];
+    /**
+     * Whether the message uses an unsupported protocol version
+     */
+    versionMismatch: boolean;
     /**
      * Resolved protocol message type if applicable
      */
@@ -119,11 +131,13 @@ export type ResolutionResult = {
  * @property {boolean} [allowCustomTypes=false] Whether to allow custom message types
  * @property {number} [maxMessageSize] Maximum allowed message size in bytes
  * @property {ValidationLevel} [level=ValidationLevel.PROTOCOL] Validation level
+ * @property {import('../serializers/base.js').Serializer[]} [serializers] Binary codecs tried on binary frames before treating them as raw binary
+ * @property {string} [minVersion=Protocol.MIN_VERSION] Oldest protocol version accepted
  */
 /**
  * Handler types
  * @typedef {(message: unknown) => void} MessageHandler
- * @typedef {(violations: string[]) => void} ViolationHandler
+ * @typedef {(violations: string[], result: ResolutionResult) => void} ViolationHandler
  * @typedef {(text: string) => void} TextHandler
  * @typedef {(data: object) => void} JsonHandler
  * @typedef {(data: ArrayBuffer|Uint8Array) => void} BinaryHandler
@@ -134,6 +148,7 @@ export type ResolutionResult = {
  * @property {MessageFormat} format Detected message format
  * @property {boolean} isValid Whether the message is valid
  * @property {string[]} violations Array of protocol violations if any
+ * @property {boolean} versionMismatch Whether the message uses an unsupported protocol version
  * @property {string} [type] Resolved protocol message type if applicable
  */
 /**
@@ -155,6 +170,10 @@ declare class ProtocolResolution {
     /** @private */
     private _parsedData;
     /** @private */
+    private _serializer;
+    /** @private */
+    private _versionMismatch;
+    /** @private */
     private _options;
     /** @private */
     private _message;
@@ -167,6 +186,20 @@ declare class ProtocolResolution {
      * @returns {MessageFormat} Detected format
      */
     private _detectFormat;
+    /**
+     * Checks the size of a raw frame against `maxMessageSize`, recording a violation when it is over
+     * @private
+     * @param {number} size Frame size in bytes
+     * @returns {boolean} Whether the frame is too large to be decoded
+     */
+    private _exceedsMaxSize;
+    /**
+     * Tries to decode a binary frame as a protocol envelope with the configured binary codecs
+     * @private
+     * @param {ArrayBuffer|Uint8Array} message Binary frame
+     * @returns {boolean} Whether the frame holds a protocol message
+     */
+    private _decodeBinary;
     /**
      * Checks if a message follows the protocol format
      * @private
@@ -210,6 +243,11 @@ declare class ProtocolResolution {
      * @returns {string|null} Message type or null
      */
     getType(): string | null;
+    /**
+     * Gets the name of the codec a protocol message was decoded with
+     * @returns {string|null} Codec name, or null for messages that were not serialized
+     */
+    getSerializer(): string | null;
     /**
      * Gets protocol violations if any
      * @returns {string[]} List of violations
@@ -290,6 +328,24 @@ declare class ProtocolResolution {
      * @returns {this} For chaining
      */
     onAck(handler: MessageHandler): this;
+    /**
+     * Subscribes to cancel messages
+     * @param {MessageHandler} handler Cancel handler
+     * @returns {this} For chaining
+     */
+    onCancel(handler: MessageHandler): this;
+    /**
+     * Subscribes to ping messages (pings and pongs)
+     * @param {MessageHandler} handler Ping handler
+     * @returns {this} For chaining
+     */
+    onPing(handler: MessageHandler): this;
+    /**
+     * Subscribes to handshake messages
+     * @param {MessageHandler} handler Handshake handler
+     * @returns {this} For chaining
+     */
+    onHandshake(handler: MessageHandler): this;
     /**
      * Subscribes to error messages
      * @param {MessageHandler} handler Error message handler
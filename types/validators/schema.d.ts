@@ -0,0 +1,187 @@
+/**
+* @typedef {"string"|"number"|"integer"|"boolean"|"object"|"array"|"null"} SchemaType
+*/
+/**
+* JSON Schema subset understood by the built-in engine
+* @typedef {Object} JsonSchema
+* @property {SchemaType|SchemaType[]} [type] - Accepted type(s)
+* @property {Array<*>} [enum] - Accepted values
+* @property {*} [const] - Single accepted value
+* @property {number} [minimum] - Inclusive lower bound
+* @property {number} [maximum] - Inclusive upper bound
+* @property {number} [exclusiveMinimum] - Exclusive lower bound
+* @property {number} [exclusiveMaximum] - Exclusive upper bound
+* @property {number} [minLength] - Minimum string length
+* @property {number} [maxLength] - Maximum string length
+* @property {string} [pattern] - Regular expression strings must match
+* @property {Object<string, JsonSchema>} [properties] - Object properties schemas
+* @property {string[]} [required] - Required object properties
+* @property {boolean|JsonSchema} [additionalProperties=true] - Whether (or how) undeclared properties are accepted
+* @property {JsonSchema} [items] - Array items schema
+* @property {number} [minItems] - Minimum array length
+* @property {number} [maxItems] - Maximum array length
+* @property {boolean} [uniqueItems] - Whether array items must be distinct
+*/
+/**
+* Any validator implementing the Standard Schema interface (Zod, Valibot, ArkType...)
+* @see https://standardschema.dev
+* @typedef {{'~standard': {version: 1, vendor: string, validate: function(unknown): ({value: *, issues?: undefined}|{issues: Array<{message: string, path?: Array<PropertyKey|{key: PropertyKey}>}>}|Promise<*>)}}} StandardSchema
+*/
+/**
+* @typedef {Object} SchemaIssue
+* @property {string} path - JSON pointer to the offending value ("" for the root)
+* @property {string} message - Error message
+* @property {string} [keyword] - Failing schema keyword (built-in engine only)
+*/
+/**
+* @typedef {Object} SchemaValidationResult
+* @property {boolean} valid - Whether the value matches the schema
+* @property {SchemaIssue[]} errors - Path-addressed issues if validation failed
+* @property {*} [value] - Validated value (possibly transformed by a Standard Schema)
+*/
+/**
+* Checks whether a value implements the Standard Schema interface
+* @param {unknown} schema - Value to check
+* @returns {schema is StandardSchema}
+*/
+export function isStandardSchema(schema: unknown): schema is StandardSchema;
+/**
+* Validates a value against a JSON Schema subset or a Standard Schema validator.
+* Returns a promise only for asynchronous Standard Schema validators.
+* @param {unknown} value - Value to validate
+* @param {JsonSchema|StandardSchema} schema - Schema to validate against
+* @returns {SchemaValidationResult|Promise<SchemaValidationResult>} Validation result
+*
+* @example
+* validateSchema({ user: { age: -1 } }, {
+*   type: 'object',
+*   required: ['user'],
+*   properties: { user: { type: 'object', properties: { age: { type: 'integer', minimum: 0 } } } }
+* });
+* // { valid: false, errors: [{ path: '/user/age', message: 'Must be greater than or equal to 0', keyword: 'minimum' }] }
+*/
+export function validateSchema(value: unknown, schema: JsonSchema | StandardSchema): SchemaValidationResult | Promise<SchemaValidationResult>;
+export type SchemaType = "string" | "number" | "integer" | "boolean" | "object" | "array" | "null";
+/**
+ * JSON Schema subset understood by the built-in engine
+ */
+export type JsonSchema = {
+    /**
+     * - Accepted type(s)
+     */
+    type?: SchemaType | SchemaType[];
+    /**
+     * - Accepted values
+     */
+    enum?: Array<any>;
+    /**
+     * - Single accepted value
+     */
+    const?: any;
+    /**
+     * - Inclusive lower bound
+     */
+    minimum?: number;
+    /**
+     * - Inclusive upper bound
+     */
+    maximum?: number;
+    /**
+     * - Exclusive lower bound
+     */
+    exclusiveMinimum?: number;
+    /**
+     * - Exclusive upper bound
+     */
+    exclusiveMaximum?: number;
+    /**
+     * - Minimum string length
+     */
+    minLength?: number;
+    /**
+     * - Maximum string length
+     */
+    maxLength?: number;
+    /**
+     * - Regular expression strings must match
+     */
+    pattern?: string;
+    /**
+     * - Object properties schemas
+     */
+    properties?: {
+        [x: string]: JsonSchema;
+    };
+    /**
+     * - Required object properties
+     */
+    required?: string[];
+    /**
+     * - Whether (or how) undeclared properties are accepted
+     */
+    additionalProperties?: boolean | JsonSchema;
+    /**
+     * - Array items schema
+     */
+    items?: JsonSchema;
+    /**
+     * - Minimum array length
+     */
+    minItems?: number;
+    /**
+     * - Maximum array length
+     */
+    maxItems?: number;
+    /**
+     * - Whether array items must be distinct
+     */
+    uniqueItems?: boolean;
+};
+/**
+ * Any validator implementing the Standard Schema interface (Zod, Valibot, ArkType...)
+ */
+export type StandardSchema = {
+    "~standard": {
+        version: 1;
+        vendor: string;
+        validate: (arg0: unknown) => ({
+            value: any;
+            issues?: undefined;
+        } | {
+            issues: Array<{
+                message: string;
+                path?: Array<PropertyKey | {
+                    key: PropertyKey;
+                }>;
+            }>;
+        } | Promise<any>);
+    };
+};
+export type SchemaIssue = {
+    /**
+     * - JSON pointer to the offending value ("" for the root)
+     */
+    path: string;
+    /**
+     * - Error message
+     */
+    message: string;
+    /**
+     * - Failing schema keyword (built-in engine only)
+     */
+    keyword?: string;
+};
+export type SchemaValidationResult = {
+    /**
+     * - Whether the value matches the schema
+     */
+    valid: boolean;
+    /**
+     * - Path-addressed issues if validation failed
+     */
+    errors: SchemaIssue[];
+    /**
+     * - Validated value (possibly transformed by a Standard Schema)
+     */
+    value?: any;
+};